@@ -1,132 +1,76 @@
 // ===============================================
-// 🔓 TEMPORARY AUTH BYPASS - FOR TESTING ONLY!
+// 🔐 AUTH MIDDLEWARE - JWT + Session Revocation
 // ===============================================
+// כל הנתיבים המוגנים עוברים כאן: טוקן גישה תקף, לא טוקן ביניים של 2FA,
+// וסשן שלא בוטל (התנתקות / "התנתק מכל המכשירים" / שינוי סיסמה)
+// req.user = תוכן הטוקן (role, stations, sid) - בסיס ל-requirePermission / scopeFilter
 
-import express from 'express';
 import jwt from 'jsonwebtoken';
+import roleStore, { ALL_PERMISSIONS } from '../utils/roleStore.js';
+import sessionService from '../utils/sessionService.js';
 
-const router = express.Router();
+const ERRORS = {
+  AUTH: {
+    NO_TOKEN: 'גישה נדחתה: חסר טוקן',
+    INVALID_TOKEN: 'טוקן לא תקין או פג תוקף',
+    SESSION_REVOKED: 'הסשן בוטל - נא להתחבר מחדש',
+    ADMIN_REQUIRED: 'נדרשות הרשאות מנהל מערכת'
+  }
+};
 
 // ===============================================
-// 🔓 LOGIN - ACCEPTS ANY PASSWORD
+// 🔐 MIDDLEWARE - authenticateToken
 // ===============================================
-router.post('/login', async (req, res) => {
-  try {
-    const { password } = req.body;
-    
-    console.log('⚠️ BYPASS MODE: Login attempt with password:', password);
-    
-    // Get JWT secret
-    const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-key';
-    
-    // Create token WITHOUT checking password
-    const token = jwt.sign(
-      { 
-        username: 'admin',
-        role: 'admin',
-        bypass: true
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-    
-    console.log('✅ BYPASS MODE: Login successful!');
-    
-    res.json({
-      ok: true,
-      data: {
-        token,
-        user: {
-          username: 'admin',
-          role: 'admin'
-        }
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ BYPASS MODE: Login error:', error);
-    res.status(500).json({
+export const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
       ok: false,
-      error: 'Login failed'
+      error: ERRORS.AUTH.NO_TOKEN
     });
   }
-});
 
-// ===============================================
-// 🔓 LOGOUT
-// ===============================================
-router.post('/logout', (req, res) => {
-  res.json({ ok: true });
-});
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-// ===============================================
-// 🔓 GET ME
-// ===============================================
-router.get('/me', (req, res) => {
-  res.json({
-    ok: true,
-    data: {
-      username: 'admin',
-      role: 'admin'
+    // טוקן ביניים של אימות דו-שלבי אינו טוקן גישה
+    if (decoded.purpose) {
+      throw new Error('Purpose token used as access token');
     }
-  });
-});
-
-// ===============================================
-// 🔓 MIDDLEWARE - authenticateToken (BYPASS)
-// ===============================================
-export const authenticateToken = (req, res, next) => {
-  console.log('⚠️ BYPASS MODE: authenticateToken bypassed');
-  req.user = {
-    username: 'admin',
-    role: 'admin',
-    bypass: true
-  };
-  next();
-};
 
-// ===============================================
-// 🔓 MIDDLEWARE - authenticateAdmin (BYPASS)
-// ===============================================
-export const authenticateAdmin = (req, res, next) => {
-  console.log('⚠️ BYPASS MODE: authenticateAdmin bypassed');
-  req.user = {
-    username: 'admin',
-    role: 'admin',
-    bypass: true
-  };
-  next();
-};
+    // הסשן בוטל (התנתקות / שינוי סיסמה / השבתת משתמש) לפני שטוקן הגישה פג
+    if (sessionService.isRevoked(decoded.sid)) {
+      return res.status(401).json({
+        ok: false,
+        error: ERRORS.AUTH.SESSION_REVOKED,
+        code: 'SESSION_REVOKED'
+      });
+    }
 
-// ===============================================
-// 🔓 MIDDLEWARE - verifyToken (BYPASS)
-// ===============================================
-export const verifyToken = (req, res, next) => {
-  console.log('⚠️ BYPASS MODE: verifyToken bypassed');
-  req.user = {
-    username: 'admin',
-    role: 'admin',
-    bypass: true
-  };
-  next();
+    req.user = decoded;
+    next();
+  } catch (err) {
+    return res.status(403).json({
+      ok: false,
+      error: ERRORS.AUTH.INVALID_TOKEN
+    });
+  }
 };
 
 // ===============================================
-// 🔓 MIDDLEWARE - requireRole (BYPASS)
+// 🔐 MIDDLEWARE - authenticateAdmin
 // ===============================================
-export const requireRole = (role) => {
-  return (req, res, next) => {
-    console.log(`⚠️ BYPASS MODE: requireRole(${role}) bypassed`);
-    req.user = {
-      username: 'admin',
-      role: 'admin',
-      bypass: true
-    };
+// תפקיד עם כל ההרשאות (admin / תפקיד מותאם עם '*')
+export const authenticateAdmin = (req, res, next) => {
+  authenticateToken(req, res, () => {
+    if (!roleStore.can(req.user.role || 'viewer', ALL_PERMISSIONS)) {
+      return res.status(403).json({
+        ok: false,
+        error: { code: 'FORBIDDEN', message: ERRORS.AUTH.ADMIN_REQUIRED }
+      });
+    }
     next();
-  };
+  });
 };
-
-// ===============================================
-// 🔓 EXPORTS
-// ===============================================
-export default router;
\ No newline at end of file
@@ -1,63 +1,18 @@
 // Role-Based Access Control Middleware
+// התפקידים וההרשאות נטענים מהבסיס (utils/roleStore.js) - ניהול דרך /api/roles
+// כל requirePermission רושם את ההרשאות שלו, כך שרשימת ההרשאות נאספת מהגדרות הנתיבים עצמן
+// תחום נתונים: ערים של התפקיד (Role.scopes.cities) + תחנות של המשתמש (User.stations, בטוקן הגישה)
 
-const PERMISSIONS = {
-  admin: [
-    'users:create',
-    'users:read',
-    'users:update',
-    'users:delete',
-    'drivers:create',
-    'drivers:read',
-    'drivers:update',
-    'drivers:delete',
-    'drivers:block',
-    'rides:create',
-    'rides:read',
-    'rides:update',
-    'rides:delete',
-    'rides:cancel',
-    'payments:create',
-    'payments:read',
-    'payments:update',
-    'payments:mark_paid',
-    'registrations:read',
-    'registrations:approve',
-    'registrations:reject',
-    'messages:send',
-    'messages:read',
-    'settings:read',
-    'settings:update',
-    'system:backup',
-    'system:logs',
-    'audit:read'
-  ],
-  manager: [
-    'drivers:read',
-    'drivers:update',
-    'drivers:block',
-    'rides:create',
-    'rides:read',
-    'rides:update',
-    'rides:cancel',
-    'payments:read',
-    'payments:update',
-    'registrations:read',
-    'registrations:approve',
-    'messages:send',
-    'messages:read',
-    'settings:read'
-  ],
-  viewer: [
-    'drivers:read',
-    'rides:read',
-    'payments:read',
-    'registrations:read',
-    'messages:read'
-  ]
-};
+import mongoose from 'mongoose';
+import roleStore, { ALL_PERMISSIONS, SYSTEM_ROLES } from '../utils/roleStore.js';
+
+// הרשאות שהוצהרו ב-requirePermission (בטעינת קבצי הנתיבים)
+const declaredPermissions = new Set();
 
 export function requirePermission(...permissions) {
-  return (req, res, next) => {
+  permissions.forEach(permission => declaredPermissions.add(permission));
+
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         ok: false,
@@ -66,9 +21,7 @@ export function requirePermission(...permissions) {
     }
 
     const userRole = req.user.role || 'viewer';
-    const userPermissions = PERMISSIONS[userRole] || [];
-
-    const hasPermission = permissions.every(p => userPermissions.includes(p));
+    const hasPermission = permissions.every(p => roleStore.can(userRole, p));
 
     if (!hasPermission) {
       return res.status(403).json({
@@ -77,13 +30,190 @@ export function requirePermission(...permissions) {
       });
     }
 
+    // תחום נתונים של התפקיד והמשתמש (scopeFilter / inScope)
+    req.scope = scopeForUser(req.user);
+
     next();
   };
+
+  // listRoutePermissions מזהה את הנתיב לפי הסימון הזה
+  middleware.permissions = permissions;
+  return middleware;
 }
 
 export function hasPermission(role, permission) {
-  const rolePermissions = PERMISSIONS[role] || [];
-  return rolePermissions.includes(permission);
+  return roleStore.can(role, permission);
+}
+
+/**
+ * כל ההרשאות שאפשר לשייך לתפקיד - מהנתיבים ומתפקידי המערכת
+ */
+export function knownPermissions() {
+  const systemPermissions = Object.values(SYSTEM_ROLES).flatMap(role => role.permissions);
+  return new Set([...declaredPermissions, ...systemPermissions].filter(p => p !== ALL_PERMISSIONS));
+}
+
+// ===============================================
+// 🗺️ ROUTE PERMISSIONS
+// ===============================================
+
+function mountPath(layer) {
+  if (layer.regexp?.fast_slash) return '';
+  // express 4: app.use('/api/rides') → /^\/api\/rides\/?(?=\/|$)/i
+  const match = /^\^(.*?)\\\/\?\(\?=\\\/\|\$\)$/.exec(layer.regexp?.source || '');
+  return match ? match[1].replace(/\\(.)/g, '$1') : '';
+}
+
+function collectRoutes(stack, prefix, routes) {
+  for (const layer of stack) {
+    if (layer.route) {
+      const permissions = layer.route.stack.flatMap(entry => entry.handle.permissions || []);
+      const methods = Object.keys(layer.route.methods).map(method => method.toUpperCase());
+      for (const method of methods) {
+        routes.push({ method, path: `${prefix}${layer.route.path}`, permissions });
+      }
+    } else if (layer.name === 'router' && layer.handle?.stack) {
+      collectRoutes(layer.handle.stack, prefix + mountPath(layer), routes);
+    }
+  }
+  return routes;
+}
+
+/**
+ * הרשאה → הנתיבים שדורשים אותה, מתוך ה-app הרשום (GET /api/roles/permissions)
+ * @returns {Array<Object>} - [{ permission, routes: ['GET /api/rides'], roles: ['admin', ...] }]
+ */
+export function listRoutePermissions(app) {
+  const routes = collectRoutes(app._router?.stack || [], '', []);
+  const byPermission = new Map([...knownPermissions()].map(permission => [permission, []]));
+
+  for (const route of routes) {
+    for (const permission of route.permissions) {
+      if (!byPermission.has(permission)) byPermission.set(permission, []);
+      byPermission.get(permission).push(`${route.method} ${route.path}`);
+    }
+  }
+
+  return [...byPermission.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([permission, permissionRoutes]) => ({
+      permission,
+      routes: permissionRoutes,
+      roles: roleStore.names().filter(name => roleStore.can(name, permission))
+    }));
+}
+
+// ===============================================
+// 🌍 DATA SCOPES
+// ===============================================
+
+// נסיעה משויכת לעיר לפי מיקום האיסוף המקודד
+export const RIDE_SCOPE = { city: 'pickupLocation.city' };
+
+/**
+ * התחום של המשתמש - { cities, stations } (ריק = ללא הגבלה)
+ */
+export function scopeForUser(user) {
+  if (!user) return { cities: [], stations: [] };
+  return {
+    cities: roleStore.scopesFor(user.role || 'viewer').cities,
+    stations: Array.isArray(user.stations) ? user.stations : []
+  };
 }
 
+// גם בנתיבים בלי requirePermission (analytics / groups)
+function scopeOf(req) {
+  return req.scope || scopeForUser(req.user);
+}
+
+/**
+ * פילטר MongoDB לתחום של המשתמש ({} = ללא הגבלה)
+ * @param {Object} fields - { city, station } שמות השדות ברשומה; null = השדה לא קיים ברשומה
+ * @param {string} fields.requestedStation - ?station= מהבקשה; מחוץ לתחום - פילטר שלא מחזיר כלום
+ */
+export function scopeFilter(req, { city = 'city', station = 'station', requestedStation = null } = {}) {
+  const { cities, stations } = scopeOf(req);
+  const filter = {};
+
+  if (city && cities.length > 0) {
+    filter[city] = { $in: cities };
+  }
+
+  if (station && requestedStation) {
+    filter[station] = inStationScope(req, requestedStation) ? requestedStation : { $in: [] };
+  } else if (station && stations.length > 0) {
+    filter[station] = { $in: stations };
+  }
+
+  return filter;
+}
+
+/**
+ * האם הרשומה (לפי העיר שלה) בתחום של המשתמש
+ */
+export function inScope(req, city) {
+  const { cities } = scopeOf(req);
+  return cities.length === 0 || cities.includes(city);
+}
+
+export function inStationScope(req, station) {
+  const { stations } = scopeOf(req);
+  return stations.length === 0 || stations.includes(station);
+}
+
+function valueAt(record, path) {
+  return path.split('.').reduce((value, key) => value?.[key], record);
+}
+
+/**
+ * האם הרשומה בתחום - משמש גם את utils/websockets.js
+ */
+export function recordInScope(scope, record, { city = 'city', station = 'station' } = {}) {
+  if (city && scope.cities.length > 0 && !scope.cities.includes(valueAt(record, city))) {
+    return false;
+  }
+  if (station && scope.stations.length > 0 && !scope.stations.includes(valueAt(record, station))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * נתיבי /:id - רשומה מחוץ לתחום מוחזרת כ-404 (אחרי requirePermission)
+ * בלי תחום למשתמש - אין שאילתה נוספת. שדות יכולים להיות מקוננים ('pickupLocation.city')
+ */
+export function requireScope(Model, { param = 'id', city = 'city', station = 'station' } = {}) {
+  return async (req, res, next) => {
+    const scope = scopeOf(req);
+    const checkCity = city && scope.cities.length > 0;
+    const checkStation = station && scope.stations.length > 0;
+    if (!checkCity && !checkStation) return next();
+
+    try {
+      const id = req.params[param];
+      const fields = [checkCity && city, checkStation && station].filter(Boolean).join(' ');
+      const record = mongoose.isValidObjectId(id)
+        ? await Model.findById(id).select(fields).lean()
+        : null;
+
+      // רשומה שלא קיימת - הנתיב מחזיר את ה-404 שלו
+      if (record && !recordInScope(scope, record, { city, station })) {
+        return res.status(404).json({
+          ok: false,
+          error: { code: 'OUT_OF_SCOPE', message: 'הרשומה לא נמצאה בתחום ההרשאה שלך' }
+        });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// ברירות המחדל של תפקידי המערכת (לתאימות)
+const PERMISSIONS = Object.fromEntries(
+  Object.entries(SYSTEM_ROLES).map(([name, role]) => [name, role.permissions])
+);
+
 export { PERMISSIONS };
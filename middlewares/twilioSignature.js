@@ -0,0 +1,162 @@
+// ===============================================
+// 🔏 TWILIO SIGNATURE MIDDLEWARE
+// ===============================================
+// אימות X-Twilio-Signature לבקשות שמגיעות מ-Twilio (webhooks / status callbacks)
+// החתימה מחושבת על ה-URL הציבורי (WEBHOOK_URL + הנתיב) ועל פרמטרי ה-POST
+// הודעות נכנסות: כל MessageSid מעובד פעם אחת (rejectTwilioReplay) -
+// עיבוד שנכשל (תשובה שאינה 2xx) משחרר את ה-MessageSid כדי שניסיון חוזר של Twilio יעובד
+// כל דחייה נרשמת ב-AuditLog (twilio_webhook_rejected)
+
+import twilio from 'twilio';
+import config from '../config/index.js';
+import { AuditLog, TwilioWebhookReceipt } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+// כמה זמן נשמר MessageSid שעובד (ברירת מחדל: 7 ימים)
+const REPLAY_WINDOW_MS = parseInt(process.env.TWILIO_REPLAY_WINDOW_HOURS || '168') * 60 * 60 * 1000;
+
+/**
+ * ה-URL המלא ש-Twilio קרא אליו (כפי שהוגדר אצלם)
+ */
+export function twilioRequestUrl(req) {
+  return `${config.twilio.webhookUrl.replace(/\/+$/, '')}${req.originalUrl}`;
+}
+
+/**
+ * בדיקת חתימה - true אם הבקשה חתומה ב-TWILIO_AUTH_TOKEN
+ */
+export function isValidTwilioRequest(req) {
+  const signature = req.get('X-Twilio-Signature');
+  const authToken = config.twilio.authToken;
+
+  if (!signature || !authToken) {
+    return false;
+  }
+
+  return twilio.validateRequest(authToken, signature, twilioRequestUrl(req), req.body || {});
+}
+
+/**
+ * עוקף חתימה לפיתוח מקומי (fixtures) - לעולם לא ב-production
+ */
+export function isSignatureBypassEnabled() {
+  return process.env.SKIP_TWILIO_VALIDATION === 'true' && !config.app.isProduction;
+}
+
+/**
+ * רישום ניסיון שנדחה ב-AuditLog
+ */
+function auditRejection(req, reason) {
+  AuditLog.create({
+    userId: 'system',
+    username: 'twilio_webhook',
+    action: 'twilio_webhook_rejected',
+    resource: 'twilio_webhook',
+    resourceId: req.body?.MessageSid || null,
+    status: 'failure',
+    errorMessage: reason,
+    ipAddress: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    details: {
+      reason,
+      path: req.originalUrl,
+      from: req.body?.From || null,
+      messageSid: req.body?.MessageSid || null,
+      hasSignature: !!req.get('X-Twilio-Signature')
+    }
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+/**
+ * Middleware: דחיית בקשות ללא חתימת Twilio תקינה
+ * SKIP_TWILIO_VALIDATION=true מדלג על הבדיקה - רק מחוץ ל-production
+ */
+export function verifyTwilioSignature(req, res, next) {
+  if (isSignatureBypassEnabled()) {
+    return next();
+  }
+
+  if (!config.twilio.authToken) {
+    logger.error('🔏 Twilio request rejected - TWILIO_AUTH_TOKEN not configured', {
+      requestId: req.id,
+      path: req.originalUrl
+    });
+    auditRejection(req, 'auth_token_not_configured');
+    return res.status(503).send('Twilio validation not configured');
+  }
+
+  if (!isValidTwilioRequest(req)) {
+    logger.warn('🔏 Invalid Twilio signature', {
+      requestId: req.id,
+      path: req.originalUrl,
+      ip: req.ip,
+      hasSignature: !!req.get('X-Twilio-Signature')
+    });
+    auditRejection(req, req.get('X-Twilio-Signature') ? 'invalid_signature' : 'missing_signature');
+    return res.status(403).send('Invalid signature');
+  }
+
+  next();
+}
+
+/**
+ * Middleware: הודעה נכנסת מעובדת פעם אחת לכל MessageSid
+ * בקשה חתומה שהוקלטה ונשלחה שוב (או MessageSid שכבר עובד) נדחית
+ * פועל גם כשהחתימה מדולגת - fixtures צריכים MessageSid חדש בכל הרצה
+ */
+export async function rejectTwilioReplay(req, res, next) {
+  const messageSid = req.body?.MessageSid || req.body?.SmsSid;
+
+  if (!messageSid) {
+    logger.warn('🔏 Twilio webhook without MessageSid', {
+      requestId: req.id,
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    auditRejection(req, 'missing_message_sid');
+    return res.status(400).send('Missing MessageSid');
+  }
+
+  try {
+    const receipt = await TwilioWebhookReceipt.claim(messageSid, {
+      from: req.body.From || null,
+      path: req.originalUrl,
+      windowMs: REPLAY_WINDOW_MS
+    });
+
+    if (!receipt) {
+      logger.warn('🔏 Replayed Twilio webhook rejected', {
+        requestId: req.id,
+        messageSid,
+        from: req.body.From,
+        ip: req.ip
+      });
+      auditRejection(req, 'replayed_message_sid');
+      return res.status(409).send('Duplicate message');
+    }
+
+    // העיבוד נכשל / החיבור נסגר לפני תשובה - ה-MessageSid לא נחשב מעובד
+    res.on('close', () => {
+      if (res.writableFinished && res.statusCode >= 200 && res.statusCode < 300) return;
+
+      TwilioWebhookReceipt.release(messageSid).catch(err => {
+        logger.error('🔏 Failed to release Twilio webhook receipt', {
+          requestId: req.id,
+          messageSid,
+          error: err.message
+        });
+      });
+    });
+  } catch (err) {
+    // לא חוסמים הודעות אמיתיות בגלל תקלת DB זמנית
+    logger.error('🔏 Twilio replay check failed', {
+      requestId: req.id,
+      messageSid,
+      error: err.message
+    });
+  }
+
+  next();
+}
+
+export default verifyTwilioSignature;
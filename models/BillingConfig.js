@@ -1,11 +1,18 @@
 // ============================================================
 // BILLING CONFIG MODEL
-// Stores billing configuration (singleton - only one document)
+// Stores billing configuration - global document (station: null)
+// + optional per-station overrides (models/Station.js)
 // ============================================================
 
 import mongoose from 'mongoose';
 
 const billingConfigSchema = new mongoose.Schema({
+  // Station code - null = global config (used by stations without their own)
+  station: {
+    type: String,
+    default: null
+  },
+  
   // Station monthly fee
   stationMonthlyPrice: {
     type: Number,
@@ -23,18 +30,19 @@ const billingConfigSchema = new mongoose.Schema({
     max: 100
   },
   
+  // ברירת מחדל: COMMISSION_PERCENTAGE (האחוז שנגבה לפני שהעמלה עברה ל-BillingConfig)
   internalCommissionPercent: {
     type: Number,
     required: true,
-    default: 8,
+    default: () => (process.env.COMMISSION_PERCENTAGE ? parseFloat(process.env.COMMISSION_PERCENTAGE) : 8),
     min: 0,
     max: 100
   },
   
-  // Minimum commission per ride
+  // Minimum commission per ride (capped at the ride price)
   minimumCommission: {
     type: Number,
-    default: 50,
+    default: 0,
     min: 0
   },
   
@@ -67,44 +75,77 @@ const billingConfigSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Ensure only one config exists
-billingConfigSchema.statics.getConfig = async function() {
-  let config = await this.findOne();
+billingConfigSchema.index({ station: 1 });
+
+// One global config (created on first use); a station without its own config uses it
+billingConfigSchema.statics.getConfig = async function(station = null) {
+  if (station) {
+    const stationConfig = await this.findOne({ station });
+    if (stationConfig) {
+      return stationConfig;
+    }
+  }
+  
+  let config = await this.findOne({ station: null });
   
   if (!config) {
-    config = await this.create({
-      stationMonthlyPrice: 500,
-      externalCommissionPercent: 10,
-      internalCommissionPercent: 8,
-      minimumCommission: 50,
-      currency: 'ILS',
-      taxRate: 17
-    });
+    config = await this.create({});
   }
   
   return config;
 };
 
-// Method to calculate commission
+/**
+ * הגדרות משלה לתחנה - נוצרות כהעתק של הכלליות בעדכון הראשון
+ */
+billingConfigSchema.statics.getOrCreateForStation = async function(station) {
+  const existing = await this.findOne({ station });
+  if (existing) {
+    return existing;
+  }
+  
+  const { _id, __v, createdAt, updatedAt, ...values } = (await this.getConfig()).toObject();
+  return this.create({ ...values, station, updatedBy: 'system' });
+};
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * חישוב עמלה לנסיעה - החישוב היחיד במערכת
+ * (/api/billing/calculate-commission, Ride.commissionAmount, AutoLockAfterRideService)
+ * - אחוז פנימי / חיצוני (נסיעה מחוץ לתחנה)
+ * - עמלת מינימום, אבל לא יותר ממחיר הנסיעה (כולל מע"מ)
+ * - מע"מ על העמלה; total = מה שהנהג משלם
+ * @param {number} amount - מחיר הנסיעה
+ * @param {boolean} isExternal
+ */
 billingConfigSchema.methods.calculateCommission = function(amount, isExternal = false) {
+  const rideAmount = Math.max(0, Number(amount) || 0);
   const commissionPercent = isExternal 
     ? this.externalCommissionPercent 
     : this.internalCommissionPercent;
   
-  let commission = (amount * commissionPercent) / 100;
-  
-  // Apply minimum commission
-  if (this.minimumCommission && commission < this.minimumCommission) {
-    commission = this.minimumCommission;
-  }
+  const percentCommission = roundMoney((rideAmount * commissionPercent) / 100);
+  // מינימום + מע"מ לא יעלו על מחיר הנסיעה
+  const minimum = Math.min(this.minimumCommission || 0, roundMoney(rideAmount / (1 + this.taxRate / 100)));
+  const minimumCommissionApplied = percentCommission < minimum;
+  const commission = minimumCommissionApplied ? minimum : percentCommission;
+  const tax = roundMoney((commission * this.taxRate) / 100);
+  const total = roundMoney(commission + tax);
   
   return {
-    amount,
+    amount: rideAmount,
+    isExternal: !!isExternal,
     commissionPercent,
     commission,
-    netAmount: amount - commission,
-    tax: (commission * this.taxRate) / 100,
-    minimumCommissionApplied: this.minimumCommission && commission === this.minimumCommission
+    minimumCommissionApplied,
+    taxRate: this.taxRate,
+    tax,
+    total,
+    netAmount: roundMoney(rideAmount - total),
+    currency: this.currency
   };
 };
 
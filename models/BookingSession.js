@@ -0,0 +1,127 @@
+// ===============================================
+// 🚕 BOOKING SESSION MODEL
+// ===============================================
+// מנהל את תהליך הזמנת נסיעה של לקוח דרך WhatsApp
+
+import mongoose from "mongoose";
+
+const BookingLocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["Point"],
+    default: "Point"
+  },
+  coordinates: {
+    type: [Number] // [lng, lat]
+  },
+  city: String,
+  label: String,
+  source: String,
+  confidence: Number,
+  geocodedAt: Date
+}, { _id: false });
+
+const BookingSessionSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  currentStep: {
+    type: String,
+    enum: [
+      'awaiting_pickup',
+      'awaiting_destination',
+      'awaiting_time',
+      'awaiting_notes',
+      'awaiting_confirmation',
+      'completed'
+    ],
+    default: 'awaiting_pickup'
+  },
+  data: {
+    customerName: {
+      type: String,
+      default: null
+    },
+    pickup: {
+      type: String,
+      default: null
+    },
+    pickupLocation: {
+      type: BookingLocationSchema,
+      default: null
+    },
+    destination: {
+      type: String,
+      default: null
+    },
+    destinationLocation: {
+      type: BookingLocationSchema,
+      default: null
+    },
+    scheduledTime: {
+      type: Date,
+      default: null   // null = מיידי
+    },
+    notes: {
+      type: String,
+      default: null
+    }
+  },
+  quote: {
+    price: Number,
+    estimated: Boolean,
+    distanceKm: Number,
+    durationMinutes: Number,
+    fareType: String,
+    // Ride.pricingDetails כפי שחושב ב-fareEngine (רכיבי המחיר עם הסבר)
+    pricingDetails: mongoose.Schema.Types.Mixed,
+    quotedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'confirmed', 'cancelled'],
+    default: 'in_progress'
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for cleanup of old sessions
+BookingSessionSchema.index({ lastActivityAt: 1 });
+
+// Update lastActivityAt on save
+BookingSessionSchema.pre('save', function(next) {
+  this.lastActivityAt = new Date();
+  next();
+});
+
+// Clean up abandoned sessions (older than 2 hours)
+BookingSessionSchema.statics.cleanupOldSessions = async function() {
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  return await this.deleteMany({
+    status: 'in_progress',
+    lastActivityAt: { $lt: twoHoursAgo }
+  });
+};
+
+console.log('✅ BookingSession model loaded');
+
+export default mongoose.model("BookingSession", BookingSessionSchema);
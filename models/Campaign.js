@@ -7,6 +7,8 @@ const campaignSchema = new mongoose.Schema({
   },
   description: String,
   targetAudience: {
+    // { audience: 'drivers' | 'customers' | 'all', city, workArea, minRating,
+    //   inactiveDays, activeWithinDays, minRides, phones } - ראה campaignRunner.resolveAudience
     filters: mongoose.Schema.Types.Mixed,
     estimatedCount: Number,
     actualCount: Number
@@ -19,9 +21,14 @@ const campaignSchema = new mongoose.Schema({
   scheduledFor: Date,
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'in_progress', 'completed', 'cancelled', 'failed'],
+    enum: ['draft', 'scheduled', 'in_progress', 'paused', 'completed', 'cancelled', 'failed'],
     default: 'draft'
   },
+  // קצב שליחה (ברירת מחדל: CAMPAIGN_BATCH_SIZE / CAMPAIGN_BATCH_DELAY_MS)
+  throttle: {
+    batchSize: { type: Number, min: 1, max: 500 },
+    batchDelayMs: { type: Number, min: 0 }
+  },
   stats: {
     total: { type: Number, default: 0 },
     sent: { type: Number, default: 0 },
@@ -36,7 +43,10 @@ const campaignSchema = new mongoose.Schema({
   },
   updatedAt: Date,
   startedAt: Date,
+  pausedAt: Date,
+  pausedBy: String,
   completedAt: Date,
+  failureReason: String,
   cancelledAt: Date,
   cancelledBy: String,
   cancellationReason: String
@@ -0,0 +1,194 @@
+// ===============================================
+// 🏢 CORPORATE ACCOUNT MODEL
+// ===============================================
+// חשבון חברה - נסיעות של עובדים מורשים נרשמות על החשבון (paymentMethod=account)
+// ונאספות לחשבונית חודשית (CorporateInvoice):
+// - עובדים מורשים לפי טלפון מנורמל, עם מרכז עלות ומסגרת חודשית אישית
+// - מרכזי עלות עם מסגרת חודשית, ומסגרת חודשית לחשבון כולו
+// - כלל אישור: ללא / מעל סכום / תמיד - נסיעה שדורשת אישור ממתינה (approvalStatus=pending)
+
+import mongoose from 'mongoose';
+import { normalizePhone } from './Customer.js';
+
+export const APPROVAL_MODES = ['none', 'over_amount', 'always'];
+
+const employeeSchema = new mongoose.Schema({
+  // טלפון מנורמל (05XXXXXXXX)
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  costCenter: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  // מסגרת חודשית לעובד (null = ללא)
+  monthlyLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const costCenterSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  monthlyLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+const corporateAccountSchema = new mongoose.Schema({
+  // קוד קצר - משמש גם במספר החשבונית
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z0-9_-]{2,20}$/
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // ח.פ. / עוסק מורשה
+  taxId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  contact: {
+    name: { type: String, trim: true, default: null },
+    email: { type: String, trim: true, lowercase: true, default: null },
+    phone: { type: String, trim: true, default: null }
+  },
+
+  billingAddress: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  employees: {
+    type: [employeeSchema],
+    default: []
+  },
+
+  costCenters: {
+    type: [costCenterSchema],
+    default: []
+  },
+
+  // מסגרת חודשית לחשבון כולו (null = ללא)
+  monthlyLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  approvalRule: {
+    mode: { type: String, enum: APPROVAL_MODES, default: 'none' },
+    // over_amount: נסיעה מעל הסכום דורשת אישור
+    amount: { type: Number, min: 0, default: null }
+  },
+
+  // תנאי תשלום - ימים ממועד הפקת החשבונית
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+    max: 120,
+    default: 30
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+// ===============================================
+// 🔧 METHODS
+// ===============================================
+
+corporateAccountSchema.methods.findEmployee = function(phone) {
+  const normalized = normalizePhone(phone);
+  return this.employees.find(employee => employee.phone === normalized) || null;
+};
+
+corporateAccountSchema.methods.findCostCenter = function(code) {
+  if (!code) return null;
+  return this.costCenters.find(center => center.code === String(code).toUpperCase()) || null;
+};
+
+// ===============================================
+// 🔧 STATICS
+// ===============================================
+
+/**
+ * החשבון הפעיל שהטלפון רשום בו כעובד פעיל
+ */
+corporateAccountSchema.statics.findByEmployeePhone = function(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+
+  return this.findOne({
+    isActive: true,
+    employees: { $elemMatch: { phone: normalized, isActive: true } }
+  });
+};
+
+// ===============================================
+// 📊 INDEXES
+// ===============================================
+
+corporateAccountSchema.index({ 'employees.phone': 1 });
+corporateAccountSchema.index({ name: 1 });
+
+console.log('✅ CorporateAccount model loaded');
+
+export default mongoose.model('CorporateAccount', corporateAccountSchema);
@@ -0,0 +1,122 @@
+// ===============================================
+// 🧾 CORPORATE INVOICE MODEL
+// ===============================================
+// חשבונית חודשית לחשבון חברה - הנסיעות שהושלמו ואושרו בתקופה (וכאלה שנשארו מתקופות קודמות)
+// - מחירי הנסיעות כוללים מע"מ: total = סכום הנסיעות, subtotal + vatAmount לפי BillingConfig.taxRate
+// - billingKey (חשבון + תקופה) ייחודי - אין שתי חשבוניות פעילות לאותו חודש; מבוטל בביטול החשבונית
+
+import mongoose from 'mongoose';
+
+export const INVOICE_STATUSES = ['issued', 'paid', 'void'];
+
+const invoiceLineSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  rideNumber: { type: String, default: null },
+  date: { type: Date, required: true },
+  employeePhone: { type: String, default: null },
+  employeeName: { type: String, default: null },
+  costCenter: { type: String, default: null },
+  pickup: { type: String, default: null },
+  destination: { type: String, default: null },
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+const corporateInvoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CorporateAccount',
+    required: true,
+    index: true
+  },
+
+  // פרטי החשבון בזמן ההפקה - החשבונית לא משתנה אם החשבון עודכן
+  account: {
+    code: String,
+    name: String,
+    taxId: String,
+    billingAddress: String
+  },
+
+  // YYYY-MM
+  period: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  billingKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  lines: {
+    type: [invoiceLineSchema],
+    default: []
+  },
+
+  costCenters: [{
+    _id: false,
+    costCenter: { type: String, default: null },
+    rides: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  }],
+
+  rideCount: { type: Number, default: 0 },
+  subtotal: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0 },
+  vatAmount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  currency: { type: String, default: 'ILS' },
+
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'issued',
+    index: true
+  },
+
+  issuedAt: { type: Date, default: Date.now },
+  dueDate: { type: Date, required: true },
+
+  paidAt: { type: Date, default: null },
+  paidAmount: { type: Number, default: 0 },
+  paymentReference: { type: String, default: null },
+
+  voidedAt: { type: Date, default: null },
+  voidReason: { type: String, default: null },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+// ===============================================
+// 🔧 VIRTUALS
+// ===============================================
+
+corporateInvoiceSchema.virtual('isOverdue').get(function() {
+  return this.status === 'issued' && this.dueDate < new Date();
+});
+
+corporateInvoiceSchema.set('toJSON', { virtuals: true });
+
+// ===============================================
+// 📊 INDEXES
+// ===============================================
+
+corporateInvoiceSchema.index({ accountId: 1, period: -1 });
+corporateInvoiceSchema.index({ status: 1, dueDate: 1 });
+
+console.log('✅ CorporateInvoice model loaded');
+
+export default mongoose.model('CorporateInvoice', corporateInvoiceSchema);
@@ -0,0 +1,234 @@
+// ===============================================
+// 👤 CUSTOMER MODEL
+// ===============================================
+// לקוח לפי טלפון מנורמל (05XXXXXXXX) - נוצר אוטומטית בנסיעה הראשונה (Ride pre-save)
+// - כתובות שמורות, נהגים מועדפים, הערות סדרנים
+// - רשימה שחורה עם סיבה (חוסם הזמנה עצמית באתר / WhatsApp)
+// - stats מחושב מחדש מהנסיעות (utils/customerService.js), כולל אי-הגעות
+// - דרגת VIP לפי settingsStore → customers.vipTiers, או דרגה ידנית (vipTierOverride)
+
+import mongoose from 'mongoose';
+
+/**
+ * טלפון לקוח בפורמט אחיד (05XXXXXXXX) - להשוואה בין WhatsApp, אתר וממשק ניהול
+ */
+export function normalizePhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.startsWith('972') ? `0${digits.slice(3)}` : digits;
+}
+
+const savedAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  location: {
+    type: { type: String, enum: ['Point'], default: undefined },
+    coordinates: { type: [Number], default: undefined },
+    city: { type: String, default: null }
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const noteSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  author: {
+    type: String,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const customerSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: ['regular', 'vip', 'business'],
+    default: 'regular'
+  },
+
+  savedAddresses: {
+    type: [savedAddressSchema],
+    default: []
+  },
+
+  preferredDrivers: [{
+    _id: false,
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+    addedBy: { type: String, default: 'system' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+
+  notes: {
+    type: [noteSchema],
+    default: []
+  },
+
+  // ===============================================
+  // 🚫 BLACKLIST
+  // ===============================================
+  isBlacklisted: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  blacklistReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  blacklistedAt: {
+    type: Date,
+    default: null
+  },
+  blacklistedBy: {
+    type: String,
+    default: null
+  },
+
+  // ===============================================
+  // 📣 MARKETING
+  // ===============================================
+  // לקוח שביקש לא לקבל הודעות שיווק - לא נכלל בקהל של קמפיינים (utils/campaignRunner.js)
+  marketingOptOut: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  marketingOptOutAt: {
+    type: Date,
+    default: null
+  },
+
+  // ===============================================
+  // ⭐ VIP
+  // ===============================================
+  // מחושב מ-vipTiers בכל רענון סטטיסטיקה
+  vipTier: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // דרגה ידנית - גוברת על החישוב
+  vipTierOverride: {
+    type: String,
+    default: null
+  },
+
+  // ===============================================
+  // 📊 STATS (customerService.refreshStats)
+  // ===============================================
+  stats: {
+    totalRides: { type: Number, default: 0 },
+    completedRides: { type: Number, default: 0 },
+    cancelledRides: { type: Number, default: 0 },
+    noShows: { type: Number, default: 0 },
+    totalSpent: { type: Number, default: 0 },
+    avgRidePrice: { type: Number, default: 0 },
+    firstRideAt: { type: Date, default: null },
+    lastRideAt: { type: Date, default: null },
+    refreshedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===============================================
+// 🔧 VIRTUALS
+// ===============================================
+
+customerSchema.virtual('isVIP').get(function() {
+  return !!(this.vipTierOverride || this.vipTier);
+});
+
+customerSchema.virtual('effectiveVipTier').get(function() {
+  return this.vipTierOverride || this.vipTier || null;
+});
+
+customerSchema.virtual('defaultAddress').get(function() {
+  const addresses = this.savedAddresses || [];
+  return (addresses.find(entry => entry.isDefault) || addresses[0])?.address || null;
+});
+
+// ===============================================
+// 🔧 STATICS
+// ===============================================
+
+customerSchema.statics.normalizePhone = normalizePhone;
+
+customerSchema.statics.findByPhone = function(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized ? this.findOne({ phone: normalized }) : null;
+};
+
+/**
+ * הלקוח של הטלפון - נוצר אם לא קיים (שם נשמר רק אם עדיין אין)
+ */
+customerSchema.statics.ensureForPhone = async function(phone, name = null) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+
+  const customer = await this.findOneAndUpdate(
+    { phone: normalized },
+    { $setOnInsert: { phone: normalized, name: name?.trim() || null } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (!customer.name && name?.trim()) {
+    customer.name = name.trim();
+    await customer.save();
+  }
+
+  return customer;
+};
+
+// ===============================================
+// 📊 INDEXES
+// ===============================================
+
+customerSchema.index({ name: 1 });
+customerSchema.index({ 'stats.lastRideAt': -1 });
+customerSchema.index({ 'stats.totalRides': -1 });
+
+console.log('✅ Customer model loaded');
+
+export default mongoose.model('Customer', customerSchema);
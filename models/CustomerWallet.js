@@ -0,0 +1,66 @@
+// ===============================================
+// 👛 CUSTOMER WALLET MODEL
+// ===============================================
+// ארנק משולם מראש לטלפון לקוח (לקוחות עסקיים):
+// - נטען ידנית (POST /api/wallets/:phone/topup)
+// - נסיעה של הטלפון מסומנת paymentMethod=wallet ומחויבת בסיום הנסיעה
+// - כל תנועה נרשמת ב-WalletTransaction; balance הוא סכום התנועות
+
+import mongoose from 'mongoose';
+
+const customerWalletSchema = new mongoose.Schema({
+  // טלפון מנורמל (05XXXXXXXX) - ראו normalizePhone ב-models/Customer.js
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  companyName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'ILS'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+customerWalletSchema.index({ companyName: 1 });
+
+console.log('✅ CustomerWallet model loaded');
+
+export default mongoose.model('CustomerWallet', customerWalletSchema);
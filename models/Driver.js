@@ -4,6 +4,47 @@
 
 import mongoose from "mongoose";
 
+// 📍 מיקום אחרון ידוע (GeoJSON Point)
+const DriverLocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["Point"],
+    default: "Point"
+  },
+  coordinates: {
+    type: [Number], // [lng, lat]
+    required: true
+  }
+}, { _id: false });
+
+// 📄 מסמכים עם תוקף - נהג עם מסמך שפג תוקפו לא מקבל נסיעות (documentsValidFilter)
+export const EXPIRING_DOCUMENT_TYPES = ['license', 'carLicense', 'insurance'];
+
+export const DOCUMENT_LABELS = {
+  license: 'רישיון נהיגה',
+  carLicense: 'רישיון רכב',
+  insurance: 'ביטוח'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// נסיעה פעילה - הנהג תפוס (findNearestEligible)
+const BUSY_RIDE_STATUSES = ['locked', 'assigned', 'approved', 'enroute', 'arrived'];
+
+// התוקף נקבע באימות המסמך (POST /api/drivers/:id/documents/:docId/verify)
+function expiringDocument() {
+  return {
+    url: String,
+    uploadedAt: Date,
+    verified: { type: Boolean, default: false },
+    verifiedAt: Date,
+    verifiedBy: String,
+    expiresAt: { type: Date, default: null },
+    // ימי התזכורת שכבר נשלחו לתוקף הנוכחי (0 = הודעת פקיעה) - מתאפס באימות
+    expiryReminders: { type: [Number], default: [] }
+  };
+}
+
 const DriverSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -52,37 +93,57 @@ const DriverSchema = new mongoose.Schema({
     default: null,
     trim: true
   },
+  // 🏢 תחנה (models/Station.js) - נהג בלי תחנה מקבל הצעות מכל התחנות
+  station: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // 📍 GEO DISPATCH
+  lastLocation: {
+    type: DriverLocationSchema,
+    default: null
+  },
+  lastLocationAt: {
+    type: Date,
+    default: null
+  },
+  lastLocationSource: {
+    type: String,
+    enum: ['whatsapp', 'app', 'admin', null],
+    default: null
+  },
+  serviceRadiusKm: {
+    type: Number,
+    default: 25,
+    min: 1,
+    max: 300
+  },
   documents: {
     idDocument: {
       url: String,
       uploadedAt: Date,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      verifiedBy: String
     },
     profilePhoto: {
       url: String,
       uploadedAt: Date,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      verifiedBy: String
     },
     carPhoto: {
       url: String,
       uploadedAt: Date,
-      verified: { type: Boolean, default: false }
-    },
-    license: {
-      url: String,
-      uploadedAt: Date,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      verifiedBy: String
     },
-    carLicense: {
-      url: String,
-      uploadedAt: Date,
-      verified: { type: Boolean, default: false }
-    },
-    insurance: {
-      url: String,
-      uploadedAt: Date,
-      verified: { type: Boolean, default: false }
-    }
+    license: expiringDocument(),
+    carLicense: expiringDocument(),
+    insurance: expiringDocument()
   },
   registrationStatus: {
     type: String,
@@ -109,6 +170,19 @@ const DriverSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // 🟢 SHIFT - נהג מחוץ למשמרת לא מקבל הצעות לנסיעות
+  isOnShift: {
+    type: Boolean,
+    default: true
+  },
+  shiftStartedAt: {
+    type: Date,
+    default: null
+  },
+  shiftEndedAt: {
+    type: Date,
+    default: null
+  },
   blockedReason: {
     type: String,
     default: null
@@ -173,6 +247,11 @@ const DriverSchema = new mongoose.Schema({
       default: 0 
     }
   },
+  // 📒 LEDGER - יתרה שוטפת מספר החשבונות (חיובי = חייב לתחנה)
+  ledgerBalance: {
+    type: Number,
+    default: 0
+  },
   // 📊 STATISTICS
   stats: {
     totalRides: { 
@@ -275,6 +354,14 @@ DriverSchema.index({ source: 1, autoCreated: 1 });
 DriverSchema.index({ needsVerification: 1, createdAt: -1 });
 DriverSchema.index({ autoCreated: 1, needsVerification: 1 });
 
+// 📍 Geo index for nearest-driver dispatch
+DriverSchema.index({ lastLocation: '2dsphere' });
+
+// 📄 Document expiry (reminders + compliance dashboard)
+EXPIRING_DOCUMENT_TYPES.forEach(type => {
+  DriverSchema.index({ [`documents.${type}.expiresAt`]: 1 }, { sparse: true });
+});
+
 console.log('✅ Driver indexes configured');
 
 // ===============================================
@@ -368,6 +455,99 @@ DriverSchema.statics.getAutoCreated = function() {
   }).sort({ autoCreatedAt: -1 });
 };
 
+/**
+ * 📄 פילטר לנהגים בלי מסמך שפג תוקפו - לכל שאילתת זכאות לנסיעות
+ * מסמך בלי תאריך תוקף לא חוסם (מופיע בדוח הציות כחסר)
+ */
+DriverSchema.statics.documentsValidFilter = function(now = new Date()) {
+  return {
+    $nor: EXPIRING_DOCUMENT_TYPES.map(type => ({ [`documents.${type}.expiresAt`]: { $lte: now } }))
+  };
+};
+
+/**
+ * 📍 Find nearest eligible drivers around a point
+ * נהגים פעילים, לא חסומים, במשמרת, לא בנסיעה פעילה, עם מסמכים בתוקף ומיקום עדכני,
+ * שהנקודה בתוך רדיוס השירות שלהם
+ * @param {Array} coordinates - [lng, lat]
+ * @param {Object} options - { maxDistanceKm, limit, excludePhones, maxLocationAgeMinutes }
+ */
+DriverSchema.statics.findNearestEligible = async function(coordinates, options = {}) {
+  const {
+    maxDistanceKm = 30,
+    limit = 5,
+    excludePhones = [],
+    maxLocationAgeMinutes = 120,
+    // תחום ערים (תפקיד עם scopes.cities) - ריק = הכל
+    cities = [],
+    // תחנות (משתמש / נסיעה) - ריק = הכל; נהגים בלי תחנה כלולים לפי includeUnassigned
+    stations = [],
+    includeUnassigned = false
+  } = options;
+
+  const query = {
+    isActive: true,
+    isBlocked: { $ne: true },
+    isOnShift: { $ne: false },
+    lastLocationAt: { $gte: new Date(Date.now() - maxLocationAgeMinutes * 60 * 1000) },
+    ...this.documentsValidFilter()
+  };
+
+  // נהגים בנסיעה פעילה לא מקבלים הצעה (כמו rankWaterfallCandidates)
+  const busyPhones = await mongoose.model('Ride').distinct('driverPhone', {
+    status: { $in: BUSY_RIDE_STATUSES },
+    driverPhone: { $ne: null }
+  });
+  const skippedPhones = [...excludePhones, ...busyPhones];
+
+  if (skippedPhones.length > 0) {
+    query.phone = { $nin: skippedPhones };
+  }
+
+  if (cities.length > 0) {
+    query.city = { $in: cities };
+  }
+
+  if (stations.length > 0) {
+    query.station = { $in: includeUnassigned ? [...stations, null] : stations };
+  }
+
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        key: 'lastLocation',
+        distanceField: 'distanceMeters',
+        maxDistance: maxDistanceKm * 1000,
+        query,
+        spherical: true
+      }
+    },
+    // הנסיעה חייבת להיות בתוך רדיוס השירות של הנהג
+    {
+      $match: {
+        $expr: {
+          $lte: ['$distanceMeters', { $multiply: [{ $ifNull: ['$serviceRadiusKm', 25] }, 1000] }]
+        }
+      }
+    },
+    { $limit: limit },
+    {
+      $project: {
+        name: 1,
+        phone: 1,
+        driverId: 1,
+        rating: 1,
+        stats: 1,
+        lastActive: 1,
+        lastLocationAt: 1,
+        serviceRadiusKm: 1,
+        distanceMeters: 1
+      }
+    }
+  ]);
+};
+
 // ===============================================
 // 💡 INSTANCE METHODS
 // ===============================================
@@ -462,6 +642,63 @@ DriverSchema.methods.incrementRides = function(status) {
   return this.save();
 };
 
+/**
+ * 📍 Update last known location
+ */
+DriverSchema.methods.updateLocation = function(lat, lng, source = 'admin') {
+  this.lastLocation = { type: 'Point', coordinates: [lng, lat] };
+  this.lastLocationAt = new Date();
+  this.lastLocationSource = source;
+  this.lastActive = new Date();
+  return this.save();
+};
+
+/**
+ * 📄 מצב התוקף של המסמכים
+ * @param {number} warningDays - מסמך שפג בטווח הזה מסומן expiring
+ * @returns {Object} - { status: valid|missing|expiring|expired, documents: [...] }
+ */
+DriverSchema.methods.documentCompliance = function(warningDays = 30, now = new Date()) {
+  const documents = EXPIRING_DOCUMENT_TYPES.map(type => {
+    const doc = this.documents?.[type];
+    const expiresAt = doc?.expiresAt || null;
+    const daysLeft = expiresAt ? Math.ceil((new Date(expiresAt) - now) / DAY_MS) : null;
+
+    let status = 'valid';
+    if (!expiresAt) status = 'missing';
+    else if (expiresAt <= now) status = 'expired';
+    else if (daysLeft <= warningDays) status = 'expiring';
+
+    return {
+      type,
+      label: DOCUMENT_LABELS[type],
+      verified: !!doc?.verified,
+      expiresAt,
+      daysLeft,
+      status
+    };
+  });
+
+  // החמור ביותר קובע
+  const severity = ['valid', 'missing', 'expiring', 'expired'];
+  const status = documents.reduce(
+    (worst, doc) => severity.indexOf(doc.status) > severity.indexOf(worst) ? doc.status : worst,
+    'valid'
+  );
+
+  return { status, documents };
+};
+
+/**
+ * 📄 סוגי המסמכים שפג תוקפם (נהג כזה לא מקבל נסיעות)
+ */
+DriverSchema.methods.expiredDocuments = function(now = new Date()) {
+  return EXPIRING_DOCUMENT_TYPES.filter(type => {
+    const expiresAt = this.documents?.[type]?.expiresAt;
+    return expiresAt && expiresAt <= now;
+  });
+};
+
 /**
  * Update last active
  */
@@ -0,0 +1,138 @@
+// ===============================================
+// 📒 LEDGER ENTRY MODEL
+// ===============================================
+// ספר חשבונות כפול (double-entry) לכל נהג:
+// כל רשומה מחייבת חשבון אחד ומזכה חשבון אחר באותו סכום,
+// כך שסכום כל החיובים תמיד שווה לסכום כל הזיכויים.
+//
+// חשבון הנהג: driver:<driverId> - יתרה חיובית = הנהג חייב לתחנה
+
+import mongoose from 'mongoose';
+
+export const LEDGER_ENTRY_TYPES = [
+  'commission',    // עמלת נסיעה (חיוב)
+  'payment',       // תשלום שאומת (זיכוי)
+  'adjustment',    // תיקון ידני (חיוב או זיכוי)
+  'penalty',       // קנס (חיוב)
+  'bonus',         // בונוס (זיכוי)
+  'subscription'   // דמי תחנה (חיוב)
+];
+
+// חשבונות התחנה (הצד השני של כל רשומה)
+export const STATION_ACCOUNTS = {
+  commission: 'station:commission_revenue',
+  payment: 'station:cash',
+  adjustment: 'station:adjustments',
+  penalty: 'station:penalty_revenue',
+  bonus: 'station:bonus_expense',
+  subscription: 'station:subscription_revenue'
+};
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // ===============================================
+  // 🔑 מזהים
+  // ===============================================
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true,
+    index: true
+  },
+
+  // מונע רישום כפול של אותו אירוע (למשל "commission:<rideId>")
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // ===============================================
+  // 📒 הרשומה הכפולה
+  // ===============================================
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true,
+    index: true
+  },
+
+  debitAccount: {
+    type: String,
+    required: true
+  },
+
+  creditAccount: {
+    type: String,
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+
+  // השפעה על יתרת הנהג: +amount (חיוב) או -amount (זיכוי)
+  balanceDelta: {
+    type: Number,
+    required: true
+  },
+
+  // יתרת הנהג אחרי הרשומה
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+
+  currency: {
+    type: String,
+    default: 'ILS'
+  },
+
+  // ===============================================
+  // 📝 פרטים
+  // ===============================================
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // מקור הרשומה (נסיעה / תשלום ממתין / תשלום / ידני)
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Ride', 'PendingPayment', 'Payment', 'Subscription', 'manual'],
+      default: 'manual'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    number: {
+      type: String,
+      default: null
+    }
+  },
+
+  // חודש חשבונאי (YYYY-MM) - לדוחות חודשיים
+  period: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ driverId: 1, createdAt: 1 });
+ledgerEntrySchema.index({ driverId: 1, period: 1 });
+
+console.log('✅ LedgerEntry model loaded');
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
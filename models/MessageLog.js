@@ -11,21 +11,41 @@ const messageLogSchema = new mongoose.Schema({
   },
   templateId: String,
   templateName: String,
+  // queued → sent → delivered / read, או failed (outboundMessageQueue + Twilio status callbacks)
   status: {
     type: String,
-    enum: ['pending', 'sent', 'delivered', 'failed', 'read'],
+    enum: ['pending', 'queued', 'sent', 'delivered', 'failed', 'read'],
     default: 'pending'
   },
+  // ערוץ השליחה בפועל: הבוט או Twilio (fallback)
+  channel: {
+    type: String,
+    enum: ['bot', 'twilio', null],
+    default: null
+  },
   messageId: String,
+  queuedAt: Date,
   sentAt: Date,
   deliveredAt: Date,
   readAt: Date,
+  failedAt: Date,
   failureReason: String,
+  errorCode: String,
+  sentBy: String,
   retryCount: {
     type: Number,
     default: 0
   },
   campaignId: String,
+  // הצעת נסיעה לנהג (dispatchManager) - משפך מסירה לנסיעה
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
   metadata: mongoose.Schema.Types.Mixed,
   createdAt: {
     type: Date,
@@ -35,7 +55,9 @@ const messageLogSchema = new mongoose.Schema({
 
 messageLogSchema.index({ to: 1, createdAt: -1 });
 messageLogSchema.index({ status: 1 });
+messageLogSchema.index({ messageId: 1 }, { sparse: true });
 messageLogSchema.index({ campaignId: 1 });
+messageLogSchema.index({ rideId: 1 }, { sparse: true });
 messageLogSchema.index({ createdAt: -1 });
 
 const MessageLog = mongoose.model('MessageLog', messageLogSchema);
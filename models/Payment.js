@@ -5,6 +5,7 @@
 // ===============================================
 
 import mongoose from "mongoose";
+import Driver from "./Driver.js";
 
 const PaymentSchema = new mongoose.Schema({
   // ============================================
@@ -14,7 +15,10 @@ const PaymentSchema = new mongoose.Schema({
   ride: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Ride",
-    required: true,
+    // דמי תחנה חודשיים לא קשורים לנסיעה
+    required: function() {
+      return this.type !== 'subscription';
+    },
     index: true
   },
   
@@ -24,6 +28,13 @@ const PaymentSchema = new mongoose.Schema({
     index: true
   },
   
+  // תחנה (models/Station.js) - מהנהג בשמירה הראשונה
+  station: {
+    type: String,
+    default: null,
+    index: true
+  },
+  
   driverPhone: {
     type: String,
     required: true,
@@ -71,6 +82,13 @@ const PaymentSchema = new mongoose.Schema({
     trim: true
   },
   
+  // מונע חיוב כפול (למשל "subscription:2026-01:<driverId>")
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  
   // ============================================
   // STATUS - SEPARATED (approval vs payment)
   // ============================================
@@ -204,6 +222,22 @@ const PaymentSchema = new mongoose.Schema({
     }]
   },
   
+  // ============================================
+  // SUBSCRIPTION DETAILS (דמי תחנה חודשיים)
+  // ============================================
+  
+  subscriptionDetails: {
+    period: String,            // YYYY-MM
+    monthlyPrice: Number,
+    daysBilled: Number,
+    daysInMonth: Number,
+    prorated: Boolean,
+    subtotal: Number,
+    taxRate: Number,
+    vatAmount: Number,
+    paymentCode: String
+  },
+  
   // ============================================
   // DATES
   // ============================================
@@ -302,6 +336,14 @@ PaymentSchema.methods.updateOverdueStatus = function() {
 // MIDDLEWARE
 // ============================================
 
+// 🏢 התחנה של הנהג - לסינון תשלומים לפי תחנה
+PaymentSchema.pre('save', async function() {
+  if (this.isNew && !this.station && this.driver) {
+    const driver = await Driver.findById(this.driver).select('station').lean();
+    this.station = driver?.station || null;
+  }
+});
+
 // Sync old 'status' field with new separated statuses
 PaymentSchema.pre('save', function(next) {
   // Auto-calculate overdue status (safe - won't override manual actions)
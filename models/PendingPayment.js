@@ -26,6 +26,21 @@ const pendingPaymentSchema = new mongoose.Schema({
     min: 0
   },
   
+  // עמלת נסיעה / דמי תחנה חודשיים
+  purpose: {
+    type: String,
+    enum: ['commission', 'subscription'],
+    default: 'commission',
+    index: true
+  },
+  
+  // התשלום (Payment) שהקוד שייך אליו - לדמי תחנה
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  
   // קוד תשלום חד-פעמי (6 ספרות)
   paymentCode: {
     type: String,
@@ -275,41 +290,59 @@ pendingPaymentSchema.statics.findPendingForDriver = function(driverId) {
 pendingPaymentSchema.statics.findExpired = function() {
   return this.find({
     status: 'pending',
+    // דמי תחנה שלא שולמו עד מועד התשלום מטופלים בחסימה, לא בתפוגה
+    purpose: { $ne: 'subscription' },
     expiresAt: { $lt: new Date() }
   });
 };
 
+/**
+ * מצא דמי תחנה שמועד התשלום שלהם עבר
+ */
+pendingPaymentSchema.statics.findOverdueSubscriptions = function() {
+  return this.find({
+    status: 'pending',
+    purpose: 'subscription',
+    expiresAt: { $lt: new Date() },
+    blockedAt: null
+  });
+};
+
 /**
  * מצא תשלומים שצריכים תזכורת
+ * @param {number[]} reminderMinutes - דקות מיצירת הקוד לכל תזכורת
+ *   (ברירת מחדל: 10 דקות, שעה, 12 שעות, 48 שעות)
  */
-pendingPaymentSchema.statics.findNeedingReminders = function() {
+pendingPaymentSchema.statics.findNeedingReminders = function(reminderMinutes = [10, 60, 12 * 60, 48 * 60]) {
   const now = new Date();
   
   return this.find({
     status: 'pending',
+    purpose: { $ne: 'subscription' },
     expiresAt: { $gt: now },
-    $or: [
-      // תזכורת ראשונה - אחרי 10 דקות
-      {
-        remindersSent: 0,
-        createdAt: { $lt: new Date(now - 10 * 60 * 1000) }
-      },
-      // תזכורת שנייה - אחרי שעה
-      {
-        remindersSent: 1,
-        createdAt: { $lt: new Date(now - 60 * 60 * 1000) }
-      },
-      // תזכורת שלישית - אחרי 12 שעות
-      {
-        remindersSent: 2,
-        createdAt: { $lt: new Date(now - 12 * 60 * 60 * 1000) }
-      },
-      // תזכורת אחרונה - אחרי 48 שעות
-      {
-        remindersSent: 3,
-        createdAt: { $lt: new Date(now - 48 * 60 * 60 * 1000) }
-      }
-    ]
+    $or: reminderMinutes.map((minutes, remindersSent) => ({
+      remindersSent,
+      createdAt: { $lt: new Date(now - minutes * 60 * 1000) }
+    }))
+  });
+};
+
+/**
+ * מצא דמי תחנה שצריכים תזכורת
+ * @param {number[]} reminderDays - ימים לפני מועד התשלום (ברירת מחדל: 3 ימים ויום אחד)
+ */
+pendingPaymentSchema.statics.findSubscriptionsNeedingReminders = function(reminderDays = [3, 1]) {
+  const now = new Date();
+  const DAY = 24 * 60 * 60 * 1000;
+  
+  return this.find({
+    status: 'pending',
+    purpose: 'subscription',
+    expiresAt: { $gt: now },
+    $or: reminderDays.map((days, remindersSent) => ({
+      remindersSent,
+      expiresAt: { $lt: new Date(now.getTime() + days * DAY) }
+    }))
   });
 };
 
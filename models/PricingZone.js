@@ -0,0 +1,103 @@
+// ===============================================
+// 🗺️ PRICING ZONE MODEL
+// ===============================================
+// אזורי תמחור למנוע המחירים (utils/fareEngine.js):
+// - אזור מזוהה לפי שם העיר של המיקום המקודד, או לפי רדיוס סביב נקודת מרכז
+// - fixedFares: מחיר קבוע לאזור אחר (עיר → עיר), תקף בשני הכיוונים
+// - flatRate: מחיר אחיד לכל נסיעה מ/אל האזור (שדה תעופה) כשאין מחיר קבוע ספציפי
+// - priority: כשמיקום נופל בכמה אזורים - העדיפות הגבוהה קובעת
+
+import mongoose from 'mongoose';
+
+const fixedFareSchema = new mongoose.Schema({
+  toZone: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const pricingZoneSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['city', 'airport', 'area'],
+    default: 'city'
+  },
+
+  // שמות ערים (כפי שהגאוקודר מחזיר ב-location.city)
+  cities: {
+    type: [String],
+    default: []
+  },
+
+  // [lng, lat] + רדיוס - לשדות תעופה ואזורים שאינם עיר שלמה
+  center: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: value => !value || value.length === 2,
+      message: 'center must be [lng, lat]'
+    }
+  },
+
+  radiusKm: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  fixedFares: {
+    type: [fixedFareSchema],
+    default: []
+  },
+
+  flatRate: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  updatedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+pricingZoneSchema.index({ isActive: 1, priority: -1 });
+
+console.log('✅ PricingZone model loaded');
+
+export default mongoose.model('PricingZone', pricingZoneSchema);
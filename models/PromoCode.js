@@ -0,0 +1,189 @@
+// ===============================================
+// 🎟️ PROMO CODE MODEL
+// ===============================================
+// קודי הנחה למנוע המחירים: אחוז או סכום קבוע, חלון תוקף, מכסת שימושים
+// (לקוד ולכל טלפון) והגבלה לאזורים / סוגי נסיעה.
+// הצעת מחיר רק בודקת את הקוד; השימוש נספר כשהקוד נכנס למחיר של נסיעה
+// (utils/promotionService.js) ונרשם ב-Ride.redemptions.
+
+import mongoose from 'mongoose';
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+
+  // אחוז (0-100) או סכום ב-₪
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // תקרת הנחה לקוד באחוזים (null = ללא תקרה)
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // מחיר מינימלי לנסיעה כדי שהקוד יחול
+  minFare: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  validFrom: {
+    type: Date,
+    default: null
+  },
+
+  validUntil: {
+    type: Date,
+    default: null
+  },
+
+  // null = ללא הגבלה
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // שימושים לטלפון לקוח (null = ללא הגבלה)
+  maxUsesPerPhone: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  // קודי PricingZone - הקוד חל אם האיסוף או היעד באחד מהם (ריק = כל האזורים)
+  zones: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: []
+  },
+
+  // סוגי נסיעה (Ride.rideType) שהקוד חל עליהם (ריק = כולם)
+  rideTypes: {
+    type: [{ type: String, enum: ['regular', 'vip', 'delivery', 'recurring'] }],
+    default: []
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+// ===============================================
+// 🔧 METHODS
+// ===============================================
+
+/**
+ * למה הקוד לא חל על הנסיעה (null = תקף)
+ * @param {number} fare - מחיר לפני הנחה
+ * @param {Date} at - מועד הנסיעה
+ * @param {Object} context - { zones: [קודי אזור], rideType, phoneUses, ignoreUsage } - מה שלא ידוע לא נבדק
+ *   ignoreUsage - הנסיעה כבר מחזיקה שימוש בקוד (תמחור מחדש)
+ */
+promoCodeSchema.methods.rejectionReason = function(fare, at = new Date(), context = {}) {
+  if (!this.isActive) return 'inactive';
+  if (this.validFrom && at < this.validFrom) return 'not_started';
+  if (this.validUntil && at > this.validUntil) return 'expired';
+  if (!context.ignoreUsage && this.maxUses !== null && this.usedCount >= this.maxUses) return 'exhausted';
+  if (fare < (this.minFare || 0)) return 'below_min_fare';
+
+  if (this.zones?.length > 0 && !(context.zones || []).some(zone => this.zones.includes(zone))) {
+    return 'zone_not_eligible';
+  }
+  if (this.rideTypes?.length > 0 && !this.rideTypes.includes(context.rideType || 'regular')) {
+    return 'ride_type_not_eligible';
+  }
+  if (this.maxUsesPerPhone !== null && context.phoneUses !== undefined && context.phoneUses >= this.maxUsesPerPhone) {
+    return 'phone_limit';
+  }
+  return null;
+};
+
+/**
+ * סכום ההנחה למחיר נתון (לא יותר מהמחיר עצמו)
+ */
+promoCodeSchema.methods.discountFor = function(fare) {
+  let discount = this.type === 'percent'
+    ? (fare * this.value) / 100
+    : this.value;
+
+  if (this.maxDiscount !== null && this.maxDiscount !== undefined) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, fare));
+};
+
+// ===============================================
+// 🔧 STATICS
+// ===============================================
+
+promoCodeSchema.statics.findByCode = function(code) {
+  if (!code || typeof code !== 'string') return null;
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+/**
+ * ספירת שימוש - אטומית מול maxUses
+ * @returns {Promise<Object|null>} - הקוד המעודכן, או null אם המכסה נגמרה / הקוד לא פעיל
+ */
+promoCodeSchema.statics.redeem = function(code) {
+  return this.findOneAndUpdate(
+    {
+      code: code.trim().toUpperCase(),
+      isActive: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * ביטול שימוש (נסיעה בוטלה / הקוד הוחלף) - מחזיר את המכסה
+ */
+promoCodeSchema.statics.release = function(code) {
+  return this.updateOne(
+    { code: code.trim().toUpperCase(), usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+console.log('✅ PromoCode model loaded');
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -2,10 +2,14 @@
 // 🔐 REFRESH TOKEN MODEL
 // ===============================================
 // Manages JWT refresh tokens for secure authentication
+// - כל התחברות פותחת "משפחה" (familyId = מזהה הסשן, sid בטוקן הגישה)
+// - כל רענון מבטל את הטוקן הקודם (revokedReason=rotated) ומנפיק חדש באותה משפחה
+// - שימוש חוזר בטוקן שכבר הוחלף = גניבה אפשרית → כל המשפחה מבוטלת
 
 import mongoose from 'mongoose';
 
 const RefreshTokenSchema = new mongoose.Schema({
+  // hash (HMAC-SHA256) של הטוקן - הטוקן עצמו לא נשמר
   token: {
     type: String,
     required: true,
@@ -17,6 +21,25 @@ const RefreshTokenSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  familyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // תחילת הסשן (ההתחברות) - נשמר לאורך כל הרענונים
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // rotated / logout / revoked / reuse_detected / password_changed / password_reset / user_disabled / user_deleted
+  revokedReason: {
+    type: String,
+    default: null
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -50,6 +73,9 @@ RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 // Index for user lookup
 RefreshTokenSchema.index({ userId: 1, expiresAt: 1 });
 
+// Active sessions of a user
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+
 // ===============================================
 // 🔧 METHODS
 // ===============================================
@@ -61,6 +87,13 @@ RefreshTokenSchema.methods.isExpired = function() {
   return new Date() > this.expiresAt;
 };
 
+/**
+ * Check if token can still be used (not revoked / rotated and not expired)
+ */
+RefreshTokenSchema.methods.isUsable = function() {
+  return !this.revokedAt && !this.isExpired();
+};
+
 /**
  * Update last used timestamp
  */
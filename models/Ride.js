@@ -3,6 +3,27 @@
 // ===============================================
 
 import mongoose from "mongoose";
+import BillingConfig from "./BillingConfig.js";
+import Customer from "./Customer.js";
+import Station from "./Station.js";
+
+// 📍 מיקום מקודד (GeoJSON Point) - נשמר לצד הטקסט החופשי
+const RideLocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["Point"],
+    default: "Point"
+  },
+  coordinates: {
+    type: [Number], // [lng, lat]
+    required: true
+  },
+  city: { type: String, default: null },
+  label: { type: String, default: null },
+  source: { type: String, default: null }, // gazetteer | google | coordinates | manual
+  confidence: { type: Number, default: null },
+  geocodedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const RideSchema = new mongoose.Schema({
   rideNumber: {
@@ -22,6 +43,24 @@ const RideSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // הלקוח לפי טלפון מנורמל - מקושר אוטומטית ביצירת הנסיעה (scripts/backfill-customers.js לנסיעות ישנות)
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true
+  },
+  // תחנה (models/Station.js) - בלי תחנה: לפי עיר האיסוף ב-pre('save')
+  station: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // ביטול בגלל שהלקוח לא הגיע (POST /api/rides/:id/cancel עם noShow)
+  customerNoShow: {
+    type: Boolean,
+    default: false
+  },
   pickup: {
     type: String,
     required: true,
@@ -32,6 +71,14 @@ const RideSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  pickupLocation: {
+    type: RideLocationSchema,
+    default: null
+  },
+  destinationLocation: {
+    type: RideLocationSchema,
+    default: null
+  },
   scheduledTime: {
     type: String,
     default: null
@@ -45,6 +92,7 @@ const RideSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // עמלה לפי BillingConfig (ראה applyCommission) - commissionAmount כולל מע"מ
   commissionRate: {
     type: Number,
     default: 0.10,
@@ -55,6 +103,18 @@ const RideSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  commissionDetails: {
+    percent: { type: Number, default: null },
+    commission: { type: Number, default: null },
+    tax: { type: Number, default: null },
+    minimumApplied: { type: Boolean, default: false },
+    calculatedAt: { type: Date, default: null }
+  },
+  // נסיעה חיצונית (לא של התחנה) - עמלה לפי externalCommissionPercent
+  isExternal: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     enum: ["created", "distributed", "sent", "locked", "assigned", "approved", "enroute", "arrived", "finished", "commission_paid", "cancelled", "completed"],
@@ -133,7 +193,7 @@ const RideSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ["cash", "card", "bank_transfer", "other"],
+    enum: ["cash", "card", "bank_transfer", "wallet", "account", "other"],
     default: "cash"
   },
   paymentDate: {
@@ -181,6 +241,11 @@ const RideSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // סיום נסיעה טופל (נעילת נהג + עמלה) - מונע חיוב כפול
+  completionHandledAt: {
+    type: Date,
+    default: null
+  },
   // ===============================================
   // 🆕 PRODUCTION FIELDS - Timeline
   // ===============================================
@@ -200,10 +265,29 @@ const RideSchema = new mongoose.Schema({
       default: null
     },
     time: { type: String, default: null },
+    weekdays: { type: [Number], default: [] }, // 0=ראשון ... 6=שבת, ריק = כל יום
+    skipDates: { type: [String], default: [] }, // YYYY-MM-DD (חגים וכו')
+    leadTimeMinutes: { type: Number, default: null, min: 0 },
+    startDate: { type: Date, default: null },
     endDate: { type: Date, default: null },
     nextOccurrence: { type: Date, default: null },
+    paused: { type: Boolean, default: false },
+    pausedAt: { type: Date, default: null },
+    pausedBy: { type: String, default: null },
+    lastMaterializedAt: { type: Date, default: null },
+    occurrencesCreated: { type: Number, default: 0 },
     createdBy: { type: String, default: null }
   },
+  // נסיעה שנוצרה מתבנית חוזרת
+  parentRideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
   // ===============================================
   // 🆕 PRODUCTION FIELDS - Issue Tracking
   // ===============================================
@@ -228,14 +312,57 @@ const RideSchema = new mongoose.Schema({
     basePrice: { type: Number, default: 0 },
     distancePrice: { type: Number, default: 0 },
     timePrice: { type: Number, default: 0 },
+    // תוספת לילה / שבת / חג (utils/fareEngine.js)
+    surcharge: { type: Number, default: 0 },
+    timeBand: { type: String, enum: ['night', 'shabbat', 'holiday', null], default: null },
     surgeMultiplier: { type: Number, default: 1 },
     discount: { type: Number, default: 0 },
+    promoCode: { type: String, default: null },
+    fareType: { type: String, enum: ['metered', 'zone_fixed', 'zone_flat', 'manual', null], default: null },
+    pickupZone: { type: String, default: null },
+    destinationZone: { type: String, default: null },
+    // רכיבי המחיר עם הסבר - כפי שהוצגו בהצעת המחיר
+    components: { type: [mongoose.Schema.Types.Mixed], default: undefined },
     totalBeforeDiscount: { type: Number, default: 0 },
     finalTotal: { type: Number, default: 0 },
     calculatedAt: { type: Date, default: null },
     calculatedBy: { type: String, default: null }
   },
   // ===============================================
+  // REDEMPTIONS - קודי הנחה ותשלום מארנק (utils/promotionService.js)
+  // ===============================================
+  redemptions: [{
+    _id: false,
+    kind: { type: String, enum: ['promo', 'wallet'], required: true },
+    code: { type: String, default: null },
+    amount: { type: Number, default: 0 },
+    // טלפון מנורמל - למכסת שימושים לטלפון
+    phone: { type: String, default: null },
+    walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction', default: null },
+    redeemedAt: { type: Date, default: Date.now },
+    // שימוש שבוטל (נסיעה בוטלה / הקוד הוחלף) - לא נספר במכסות ובדוחות
+    reversedAt: { type: Date, default: null }
+  }],
+  // ===============================================
+  // CORPORATE - נסיעה על חשבון חברה (utils/corporateBillingService.js)
+  // ===============================================
+  corporate: {
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'CorporateAccount', default: null },
+    employeePhone: { type: String, default: null },
+    employeeName: { type: String, default: null },
+    costCenter: { type: String, default: null },
+    // pending: חריגה ממסגרת / כלל אישור - לא נכנסת לחשבונית עד אישור
+    approvalStatus: {
+      type: String,
+      enum: ['not_required', 'pending', 'approved', 'rejected', null],
+      default: null
+    },
+    approvalReason: { type: String, default: null },
+    approvedBy: { type: String, default: null },
+    approvedAt: { type: Date, default: null },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'CorporateInvoice', default: null }
+  },
+  // ===============================================
   // HISTORY - Legacy field (keep for backwards compatibility)
   // ===============================================
   history: [{
@@ -260,12 +387,23 @@ RideSchema.index({ driverPhone: 1, status: 1 });
 RideSchema.index({ paymentStatus: 1 });
 RideSchema.index({ lockedBy: 1 });
 
-RideSchema.pre('save', function(next) {
+RideSchema.pre('save', async function() {
   this.updatedAt = new Date();
-  if (this.price && this.commissionRate) {
-    this.commissionAmount = this.price * this.commissionRate;
+
+  if (this.isNew && !this.customerId && this.customerPhone) {
+    const customer = await Customer.ensureForPhone(this.customerPhone, this.customerName);
+    this.customerId = customer?._id || null;
+  }
+
+  if (this.isNew && !this.station) {
+    this.station = await Station.codeForCity(this.pickupLocation?.city);
+  }
+
+  // עמלה מחושבת מחדש כשהמחיר משתנה - עד שהעמלה נגבתה בסיום הנסיעה
+  if ((this.isNew || this.isModified('price') || this.isModified('isExternal')) && !this.completionHandledAt) {
+    const config = await BillingConfig.getConfig(this.station);
+    this.set(this.constructor.commissionFields(config.calculateCommission(this.price, this.isExternal)));
   }
-  next();
 });
 
 RideSchema.pre('findOneAndUpdate', function(next) {
@@ -318,6 +456,23 @@ RideSchema.statics.getDailyStats = async function(days = 30) {
   ]);
 };
 
+/**
+ * שדות העמלה של נסיעה מתוך BillingConfig.calculateCommission
+ */
+RideSchema.statics.commissionFields = function(calculation) {
+  return {
+    commissionRate: calculation.commissionPercent / 100,
+    commissionAmount: calculation.total,
+    commissionDetails: {
+      percent: calculation.commissionPercent,
+      commission: calculation.commission,
+      tax: calculation.tax,
+      minimumApplied: calculation.minimumCommissionApplied,
+      calculatedAt: new Date()
+    }
+  };
+};
+
 RideSchema.methods.addHistory = function(status, by, details) {
   this.history.push({ status, by, details, timestamp: new Date() });
   return this.save();
@@ -400,8 +555,24 @@ RideSchema.index({ driverId: 1, status: 1, createdAt: 1 });
 RideSchema.index({ assignedBy: 1, assignedAt: -1 });
 RideSchema.index({ cancelledBy: 1, cancelledAt: -1 });
 RideSchema.index({ 'recurring.enabled': 1, 'recurring.nextOccurrence': 1 });
+RideSchema.index(
+  { parentRideId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { parentRideId: { $type: 'objectId' } } }
+);
 RideSchema.index({ 'issues.resolved': 1, 'issues.severity': 1 });
 
+// 🎟️ Promo usage per code / phone and redemption reports
+RideSchema.index({ 'redemptions.code': 1, 'redemptions.phone': 1 }, { sparse: true });
+RideSchema.index({ 'redemptions.kind': 1, 'redemptions.redeemedAt': -1 }, { sparse: true });
+
+// Corporate accounts - מסגרות חודשיות וחשבוניות
+RideSchema.index({ 'corporate.accountId': 1, createdAt: -1 }, { sparse: true });
+RideSchema.index({ 'corporate.invoiceId': 1 }, { sparse: true });
+RideSchema.index({ 'corporate.approvalStatus': 1 }, { sparse: true });
+
+// 📍 Geo indexes for nearest-driver dispatch
+RideSchema.index({ pickupLocation: '2dsphere' });
+
 console.log('✅ Ride model loaded with production enhancements');
 
 export default mongoose.model("Ride", RideSchema);
\ No newline at end of file
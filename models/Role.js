@@ -0,0 +1,65 @@
+// ===============================================
+// 🛡️ ROLE MODEL
+// ===============================================
+// תפקיד = אוסף הרשאות (middlewares/rbac.js) + תחום נתונים אופציונלי:
+// - תפקידי מערכת (admin / manager / viewer) נוצרים אוטומטית ב-utils/roleStore.js
+// - admin מקבל תמיד את כל ההרשאות ואינו ניתן לעריכה
+// - scopes.cities: המשתמש רואה / מעדכן רק נהגים ונסיעות בערים האלה (ריק = ללא הגבלה)
+
+import mongoose from 'mongoose';
+
+export const ROLE_NAME_REGEX = /^[a-z][a-z0-9_]{1,30}$/;
+
+const roleSchema = new mongoose.Schema({
+  // מזהה שנשמר ב-User.role ובטוקן הגישה
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: ROLE_NAME_REGEX
+  },
+
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  permissions: {
+    type: [String],
+    default: []
+  },
+
+  scopes: {
+    cities: { type: [String], default: [] }
+  },
+
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+console.log('✅ Role model loaded');
+
+export default mongoose.model('Role', roleSchema);
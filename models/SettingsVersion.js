@@ -0,0 +1,66 @@
+// ===============================================
+// ⚙️ SETTINGS VERSION MODEL
+// ===============================================
+// היסטוריית הגדרות המערכת (append-only):
+// כל שמירה של מקטע הגדרות (general / pricing / commission ...) יוצרת גרסה חדשה,
+// הגרסה העדכנית = מספר הגרסה הגבוה ביותר של המקטע.
+// אינדקס ייחודי (section + version) מונע דריסה בשמירות מקבילות.
+
+import mongoose from 'mongoose';
+
+const settingsVersionSchema = new mongoose.Schema({
+  section: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // הערכים המלאים של המקטע בגרסה זו (אחרי ולידציה)
+  values: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // השדות שהשתנו לעומת הגרסה הקודמת
+  changedKeys: {
+    type: [String],
+    default: []
+  },
+
+  action: {
+    type: String,
+    enum: ['update', 'rollback'],
+    default: 'update'
+  },
+
+  // בשחזור - הגרסה ששוחזרה
+  rolledBackFrom: {
+    type: Number,
+    default: null
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  changedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+settingsVersionSchema.index({ section: 1, version: -1 }, { unique: true });
+
+console.log('✅ SettingsVersion model loaded');
+
+export default mongoose.model('SettingsVersion', settingsVersionSchema);
@@ -0,0 +1,74 @@
+// ===============================================
+// 🏢 STATION MODEL
+// ===============================================
+// תחנה / אזור פעילות (בני ברק, ירושלים...) - כל תחנה עם תור נסיעות משלה:
+// - נסיעות, נהגים, קבוצות WhatsApp, תשלומים והגדרות חיוב שייכים לתחנה (שדה station = code)
+// - משתמש משויך לתחנה אחת או יותר (User.stations) ורואה רק אותן (middlewares/rbac.js)
+// - cities: נסיעה חדשה בלי תחנה משויכת לפי עיר האיסוף
+
+import mongoose from 'mongoose';
+
+export const STATION_CODE_REGEX = /^[a-z][a-z0-9_]{1,30}$/;
+
+const stationSchema = new mongoose.Schema({
+  // מזהה שנשמר ברשומות, ב-User.stations ובטוקן הגישה
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: STATION_CODE_REGEX
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // ערי האיסוף שמשויכות לתחנה אוטומטית
+  cities: {
+    type: [String],
+    default: []
+  },
+
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stationSchema.index({ cities: 1, isActive: 1 });
+
+/**
+ * התחנה הפעילה שעיר האיסוף משויכת אליה
+ * @returns {Promise<string|null>} - קוד התחנה
+ */
+stationSchema.statics.codeForCity = async function(city) {
+  if (!city) return null;
+  const station = await this.findOne({ cities: city, isActive: true }).select('code').lean();
+  return station?.code || null;
+};
+
+console.log('✅ Station model loaded');
+
+export default mongoose.model('Station', stationSchema);
@@ -0,0 +1,79 @@
+// ===============================================
+// 🧾 TWILIO WEBHOOK RECEIPT MODEL
+// ===============================================
+// MessageSid של כל הודעה נכנסת שעובדה - הגנה מ-replay
+// (חתימת Twilio לא כוללת חותמת זמן, אז בקשה חתומה שהוקלטה תקפה לנצח -
+//  רק ה-MessageSid מבדיל בין הודעה חדשה להודעה שנשלחה שוב)
+
+import mongoose from 'mongoose';
+
+const TwilioWebhookReceiptSchema = new mongoose.Schema({
+  messageSid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// ===============================================
+// 📊 INDEXES
+// ===============================================
+
+// Auto-delete after the replay window
+TwilioWebhookReceiptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ===============================================
+// 🔧 STATICS
+// ===============================================
+
+/**
+ * רישום MessageSid - אטומי (unique index)
+ * @param {string} messageSid
+ * @param {Object} data - { from, path, windowMs }
+ * @returns {Promise<Object|null>} - null אם ה-MessageSid כבר התקבל (replay)
+ */
+TwilioWebhookReceiptSchema.statics.claim = async function(messageSid, { from = null, path = null, windowMs }) {
+  const now = new Date();
+
+  try {
+    return await this.create({
+      messageSid,
+      from,
+      path,
+      receivedAt: now,
+      expiresAt: new Date(now.getTime() + windowMs)
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+/**
+ * שחרור MessageSid שהעיבוד שלו נכשל - ניסיון חוזר של Twilio לא ייחשב replay
+ * @param {string} messageSid
+ */
+TwilioWebhookReceiptSchema.statics.release = function(messageSid) {
+  return this.deleteOne({ messageSid });
+};
+
+const TwilioWebhookReceipt = mongoose.model('TwilioWebhookReceipt', TwilioWebhookReceiptSchema);
+export default TwilioWebhookReceipt;
@@ -29,12 +29,17 @@ const UserSchema = new mongoose.Schema({
     required: true,
     select: false // Don't return password by default
   },
+  // שם תפקיד מ-models/Role.js (admin / manager / viewer / תפקיד מותאם) - נבדק ב-utils/roleStore.js
   role: {
     type: String,
-    enum: ['admin', 'manager', 'viewer', 'operator'],
     default: 'viewer',
     index: true
   },
+  // קודי תחנות (models/Station.js) שהמשתמש רואה - ריק = כל התחנות
+  stations: {
+    type: [String],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -60,6 +65,19 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // אימות דו-שלבי (TOTP) - הסוד וקודי הגיבוי לא נשלפים כברירת מחדל
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null, select: false },
+    // סוד שנוצר ב-setup ועדיין לא אושר בקוד מהאפליקציה
+    pendingSecret: { type: String, default: null, select: false },
+    // hash (bcrypt) של קודי גיבוי חד-פעמיים
+    backupCodes: { type: [String], default: [], select: false },
+    // חלון הזמן (30 שניות) של הקוד האחרון שאושר - קוד לא מתקבל פעמיים
+    lastUsedStep: { type: Number, default: null, select: false },
+    enabledAt: { type: Date, default: null },
+    lastVerified: { type: Date, default: null }
+  },
   createdBy: {
     type: String,
     default: null
@@ -178,7 +196,9 @@ UserSchema.methods.toSafeObject = function() {
     username: this.username,
     email: this.email,
     role: this.role,
+    stations: this.stations || [],
     isActive: this.isActive,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
     lastLogin: this.lastLogin,
     createdAt: this.createdAt
   };
@@ -0,0 +1,94 @@
+// ===============================================
+// 🧾 WALLET TRANSACTION MODEL
+// ===============================================
+// תנועות בארנק לקוח (CustomerWallet): טעינה, חיוב נסיעה, החזר ותיקון ידני
+
+import mongoose from 'mongoose';
+
+export const WALLET_TRANSACTION_TYPES = [
+  'topup',        // טעינה (זיכוי)
+  'ride_charge',  // תשלום נסיעה (חיוב)
+  'refund',       // החזר (זיכוי)
+  'adjustment'    // תיקון ידני (חיוב או זיכוי)
+];
+
+const walletTransactionSchema = new mongoose.Schema({
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerWallet',
+    required: true,
+    index: true
+  },
+
+  phone: {
+    type: String,
+    required: true
+  },
+
+  // מונע חיוב כפול של אותו אירוע (למשל "ride_charge:<rideId>")
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: WALLET_TRANSACTION_TYPES,
+    required: true,
+    index: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+
+  // השפעה על היתרה: +amount (זיכוי) או -amount (חיוב)
+  balanceDelta: {
+    type: Number,
+    required: true
+  },
+
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Ride', 'manual'],
+      default: 'manual'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    number: {
+      type: String,
+      default: null
+    }
+  },
+
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ walletId: 1, createdAt: -1 });
+walletTransactionSchema.index({ type: 1, createdAt: -1 });
+
+console.log('✅ WalletTransaction model loaded');
+
+export default mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -31,6 +31,11 @@ const WhatsAppGroupSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // תחנה (models/Station.js) - קבוצת ברירת מחדל אחת לכל תחנה; null = קבוצה כללית
+  station: {
+    type: String,
+    default: null
+  },
   createdBy: {
     type: String,
     default: "admin"
@@ -52,6 +57,9 @@ const WhatsAppGroupSchema = new mongoose.Schema({
 // Compound index for default + active queries
 WhatsAppGroupSchema.index({ isDefault: 1, isActive: 1 });
 
+// Default group per station
+WhatsAppGroupSchema.index({ station: 1, isDefault: 1, isActive: 1 });
+
 // Index for name searches
 WhatsAppGroupSchema.index({ name: 'text' });
 
@@ -68,9 +76,9 @@ WhatsAppGroupSchema.pre('save', function(next) {
 // Ensure only one default group
 WhatsAppGroupSchema.pre('save', async function(next) {
   if (this.isDefault && this.isModified('isDefault')) {
-    // Unset other defaults
+    // Unset other defaults (of the same station)
     await this.constructor.updateMany(
-      { _id: { $ne: this._id }, isDefault: true },
+      { _id: { $ne: this._id }, isDefault: true, station: this.station || null },
       { isDefault: false }
     );
   }
@@ -82,10 +90,14 @@ WhatsAppGroupSchema.pre('save', async function(next) {
 // ===============================================
 
 /**
- * Get default group
+ * Get default group - של התחנה, ואם אין לה - הכללית
  */
-WhatsAppGroupSchema.statics.getDefault = function() {
-  return this.findOne({ isDefault: true, isActive: true });
+WhatsAppGroupSchema.statics.getDefault = async function(station = null) {
+  if (station) {
+    const stationDefault = await this.findOne({ isDefault: true, isActive: true, station });
+    if (stationDefault) return stationDefault;
+  }
+  return this.findOne({ isDefault: true, isActive: true, station: null });
 };
 
 /**
@@ -99,8 +111,11 @@ WhatsAppGroupSchema.statics.getActive = function() {
  * Set as default
  */
 WhatsAppGroupSchema.statics.setAsDefault = async function(groupId) {
-  // Unset all defaults
-  await this.updateMany({}, { isDefault: false });
+  const group = await this.findById(groupId).select('station').lean();
+  if (!group) return null;
+
+  // Unset the station's defaults
+  await this.updateMany({ station: group.station || null }, { isDefault: false });
   
   // Set new default
   return await this.findByIdAndUpdate(
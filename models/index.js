@@ -9,18 +9,31 @@ import Activity from './Activity.js';
 import AdminContact from './AdminContact.js';
 import AuditLog from './AuditLog.js';
 import BillingConfig from './BillingConfig.js';
+import BookingSession from './BookingSession.js';
 import Campaign from './Campaign.js';
+import CorporateAccount from './CorporateAccount.js';
+import CorporateInvoice from './CorporateInvoice.js';
+import Customer from './Customer.js';
+import CustomerWallet from './CustomerWallet.js';
 import Driver from './Driver.js';
+import LedgerEntry from './LedgerEntry.js';
 import MessageLog from './MessageLog.js';
 import MessageTemplate from './MessageTemplate.js';
 import Payment from './Payment.js';
 import PendingPayment from './PendingPayment.js';
+import PricingZone from './PricingZone.js';
+import PromoCode from './PromoCode.js';
 import RefreshToken from './RefreshToken.js';
 import Registration from './Registration.js';
 import RegistrationSession from './RegistrationSession.js';
 import Ride from './Ride.js';
 import RideCounter from './RideCounter.js';
+import Role from './Role.js';
+import SettingsVersion from './SettingsVersion.js';
+import Station from './Station.js';
+import TwilioWebhookReceipt from './TwilioWebhookReceipt.js';
 import User from './User.js';
+import WalletTransaction from './WalletTransaction.js';
 import WhatsAppGroup from './WhatsAppGroup.js';
 
 export {
@@ -28,17 +41,30 @@ export {
   AdminContact,
   AuditLog,
   BillingConfig,
+  BookingSession,
   Campaign,
+  CorporateAccount,
+  CorporateInvoice,
+  Customer,
+  CustomerWallet,
   Driver,
+  LedgerEntry,
   MessageLog,
   MessageTemplate,
   Payment,
   PendingPayment,
+  PricingZone,
+  PromoCode,
   RefreshToken,
   Registration,
   RegistrationSession,
   Ride,
   RideCounter,
+  Role,
+  SettingsVersion,
+  Station,
+  TwilioWebhookReceipt,
   User,
+  WalletTransaction,
   WhatsAppGroup
 };
@@ -28,7 +28,8 @@ class CustomersManager {
       const response = await fetch(url);
       if (!response.ok) throw new Error('Failed to fetch customers');
       
-      this.customers = await response.json();
+      const data = await response.json();
+      this.customers = data.customers || [];
       this.renderCustomersTable(container);
       
     } catch (error) {
@@ -202,8 +203,8 @@ class CustomersManager {
       const response = await fetch(`/api/customers/${customerId}`);
       if (!response.ok) throw new Error('Failed');
       
-      const customer = await response.json();
-      this.showCustomerModal(customer);
+      const data = await response.json();
+      this.showCustomerModal(data.customer, data.alerts || []);
       
     } catch (error) {
       console.error('Error:', error);
@@ -211,7 +212,7 @@ class CustomersManager {
     }
   }
 
-  showCustomerModal(customer) {
+  showCustomerModal(customer, alerts = []) {
     const modal = document.getElementById('viewCustomerModal');
     if (!modal) return;
 
@@ -228,6 +229,10 @@ class CustomersManager {
         </div>
       </div>
 
+      ${alerts.map(alert => `
+        <div class="status ${alert.level === 'info' ? 'info' : alert.level}" style="display: block; margin-top: 8px;">${alert.message}</div>
+      `).join('')}
+
       <div class="stats-grid" style="margin: 20px 0;">
         <div class="stat-mini">
           <div class="stat-label">נסיעות</div>
@@ -262,10 +267,10 @@ class CustomersManager {
         </div>
       ` : ''}
 
-      ${customer.notes ? `
+      ${customer.notes?.length ? `
         <div class="form-group">
           <label>הערות</label>
-          <div>${customer.notes}</div>
+          ${customer.notes.map(note => `<div>${note.text} <small>(${note.author}, ${this.formatDateTime(note.createdAt)})</small></div>`).join('')}
         </div>
       ` : ''}
 
@@ -286,7 +291,7 @@ class CustomersManager {
       const response = await fetch(`/api/customers/${customerId}/rides`);
       if (!response.ok) throw new Error('Failed');
       
-      const rides = await response.json();
+      const { rides } = await response.json();
       this.showHistoryModal(customerId, rides);
       
     } catch (error) {
@@ -405,7 +410,7 @@ class CustomersManager {
   // 🛠️ HELPERS
   // ============================================
   getCustomerStatus(customer) {
-    if (customer.isBlocked) {
+    if (customer.isBlacklisted) {
       return '<span class="status danger"><i class="fas fa-ban"></i> חסום</span>';
     }
     if (customer.isVIP) {
@@ -6,6 +6,7 @@
 import express from 'express';
 import { AdminContact, Driver, Ride, WhatsAppGroup } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { inStationScope } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
 
 // Import what you need (adjust based on actual usage)
@@ -198,10 +199,13 @@ router.delete("-contact/:id", authenticateToken, async (req, res) => {
 });
 
 
-// GET /api/admin/default-group
+// GET /api/admin/default-group?station= (בלי station - הקבוצה הכללית)
 router.get("/default-group", authenticateToken, async (req, res) => {
   try {
-    const defaultGroup = await WhatsAppGroup.findOne({ isDefault: true });
+    const station = req.query.station || null;
+    const defaultGroup = inStationScope(req, station)
+      ? await WhatsAppGroup.findOne({ isDefault: true, station })
+      : null;
     
     res.json({
       ok: true,
@@ -232,15 +236,13 @@ router.post("/default-group", authenticateToken, async (req, res) => {
       });
     }
     
-    // Remove default from all groups
-    await WhatsAppGroup.updateMany({}, { isDefault: false });
+    // ברירת מחדל לכל תחנה - רק קבוצה בתחום המשתמש
+    const existing = await WhatsAppGroup.findById(groupId).select('station').lean();
     
-    // Set new default
-    const group = await WhatsAppGroup.findByIdAndUpdate(
-      groupId,
-      { isDefault: true },
-      { new: true }
-    );
+    // Remove default from the station's groups and set the new one
+    const group = existing && inStationScope(req, existing.station || null)
+      ? await WhatsAppGroup.setAsDefault(groupId)
+      : null;
     
     if (!group) {
       return res.status(404).json({
@@ -6,6 +6,7 @@
 import express from 'express';
 import { Driver, Ride } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { RIDE_SCOPE, scopeFilter } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
 
 // Import what you need (adjust based on actual usage)
@@ -73,9 +74,12 @@ router.get("/", authenticateToken, async (req, res) => {
     };
     const startDate = periods[period] || periods['7days'];
     
+    // 🏢 Rides in the user's stations / cities
+    const rideScope = scopeFilter(req, { ...RIDE_SCOPE, requestedStation: req.query.station });
+    
     // Rides by status
     const ridesByStatus = await Ride.aggregate([
-      { $match: { createdAt: { $gte: startDate } } },
+      { $match: { ...rideScope, createdAt: { $gte: startDate } } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
     
@@ -83,6 +87,7 @@ router.get("/", authenticateToken, async (req, res) => {
     const revenue = await Ride.aggregate([
       { 
         $match: { 
+          ...rideScope,
           createdAt: { $gte: startDate },
           status: { $in: ['finished', 'commission_paid'] }
         }
@@ -101,6 +106,7 @@ router.get("/", authenticateToken, async (req, res) => {
     const topDrivers = await Ride.aggregate([
       { 
         $match: { 
+          ...rideScope,
           createdAt: { $gte: startDate },
           status: 'finished',
           driverPhone: { $ne: null }
@@ -148,24 +154,30 @@ router.get("/", authenticateToken, async (req, res) => {
 // GET /api/statistics
 router.get("/api/statistics", authenticateToken, async (req, res) => {
   try {
+    const rideScope = scopeFilter(req, { ...RIDE_SCOPE, requestedStation: req.query.station });
+    const driverScope = scopeFilter(req, { requestedStation: req.query.station });
+    
     // Count rides by status
-    const ridesCount = await Ride.countDocuments();
+    const ridesCount = await Ride.countDocuments(rideScope);
     const activeRides = await Ride.countDocuments({ 
+      ...rideScope,
       status: { $in: ['sent', 'approved', 'enroute'] } 
     });
     const finishedToday = await Ride.countDocuments({
+      ...rideScope,
       status: 'finished',
       createdAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
     });
     
     // Count drivers
-    const driversCount = await Driver.countDocuments();
-    const activeDrivers = await Driver.countDocuments({ isActive: true });
+    const driversCount = await Driver.countDocuments(driverScope);
+    const activeDrivers = await Driver.countDocuments({ ...driverScope, isActive: true });
     
     // Revenue today
     const revenueToday = await Ride.aggregate([
       {
         $match: {
+          ...rideScope,
           status: 'finished',
           createdAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
         }
@@ -7,6 +7,10 @@
 import express from 'express';
 import { AuditLog, User } from '../models/index.js';
 import logger from '../utils/logger.js';
+import settingsStore from '../utils/settingsStore.js';
+import sessionService, { SessionError } from '../utils/sessionService.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import twoFactorAuth from '../utils/twoFactorAuth.js';
 
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
@@ -18,6 +22,17 @@ const router = express.Router();
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCK_TIME = 2 * 60 * 60 * 1000; // 2 hours
 
+// Two-factor authentication
+// טוקן ביניים אחרי הסיסמה - לא מתקבל ב-authenticateToken, רק בשלב השני
+const TOKEN_PURPOSE = {
+  CHALLENGE: '2fa_challenge',
+  SETUP: '2fa_setup'
+};
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const SETUP_TTL_SECONDS = 15 * 60;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Taxi Management System';
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
 // Error messages - centralized for consistency
 const ERRORS = {
   AUTH: {
@@ -27,6 +42,7 @@ const ERRORS = {
     ACCOUNT_DISABLED: 'חשבון מושבת',
     NO_TOKEN: 'גישה נדחתה: חסר טוקן',
     INVALID_TOKEN: 'טוקן לא תקין או פג תוקף',
+    SESSION_REVOKED: 'הסשן בוטל - נא להתחבר מחדש',
     USER_NOT_FOUND: 'משתמש לא נמצא',
     USER_DELETED: 'משתמש לא נמצא - הטוקן אינו תקף עוד'
   },
@@ -38,6 +54,19 @@ const ERRORS = {
     RESET_MISSING_FIELDS: 'חסרים שדות חובה',
     RESET_INVALID_TOKEN: 'טוקן לא תקין או פג תוקף'
   },
+  TWO_FACTOR: {
+    MISSING_CODE: 'נא להזין קוד אימות',
+    INVALID_CODE: 'קוד אימות שגוי',
+    INVALID_CHALLENGE: 'שלב האימות פג תוקף - נא להתחבר מחדש',
+    MISSING_PASSWORD: 'נא להזין סיסמה וקוד אימות',
+    ALREADY_ENABLED: 'אימות דו-שלבי כבר פעיל',
+    NOT_ENABLED: 'אימות דו-שלבי אינו פעיל',
+    SETUP_NOT_STARTED: 'נא להתחיל הפעלה של אימות דו-שלבי לפני האישור',
+    REQUIRED_FOR_ROLE: 'אימות דו-שלבי הוא חובה לתפקיד זה ולא ניתן לבטל אותו'
+  },
+  SESSION: {
+    NOT_FOUND: 'סשן לא נמצא'
+  },
   SERVER: {
     INTERNAL: 'שגיאת שרת פנימית',
     LOGIN_ERROR: 'שגיאה בהתחברות',
@@ -45,7 +74,10 @@ const ERRORS = {
     PASSWORD_CHANGE_ERROR: 'שגיאה בשינוי סיסמה',
     PASSWORD_RESET_REQUEST_ERROR: 'שגיאה בבקשת איפוס סיסמה',
     PASSWORD_RESET_ERROR: 'שגיאה באיפוס סיסמה',
-    USER_INFO_ERROR: 'שגיאה בטעינת פרטי משתמש'
+    USER_INFO_ERROR: 'שגיאה בטעינת פרטי משתמש',
+    TWO_FACTOR_ERROR: 'שגיאה באימות דו-שלבי',
+    REFRESH_ERROR: 'שגיאה ברענון הטוקן',
+    SESSIONS_ERROR: 'שגיאה בטעינת הסשנים'
   }
 };
 
@@ -53,32 +85,157 @@ const ERRORS = {
 // MIDDLEWARE - Authenticate Token
 // ============================================================
 
+// המימוש ב-middlewares/auth.js (משותף לכל הנתיבים המוגנים) - מיוצא גם מכאן לתאימות
+export { authenticateToken };
+
 /**
- * פונקציית אימות הטוקן - מיוצאת כדי שתוכל להיקרא מקבצים אחרים
+ * כמו authenticateToken, אבל מקבל גם טוקן הפעלת 2FA (setupToken) -
+ * משתמש בתפקיד שמחייב 2FA מקבל אותו בהתחברות ויכול רק לרשום מכשיר
  */
-export const authenticateToken = (req, res, next) => {
+const authenticateTwoFactorSetup = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ 
-      ok: false, 
-      error: ERRORS.AUTH.NO_TOKEN
-    });
+    return res.status(401).json({ ok: false, error: ERRORS.AUTH.NO_TOKEN });
   }
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose && decoded.purpose !== TOKEN_PURPOSE.SETUP) {
+      throw new Error('Unexpected token purpose');
+    }
+
+    if (sessionService.isRevoked(decoded.sid)) {
+      return res.status(401).json({ ok: false, error: ERRORS.AUTH.SESSION_REVOKED, code: 'SESSION_REVOKED' });
+    }
+
     req.user = decoded;
     next();
   } catch (err) {
-    return res.status(403).json({ 
-      ok: false, 
-      error: ERRORS.AUTH.INVALID_TOKEN
-    });
+    return res.status(403).json({ ok: false, error: ERRORS.AUTH.INVALID_TOKEN });
   }
 };
 
+// ============================================================
+// HELPERS
+// ============================================================
+
+function audit(req, user, action, details = {}) {
+  return AuditLog.create({
+    userId: user._id.toString(),
+    username: user.username,
+    action,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+function isTwoFactorRequired(role) {
+  return settingsStore.get('security').twoFactorRequiredRoles.includes(role);
+}
+
+function signPurposeToken(user, purpose, expiresIn) {
+  return jwt.sign(
+    { userId: user._id.toString(), username: user.username, role: user.role, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+function verifyPurposeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * ניסיון כושל (סיסמה או קוד 2FA) - נספר לאותה נעילה
+ */
+async function registerFailedAttempt(user) {
+  user.loginAttempts = (user.loginAttempts || 0) + 1;
+
+  if (user.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    user.lockUntil = new Date(Date.now() + LOCK_TIME);
+    logger.warn("Account locked due to too many failed attempts", { 
+      username: user.username, 
+      attempts: user.loginAttempts 
+    });
+  }
+
+  await user.save();
+}
+
+/**
+ * בדיקת קוד מהאפליקציה או קוד גיבוי (חד-פעמי) - המשתמש נטען עם TWO_FACTOR_SECRETS
+ * @returns {Promise<string|null>} - 'totp' / 'backup_code', או null אם הקוד שגוי
+ * השינויים (קוד גיבוי שנוצל, lastUsedStep) נשמרים ב-save של הקורא
+ */
+async function verifySecondFactor(user, code) {
+  const step = twoFactorAuth.verifyTokenStep(user.twoFactor.secret, code);
+
+  if (step !== null) {
+    // אותו קוד לא מתקבל פעמיים
+    if (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep) {
+      return null;
+    }
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.lastVerified = new Date();
+    return 'totp';
+  }
+
+  const index = await twoFactorAuth.findBackupCode(code, user.twoFactor.backupCodes);
+  if (index === -1) return null;
+
+  user.twoFactor.backupCodes.splice(index, 1);
+  user.twoFactor.lastVerified = new Date();
+  return 'backup_code';
+}
+
+/**
+ * פתיחת סשן (טוקן גישה + refresh token) ותשובת ההתחברות - אחרי סיסמה (ו-2FA אם פעיל)
+ */
+async function completeLogin(req, user, details = {}) {
+  user.loginAttempts = 0;
+  user.lockUntil = null;
+  user.lastLogin = new Date();
+  await user.save();
+
+  const session = await sessionService.createSession(user, req);
+
+  await audit(req, user, 'login', { ...details, sessionId: session.sessionId });
+
+  logger.info("Successful login", { 
+    username: user.username,
+    userId: user._id,
+    ip: req.ip,
+    ...details
+  });
+
+  return { 
+    ok: true, 
+    ...session,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      stations: user.stations || [],
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    },
+    message: "כניסה בהצלחה!"
+  };
+}
+
+function sendSessionError(res, err) {
+  return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+}
+
 // ============================================================
 // ENDPOINTS
 // ============================================================
@@ -99,7 +256,7 @@ router.post("/login", async (req, res) => {
     }
     
     // Find user
-    const user = await User.findOne({ username });
+    const user = await User.findOne({ username }).select('+passwordHash');
     
     if (!user) {
       // Log failed attempt
@@ -157,18 +314,7 @@ router.post("/login", async (req, res) => {
     const isValid = await bcrypt.compare(password, user.passwordHash);
     
     if (!isValid) {
-      // Increment login attempts
-      user.loginAttempts = (user.loginAttempts || 0) + 1;
-      
-      if (user.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
-        user.lockUntil = new Date(Date.now() + LOCK_TIME);
-        logger.warn("Account locked due to too many failed attempts", { 
-          username, 
-          attempts: user.loginAttempts 
-        });
-      }
-      
-      await user.save();
+      await registerFailedAttempt(user);
       
       await AuditLog.create({
         userId: user._id.toString(),
@@ -191,58 +337,307 @@ router.post("/login", async (req, res) => {
       });
     }
     
-    // Successful login - Reset login attempts
-    user.loginAttempts = 0;
-    user.lockUntil = null;
-    user.lastLogin = new Date();
-    await user.save();
+    // 2FA פעיל - הסיסמה נכונה, הטוקן יונפק רק אחרי קוד (POST /auth/login/2fa)
+    // מונה הניסיונות מתאפס רק אחרי השלב השני
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        ok: true,
+        requiresTwoFactor: true,
+        challengeToken: signPurposeToken(user, TOKEN_PURPOSE.CHALLENGE, CHALLENGE_TTL_SECONDS),
+        expiresIn: CHALLENGE_TTL_SECONDS,
+        message: "נא להזין את הקוד מאפליקציית האימות"
+      });
+    }
     
-    // Create token
-    const token = jwt.sign(
-      { 
-        userId: user._id.toString(),
+    // התפקיד מחייב 2FA והמשתמש עוד לא רשם מכשיר - טוקן שמאפשר רק הפעלה
+    if (isTwoFactorRequired(user.role)) {
+      await audit(req, user, '2fa_setup_required');
+      
+      return res.json({
+        ok: true,
+        requiresTwoFactorSetup: true,
+        setupToken: signPurposeToken(user, TOKEN_PURPOSE.SETUP, SETUP_TTL_SECONDS),
+        expiresIn: SETUP_TTL_SECONDS,
+        message: "יש להפעיל אימות דו-שלבי לפני הכניסה למערכת"
+      });
+    }
+    
+    res.json(await completeLogin(req, user));
+  } catch (err) {
+    logger.error("Login error", { error: err.message, stack: err.stack });
+    res.status(500).json({ 
+      ok: false, 
+      error: ERRORS.SERVER.LOGIN_ERROR
+    });
+  }
+});
+
+// ===============================================
+// POST /auth/login/2fa - שלב שני: החלפת challengeToken + קוד בטוקן גישה
+// ===============================================
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    if (!challengeToken || !code) {
+      return res.status(400).json({ ok: false, error: ERRORS.TWO_FACTOR.MISSING_CODE });
+    }
+    
+    const challenge = verifyPurposeToken(challengeToken, TOKEN_PURPOSE.CHALLENGE);
+    if (!challenge) {
+      return res.status(401).json({ ok: false, error: ERRORS.TWO_FACTOR.INVALID_CHALLENGE });
+    }
+    
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_SECRETS);
+    
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ ok: false, error: ERRORS.TWO_FACTOR.INVALID_CHALLENGE });
+    }
+    
+    if (!user.isActive) {
+      return res.status(403).json({ ok: false, error: ERRORS.AUTH.ACCOUNT_DISABLED });
+    }
+    
+    if (user.lockUntil && user.lockUntil > Date.now()) {
+      await audit(req, user, 'login_failed', { reason: 'account_locked', step: '2fa' });
+      return res.status(423).json({ ok: false, error: ERRORS.AUTH.ACCOUNT_LOCKED });
+    }
+    
+    const method = await verifySecondFactor(user, code);
+    
+    if (!method) {
+      await registerFailedAttempt(user);
+      await audit(req, user, 'login_failed', { reason: 'invalid_2fa_code', attempts: user.loginAttempts });
+      
+      logger.warn("Failed login attempt - invalid 2FA code", { 
         username: user.username, 
-        user: user.username, // for backward compatibility
-        role: user.role,
-        loginTime: new Date().toISOString()
-      }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: "24h" }
-    );
+        attempts: user.loginAttempts,
+        ip: req.ip 
+      });
+      
+      return res.status(401).json({ ok: false, error: ERRORS.TWO_FACTOR.INVALID_CODE });
+    }
     
-    // Log successful login
-    await AuditLog.create({
-      userId: user._id.toString(),
-      username: user.username,
-      action: 'login',
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    }).catch(err => logger.error('AuditLog error:', err));
+    const response = await completeLogin(req, user, { twoFactor: method });
     
-    logger.info("Successful login", { 
-      username: user.username,
-      userId: user._id,
-      ip: req.ip 
+    if (method === 'backup_code') {
+      response.backupCodesRemaining = user.twoFactor.backupCodes.length;
+    }
+    
+    res.json(response);
+  } catch (err) {
+    logger.error("2FA login error", { error: err.message, stack: err.stack });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.LOGIN_ERROR });
+  }
+});
+
+// ===============================================
+// POST /auth/refresh - החלפת refresh token בזוג טוקנים חדש
+// ===============================================
+router.post("/refresh", async (req, res) => {
+  try {
+    const { user, ...session } = await sessionService.rotate(req.body.refreshToken, req);
+    
+    res.json({ ok: true, ...session });
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return sendSessionError(res, err);
+    }
+    
+    logger.error("Token refresh error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.REFRESH_ERROR });
+  }
+});
+
+// ===============================================
+// GET /auth/2fa/status - מצב האימות הדו-שלבי של המשתמש המחובר
+// ===============================================
+router.get("/2fa/status", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.backupCodes');
+    
+    if (!user) {
+      return res.status(404).json({ ok: false, error: ERRORS.AUTH.USER_DELETED });
+    }
+    
+    res.json({
+      ok: true,
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        required: isTwoFactorRequired(user.role),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        lastVerified: user.twoFactor?.lastVerified || null,
+        backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0
+      }
     });
+  } catch (err) {
+    logger.error("2FA status error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.TWO_FACTOR_ERROR });
+  }
+});
+
+// ===============================================
+// POST /auth/2fa/setup - יצירת סוד חדש ו-QR (לא פעיל עד האישור)
+// ===============================================
+router.post("/2fa/setup", authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRETS);
     
-    res.json({ 
-      ok: true, 
-      token,
-      expiresIn: 86400,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      },
-      message: "כניסה בהצלחה!"
+    if (!user) {
+      return res.status(404).json({ ok: false, error: ERRORS.AUTH.USER_DELETED });
+    }
+    
+    if (!user.isActive) {
+      return res.status(403).json({ ok: false, error: ERRORS.AUTH.ACCOUNT_DISABLED });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ ok: false, error: ERRORS.TWO_FACTOR.ALREADY_ENABLED });
+    }
+    
+    const { secret, otpauthUrl } = twoFactorAuth.generateSecret(user.username, TWO_FACTOR_ISSUER);
+    const qrCode = await twoFactorAuth.generateQRCode(otpauthUrl);
+    
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    
+    await audit(req, user, '2fa_setup_started');
+    
+    res.json({
+      ok: true,
+      qrCode,
+      otpauthUrl,
+      // להזנה ידנית באפליקציה
+      secret,
+      message: "סרוק את הקוד באפליקציית האימות ואשר עם הקוד שמוצג בה"
     });
   } catch (err) {
-    logger.error("Login error", { error: err.message, stack: err.stack });
-    res.status(500).json({ 
-      ok: false, 
-      error: ERRORS.SERVER.LOGIN_ERROR
+    logger.error("2FA setup error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.TWO_FACTOR_ERROR });
+  }
+});
+
+// ===============================================
+// POST /auth/2fa/confirm - אישור הסוד בקוד מהאפליקציה והפעלת 2FA
+// ===============================================
+router.post("/2fa/confirm", authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ ok: false, error: ERRORS.TWO_FACTOR.MISSING_CODE });
+    }
+    
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRETS);
+    
+    if (!user) {
+      return res.status(404).json({ ok: false, error: ERRORS.AUTH.USER_DELETED });
+    }
+    
+    if (!user.isActive) {
+      return res.status(403).json({ ok: false, error: ERRORS.AUTH.ACCOUNT_DISABLED });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ ok: false, error: ERRORS.TWO_FACTOR.ALREADY_ENABLED });
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ ok: false, error: ERRORS.TWO_FACTOR.SETUP_NOT_STARTED });
+    }
+    
+    const step = twoFactorAuth.verifyTokenStep(user.twoFactor.pendingSecret, code);
+    
+    if (step === null) {
+      await audit(req, user, '2fa_confirm_failed');
+      return res.status(400).json({ ok: false, error: ERRORS.TWO_FACTOR.INVALID_CODE });
+    }
+    
+    // קודי גיבוי מוצגים פעם אחת בלבד - נשמר רק ה-hash
+    const backupCodes = twoFactorAuth.generateBackupCodes();
+    
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.backupCodes = await twoFactorAuth.hashBackupCodes(backupCodes);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastVerified = new Date();
+    await user.save();
+    
+    await audit(req, user, '2fa_enabled', { viaSetupToken: req.user.purpose === TOKEN_PURPOSE.SETUP });
+    
+    logger.info("2FA enabled", { username: user.username });
+    
+    // הפעלה כחלק מההתחברות (setupToken) - הסיסמה כבר נבדקה, מנפיקים את טוקן הגישה
+    const login = req.user.purpose === TOKEN_PURPOSE.SETUP
+      ? await completeLogin(req, user, { twoFactor: 'enrollment' })
+      : {};
+    
+    res.json({
+      ...login,
+      ok: true,
+      backupCodes,
+      message: "אימות דו-שלבי הופעל. שמור את קודי הגיבוי במקום בטוח - הם לא יוצגו שוב"
     });
+  } catch (err) {
+    logger.error("2FA confirm error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.TWO_FACTOR_ERROR });
+  }
+});
+
+// ===============================================
+// POST /auth/2fa/disable - ביטול 2FA (סיסמה + קוד מהאפליקציה או קוד גיבוי)
+// ===============================================
+router.post("/2fa/disable", authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!password || !code) {
+      return res.status(400).json({ ok: false, error: ERRORS.TWO_FACTOR.MISSING_PASSWORD });
+    }
+    
+    const user = await User.findById(req.user.userId).select(`+passwordHash ${TWO_FACTOR_SECRETS}`);
+    
+    if (!user) {
+      return res.status(404).json({ ok: false, error: ERRORS.AUTH.USER_DELETED });
+    }
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ ok: false, error: ERRORS.TWO_FACTOR.NOT_ENABLED });
+    }
+    
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ ok: false, error: ERRORS.TWO_FACTOR.REQUIRED_FOR_ROLE });
+    }
+    
+    const isValid = await bcrypt.compare(password, user.passwordHash);
+    const method = isValid ? await verifySecondFactor(user, code) : null;
+    
+    if (!method) {
+      await audit(req, user, '2fa_disable_failed', { reason: isValid ? 'invalid_2fa_code' : 'invalid_password' });
+      return res.status(401).json({
+        ok: false,
+        error: isValid ? ERRORS.TWO_FACTOR.INVALID_CODE : ERRORS.PASSWORD.CURRENT_INVALID
+      });
+    }
+    
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.enabledAt = null;
+    await user.save();
+    
+    await audit(req, user, '2fa_disabled', { verifiedWith: method });
+    
+    logger.info("2FA disabled", { username: user.username });
+    
+    res.json({ ok: true, message: "אימות דו-שלבי בוטל" });
+  } catch (err) {
+    logger.error("2FA disable error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.TWO_FACTOR_ERROR });
   }
 });
 
@@ -277,7 +672,9 @@ router.get("/me", authenticateToken, async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        stations: user.stations || [],
         isActive: user.isActive,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       }
@@ -296,19 +693,17 @@ router.get("/me", authenticateToken, async (req, res) => {
 // ===============================================
 router.post("/logout", authenticateToken, async (req, res) => {
   try {
-    // ✅ FIX #3: TODO for token revocation
-    // TODO: implement token revocation if session-based auth is added
-    // For now, this is stateless - client should delete token
-    // Future options:
-    // - Maintain token blacklist in Redis
-    // - Use session-based auth with server-side state
-    // - Implement refresh token rotation
+    // ביטול הסשן הנוכחי - ה-refresh token וטוקן הגישה לא יתקבלו עוד
+    if (req.user.sid && req.user.userId) {
+      await sessionService.revokeSession(req.user.userId, req.user.sid, 'logout');
+    }
     
     // Log logout
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
       username: req.user.username || req.user.user,
       action: 'logout',
+      details: { sessionId: req.user.sid || null },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     }).catch(err => logger.error('AuditLog error:', err));
@@ -330,6 +725,64 @@ router.post("/logout", authenticateToken, async (req, res) => {
   }
 });
 
+// ===============================================
+// GET /auth/sessions - הסשנים הפעילים שלי
+// ===============================================
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId, req.user.sid);
+    
+    res.json({ ok: true, sessions, count: sessions.length });
+  } catch (err) {
+    logger.error("Sessions list error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.SESSIONS_ERROR });
+  }
+});
+
+// ===============================================
+// DELETE /auth/sessions/:id - ביטול סשן (מכשיר) אחד
+// ===============================================
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.userId, req.params.id, 'revoked');
+    
+    if (!revoked) {
+      return res.status(404).json({ ok: false, error: ERRORS.SESSION.NOT_FOUND });
+    }
+    
+    await audit(req, { _id: req.user.userId, username: req.user.username }, 'session_revoked', {
+      sessionId: req.params.id,
+      current: req.params.id === req.user.sid
+    });
+    
+    res.json({ ok: true, message: "הסשן בוטל" });
+  } catch (err) {
+    logger.error("Session revoke error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.SESSIONS_ERROR });
+  }
+});
+
+// ===============================================
+// DELETE /auth/sessions - התנתקות מכל המכשירים האחרים (includeCurrent=true - גם מהנוכחי)
+// ===============================================
+router.delete("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    
+    const count = await sessionService.revokeAllForUser(req.user.userId, {
+      exceptSessionId: includeCurrent ? null : req.user.sid,
+      reason: 'revoked'
+    });
+    
+    await audit(req, { _id: req.user.userId, username: req.user.username }, 'sessions_revoked', { count, includeCurrent });
+    
+    res.json({ ok: true, revoked: count, message: `${count} סשנים בוטלו` });
+  } catch (err) {
+    logger.error("Sessions revoke error", { error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.SESSIONS_ERROR });
+  }
+});
+
 // ===============================================
 // POST /auth/change-password - שינוי סיסמה
 // ===============================================
@@ -362,7 +815,7 @@ router.post("/change-password", authenticateToken, async (req, res) => {
     // Recommended library: zxcvbn for password strength estimation
     
     // ✅ FIX #2: Find user and verify still exists/active
-    const user = await User.findById(req.user.userId);
+    const user = await User.findById(req.user.userId).select('+passwordHash');
     
     if (!user) {
       logger.warn("Password change attempt - user not found", { userId: req.user.userId });
@@ -401,11 +854,18 @@ router.post("/change-password", authenticateToken, async (req, res) => {
     user.updatedAt = new Date();
     await user.save();
     
+    // שאר הסשנים (מכשירים אחרים) מנותקים - הסשן הנוכחי נשאר
+    const revokedSessions = await sessionService.revokeAllForUser(user._id, {
+      exceptSessionId: req.user.sid,
+      reason: 'password_changed'
+    });
+    
     // Log password change
     await AuditLog.create({
       userId: user._id.toString(),
       username: user.username,
       action: 'password_changed',
+      details: { revokedSessions },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     }).catch(err => logger.error('AuditLog error:', err));
@@ -540,11 +1000,15 @@ router.post("/reset-password", async (req, res) => {
     user.updatedAt = new Date();
     await user.save();
     
+    // כל הסשנים מנותקים - ייתכן שהסיסמה הקודמת דלפה
+    const revokedSessions = await sessionService.revokeAllForUser(user._id, { reason: 'password_reset' });
+    
     // Log password reset
     await AuditLog.create({
       userId: user._id.toString(),
       username: user.username,
       action: 'password_reset_completed',
+      details: { revokedSessions },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     }).catch(err => logger.error('AuditLog error:', err));
@@ -4,9 +4,12 @@
 // ============================================================
 
 import express from 'express';
-import { AuditLog, BillingConfig, Driver, Payment } from '../models/index.js';
+import { AuditLog, BillingConfig, Driver } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { requirePermission } from '../middlewares/rbac.js';
+import { requirePermission, requireScope, inStationScope, scopeFilter } from '../middlewares/rbac.js';
+import commissionLedger, { ledgerPeriodRange } from '../utils/commissionLedger.js';
+import stationBillingService from '../utils/stationBillingService.js';
+import stationService, { StationError } from '../utils/stationService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -14,10 +17,21 @@ const router = express.Router();
 // Error messages
 const ERRORS = {
   BILLING: {
-    CONFIG_NOT_FOUND: 'הגדרות חיוב לא נמצאו',
     INVALID_PRICE: 'מחיר לא תקין',
     INVALID_PERCENT: 'אחוז לא תקין',
-    MISSING_FIELDS: 'חסרים שדות חובה'
+    INVALID_TAX: 'מע"מ לא תקין',
+    INVALID_CURRENCY: 'מטבע לא נתמך',
+    MISSING_FIELDS: 'חסרים שדות חובה',
+    INVALID_PERIOD: 'חודש או שנה לא תקינים',
+    INVALID_ENTRY_TYPE: 'סוג רשומה לא תקין',
+    INVALID_DIRECTION: 'תיקון דורש כיוון (debit / credit)',
+    RUN_IN_PROGRESS: 'הרצת חיוב כבר מתבצעת'
+  },
+  DRIVER: {
+    NOT_FOUND: 'נהג לא נמצא'
+  },
+  STATION: {
+    NOT_FOUND: 'תחנה לא נמצאה'
   },
   SERVER: {
     DATABASE: 'שגיאת בסיס נתונים',
@@ -25,6 +39,19 @@ const ERRORS = {
   }
 };
 
+const CURRENCIES = BillingConfig.schema.path('currency').enumValues;
+
+// נתיבי /:driverId - נהג מחוץ לתחנות של המשתמש מוחזר כ-404
+const DRIVER_SCOPE = { param: 'driverId' };
+
+/**
+ * התחנה של הגדרות החיוב: ?station= / body.station, משתמש מוגבל - התחנה הראשונה שלו
+ * @returns {string|null} - null = ההגדרות הכלליות
+ */
+function configStation(req, station) {
+  return station || req.scope.stations[0] || null;
+}
+
 // ============================================================
 // CONFIGURATION ENDPOINTS
 // ============================================================
@@ -34,24 +61,17 @@ const ERRORS = {
 // ===============================================
 router.get('/config', authenticateToken, requirePermission('billing:read'), async (req, res) => {
   try {
-    // Get current config or create default
-    let config = await BillingConfig.findOne();
-    
-    if (!config) {
-      logger.info('Creating default billing config');
-      
-      // Create default config
-      config = await BillingConfig.create({
-        stationMonthlyPrice: 500,
-        externalCommissionPercent: 10,
-        internalCommissionPercent: 8,
-        minimumCommission: 50,
-        currency: 'ILS',
-        taxRate: 17, // VAT in Israel
-        updatedBy: req.user.username || 'system'
+    const station = configStation(req, req.query.station);
+    if (station && !inStationScope(req, station)) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.STATION.NOT_FOUND
       });
     }
     
+    // Station config, falling back to the global one (created on first use)
+    const config = await BillingConfig.getConfig(station);
+    
     logger.info('Billing config fetched', {
       requestId: req.id,
       userId: req.user.userId
@@ -61,6 +81,7 @@ router.get('/config', authenticateToken, requirePermission('billing:read'), asyn
       ok: true,
       config: {
         id: config._id,
+        station: config.station || null,
         stationMonthlyPrice: config.stationMonthlyPrice,
         externalCommissionPercent: config.externalCommissionPercent,
         internalCommissionPercent: config.internalCommissionPercent,
@@ -94,7 +115,8 @@ router.put('/config', authenticateToken, requirePermission('billing:update'), as
       internalCommissionPercent,
       minimumCommission,
       currency,
-      taxRate
+      taxRate,
+      station
     } = req.body;
     
     // Validation
@@ -125,17 +147,30 @@ router.put('/config', authenticateToken, requirePermission('billing:update'), as
         (isNaN(taxRate) || taxRate < 0 || taxRate > 100)) {
       return res.status(400).json({
         ok: false,
-        error: 'מע"מ לא תקין'
+        error: ERRORS.BILLING.INVALID_TAX
       });
     }
     
-    // Get or create config
-    let config = await BillingConfig.findOne();
+    if (minimumCommission !== undefined && (isNaN(minimumCommission) || minimumCommission < 0)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_PRICE
+      });
+    }
     
-    if (!config) {
-      config = new BillingConfig();
+    if (currency && !CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_CURRENCY
+      });
     }
     
+    // 🏢 Station config (created from the global one) or the global config
+    const targetStation = configStation(req, station);
+    const config = targetStation
+      ? await BillingConfig.getOrCreateForStation(await stationService.assertAssignable(targetStation, req.scope))
+      : await BillingConfig.getConfig();
+    
     // Store old values for audit
     const oldValues = {
       stationMonthlyPrice: config.stationMonthlyPrice,
@@ -177,6 +212,7 @@ router.put('/config', authenticateToken, requirePermission('billing:update'), as
       username: req.user.username || 'admin',
       action: 'billing_config_updated',
       details: {
+        station: config.station || null,
         oldValues,
         newValues: {
           stationMonthlyPrice: config.stationMonthlyPrice,
@@ -199,6 +235,7 @@ router.put('/config', authenticateToken, requirePermission('billing:update'), as
       ok: true,
       config: {
         id: config._id,
+        station: config.station || null,
         stationMonthlyPrice: config.stationMonthlyPrice,
         externalCommissionPercent: config.externalCommissionPercent,
         internalCommissionPercent: config.internalCommissionPercent,
@@ -211,6 +248,9 @@ router.put('/config', authenticateToken, requirePermission('billing:update'), as
       message: 'הגדרות חיוב עודכנו בהצלחה'
     });
   } catch (err) {
+    if (err instanceof StationError) {
+      return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+    }
     logger.error('Error updating billing config', {
       requestId: req.id,
       error: err.message
@@ -231,7 +271,7 @@ router.put('/config', authenticateToken, requirePermission('billing:update'), as
 // ===============================================
 router.post('/calculate-commission', authenticateToken, requirePermission('billing:read'), async (req, res) => {
   try {
-    const { amount, isExternal = false } = req.body;
+    const { amount, isExternal = false, station } = req.body;
     
     if (!amount || isNaN(amount) || amount <= 0) {
       return res.status(400).json({
@@ -240,50 +280,134 @@ router.post('/calculate-commission', authenticateToken, requirePermission('billi
       });
     }
     
-    const config = await BillingConfig.findOne();
-    
-    if (!config) {
+    if (station && !inStationScope(req, station)) {
       return res.status(404).json({
         ok: false,
-        error: ERRORS.BILLING.CONFIG_NOT_FOUND
+        error: ERRORS.STATION.NOT_FOUND
       });
     }
     
-    const commissionPercent = isExternal 
-      ? config.externalCommissionPercent 
-      : config.internalCommissionPercent;
+    // אותו חישוב כמו Ride.commissionAmount ו-AutoLockAfterRideService (לפי תחנת הנסיעה)
+    const config = await BillingConfig.getConfig(configStation(req, station));
+    const calculation = config.calculateCommission(parseFloat(amount), isExternal === true || isExternal === 'true');
+    
+    logger.info('Commission calculated', {
+      requestId: req.id,
+      amount: calculation.amount,
+      commission: calculation.commission,
+      total: calculation.total,
+      isExternal: calculation.isExternal
+    });
+    
+    res.json({
+      ok: true,
+      calculation
+    });
+  } catch (err) {
+    logger.error('Error calculating commission', {
+      requestId: req.id,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// GET /api/billing/driver-monthly/:driverId - דוח חודשי לנהג (ספר החשבונות)
+// ===============================================
+// ?month=&year=&format=json|csv
+router.get('/driver-monthly/:driverId', authenticateToken, requirePermission('billing:read'), requireScope(Driver, DRIVER_SCOPE), async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    const { month, year, format = 'json' } = req.query;
+    
+    const targetMonth = month ? parseInt(month) : new Date().getMonth() + 1;
+    const targetYear = year ? parseInt(year) : new Date().getFullYear();
     
-    let commission = (parseFloat(amount) * commissionPercent) / 100;
+    if (!(targetMonth >= 1 && targetMonth <= 12) || !(targetYear >= 2000 && targetYear <= 2100)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_PERIOD
+      });
+    }
+    
+    const statement = await commissionLedger.getMonthlyStatement(driverId, targetYear, targetMonth);
     
-    // Apply minimum commission if exists
-    if (config.minimumCommission && commission < config.minimumCommission) {
-      commission = config.minimumCommission;
+    if (!statement) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.DRIVER.NOT_FOUND
+      });
     }
     
-    const netAmount = parseFloat(amount) - commission;
-    const tax = (commission * config.taxRate) / 100;
+    const driver = await Driver.findById(driverId).select('station').lean();
+    const config = await BillingConfig.getConfig(driver?.station);
     
-    logger.info('Commission calculated', {
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="statement-${statement.driver.driverId || driverId}-${statement.period.key}.csv"`
+      );
+      return res.send(commissionLedger.statementToCsv(statement));
+    }
+    
+    res.json({
+      ok: true,
+      statement: {
+        ...statement,
+        currency: config?.currency || 'ILS'
+      }
+    });
+  } catch (err) {
+    logger.error('Error generating driver monthly statement', {
       requestId: req.id,
-      amount,
-      commission,
-      isExternal
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ============================================================
+// LEDGER ENDPOINTS
+// ============================================================
+
+// ===============================================
+// GET /api/billing/ledger/:driverId - יתרה ותנועות של נהג
+// ===============================================
+router.get('/ledger/:driverId', authenticateToken, requirePermission('billing:read'), requireScope(Driver, DRIVER_SCOPE), async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    const { from, to, limit = 200 } = req.query;
+    
+    const balance = await commissionLedger.getBalance(driverId);
+    
+    if (balance === null) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.DRIVER.NOT_FOUND
+      });
+    }
+    
+    const entries = await commissionLedger.getEntries(driverId, {
+      from,
+      to,
+      limit: Math.min(parseInt(limit) || 200, 1000)
     });
     
     res.json({
       ok: true,
-      calculation: {
-        amount: parseFloat(amount),
-        commissionPercent,
-        commission,
-        minimumCommissionApplied: config.minimumCommission && commission === config.minimumCommission,
-        netAmount,
-        tax,
-        currency: config.currency
-      }
+      balance,
+      entries
     });
   } catch (err) {
-    logger.error('Error calculating commission', {
+    logger.error('Error fetching driver ledger', {
       requestId: req.id,
       error: err.message
     });
@@ -295,70 +419,152 @@ router.post('/calculate-commission', authenticateToken, requirePermission('billi
 });
 
 // ===============================================
-// GET /api/billing/driver-monthly/:driverId - חיוב חודשי לנהג
+// POST /api/billing/ledger/:driverId/entries - תיקון / קנס / בונוס ידני
 // ===============================================
-router.get('/driver-monthly/:driverId', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+router.post('/ledger/:driverId/entries', authenticateToken, requirePermission('billing:update'), requireScope(Driver, DRIVER_SCOPE), async (req, res) => {
   try {
     const { driverId } = req.params;
-    const { month, year } = req.query;
+    const { type, amount, direction, description } = req.body;
+    
+    if (!['adjustment', 'penalty', 'bonus'].includes(type)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_ENTRY_TYPE
+      });
+    }
+    
+    if (!amount || isNaN(amount) || amount <= 0) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_PRICE
+      });
+    }
     
-    // Validate driver exists
-    const driver = await Driver.findById(driverId);
+    if (type === 'adjustment' && !['debit', 'credit'].includes(direction)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_DIRECTION
+      });
+    }
+    
+    if (!description || !description.trim()) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.MISSING_FIELDS
+      });
+    }
+    
+    const driver = await Driver.findById(driverId).select('_id name');
     if (!driver) {
       return res.status(404).json({
         ok: false,
-        error: 'נהג לא נמצא'
+        error: ERRORS.DRIVER.NOT_FOUND
       });
     }
     
-    const config = await BillingConfig.findOne();
-    
-    // Calculate date range
-    const targetMonth = month ? parseInt(month) : new Date().getMonth() + 1;
-    const targetYear = year ? parseInt(year) : new Date().getFullYear();
+    const { entry } = await commissionLedger.post({
+      driverId: driver._id,
+      type,
+      direction,
+      amount: parseFloat(amount),
+      idempotencyKey: `manual:${driver._id}:${Date.now()}`,
+      description: description.trim(),
+      reference: { kind: 'manual' },
+      createdBy: req.user.username || 'admin'
+    });
     
-    const startDate = new Date(targetYear, targetMonth - 1, 1);
-    const endDate = new Date(targetYear, targetMonth, 0, 23, 59, 59);
+    await AuditLog.create({
+      userId: req.user.userId || req.user.user,
+      username: req.user.username || 'admin',
+      action: 'ledger_entry_created',
+      details: {
+        entryId: entry._id,
+        driverId: driver._id,
+        driverName: driver.name,
+        type,
+        direction: entry.balanceDelta > 0 ? 'debit' : 'credit',
+        amount: entry.amount,
+        description: entry.description
+      }
+    }).catch(err => logger.error('AuditLog error:', err));
     
-    // Get all payments for this driver in the period
-    const payments = await Payment.find({
+    logger.success('Manual ledger entry created', {
+      requestId: req.id,
       driverId,
-      createdAt: {
-        $gte: startDate,
-        $lte: endDate
-      }
+      type,
+      amount: entry.amount
     });
     
-    const totalAmount = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
-    const totalPaid = payments.filter(p => p.status === 'paid').reduce((sum, p) => sum + (p.amount || 0), 0);
-    const totalPending = payments.filter(p => p.status === 'pending').reduce((sum, p) => sum + (p.amount || 0), 0);
+    res.json({
+      ok: true,
+      entry,
+      balance: entry.balanceAfter
+    });
+  } catch (err) {
+    logger.error('Error creating ledger entry', {
+      requestId: req.id,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ============================================================
+// STATION FEES (SUBSCRIPTION BILLING)
+// ============================================================
+
+// ===============================================
+// POST /api/billing/station-fees/run - הרצת חיוב דמי תחנה חודשי
+// ===============================================
+// body: { month, year, dryRun } - ברירת מחדל: החודש הקודם
+router.post('/station-fees/run', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const { month, year, dryRun = false } = req.body;
+    const previous = stationBillingService.previousPeriod();
+    
+    const targetMonth = month ? parseInt(month) : previous.month;
+    const targetYear = year ? parseInt(year) : previous.year;
+    
+    if (!(targetMonth >= 1 && targetMonth <= 12) || !(targetYear >= 2000 && targetYear <= 2100)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_PERIOD
+      });
+    }
+    
+    // לא מחייבים חודש שעוד לא התחיל
+    if (ledgerPeriodRange(targetYear, targetMonth).startDate > new Date()) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.BILLING.INVALID_PERIOD
+      });
+    }
+    
+    if (stationBillingService.isBilling) {
+      return res.status(409).json({
+        ok: false,
+        error: ERRORS.BILLING.RUN_IN_PROGRESS
+      });
+    }
+    
+    const summary = await stationBillingService.runBilling({
+      year: targetYear,
+      month: targetMonth,
+      dryRun: dryRun === true || dryRun === 'true',
+      triggeredBy: req.user.username || 'admin',
+      // משתמש מוגבל מחייב רק את נהגי התחנות שלו
+      stations: req.scope.stations
+    });
     
     res.json({
       ok: true,
-      billing: {
-        driver: {
-          id: driver._id,
-          name: driver.name,
-          phone: driver.phone
-        },
-        period: {
-          month: targetMonth,
-          year: targetYear,
-          startDate,
-          endDate
-        },
-        stationFee: config?.stationMonthlyPrice || 0,
-        commissions: {
-          total: totalAmount,
-          paid: totalPaid,
-          pending: totalPending
-        },
-        total: (config?.stationMonthlyPrice || 0) + totalAmount,
-        currency: config?.currency || 'ILS'
-      }
+      summary
     });
   } catch (err) {
-    logger.error('Error calculating driver monthly billing', {
+    logger.error('Error running station billing', {
       requestId: req.id,
       error: err.message
     });
@@ -374,31 +580,22 @@ router.get('/driver-monthly/:driverId', authenticateToken, requirePermission('bi
 // ===============================================
 router.get('/summary', authenticateToken, requirePermission('billing:read'), async (req, res) => {
   try {
-    const { month, year } = req.query;
+    const { month, year, station } = req.query;
     
-    const config = await BillingConfig.findOne();
+    // 🏢 נהגי התחנות של המשתמש / התחנה המבוקשת
+    const driverScope = scopeFilter(req, { requestedStation: station });
+    const config = await BillingConfig.getConfig(configStation(req, station));
     
-    // Calculate date range
+    // Target period
     const targetMonth = month ? parseInt(month) : new Date().getMonth() + 1;
     const targetYear = year ? parseInt(year) : new Date().getFullYear();
     
-    const startDate = new Date(targetYear, targetMonth - 1, 1);
-    const endDate = new Date(targetYear, targetMonth, 0, 23, 59, 59);
-    
-    // Get all payments in period
-    const payments = await Payment.find({
-      createdAt: {
-        $gte: startDate,
-        $lte: endDate
-      }
-    });
-    
     // Get active drivers count
-    const activeDrivers = await Driver.countDocuments({ isActive: true });
+    const activeDrivers = await Driver.countDocuments({ ...driverScope, isActive: true });
     
-    const totalCommissions = payments.reduce((sum, p) => sum + (p.commissionAmount || 0), 0);
-    const totalPaid = payments.filter(p => p.status === 'paid').reduce((sum, p) => sum + (p.amount || 0), 0);
-    const totalPending = payments.filter(p => p.status === 'pending').reduce((sum, p) => sum + (p.amount || 0), 0);
+    // 📒 Ledger totals for the period
+    const ledger = await commissionLedger.getPeriodTotals(targetYear, targetMonth, driverScope);
+    const totalCommissions = ledger.totals.commission;
     
     const stationFees = activeDrivers * (config?.stationMonthlyPrice || 0);
     
@@ -416,9 +613,11 @@ router.get('/summary', authenticateToken, requirePermission('billing:read'), asy
         },
         commissions: {
           total: totalCommissions,
-          paid: totalPaid,
-          pending: totalPending
+          paid: ledger.totals.payment,
+          pending: ledger.outstanding
         },
+        ledger: ledger.totals,
+        driversWithDebt: ledger.driversWithDebt,
         grandTotal: stationFees + totalCommissions,
         currency: config?.currency || 'ILS'
       }
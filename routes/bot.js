@@ -6,8 +6,14 @@
 import express from 'express';
 import { Activity, Driver, RegistrationSession, Ride, WhatsAppGroup } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { rejectTwilioReplay, verifyTwilioSignature } from '../middlewares/twilioSignature.js';
 import logger from '../utils/logger.js';
 import websockets from '../utils/websockets.js';
+import registrationHandler from '../utils/registrationHandler.js';
+import driverCommandRouter from '../utils/driverCommandRouter.js';
+import customerBookingHandler from '../utils/customerBookingHandler.js';
+import rideStateMachine from '../utils/rideStateMachine.js';
+import deliveryStatusService from '../utils/deliveryStatusService.js';
 
 // Import what you need (adjust based on actual usage)
 // import Ride from '../models/Ride.js';
@@ -18,13 +24,13 @@ import websockets from '../utils/websockets.js';
 const router = express.Router();
 
 // ============================================================
-// 9 ENDPOINTS
+// 10 ENDPOINTS
 // ============================================================
 
-// POST /api/twilio/webhook
-router.post("/api/twilio/webhook", async (req, res) => {
+// POST /api/twilio/webhook - הודעות נכנסות (חתומות, כל MessageSid פעם אחת)
+router.post("/api/twilio/webhook", verifyTwilioSignature, rejectTwilioReplay, async (req, res) => {
   try {
-    const { From, Body, MediaUrl0, NumMedia } = req.body;
+    const { From, Body, MediaUrl0, NumMedia, Latitude, Longitude, ProfileName } = req.body;
     const driverPhone = From?.replace('whatsapp:', '');
     
     logger.info('📩 Twilio webhook received', { 
@@ -47,6 +53,46 @@ router.post("/api/twilio/webhook", async (req, res) => {
       return res.status(200).send(registrationResult);
     }
     
+    // ===============================================
+    // 🚕 STEP 1.2: Customer booking flow (מספרים שאינם נהגים)
+    // ===============================================
+    // נהג רשום שמשתף מיקום / שולח פקודה (ביטול, 1, כן...) לא נבלע בזרימת ההזמנה
+    const isKnownDriver = await Driver.exists({ phone: driverPhone });
+    
+    if (!isKnownDriver) {
+      const bookingResult = await customerBookingHandler.handleMessage(driverPhone, Body, {
+        latitude: Latitude,
+        longitude: Longitude,
+        profileName: ProfileName
+      });
+      
+      if (bookingResult) {
+        return res.status(200).send(bookingResult);
+      }
+    }
+    
+    // ===============================================
+    // 📍 STEP 1.5: Shared location - update driver position
+    // ===============================================
+    if (Latitude && Longitude) {
+      const locationDriver = await Driver.findOne({ phone: driverPhone });
+      
+      if (!locationDriver) {
+        return res.status(200).send('❌ אתה לא רשום במערכת');
+      }
+      
+      await locationDriver.updateLocation(parseFloat(Latitude), parseFloat(Longitude), 'whatsapp');
+      
+      logger.info('📍 Driver location updated via WhatsApp', {
+        driverPhone,
+        driverId: locationDriver._id
+      });
+      
+      return res.status(200).send(`📍 *המיקום עודכן*
+
+תקבל הצעות לנסיעות ברדיוס ${locationDriver.serviceRadiusKm} ק"מ ממך.`);
+    }
+    
     // ===============================================
     // 🔍 STEP 2: Check for special commands
     // ===============================================
@@ -64,6 +110,13 @@ router.post("/api/twilio/webhook", async (req, res) => {
       return res.status(200).send(cancelResult);
     }
     
+    // Driver self-service commands (עזרה, נסיעות, עמלות, רווחים, משמרת, דיווח)
+    const commandReply = await driverCommandRouter.handleMessage(driverPhone, Body);
+    
+    if (commandReply) {
+      return res.status(200).send(commandReply);
+    }
+    
     // ===============================================
     // 🔍 STEP 3: Check for ride link (RIDE:id:token)
     // ===============================================
@@ -136,30 +189,37 @@ router.post("/api/twilio/webhook", async (req, res) => {
     // במקום לבדוק ואז לשנות (race condition),
     // עושים את זה אטומית עם findOneAndUpdate
     
-    const lockedRide = await Ride.findOneAndUpdate(
-      { 
-        _id: ride._id,
-        status: { $in: ['distributed', 'created', 'sent'] } // רק אם עדיין זמין!
-      },
-      {
-        $set: {
-          status: 'assigned',
+    // 📄 מסמך שפג תוקפו - ה-state machine חוסם (DOCUMENTS_EXPIRED) עד אימות מסמך מחודש
+    let lockedRide;
+    try {
+      lockedRide = await rideStateMachine.transition(ride, 'assigned', {
+        actor: driverPhone,
+        actorRole: 'driver',
+        event: 'assigned',
+        reason: `נסיעה נלקחה על ידי ${driver.name}`,
+        details: { driver: driver.name, source: 'twilio_link' },
+        set: {
           driverPhone,
           driverName: driver.name,
           driverId: driver._id,
           assignedAt: new Date()
         },
-        $push: {
-          history: {
-            status: 'assigned',
-            by: driverPhone,
-            timestamp: new Date(),
-            details: `נסיעה נלקחה על ידי ${driver.name}`
-          }
-        }
-      },
-      { new: true }
-    );
+        expectedFrom: ['distributed', 'created', 'sent'] // רק אם עדיין זמין!
+      });
+    } catch (err) {
+      if (err.code !== 'DOCUMENTS_EXPIRED') throw err;
+      
+      logger.warn('❌ Driver with expired documents attempt', {
+        driverPhone,
+        driverName: driver.name,
+        expiredDocuments: err.details.expiredDocuments
+      });
+      
+      return res.status(200).send(`⛔ *${err.message}*
+
+לא ניתן לקחת נסיעות עד לאימות מסמך בתוקף.
+📤 שלח למשרד מסמך מחודש.`);
+    }
     
     // אם לא הצלחנו לנעול - הנסיעה כבר נלקחה!
     if (!lockedRide) {
@@ -240,7 +300,8 @@ ${driver.blockReason || 'פנה למנהל לפרטים'}`);
         status: 'assigned',
         driverName: driver.name,
         driverId: driver.driverId,
-        driverPhone
+        driverPhone,
+        station: finalRide.station
       });
     }
     
@@ -281,10 +342,33 @@ ${finalRide.notes ? `📝 *הערות:* ${finalRide.notes}\n` : ''}---
     
   } catch (err) {
     logger.error('❌ Twilio webhook error', err);
-    res.status(200).send('❌ שגיאת שרת');
+    // 5xx - ה-MessageSid משתחרר (rejectTwilioReplay) ו-Twilio יכול לנסות שוב
+    res.status(500).send('❌ שגיאת שרת');
   }
 });
 
+// POST /api/twilio/status - עדכוני מסירה (status callback) חתומים מ-Twilio
+router.post("/api/twilio/status", verifyTwilioSignature, async (req, res) => {
+  try {
+    const result = await deliveryStatusService.applyTwilioStatus(req.body);
+
+    logger.debug('📬 Twilio status callback', {
+      sid: req.body.MessageSid,
+      status: req.body.MessageStatus,
+      errorCode: req.body.ErrorCode || null,
+      ...result
+    });
+  } catch (err) {
+    logger.error('❌ Twilio status callback error', {
+      sid: req.body?.MessageSid,
+      error: err.message
+    });
+  }
+
+  // Twilio מצפה ל-2xx - אחרת ינסה שוב
+  res.sendStatus(200);
+});
+
 
 // POST /api/bot/send-message
 router.post("/send-message", authenticateToken, async (req, res) => {
@@ -374,9 +458,24 @@ router.post("/trip-sent", async (req, res) => {
       });
     }
     
-    ride.status = 'sent';
-    ride.sentCount = (ride.sentCount || 0) + 1;
-    await ride.addHistory('sent', 'bot', `Sent to ${sentTo?.groupsSent || 'groups'} groups`);
+    // נסיעה שכבר נלקחה לא חוזרת ל-sent
+    const sentRide = await rideStateMachine.transition(ride, 'sent', {
+      actor: 'bot',
+      actorRole: 'bot',
+      event: 'sent',
+      reason: `Sent to ${sentTo?.groupsSent || 'groups'} groups`,
+      inc: { sentCount: 1 },
+      expectedFrom: ['created', 'distributed', 'sent']
+    });
+    
+    if (!sentRide) {
+      logger.warn('Trip-sent ignored - ride already taken', { tripId, status: ride.status });
+      return res.json({
+        ok: true,
+        message: 'Trip status unchanged',
+        status: ride.status
+      });
+    }
     
     logger.success('Trip marked as sent', { tripId, sentTo });
     
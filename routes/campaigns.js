@@ -1,12 +1,55 @@
 import express from 'express';
-import { Campaign } from '../models/index.js';
+import { AuditLog, Campaign } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
 import { requirePermission } from '../middlewares/rbac.js';
+import campaignRunner from '../utils/campaignRunner.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+const ERRORS = {
+  NOT_FOUND: 'Campaign not found',
+  INVALID_STATUS: 'Campaign status does not allow this action'
+};
+
+/**
+ * פעולת בקרה על קמפיין (start / pause / resume / cancel)
+ * @param {Function} action - async (campaignId, req) => campaign | null
+ */
+function controlRoute(actionName, action) {
+  return async (req, res) => {
+    try {
+      const exists = await Campaign.exists({ _id: req.params.id });
+      if (!exists) {
+        return res.status(404).json({ ok: false, error: ERRORS.NOT_FOUND });
+      }
+
+      const campaign = await action(req.params.id, req);
+      if (!campaign) {
+        return res.status(409).json({ ok: false, error: ERRORS.INVALID_STATUS });
+      }
+
+      AuditLog.create({
+        userId: req.user.userId || req.user.user,
+        username: req.user.username || req.user.user,
+        action: `campaign_${actionName}`,
+        details: { campaignId: campaign._id, name: campaign.name, status: campaign.status }
+      }).catch(err => logger.error('AuditLog error:', err));
+
+      res.json({ ok: true, campaign });
+    } catch (error) {
+      logger.error(`Error on campaign ${actionName}`, {
+        requestId: req.id,
+        campaignId: req.params.id,
+        error: error.message
+      });
+      res.status(500).json({ ok: false, error: error.message });
+    }
+  };
+}
+
 // GET /api/campaigns - רשימת כל הקמפיינים
-router.get('/', authenticateToken, requirePermission('admin'), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('messages:read'), async (req, res) => {
   try {
     const campaigns = await Campaign.find().sort({ createdAt: -1 });
     res.json({ ok: true, campaigns });
@@ -16,9 +59,12 @@ router.get('/', authenticateToken, requirePermission('admin'), async (req, res)
 });
 
 // POST /api/campaigns - יצירת קמפיין חדש
-router.post('/', authenticateToken, requirePermission('admin'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('messages:create'), async (req, res) => {
   try {
-    const campaign = new Campaign(req.body);
+    const campaign = new Campaign({
+      ...req.body,
+      createdBy: req.user.username || req.user.user
+    });
     await campaign.save();
     res.json({ ok: true, campaign });
   } catch (error) {
@@ -26,12 +72,27 @@ router.post('/', authenticateToken, requirePermission('admin'), async (req, res)
   }
 });
 
+// POST /api/campaigns/preview - גודל קהל היעד ודוגמה (לפני שמירה)
+router.post('/preview', authenticateToken, requirePermission('messages:read'), async (req, res) => {
+  try {
+    const recipients = await campaignRunner.resolveAudience(req.body.filters || {});
+
+    res.json({
+      ok: true,
+      count: recipients.length,
+      sample: recipients.slice(0, 10).map(({ phone, name, type }) => ({ phone, name, type }))
+    });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
 // GET /api/campaigns/:id - קמפיין ספציפי
-router.get('/:id', authenticateToken, requirePermission('admin'), async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('messages:read'), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id);
     if (!campaign) {
-      return res.status(404).json({ ok: false, error: 'Campaign not found' });
+      return res.status(404).json({ ok: false, error: ERRORS.NOT_FOUND });
     }
     res.json({ ok: true, campaign });
   } catch (error) {
@@ -39,4 +100,20 @@ router.get('/:id', authenticateToken, requirePermission('admin'), async (req, re
   }
 });
 
+// POST /api/campaigns/:id/start - הפעלה מיידית (טיוטה / מתוזמן)
+router.post('/:id/start', authenticateToken, requirePermission('messages:send'),
+  controlRoute('started', (id) => campaignRunner.startNow(id)));
+
+// POST /api/campaigns/:id/pause - השהיה (בסוף המנה הנוכחית)
+router.post('/:id/pause', authenticateToken, requirePermission('messages:send'),
+  controlRoute('paused', (id, req) => campaignRunner.pause(id, req.user.username || req.user.user)));
+
+// POST /api/campaigns/:id/resume - המשך קמפיין מושהה
+router.post('/:id/resume', authenticateToken, requirePermission('messages:send'),
+  controlRoute('resumed', (id) => campaignRunner.resume(id)));
+
+// POST /api/campaigns/:id/cancel - ביטול
+router.post('/:id/cancel', authenticateToken, requirePermission('messages:send'),
+  controlRoute('cancelled', (id, req) => campaignRunner.cancel(id, req.user.username || req.user.user, req.body?.reason || null)));
+
 export default router;
@@ -0,0 +1,559 @@
+// ============================================================
+// CORPORATE ROUTES
+// Corporate accounts, ride approvals and monthly invoices - utils/corporateBillingService.js
+// ============================================================
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { AuditLog, CorporateAccount, CorporateInvoice, Ride } from '../models/index.js';
+import { normalizePhone } from '../models/Customer.js';
+import { APPROVAL_MODES } from '../models/CorporateAccount.js';
+import { INVOICE_STATUSES } from '../models/CorporateInvoice.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/rbac.js';
+import corporateBillingService, { CorporateError } from '../utils/corporateBillingService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Error messages
+const ERRORS = {
+  ACCOUNT: {
+    NOT_FOUND: 'חשבון חברה לא נמצא',
+    ALREADY_EXISTS: 'כבר קיים חשבון עם הקוד הזה',
+    INVALID_APPROVAL_MODE: 'כלל אישור לא תקין',
+    UNKNOWN_COST_CENTER: 'מרכז עלות לא קיים בחשבון'
+  },
+  EMPLOYEE: {
+    INVALID_PHONE: 'מספר טלפון לא תקין',
+    NOT_FOUND: 'העובד לא רשום בחשבון',
+    ALREADY_EXISTS: 'העובד כבר רשום בחשבון',
+    IN_OTHER_ACCOUNT: 'הטלפון רשום כעובד פעיל בחשבון אחר'
+  },
+  RIDE: {
+    NOT_FOUND: 'נסיעה לא נמצאה'
+  },
+  INVOICE: {
+    NOT_FOUND: 'חשבונית לא נמצאה',
+    INVALID_PERIOD: 'חודש או שנה לא תקינים',
+    RUN_IN_PROGRESS: 'הפקת חשבוניות כבר מתבצעת',
+    NO_RIDES: 'אין נסיעות לחיוב בתקופה'
+  },
+  SERVER: {
+    DATABASE: 'שגיאת בסיס נתונים',
+    UNKNOWN: 'שגיאה לא צפויה'
+  }
+};
+
+const PHONE_REGEX = /^05\d{8}$/;
+const ACCOUNT_FIELDS = [
+  'name', 'taxId', 'contact', 'billingAddress', 'costCenters',
+  'monthlyLimit', 'approvalRule', 'paymentTermsDays', 'isActive', 'notes'
+];
+const EMPLOYEE_FIELDS = ['name', 'costCenter', 'monthlyLimit', 'isActive'];
+
+function pick(body, fields) {
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function audit(req, action, details) {
+  AuditLog.create({
+    userId: req.user.userId || req.user.user,
+    username: req.user.username || req.user.user,
+    action,
+    details
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+function sendError(req, res, err, message) {
+  if (err instanceof CorporateError) {
+    return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  logger.error(message, { requestId: req.id, error: err.message });
+  return res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+}
+
+async function findAccount(req, res) {
+  const account = mongoose.isValidObjectId(req.params.id) ? await CorporateAccount.findById(req.params.id) : null;
+  if (!account) {
+    res.status(404).json({ ok: false, error: ERRORS.ACCOUNT.NOT_FOUND });
+  }
+  return account;
+}
+
+async function findInvoice(req, res) {
+  const invoice = mongoose.isValidObjectId(req.params.id) ? await CorporateInvoice.findById(req.params.id) : null;
+  if (!invoice) {
+    res.status(404).json({ ok: false, error: ERRORS.INVOICE.NOT_FOUND });
+  }
+  return invoice;
+}
+
+/**
+ * כלל אישור ומרכזי עלות תקינים (לפני שמירה)
+ */
+function validateAccountPatch(patch, account = null) {
+  if (patch.approvalRule && !APPROVAL_MODES.includes(patch.approvalRule.mode)) {
+    return ERRORS.ACCOUNT.INVALID_APPROVAL_MODE;
+  }
+  if (patch.costCenters && account) {
+    const codes = new Set(patch.costCenters.map(center => String(center.code || '').toUpperCase()));
+    const orphan = account.employees.find(employee => employee.costCenter && !codes.has(employee.costCenter));
+    if (orphan) return `${ERRORS.ACCOUNT.UNKNOWN_COST_CENTER}: ${orphan.costCenter}`;
+  }
+  return null;
+}
+
+/**
+ * תקופה מ-body / query - ברירת מחדל: החודש הקודם
+ */
+function parsePeriod({ month, year }) {
+  const previous = corporateBillingService.previousPeriod();
+  const targetMonth = month ? parseInt(month) : previous.month;
+  const targetYear = year ? parseInt(year) : previous.year;
+
+  if (!(targetMonth >= 1 && targetMonth <= 12) || !(targetYear >= 2000 && targetYear <= 2100)) {
+    return null;
+  }
+  // לא מחייבים חודש שעוד לא התחיל
+  if (new Date(targetYear, targetMonth - 1, 1) > new Date()) {
+    return null;
+  }
+  return { year: targetYear, month: targetMonth };
+}
+
+// ============================================================
+// 15 ENDPOINTS
+// ============================================================
+
+// ===============================================
+// GET /api/corporate/accounts - רשימת חשבונות חברה
+// ===============================================
+router.get('/accounts', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const { search, active } = req.query;
+    const query = {};
+
+    if (active === 'true') query.isActive = true;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ code: pattern }, { name: pattern }, { 'employees.phone': pattern }];
+    }
+
+    const accounts = await CorporateAccount.find(query).sort({ name: 1 }).lean();
+    res.json({ ok: true, accounts });
+  } catch (err) {
+    logger.error('Error fetching corporate accounts', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/corporate/accounts - חשבון חדש
+// ===============================================
+router.post('/accounts', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const data = pick(req.body, ACCOUNT_FIELDS);
+    const invalid = validateAccountPatch(data);
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid });
+    }
+
+    const account = await CorporateAccount.create({
+      ...data,
+      code: req.body.code,
+      createdBy: req.user.username || req.user.user
+    });
+
+    audit(req, 'corporate_account_created', { accountId: account._id, code: account.code, name: account.name });
+    logger.success('Corporate account created', { requestId: req.id, code: account.code });
+
+    res.status(201).json({ ok: true, account });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ ok: false, error: ERRORS.ACCOUNT.ALREADY_EXISTS });
+    }
+    sendError(req, res, err, 'Error creating corporate account');
+  }
+});
+
+// ===============================================
+// GET /api/corporate/accounts/:id - חשבון + ניצול המסגרת החודש
+// ===============================================
+router.get('/accounts/:id', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    const monthStart = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+    const usage = await Ride.aggregate([
+      {
+        $match: {
+          'corporate.accountId': account._id,
+          status: { $ne: 'cancelled' },
+          'corporate.approvalStatus': { $ne: 'rejected' },
+          createdAt: { $gte: monthStart }
+        }
+      },
+      {
+        $group: {
+          _id: { employeePhone: '$corporate.employeePhone', costCenter: '$corporate.costCenter' },
+          rides: { $sum: 1 },
+          amount: { $sum: '$price' },
+          pending: { $sum: { $cond: [{ $eq: ['$corporate.approvalStatus', 'pending'] }, 1, 0] } }
+        }
+      },
+      { $sort: { amount: -1 } }
+    ]);
+
+    const invoices = await CorporateInvoice.find({ accountId: account._id })
+      .select('-lines')
+      .sort({ period: -1 })
+      .limit(12);
+
+    res.json({
+      ok: true,
+      account,
+      usage: {
+        since: monthStart,
+        total: usage.reduce((sum, entry) => sum + entry.amount, 0),
+        monthlyLimit: account.monthlyLimit,
+        byEmployee: usage.map(entry => ({ ...entry._id, rides: entry.rides, amount: entry.amount, pending: entry.pending }))
+      },
+      invoices
+    });
+  } catch (err) {
+    logger.error('Error fetching corporate account', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// PUT /api/corporate/accounts/:id - עדכון חשבון
+// ===============================================
+router.put('/accounts/:id', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    const updates = pick(req.body, ACCOUNT_FIELDS);
+    const invalid = validateAccountPatch(updates, account);
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid });
+    }
+
+    account.set(updates);
+    await account.save();
+
+    audit(req, 'corporate_account_updated', { accountId: account._id, code: account.code, fields: Object.keys(updates) });
+
+    res.json({ ok: true, account });
+  } catch (err) {
+    sendError(req, res, err, 'Error updating corporate account');
+  }
+});
+
+// ===============================================
+// POST /api/corporate/accounts/:id/employees - הוספת עובד מורשה
+// ===============================================
+router.post('/accounts/:id/employees', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone || !PHONE_REGEX.test(phone)) {
+      return res.status(400).json({ ok: false, error: ERRORS.EMPLOYEE.INVALID_PHONE });
+    }
+
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    if (account.findEmployee(phone)) {
+      return res.status(409).json({ ok: false, error: ERRORS.EMPLOYEE.ALREADY_EXISTS });
+    }
+
+    const other = await CorporateAccount.findByEmployeePhone(phone);
+    if (other && !other._id.equals(account._id)) {
+      return res.status(409).json({ ok: false, error: ERRORS.EMPLOYEE.IN_OTHER_ACCOUNT, account: other.code });
+    }
+
+    const employee = pick(req.body, EMPLOYEE_FIELDS);
+    if (employee.costCenter && !account.findCostCenter(employee.costCenter)) {
+      return res.status(400).json({ ok: false, error: ERRORS.ACCOUNT.UNKNOWN_COST_CENTER });
+    }
+
+    account.employees.push({ ...employee, phone });
+    await account.save();
+
+    audit(req, 'corporate_employee_added', { accountId: account._id, code: account.code, phone });
+
+    res.status(201).json({ ok: true, employees: account.employees });
+  } catch (err) {
+    sendError(req, res, err, 'Error adding corporate employee');
+  }
+});
+
+// ===============================================
+// PUT /api/corporate/accounts/:id/employees/:phone - עדכון עובד
+// ===============================================
+router.put('/accounts/:id/employees/:phone', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    const employee = account.findEmployee(req.params.phone);
+    if (!employee) {
+      return res.status(404).json({ ok: false, error: ERRORS.EMPLOYEE.NOT_FOUND });
+    }
+
+    const updates = pick(req.body, EMPLOYEE_FIELDS);
+    if (updates.costCenter && !account.findCostCenter(updates.costCenter)) {
+      return res.status(400).json({ ok: false, error: ERRORS.ACCOUNT.UNKNOWN_COST_CENTER });
+    }
+
+    employee.set(updates);
+    await account.save();
+
+    audit(req, 'corporate_employee_updated', { accountId: account._id, phone: employee.phone, fields: Object.keys(updates) });
+
+    res.json({ ok: true, employee });
+  } catch (err) {
+    sendError(req, res, err, 'Error updating corporate employee');
+  }
+});
+
+// ===============================================
+// DELETE /api/corporate/accounts/:id/employees/:phone - הסרת הרשאה
+// ===============================================
+// העובד נשאר ברשומה (isActive=false) כדי שהחשבוניות הקודמות יציגו את שמו
+router.delete('/accounts/:id/employees/:phone', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    const employee = account.findEmployee(req.params.phone);
+    if (!employee) {
+      return res.status(404).json({ ok: false, error: ERRORS.EMPLOYEE.NOT_FOUND });
+    }
+
+    employee.isActive = false;
+    await account.save();
+
+    audit(req, 'corporate_employee_removed', { accountId: account._id, code: account.code, phone: employee.phone });
+
+    res.json({ ok: true, employee });
+  } catch (err) {
+    sendError(req, res, err, 'Error removing corporate employee');
+  }
+});
+
+// ===============================================
+// GET /api/corporate/rides/pending - נסיעות שממתינות לאישור
+// ===============================================
+router.get('/rides/pending', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const query = { 'corporate.approvalStatus': 'pending' };
+    if (mongoose.isValidObjectId(req.query.accountId)) {
+      query['corporate.accountId'] = req.query.accountId;
+    }
+
+    const rides = await Ride.find(query)
+      .select('rideNumber customerName customerPhone pickup destination price status createdAt corporate')
+      .populate('corporate.accountId', 'code name')
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({ ok: true, rides });
+  } catch (err) {
+    logger.error('Error fetching pending corporate rides', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/corporate/rides/:rideId/approve - אישור נסיעה לחיוב החשבון
+// ===============================================
+router.post('/rides/:rideId/approve', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const ride = mongoose.isValidObjectId(req.params.rideId) ? await Ride.findById(req.params.rideId) : null;
+    if (!ride) {
+      return res.status(404).json({ ok: false, error: ERRORS.RIDE.NOT_FOUND });
+    }
+
+    await corporateBillingService.approveRide(ride, req.user.username || req.user.user);
+
+    audit(req, 'corporate_ride_approved', { rideId: ride._id, rideNumber: ride.rideNumber, price: ride.price });
+
+    res.json({ ok: true, ride });
+  } catch (err) {
+    sendError(req, res, err, 'Error approving corporate ride');
+  }
+});
+
+// ===============================================
+// POST /api/corporate/rides/:rideId/reject - דחייה: הנוסע משלם
+// ===============================================
+router.post('/rides/:rideId/reject', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const ride = mongoose.isValidObjectId(req.params.rideId) ? await Ride.findById(req.params.rideId) : null;
+    if (!ride) {
+      return res.status(404).json({ ok: false, error: ERRORS.RIDE.NOT_FOUND });
+    }
+
+    await corporateBillingService.rejectRide(ride, req.user.username || req.user.user, req.body.reason);
+
+    audit(req, 'corporate_ride_rejected', { rideId: ride._id, rideNumber: ride.rideNumber, reason: req.body.reason });
+
+    res.json({ ok: true, ride });
+  } catch (err) {
+    sendError(req, res, err, 'Error rejecting corporate ride');
+  }
+});
+
+// ===============================================
+// POST /api/corporate/invoices/run - הפקת חשבוניות חודשיות
+// ===============================================
+// body: { month, year, dryRun, accountId } - ברירת מחדל: החודש הקודם, כל החשבונות
+router.post('/invoices/run', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    if (!period) {
+      return res.status(400).json({ ok: false, error: ERRORS.INVOICE.INVALID_PERIOD });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const triggeredBy = req.user.username || req.user.user;
+
+    if (req.body.accountId) {
+      const account = mongoose.isValidObjectId(req.body.accountId) ? await CorporateAccount.findById(req.body.accountId) : null;
+      if (!account) {
+        return res.status(404).json({ ok: false, error: ERRORS.ACCOUNT.NOT_FOUND });
+      }
+
+      const invoice = await corporateBillingService.invoiceAccount(account, { ...period, dryRun, createdBy: triggeredBy });
+      if (!invoice) {
+        return res.status(404).json({ ok: false, error: ERRORS.INVOICE.NO_RIDES });
+      }
+
+      if (!dryRun) {
+        audit(req, 'corporate_invoice_issued', { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, total: invoice.total });
+      }
+      return res.json({ ok: true, dryRun, invoice });
+    }
+
+    if (corporateBillingService.isInvoicing) {
+      return res.status(409).json({ ok: false, error: ERRORS.INVOICE.RUN_IN_PROGRESS });
+    }
+
+    const summary = await corporateBillingService.runInvoicing({ ...period, dryRun, triggeredBy });
+
+    res.json({ ok: true, summary });
+  } catch (err) {
+    sendError(req, res, err, 'Error running corporate invoicing');
+  }
+});
+
+// ===============================================
+// GET /api/corporate/invoices - רשימת חשבוניות
+// ===============================================
+// ?status=issued|paid|void&accountId=&period=YYYY-MM&overdue=true
+router.get('/invoices', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const { status, accountId, period, overdue } = req.query;
+    const query = {};
+
+    if (INVOICE_STATUSES.includes(status)) query.status = status;
+    if (mongoose.isValidObjectId(accountId)) query.accountId = accountId;
+    if (/^\d{4}-\d{2}$/.test(period || '')) query.period = period;
+    if (overdue === 'true') Object.assign(query, { status: 'issued', dueDate: { $lt: new Date() } });
+
+    const invoices = await CorporateInvoice.find(query)
+      .select('-lines')
+      .sort({ issuedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+    res.json({ ok: true, invoices });
+  } catch (err) {
+    logger.error('Error fetching corporate invoices', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// GET /api/corporate/invoices/:id - חשבונית (?format=json|csv|pdf)
+// ===============================================
+router.get('/invoices/:id', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    const { format = 'json' } = req.query;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoiceNumber}.csv"`);
+      return res.send(corporateBillingService.invoiceToCsv(invoice));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await corporateBillingService.invoiceToPdf(invoice);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoiceNumber}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json({ ok: true, invoice });
+  } catch (err) {
+    sendError(req, res, err, 'Error fetching corporate invoice');
+  }
+});
+
+// ===============================================
+// POST /api/corporate/invoices/:id/payments - רישום תשלום (מלא / חלקי)
+// ===============================================
+// body: { amount, reference } - בלי amount: היתרה הפתוחה
+router.post('/invoices/:id/payments', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    const { amount, reference } = req.body;
+    await corporateBillingService.markPaid(invoice, { amount, reference });
+
+    audit(req, 'corporate_invoice_payment', {
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount,
+      reference,
+      status: invoice.status
+    });
+
+    res.json({ ok: true, invoice });
+  } catch (err) {
+    sendError(req, res, err, 'Error recording corporate invoice payment');
+  }
+});
+
+// ===============================================
+// POST /api/corporate/invoices/:id/void - ביטול חשבונית
+// ===============================================
+router.post('/invoices/:id/void', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    await corporateBillingService.voidInvoice(invoice, { reason: req.body.reason || null });
+
+    audit(req, 'corporate_invoice_voided', { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, reason: req.body.reason });
+
+    res.json({ ok: true, invoice });
+  } catch (err) {
+    sendError(req, res, err, 'Error voiding corporate invoice');
+  }
+});
+
+console.log('✅ Corporate routes loaded - 15 endpoints');
+
+export default router;
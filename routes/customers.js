@@ -1,198 +1,452 @@
 // ============================================================
 // CUSTOMERS ROUTES
-// Auto-generated from server.js refactoring
+// Customer profiles by normalized phone - models/Customer.js, utils/customerService.js
 // ============================================================
 
 import express from 'express';
-import { Driver, Ride } from '../models/index.js';
+import mongoose from 'mongoose';
+import { AuditLog, Customer, Driver, Ride } from '../models/index.js';
+import { normalizePhone } from '../models/Customer.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/rbac.js';
+import customerService from '../utils/customerService.js';
+import settingsStore from '../utils/settingsStore.js';
 import logger from '../utils/logger.js';
 
-// Import what you need (adjust based on actual usage)
-// import Ride from '../models/Ride.js';
-// import Driver from '../models/Driver.js';
-// import { authenticateToken } from '../middlewares/auth.js';
-// import logger from '../utils/logger.js';
-
 const router = express.Router();
 
+// Error messages
+const ERRORS = {
+  CUSTOMER: {
+    NOT_FOUND: 'לקוח לא נמצא',
+    ALREADY_EXISTS: 'כבר קיים לקוח עם הטלפון הזה',
+    INVALID_PHONE: 'מספר טלפון לא תקין',
+    INVALID_TIER: 'דרגת VIP לא קיימת',
+    MISSING_NOTE: 'חסר תוכן להערה',
+    MISSING_ADDRESS: 'חסרה כתובת',
+    ADDRESS_NOT_FOUND: 'כתובת לא נמצאה',
+    DRIVER_NOT_FOUND: 'נהג לא נמצא'
+  },
+  SERVER: {
+    DATABASE: 'שגיאת בסיס נתונים',
+    UNKNOWN: 'שגיאה לא צפויה'
+  }
+};
+
+const PHONE_REGEX = /^05\d{8}$/;
+const CUSTOMER_FIELDS = ['name', 'email', 'type'];
+
+function audit(req, action, details) {
+  AuditLog.create({
+    userId: req.user.userId || req.user.user,
+    username: req.user.username || req.user.user,
+    action,
+    details
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+function actor(req) {
+  return req.user.username || req.user.user;
+}
+
+/**
+ * isVIP (ממשק ישן) → דרגה ידנית: true = הדרגה הראשונה, false = ביטול הדרגה הידנית
+ */
+function resolveTierOverride(body) {
+  const { vipTiers } = settingsStore.get('customers');
+
+  if (body.vipTierOverride !== undefined) {
+    if (body.vipTierOverride === null) return { value: null };
+    return vipTiers.some(tier => tier.code === body.vipTierOverride)
+      ? { value: body.vipTierOverride }
+      : { error: ERRORS.CUSTOMER.INVALID_TIER };
+  }
+
+  if (body.isVIP !== undefined) {
+    return { value: body.isVIP ? vipTiers[0]?.code || null : null };
+  }
+
+  return null;
+}
+
+async function findCustomer(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ ok: false, error: ERRORS.CUSTOMER.NOT_FOUND });
+    return null;
+  }
+
+  const customer = await Customer.findById(req.params.id);
+  if (!customer) {
+    res.status(404).json({ ok: false, error: ERRORS.CUSTOMER.NOT_FOUND });
+    return null;
+  }
+  return customer;
+}
+
+function sendSaveError(req, res, err, message) {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  logger.error(message, { requestId: req.id, error: err.message });
+  return res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+}
+
 // ============================================================
-// 3 ENDPOINTS
+// 14 ENDPOINTS
 // ============================================================
 
-// GET /api/customers
-router.get("/customers", authenticateToken, async (req, res) => {
+// ===============================================
+// GET /api/customers - רשימת לקוחות
+// ===============================================
+// status: vip / blacklisted / regular, search: שם / טלפון
+router.get('/', authenticateToken, requirePermission('customers:read'), async (req, res) => {
   try {
-    const { vip, search, limit = 100 } = req.query;
-    
-    let query = {};
-    
-    // Filter by VIP status
-    if (vip === 'true') {
-      query.isVIP = true;
-    }
-    
-    // Search filter
+    const { status, search, sort = 'lastRide' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const query = {};
+
+    if (status === 'blacklisted') query.isBlacklisted = true;
+    if (status === 'vip') query.$or = [{ vipTier: { $ne: null } }, { vipTierOverride: { $ne: null } }];
+    if (status === 'regular') Object.assign(query, { vipTier: null, vipTierOverride: null, isBlacklisted: false });
+
     if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } }
-      ];
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const searchQuery = { $or: [{ name: pattern }, { phone: pattern }] };
+      if (query.$or) {
+        query.$and = [{ $or: query.$or }, searchQuery];
+        delete query.$or;
+      } else {
+        Object.assign(query, searchQuery);
+      }
     }
-    
-    const customers = await Ride.aggregate([
-      {
-        $group: {
-          _id: "$customer.phone",
-          name: { $first: "$customer.name" },
-          phone: { $first: "$customer.phone" },
-          totalRides: { $sum: 1 },
-          totalSpent: { $sum: "$price" },
-          lastRide: { $max: "$createdAt" },
-          createdAt: { $min: "$createdAt" }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          name: 1,
-          phone: 1,
-          totalRides: 1,
-          totalSpent: 1,
-          lastRide: 1,
-          createdAt: 1,
-          isVIP: { $gte: ["$totalRides", 10] }
-        }
-      },
-      { $match: query },
-      { $sort: { totalRides: -1 } },
-      { $limit: parseInt(limit) }
-    ]);
-    
-    res.json(customers);
-  } catch (error) {
-    logger.error('Error fetching customers:', error);
-    res.status(500).json({ error: error.message });
+
+    const sortBy = {
+      lastRide: { 'stats.lastRideAt': -1 },
+      rides: { 'stats.totalRides': -1 },
+      name: { name: 1 }
+    }[sort] || { 'stats.lastRideAt': -1 };
+
+    const customers = await Customer.find(query)
+      .select('-notes -savedAddresses -preferredDrivers')
+      .sort(sortBy)
+      .limit(limit);
+
+    res.json({ ok: true, customers });
+  } catch (err) {
+    logger.error('Error fetching customers', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
   }
 });
 
+// ===============================================
+// POST /api/customers - לקוח חדש
+// ===============================================
+router.post('/', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone || !PHONE_REGEX.test(phone)) {
+      return res.status(400).json({ ok: false, error: ERRORS.CUSTOMER.INVALID_PHONE });
+    }
+
+    const tier = resolveTierOverride(req.body);
+    if (tier?.error) {
+      return res.status(400).json({ ok: false, error: tier.error });
+    }
+
+    const data = Object.fromEntries(CUSTOMER_FIELDS.filter(field => req.body[field]).map(field => [field, req.body[field]]));
+    const customer = new Customer({ ...data, phone, vipTierOverride: tier?.value || null });
 
-// GET /api/customers
-router.get("/customers", authenticateToken, async (req, res) => {
+    if (req.body.defaultAddress?.trim()) {
+      customer.savedAddresses.push({ label: 'ברירת מחדל', address: req.body.defaultAddress, isDefault: true });
+    }
+    if (req.body.notes?.trim()) {
+      customer.notes.push({ text: req.body.notes, author: actor(req) });
+    }
+
+    await customer.save();
+
+    // לקוח שכבר הזמין בעבר - קישור הנסיעות הקודמות
+    const linked = await Ride.updateMany(
+      { customerId: null, customerPhone: { $in: [phone, `+972${phone.slice(1)}`, `972${phone.slice(1)}`] } },
+      { $set: { customerId: customer._id } }
+    );
+    const refreshed = linked.modifiedCount > 0 ? await customerService.refreshStats(customer._id) : customer;
+
+    audit(req, 'customer_created', { customerId: customer._id, phone });
+    logger.success('Customer created', { requestId: req.id, phone, linkedRides: linked.modifiedCount });
+
+    res.status(201).json({ ok: true, customer: refreshed, linkedRides: linked.modifiedCount });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ ok: false, error: ERRORS.CUSTOMER.ALREADY_EXISTS });
+    }
+    sendSaveError(req, res, err, 'Error creating customer');
+  }
+});
+
+// ===============================================
+// GET /api/customers/lookup/:phone - פרופיל + אזהרות לפי טלפון (לסדרן בזמן הזמנה)
+// ===============================================
+router.get('/lookup/:phone', authenticateToken, requirePermission('customers:read'), async (req, res) => {
   try {
-    const { vip, search, limit = 100 } = req.query;
-    
-    const rides = await Ride.find({});
-    const customersMap = new Map();
-    
-    rides.forEach(ride => {
-      const phone = ride.customerPhone;
-      if (!customersMap.has(phone)) {
-        customersMap.set(phone, {
-          phone,
-          name: ride.customerName,
-          totalRides: 0,
-          totalSpent: 0,
-          lastRide: ride.createdAt,
-          firstRide: ride.createdAt,
-          isVIP: false
-        });
-      }
-      
-      const customer = customersMap.get(phone);
-      customer.totalRides++;
-      customer.totalSpent += ride.price || 0;
-      
-      if (ride.createdAt > customer.lastRide) {
-        customer.lastRide = ride.createdAt;
-      }
-      if (ride.createdAt < customer.firstRide) {
-        customer.firstRide = ride.createdAt;
-      }
-      
-      customer.isVIP = customer.totalRides >= 10;
-    });
-    
-    let customers = Array.from(customersMap.values());
-    
-    if (vip === 'true') {
-      customers = customers.filter(c => c.isVIP);
+    const customer = await Customer.findByPhone(req.params.phone);
+    if (!customer) {
+      return res.json({ ok: true, customer: null, alerts: [] });
     }
-    
-    if (search) {
-      const searchLower = search.toLowerCase();
-      customers = customers.filter(c => 
-        c.name.toLowerCase().includes(searchLower) ||
-        c.phone.includes(search)
-      );
+
+    res.json({ ok: true, customer, alerts: customerService.alertsFor(customer) });
+  } catch (err) {
+    logger.error('Error looking up customer', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// GET /api/customers/:id - פרופיל מלא
+// ===============================================
+router.get('/:id', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    await customer.populate('preferredDrivers.driverId', 'name phone');
+
+    res.json({ ok: true, customer, alerts: customerService.alertsFor(customer) });
+  } catch (err) {
+    logger.error('Error fetching customer', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// PATCH /api/customers/:id - עדכון פרטים / דרגה ידנית
+// ===============================================
+router.patch('/:id', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    const tier = resolveTierOverride(req.body);
+    if (tier?.error) {
+      return res.status(400).json({ ok: false, error: tier.error });
+    }
+
+    const updates = Object.fromEntries(CUSTOMER_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    if (tier) updates.vipTierOverride = tier.value;
+    if (req.body.marketingOptOut !== undefined) {
+      updates.marketingOptOut = !!req.body.marketingOptOut;
+      updates.marketingOptOutAt = updates.marketingOptOut ? new Date() : null;
+    }
+
+    customer.set(updates);
+    await customer.save();
+
+    audit(req, 'customer_updated', { customerId: customer._id, phone: customer.phone, fields: Object.keys(updates) });
+
+    res.json({ ok: true, customer });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error updating customer');
+  }
+});
+
+// ===============================================
+// GET /api/customers/:id/rides - היסטוריית נסיעות
+// ===============================================
+router.get('/:id/rides', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const rides = await Ride.find({ customerId: customer._id })
+      .select('rideNumber pickup destination price status driverName createdAt customerNoShow cancelReason')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ ok: true, rides });
+  } catch (err) {
+    logger.error('Error fetching customer rides', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/customers/:id/refresh - חישוב מחדש של סטטיסטיקה ודרגה
+// ===============================================
+router.post('/:id/refresh', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    const refreshed = await customerService.refreshStats(customer._id);
+    res.json({ ok: true, customer: refreshed });
+  } catch (err) {
+    logger.error('Error refreshing customer stats', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/customers/:id/notes - הערת סדרן
+// ===============================================
+router.post('/:id/notes', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const text = (req.body.note || req.body.text || '').trim();
+    if (!text) {
+      return res.status(400).json({ ok: false, error: ERRORS.CUSTOMER.MISSING_NOTE });
     }
-    
-    customers.sort((a, b) => b.totalRides - a.totalRides);
-    customers = customers.slice(0, parseInt(limit));
-    
-    res.json(customers);
-    
-  } catch (error) {
-    logger.error('Error fetching customers:', error);
-    res.status(500).json({ error: error.message });
+
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    customer.notes.push({ text, author: actor(req) });
+    await customer.save();
+
+    audit(req, 'customer_note_added', { customerId: customer._id, phone: customer.phone });
+
+    res.status(201).json({ ok: true, notes: customer.notes });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error adding customer note');
   }
 });
 
+// ===============================================
+// POST /api/customers/:id/addresses - כתובת שמורה
+// ===============================================
+router.post('/:id/addresses', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const { label, address, location, isDefault = false } = req.body;
+    if (!address?.trim()) {
+      return res.status(400).json({ ok: false, error: ERRORS.CUSTOMER.MISSING_ADDRESS });
+    }
+
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    if (isDefault) {
+      customer.savedAddresses.forEach(entry => { entry.isDefault = false; });
+    }
+    customer.savedAddresses.push({ label, address, location, isDefault: !!isDefault });
+    await customer.save();
+
+    audit(req, 'customer_address_added', { customerId: customer._id, label, address });
 
-// GET /api/customers
-router.get("/customers", authenticateToken, async (req, res) => {
+    res.status(201).json({ ok: true, savedAddresses: customer.savedAddresses });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error adding customer address');
+  }
+});
+
+// ===============================================
+// DELETE /api/customers/:id/addresses/:addressId
+// ===============================================
+router.delete('/:id/addresses/:addressId', authenticateToken, requirePermission('customers:update'), async (req, res) => {
   try {
-    const { vip, search, limit = 100 } = req.query;
-    
-    const rides = await Ride.find({});
-    const customersMap = new Map();
-    
-    rides.forEach(ride => {
-      const phone = ride.customerPhone;
-      if (!customersMap.has(phone)) {
-        customersMap.set(phone, {
-          phone,
-          name: ride.customerName,
-          totalRides: 0,
-          totalSpent: 0,
-          lastRide: ride.createdAt,
-          isVIP: false
-        });
-      }
-      
-      const customer = customersMap.get(phone);
-      customer.totalRides++;
-      customer.totalSpent += ride.price || 0;
-      if (ride.createdAt > customer.lastRide) {
-        customer.lastRide = ride.createdAt;
-      }
-      customer.isVIP = customer.totalRides >= 10;
-    });
-    
-    let customers = Array.from(customersMap.values());
-    
-    if (vip === 'true') {
-      customers = customers.filter(c => c.isVIP);
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    const entry = customer.savedAddresses.id(req.params.addressId);
+    if (!entry) {
+      return res.status(404).json({ ok: false, error: ERRORS.CUSTOMER.ADDRESS_NOT_FOUND });
     }
-    
-    if (search) {
-      const searchLower = search.toLowerCase();
-      customers = customers.filter(c => 
-        c.name.toLowerCase().includes(searchLower) ||
-        c.phone.includes(search)
-      );
+
+    entry.deleteOne();
+    await customer.save();
+
+    audit(req, 'customer_address_removed', { customerId: customer._id, address: entry.address });
+
+    res.json({ ok: true, savedAddresses: customer.savedAddresses });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error removing customer address');
+  }
+});
+
+// ===============================================
+// POST /api/customers/:id/preferred-drivers - נהג מועדף (מקבל הצעה ראשון ב-waterfall)
+// ===============================================
+router.post('/:id/preferred-drivers', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const { driverId } = req.body;
+    const driver = mongoose.isValidObjectId(driverId) ? await Driver.findById(driverId).select('name phone') : null;
+    if (!driver) {
+      return res.status(404).json({ ok: false, error: ERRORS.CUSTOMER.DRIVER_NOT_FOUND });
+    }
+
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    if (!customer.preferredDrivers.some(entry => entry.driverId.equals(driver._id))) {
+      customer.preferredDrivers.push({ driverId: driver._id, addedBy: actor(req) });
+      await customer.save();
+      audit(req, 'customer_preferred_driver_added', { customerId: customer._id, driverId: driver._id, driverName: driver.name });
     }
-    
-    customers.sort((a, b) => b.totalRides - a.totalRides);
-    customers = customers.slice(0, parseInt(limit));
-    
-    res.json(customers);
-    
-  } catch (error) {
-    logger.error('Error fetching customers:', error);
-    res.status(500).json({ error: error.message });
+
+    res.status(201).json({ ok: true, preferredDrivers: customer.preferredDrivers });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error adding preferred driver');
+  }
+});
+
+// ===============================================
+// DELETE /api/customers/:id/preferred-drivers/:driverId
+// ===============================================
+router.delete('/:id/preferred-drivers/:driverId', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    customer.preferredDrivers = customer.preferredDrivers.filter(entry => entry.driverId.toString() !== req.params.driverId);
+    await customer.save();
+
+    audit(req, 'customer_preferred_driver_removed', { customerId: customer._id, driverId: req.params.driverId });
+
+    res.json({ ok: true, preferredDrivers: customer.preferredDrivers });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error removing preferred driver');
+  }
+});
+
+// ===============================================
+// POST /api/customers/:id/blacklist - הוספה לרשימה השחורה
+// ===============================================
+router.post('/:id/blacklist', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    customerService.applyBlacklist(customer, req.body.reason?.trim(), actor(req));
+    await customer.save();
+
+    audit(req, 'customer_blacklisted', { customerId: customer._id, phone: customer.phone, reason: customer.blacklistReason });
+    logger.warn('Customer blacklisted', { requestId: req.id, phone: customer.phone, reason: customer.blacklistReason });
+
+    res.json({ ok: true, customer });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error blacklisting customer');
+  }
+});
+
+// ===============================================
+// DELETE /api/customers/:id/blacklist - הסרה מהרשימה השחורה
+// ===============================================
+router.delete('/:id/blacklist', authenticateToken, requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    const previousReason = customer.blacklistReason;
+    customerService.clearBlacklist(customer);
+    await customer.save();
+
+    audit(req, 'customer_unblacklisted', { customerId: customer._id, phone: customer.phone, previousReason });
+
+    res.json({ ok: true, customer });
+  } catch (err) {
+    sendSaveError(req, res, err, 'Error removing customer from blacklist');
   }
 });
 
+console.log('✅ Customers routes loaded - 14 endpoints');
 
 export default router;
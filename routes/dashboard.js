@@ -6,7 +6,7 @@
 import express from 'express';
 import { Driver, RegistrationSession, Ride } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { requirePermission } from '../middlewares/rbac.js';
+import { requirePermission, RIDE_SCOPE, scopeFilter } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -26,6 +26,16 @@ const ERRORS = {
 // DASHBOARD ENDPOINTS
 // ============================================================
 
+/**
+ * 🏢 נסיעות ונהגים בתחום המשתמש (תחנות / ערים), ?station= לתחנה אחת
+ */
+function dashboardScope(req) {
+  return {
+    rides: scopeFilter(req, { ...RIDE_SCOPE, requestedStation: req.query.station }),
+    drivers: scopeFilter(req, { requestedStation: req.query.station })
+  };
+}
+
 // ===============================================
 // GET /api/dashboard/summary - Dashboard comprehensive stats
 // ===============================================
@@ -37,6 +47,8 @@ router.get('/summary', authenticateToken, requirePermission('dashboard:read'), a
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
     
+    const scope = dashboardScope(req);
+    
     // Run all queries in parallel for performance
     const [
       // Rides stats
@@ -65,21 +77,23 @@ router.get('/summary', authenticateToken, requirePermission('dashboard:read'), a
       recentDrivers
     ] = await Promise.all([
       // Rides counts
-      Ride.countDocuments(),
+      Ride.countDocuments(scope.rides),
       Ride.countDocuments({ 
+        ...scope.rides,
         status: { $in: ['sent', 'assigned', 'approved', 'enroute', 'arrived'] } 
       }),
-      Ride.countDocuments({ locked: true }),
-      Ride.countDocuments({ status: 'finished' }),
-      Ride.countDocuments({ status: 'cancelled' }),
+      Ride.countDocuments({ ...scope.rides, locked: true }),
+      Ride.countDocuments({ ...scope.rides, status: 'finished' }),
+      Ride.countDocuments({ ...scope.rides, status: 'cancelled' }),
       Ride.countDocuments({
+        ...scope.rides,
         createdAt: { $gte: today, $lt: tomorrow }
       }),
       
       // Drivers counts
-      Driver.countDocuments(),
-      Driver.countDocuments({ isActive: true, isBlocked: { $ne: true } }), // ✅ FIX: exclude blocked
-      Driver.countDocuments({ isBlocked: true }),
+      Driver.countDocuments(scope.drivers),
+      Driver.countDocuments({ ...scope.drivers, isActive: true, isBlocked: { $ne: true } }), // ✅ FIX: exclude blocked
+      Driver.countDocuments({ ...scope.drivers, isBlocked: true }),
       
       // Registrations
       RegistrationSession.countDocuments({ status: 'pending' }),
@@ -92,6 +106,7 @@ router.get('/summary', authenticateToken, requirePermission('dashboard:read'), a
       Ride.aggregate([
         {
           $match: {
+            ...scope.rides,
             createdAt: { $gte: today, $lt: tomorrow },
             status: { $in: ['finished', 'approved'] }
           }
@@ -109,6 +124,7 @@ router.get('/summary', authenticateToken, requirePermission('dashboard:read'), a
       Ride.aggregate([
         {
           $match: {
+            ...scope.rides,
             createdAt: { 
               $gte: new Date(today.getFullYear(), today.getMonth(), 1),
               $lt: tomorrow
@@ -126,14 +142,14 @@ router.get('/summary', authenticateToken, requirePermission('dashboard:read'), a
       ]),
       
       // Recent rides (last 10)
-      Ride.find()
+      Ride.find(scope.rides)
         .sort({ createdAt: -1 })
         .limit(10)
         .select('rideNumber customerName pickup destination status driverName price createdAt')
         .lean(),
       
       // Recently active drivers (last 5)
-      Driver.find({ isActive: true })
+      Driver.find({ ...scope.drivers, isActive: true })
         .sort({ updatedAt: -1 })
         .limit(5)
         .select('name phone driverId rating totalRides')
@@ -243,15 +259,18 @@ router.get('/quick', authenticateToken, requirePermission('dashboard:read'), asy
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
     
+    const scope = dashboardScope(req);
+    
     const [
       todayRides,
       activeDrivers,
       pendingRegistrations
     ] = await Promise.all([
       Ride.countDocuments({
+        ...scope.rides,
         createdAt: { $gte: today, $lt: tomorrow }
       }),
-      Driver.countDocuments({ isActive: true }),
+      Driver.countDocuments({ ...scope.drivers, isActive: true }),
       RegistrationSession.countDocuments({ status: 'pending' })
     ]);
     
@@ -299,6 +318,7 @@ router.get('/trends', authenticateToken, requirePermission('dashboard:read'), as
     //   { $sort: { _id: 1 } }
     // ])
     
+    const scope = dashboardScope(req);
     const trends = [];
     
     for (let i = daysNum - 1; i >= 0; i--) {
@@ -311,11 +331,13 @@ router.get('/trends', authenticateToken, requirePermission('dashboard:read'), as
       
       const [ridesCount, revenue] = await Promise.all([
         Ride.countDocuments({
+          ...scope.rides,
           createdAt: { $gte: date, $lt: nextDate }
         }),
         Ride.aggregate([
           {
             $match: {
+              ...scope.rides,
               createdAt: { $gte: date, $lt: nextDate },
               status: { $in: ['finished', 'approved'] }
             }
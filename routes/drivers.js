@@ -6,9 +6,15 @@
 import express from 'express';
 import { AuditLog, Driver, Ride } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { requirePermission } from '../middlewares/rbac.js';
+import { requirePermission, requireScope, scopeFilter } from '../middlewares/rbac.js';
+import stationService, { StationError } from '../utils/stationService.js';
+import driverComplianceService, { ComplianceError, DOCUMENT_TYPES } from '../utils/driverComplianceService.js';
 import logger from '../utils/logger.js';
 
+const isValidLatLng = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
 const router = express.Router();
 
 // Error messages
@@ -20,7 +26,9 @@ const ERRORS = {
     MISSING_FIELDS: 'שדות חובה: שם וטלפון',
     INVALID_DOCUMENT_TYPE: 'סוג מסמך לא תקין',
     DOCUMENT_NOT_FOUND: 'מסמך לא נמצא',
-    INVALID_RATING: 'דירוג חייב להיות בין 1 ל-5'
+    INVALID_RATING: 'דירוג חייב להיות בין 1 ל-5',
+    INVALID_LOCATION: 'קואורדינטות לא תקינות',
+    INVALID_SERVICE_RADIUS: 'רדיוס שירות חייב להיות מספר בין 1 ל-300 ק"מ'
   },
   VALIDATION: {
     PHONE: 'מספר טלפון לא תקין'
@@ -60,6 +68,9 @@ router.get("/", authenticateToken, requirePermission('drivers:read'), async (req
       ];
     }
     
+    // תחום הערים של התפקיד והתחנות של המשתמש (?station= לתחנה אחת)
+    Object.assign(filter, scopeFilter(req, { requestedStation: req.query.station }));
+    
     // Execute queries in parallel
     const [drivers, total] = await Promise.all([
       Driver.find(filter)
@@ -109,7 +120,7 @@ router.get("/", authenticateToken, requirePermission('drivers:read'), async (req
 // ===============================================
 router.post("/", authenticateToken, requirePermission('drivers:create'), async (req, res) => {
   try {
-    const { name, phone, licenseNumber, commissionPercent, idNumber, address } = req.body;
+    const { name, phone, licenseNumber, commissionPercent, idNumber, address, city, station } = req.body;
     
     // Validation
     if (!name || !phone) {
@@ -137,10 +148,15 @@ router.post("/", authenticateToken, requirePermission('drivers:create'), async (
       });
     }
     
+    // 🏢 תחנה: מבוקשת / לפי העיר / התחנה של המשתמש
+    const driverStation = await stationService.stationForNew(req.scope, { requested: station, city });
+    
     // Create driver
     const driver = await Driver.create({
       name: name.trim(),
       phone: phone.trim(),
+      city: city || null,
+      station: driverStation,
       licenseNumber: licenseNumber || null,
       commissionPercent: commissionPercent || 10,
       idNumber: idNumber || null,
@@ -166,6 +182,9 @@ router.post("/", authenticateToken, requirePermission('drivers:create'), async (
     
     res.json({ ok: true, driver });
   } catch (err) {
+    if (err instanceof StationError) {
+      return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+    }
     logger.error("Error creating driver", {
       requestId: req.id || null,
       error: err.message
@@ -177,10 +196,86 @@ router.post("/", authenticateToken, requirePermission('drivers:create'), async (
   }
 });
 
+// ===============================================
+// GET /api/drivers/nearby - נהגים זמינים קרובים לנקודה
+// ===============================================
+router.get("/nearby", authenticateToken, requirePermission('drivers:read'), async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = Math.min(300, Math.max(1, parseFloat(req.query.radiusKm) || 10));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    
+    if (!isValidLatLng(lat, lng)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.DRIVER.INVALID_LOCATION
+      });
+    }
+    
+    const drivers = await Driver.findNearestEligible([lng, lat], {
+      maxDistanceKm: radiusKm,
+      limit,
+      cities: req.scope?.cities || [],
+      stations: req.scope?.stations || []
+    });
+    
+    res.json({
+      ok: true,
+      drivers: drivers.map(d => ({
+        ...d,
+        distanceKm: Math.round(d.distanceMeters / 100) / 10
+      })),
+      radiusKm
+    });
+  } catch (err) {
+    logger.error("Error finding nearby drivers", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// GET /api/drivers/compliance - נהגים עם מסמך שפג / עומד לפוג / בלי תוקף
+// ===============================================
+// ?days= (ברירת מחדל: התזכורת הראשונה) &includeMissing=false &station=
+router.get('/compliance', authenticateToken, requirePermission('drivers:read'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days);
+    
+    const result = await driverComplianceService.listAtRisk(
+      scopeFilter(req, { requestedStation: req.query.station }),
+      {
+        warningDays: days >= 1 && days <= 365 ? days : driverComplianceService.warningDays(),
+        includeMissing: req.query.includeMissing !== 'false'
+      }
+    );
+    
+    res.json({
+      ok: true,
+      ...result
+    });
+  } catch (err) {
+    logger.error('Error fetching driver compliance', {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
 // ===============================================
 // GET /api/drivers/:id - פרטי נהג
 // ===============================================
-router.get("/:id", authenticateToken, requirePermission('drivers:read'), async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission('drivers:read'), requireScope(Driver), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -217,7 +312,7 @@ router.get("/:id", authenticateToken, requirePermission('drivers:read'), async (
 // ===============================================
 // PUT /api/drivers/:id - עדכון נהג
 // ===============================================
-router.put("/:id", authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+router.put("/:id", authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, phone, licenseNumber, isActive, commissionPercent, idNumber, address } = req.body;
@@ -303,7 +398,7 @@ router.put("/:id", authenticateToken, requirePermission('drivers:update'), async
 // ===============================================
 // DELETE /api/drivers/:id - מחיקת נהג
 // ===============================================
-router.delete("/:id", authenticateToken, requirePermission('drivers:delete'), async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission('drivers:delete'), requireScope(Driver), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -366,7 +461,7 @@ router.delete("/:id", authenticateToken, requirePermission('drivers:delete'), as
 // ===============================================
 // POST /api/drivers/:id/block - חסימת נהג
 // ===============================================
-router.post("/:id/block", authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+router.post("/:id/block", authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
@@ -441,7 +536,7 @@ router.post("/:id/block", authenticateToken, requirePermission('drivers:update')
 // ===============================================
 // POST /api/drivers/:id/unblock - ביטול חסימת נהג
 // ===============================================
-router.post("/:id/unblock", authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+router.post("/:id/unblock", authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -515,73 +610,83 @@ router.post("/:id/unblock", authenticateToken, requirePermission('drivers:update
 // DOCUMENTS
 // ============================================================
 
-// ===============================================
-// POST /api/drivers/:id/verify-document - אימות מסמך לפי type
-// ===============================================
-router.post("/:id/verify-document", authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+/**
+ * אימות / ביטול אימות מסמך + AuditLog (לשני נתיבי האימות)
+ * @returns {Promise<Object|null>} - { driver, document } או null אם התשובה כבר נשלחה
+ */
+async function verifyDriverDocument(req, res, type, { verified, expiresAt }) {
+  const driver = await Driver.findById(req.params.id);
+  if (!driver) {
+    res.status(404).json({
+      ok: false,
+      error: ERRORS.DRIVER.NOT_FOUND
+    });
+    return null;
+  }
+  
   try {
-    const { id } = req.params;
-    const { documentType, verified } = req.body;
-    
-    if (!['license', 'carLicense', 'insurance'].includes(documentType)) {
-      return res.status(400).json({
-        ok: false,
-        error: ERRORS.DRIVER.INVALID_DOCUMENT_TYPE
-      });
-    }
-    
-    const driver = await Driver.findById(id);
-    
-    if (!driver) {
-      return res.status(404).json({
-        ok: false,
-        error: ERRORS.DRIVER.NOT_FOUND
-      });
-    }
-    
-    // ✅ FIX: documents as ARRAY consistently
-    if (!Array.isArray(driver.documents)) {
-      driver.documents = [];
-    }
-    
-    // Find existing document by type
-    const docIndex = driver.documents.findIndex(d => d.type === documentType);
-    
-    if (docIndex >= 0) {
-      // Update existing
-      driver.documents[docIndex].verified = verified;
-      driver.documents[docIndex].verifiedAt = new Date();
-      driver.documents[docIndex].verifiedBy = req.user.username || req.user.user;
-    } else {
-      // Create new entry
-      driver.documents.push({
-        type: documentType,
-        verified,
-        verifiedAt: new Date(),
-        verifiedBy: req.user.username || req.user.user
-      });
-    }
+    const { document, before } = driverComplianceService.verifyDocument(driver, type, {
+      verified,
+      expiresAt,
+      verifiedBy: req.user.username || req.user.user
+    });
     
     await driver.save();
     
-    logger.success("Document verified", {
+    logger.success('Document verified', {
       requestId: req.id || null,
       driverId: driver._id,
-      documentType,
-      verified
+      documentType: type,
+      verified,
+      expiresAt: document.expiresAt
     });
     
-    // Log activity - using AuditLog for consistency
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
       username: req.user.username || req.user.user,
       action: verified ? 'document_verified' : 'document_unverified',
-      details: { driverId: driver._id, documentType }
+      details: {
+        driverId: driver._id,
+        documentType: type,
+        expiresAt: document.expiresAt || null,
+        previousExpiresAt: before.expiresAt
+      }
     }).catch(err => logger.error('AuditLog error:', err));
     
+    return { driver, document };
+  } catch (err) {
+    if (err instanceof ComplianceError) {
+      res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+      return null;
+    }
+    throw err;
+  }
+}
+
+// ===============================================
+// POST /api/drivers/:id/verify-document - אימות מסמך לפי type
+// ===============================================
+// body: { documentType, verified, expiresAt } - expiresAt חובה באימות
+router.post("/:id/verify-document", authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
+  try {
+    const { documentType, verified, expiresAt } = req.body;
+    
+    if (!['license', 'carLicense', 'insurance'].includes(documentType)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.DRIVER.INVALID_DOCUMENT_TYPE
+      });
+    }
+    
+    const result = await verifyDriverDocument(req, res, documentType, {
+      verified: verified !== false && verified !== 'false',
+      expiresAt
+    });
+    if (!result) return;
+    
     res.json({
       ok: true,
-      driver
+      driver: result.driver
     });
   } catch (err) {
     logger.error("Error verifying document", {
@@ -598,9 +703,17 @@ router.post("/:id/verify-document", authenticateToken, requirePermission('driver
 // ===============================================
 // POST /api/drivers/:id/documents/upload - העלאת מסמך
 // ===============================================
-router.post('/:id/documents/upload', authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+// מסמך חדש מחליף את הקודם וממתין לאימות - התוקף נקבע באימות
+router.post('/:id/documents/upload', authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
-    const { type, filename, url, expiresAt } = req.body;
+    const { type, url } = req.body;
+    
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.DRIVER.INVALID_DOCUMENT_TYPE
+      });
+    }
     
     const driver = await Driver.findById(req.params.id);
     if (!driver) {
@@ -610,17 +723,10 @@ router.post('/:id/documents/upload', authenticateToken, requirePermission('drive
       });
     }
     
-    if (!Array.isArray(driver.documents)) {
-      driver.documents = [];
-    }
-    
-    driver.documents.push({
-      type,
-      filename,
-      url,
-      expiresAt: expiresAt ? new Date(expiresAt) : null,
-      uploadedAt: new Date()
-    });
+    const doc = driver.documents[type];
+    doc.url = url;
+    doc.uploadedAt = new Date();
+    doc.verified = false;
     
     await driver.save();
     
@@ -644,9 +750,9 @@ router.post('/:id/documents/upload', authenticateToken, requirePermission('drive
 });
 
 // ===============================================
-// GET /api/drivers/:id/documents - רשימת מסמכים
+// GET /api/drivers/:id/documents - רשימת מסמכים + מצב תוקף
 // ===============================================
-router.get('/:id/documents', authenticateToken, requirePermission('drivers:read'), async (req, res) => {
+router.get('/:id/documents', authenticateToken, requirePermission('drivers:read'), requireScope(Driver), async (req, res) => {
   try {
     const driver = await Driver.findById(req.params.id).select('documents');
     
@@ -657,7 +763,11 @@ router.get('/:id/documents', authenticateToken, requirePermission('drivers:read'
       });
     }
     
-    res.json({ ok: true, documents: driver.documents || [] });
+    res.json({
+      ok: true,
+      documents: driver.documents || {},
+      compliance: driver.documentCompliance(driverComplianceService.warningDays())
+    });
   } catch (err) {
     logger.error('Error fetching documents', {
       requestId: req.id || null,
@@ -673,37 +783,17 @@ router.get('/:id/documents', authenticateToken, requirePermission('drivers:read'
 // ===============================================
 // POST /api/drivers/:id/documents/:docId/verify - אימות מסמך ספציפי
 // ===============================================
-router.post('/:id/documents/:docId/verify', authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+// docId = סוג המסמך (license / carLicense / insurance / idDocument / profilePhoto / carPhoto)
+// body: { expiresAt } - חובה לרישיון נהיגה, רישיון רכב וביטוח
+router.post('/:id/documents/:docId/verify', authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
-    const driver = await Driver.findById(req.params.id);
-    if (!driver) {
-      return res.status(404).json({
-        ok: false,
-        error: ERRORS.DRIVER.NOT_FOUND
-      });
-    }
-    
-    const doc = driver.documents.id(req.params.docId);
-    if (!doc) {
-      return res.status(404).json({
-        ok: false,
-        error: ERRORS.DRIVER.DOCUMENT_NOT_FOUND
-      });
-    }
-    
-    doc.verified = true;
-    doc.verifiedBy = req.user.username || req.user.user;
-    doc.verifiedAt = new Date();
-    
-    await driver.save();
-    
-    logger.success('Document verified', {
-      requestId: req.id || null,
-      driverId: driver._id,
-      documentId: req.params.docId
+    const result = await verifyDriverDocument(req, res, req.params.docId, {
+      verified: true,
+      expiresAt: req.body.expiresAt
     });
+    if (!result) return;
     
-    res.json({ ok: true, document: doc });
+    res.json({ ok: true, document: result.document });
   } catch (err) {
     logger.error('Error verifying document', {
       requestId: req.id || null,
@@ -723,7 +813,7 @@ router.post('/:id/documents/:docId/verify', authenticateToken, requirePermission
 // ===============================================
 // POST /api/drivers/:id/notes - הוספת הערה
 // ===============================================
-router.post('/:id/notes', authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+router.post('/:id/notes', authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
     const { text, isPrivate } = req.body;
     
@@ -788,7 +878,7 @@ router.post('/:id/notes', authenticateToken, requirePermission('drivers:update')
 // ===============================================
 // POST /api/drivers/:id/rating - הוספת דירוג
 // ===============================================
-router.post('/:id/rating', authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+router.post('/:id/rating', authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
     const { rating, comment, rideId } = req.body;
     
@@ -867,7 +957,7 @@ router.post('/:id/rating', authenticateToken, requirePermission('drivers:update'
 // ===============================================
 // GET /api/drivers/:id/status-history - היסטוריית סטטוס
 // ===============================================
-router.get('/:id/status-history', authenticateToken, requirePermission('drivers:read'), async (req, res) => {
+router.get('/:id/status-history', authenticateToken, requirePermission('drivers:read'), requireScope(Driver), async (req, res) => {
   try {
     const driver = await Driver.findById(req.params.id).select('statusHistory');
     
@@ -901,7 +991,7 @@ router.get('/:id/status-history', authenticateToken, requirePermission('drivers:
 // ===============================================
 // GET /api/drivers/:id/statistics - סטטיסטיקות נהג
 // ===============================================
-router.get('/:id/statistics', authenticateToken, requirePermission('drivers:read'), async (req, res) => {
+router.get('/:id/statistics', authenticateToken, requirePermission('drivers:read'), requireScope(Driver), async (req, res) => {
   try {
     const driver = await Driver.findById(req.params.id).select('statistics rating totalRides');
     
@@ -937,7 +1027,7 @@ router.get('/:id/statistics', authenticateToken, requirePermission('drivers:read
 // ===============================================
 // PUT /api/drivers/:id/region - עדכון אזור
 // ===============================================
-router.put('/:id/region', authenticateToken, requirePermission('drivers:update'), async (req, res) => {
+router.put('/:id/region', authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
   try {
     const { name, code } = req.body;
     
@@ -973,6 +1063,114 @@ router.put('/:id/region', authenticateToken, requirePermission('drivers:update')
   }
 });
 
+// ===============================================
+// PUT /api/drivers/:id/station - העברת נהג לתחנה אחרת
+// ===============================================
+router.put('/:id/station', authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
+  try {
+    const station = await stationService.assertAssignable(req.body.station, req.scope);
+    
+    const driver = await Driver.findById(req.params.id);
+    
+    if (!driver) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.DRIVER.NOT_FOUND
+      });
+    }
+    
+    const previousStation = driver.station;
+    driver.station = station;
+    await driver.save();
+    
+    await AuditLog.create({
+      userId: req.user.userId || req.user.user,
+      username: req.user.username || req.user.user,
+      action: 'driver_station_changed',
+      details: { driverId: driver._id, name: driver.name, from: previousStation, to: station }
+    }).catch(err => logger.error('AuditLog error:', err));
+    
+    logger.success('Driver station updated', {
+      requestId: req.id || null,
+      driverId: driver._id,
+      from: previousStation,
+      to: station
+    });
+    
+    res.json({ ok: true, driver });
+  } catch (err) {
+    if (err instanceof StationError) {
+      return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+    }
+    logger.error('Error updating driver station', {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// PUT /api/drivers/:id/location - עדכון מיקום ורדיוס שירות
+// ===============================================
+router.put('/:id/location', authenticateToken, requirePermission('drivers:update'), requireScope(Driver), async (req, res) => {
+  try {
+    const lat = parseFloat(req.body.lat);
+    const lng = parseFloat(req.body.lng);
+    const serviceRadiusKm = req.body.serviceRadiusKm !== undefined ? Number(req.body.serviceRadiusKm) : undefined;
+    
+    if (!isValidLatLng(lat, lng)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.DRIVER.INVALID_LOCATION
+      });
+    }
+    
+    // אותו טווח כמו ב-Driver.serviceRadiusKm (min/max) - שגיאת ולידציה ולא 500
+    if (serviceRadiusKm !== undefined && !(Number.isFinite(serviceRadiusKm) && serviceRadiusKm >= 1 && serviceRadiusKm <= 300)) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.DRIVER.INVALID_SERVICE_RADIUS
+      });
+    }
+    
+    const driver = await Driver.findById(req.params.id);
+    
+    if (!driver) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.DRIVER.NOT_FOUND
+      });
+    }
+    
+    if (serviceRadiusKm !== undefined) {
+      driver.serviceRadiusKm = serviceRadiusKm;
+    }
+    
+    await driver.updateLocation(lat, lng, 'admin');
+    
+    logger.success('Driver location updated', {
+      requestId: req.id || null,
+      driverId: driver._id,
+      serviceRadiusKm: driver.serviceRadiusKm
+    });
+    
+    res.json({ ok: true, driver });
+  } catch (err) {
+    logger.error('Error updating driver location', {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
 // ============================================================
 // EXPORT
 // ============================================================
@@ -4,9 +4,12 @@
 // ============================================================
 
 import express from 'express';
-import { Driver, Ride } from '../models/index.js';
+import { CorporateInvoice, Driver, Ride } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { RIDE_SCOPE, requirePermission, scopeFilter } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
+import corporateBillingService from '../utils/corporateBillingService.js';
+import promotionService from '../utils/promotionService.js';
 
 // Import what you need (adjust based on actual usage)
 // import Ride from '../models/Ride.js';
@@ -16,132 +19,24 @@ import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// 🏢 ארנקים וחשבוניות חברה אינם שייכים לעיר / תחנה - מוצגים רק למשתמש ללא הגבלת תחום
+function isScoped(rideScope) {
+  return Object.keys(rideScope).length > 0;
+}
+
 // ============================================================
-// 8 ENDPOINTS
+// 5 ENDPOINTS
 // ============================================================
 
-// GET /api/finance/commissions
-router.get("/commissions", authenticateToken, async (req, res) => {
-  try {
-    const { period = 'month' } = req.query;
-    
-    let startDate = new Date();
-    if (period === 'month') {
-      startDate.setMonth(startDate.getMonth() - 1);
-    } else if (period === 'week') {
-      startDate.setDate(startDate.getDate() - 7);
-    }
-    
-    const commissions = await Ride.aggregate([
-      {
-        $match: {
-          status: 'completed',
-          createdAt: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: "$driver",
-          ridesCount: { $sum: 1 },
-          totalRevenue: { $sum: "$price" }
-        }
-      },
-      {
-        $lookup: {
-          from: 'drivers',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'driverInfo'
-        }
-      },
-      {
-        $unwind: '$driverInfo'
-      },
-      {
-        $project: {
-          driver: {
-            _id: '$driverInfo._id',
-            name: '$driverInfo.name',
-            phone: '$driverInfo.phone'
-          },
-          ridesCount: 1,
-          totalRevenue: 1,
-          commissionPercent: 20,
-          amount: { $multiply: ['$totalRevenue', 0.20] },
-          paid: false
-        }
-      }
-    ]);
-    
-    res.json(commissions);
-  } catch (error) {
-    logger.error('Error fetching commissions:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
-// GET /api/finance/reports
-router.get("/reports", authenticateToken, async (req, res) => {
-  try {
-    const now = new Date();
-    
-    // Monthly stats
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthlyRides = await Ride.find({
-      status: 'completed',
-      createdAt: { $gte: monthStart }
-    });
-    
-    // Yearly stats
-    const yearStart = new Date(now.getFullYear(), 0, 1);
-    const yearlyRides = await Ride.find({
-      status: 'completed',
-      createdAt: { $gte: yearStart }
-    });
-    
-    // Driver stats
-    const activeDrivers = await Driver.countDocuments({ status: 'active' });
-    const totalCommissions = monthlyRides.reduce((sum, r) => sum + (r.price * 0.20), 0);
-    
-    // Payment stats
-    const failedPayments = await Ride.countDocuments({
-      status: 'failed',
-      createdAt: { $gte: monthStart }
-    });
-    
-    res.json({
-      monthly: {
-        revenue: monthlyRides.reduce((sum, r) => sum + r.price, 0),
-        rides: monthlyRides.length
-      },
-      yearly: {
-        revenue: yearlyRides.reduce((sum, r) => sum + r.price, 0),
-        rides: yearlyRides.length
-      },
-      drivers: {
-        active: activeDrivers,
-        commissions: totalCommissions
-      },
-      payments: {
-        count: monthlyRides.length,
-        failed: failedPayments
-      }
-    });
-  } catch (error) {
-    logger.error('Error generating finance reports:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
 // GET /api/finance/overview
-router.get("/overview", authenticateToken, async (req, res) => {
+router.get("/overview", authenticateToken, requirePermission('billing:read'), async (req, res) => {
   try {
     const now = new Date();
+    const rideScope = scopeFilter(req, RIDE_SCOPE);
     
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const todayRides = await Ride.find({
+      ...rideScope,
       createdAt: { $gte: todayStart },
       status: 'finished'
     });
@@ -149,26 +44,43 @@ router.get("/overview", authenticateToken, async (req, res) => {
     const weekStart = new Date(now);
     weekStart.setDate(weekStart.getDate() - 7);
     const weekRides = await Ride.find({
+      ...rideScope,
       createdAt: { $gte: weekStart },
       status: 'finished'
     });
     
     const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
     const monthRides = await Ride.find({
+      ...rideScope,
       createdAt: { $gte: monthStart },
       status: 'finished'
     });
     
+    // הנחות (קודי הנחה) ותשלומים מארנק שנרשמו על הנסיעות
+    const redeemed = (rides, kind) => rides.reduce((sum, r) => sum + (r.redemptions || [])
+      .filter(entry => entry.kind === kind && !entry.reversedAt)
+      .reduce((total, entry) => total + (entry.amount || 0), 0), 0);
+
     const calculateStats = (rides) => ({
       revenue: rides.reduce((sum, r) => sum + (r.price || 0), 0),
       commissions: rides.reduce((sum, r) => sum + (r.commissionAmount || 0), 0),
+      discounts: redeemed(rides, 'promo'),
+      walletPayments: redeemed(rides, 'wallet'),
       rides: rides.length
     });
+
+    const [promotions, wallets] = await Promise.all([
+      promotionService.getRedemptionSummary(monthStart, now, rideScope),
+      isScoped(rideScope) ? null : promotionService.getWalletSummary(monthStart, now)
+    ]);
     
     res.json({
       today: calculateStats(todayRides),
       week: calculateStats(weekRides),
       month: calculateStats(monthRides),
+      // החודש: מימושים לפי קוד, חיובי ארנק וטעינות
+      promotions,
+      wallets,
       debts: {
         total: 0
       }
@@ -182,7 +94,7 @@ router.get("/overview", authenticateToken, async (req, res) => {
 
 
 // GET /api/finance/commissions
-router.get("/commissions", authenticateToken, async (req, res) => {
+router.get("/commissions", authenticateToken, requirePermission('billing:read'), async (req, res) => {
   try {
     const { period = 'month' } = req.query;
     
@@ -196,6 +108,7 @@ router.get("/commissions", authenticateToken, async (req, res) => {
     }
     
     const rides = await Ride.find({
+      ...scopeFilter(req, RIDE_SCOPE),
       status: 'finished',
       createdAt: { $gte: startDate }
     }).populate('driverId', 'name phone');
@@ -237,23 +150,27 @@ router.get("/commissions", authenticateToken, async (req, res) => {
 
 
 // GET /api/finance/reports
-router.get("/reports", authenticateToken, async (req, res) => {
+router.get("/reports", authenticateToken, requirePermission('billing:read'), async (req, res) => {
   try {
     const now = new Date();
+    const rideScope = scopeFilter(req, RIDE_SCOPE);
     
     const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
     const monthlyRides = await Ride.find({
+      ...rideScope,
       status: 'finished',
       createdAt: { $gte: monthStart }
     });
     
     const yearStart = new Date(now.getFullYear(), 0, 1);
     const yearlyRides = await Ride.find({
+      ...rideScope,
       status: 'finished',
       createdAt: { $gte: yearStart }
     });
     
     const activeDrivers = await Driver.countDocuments({ 
+      ...scopeFilter(req),
       isActive: true,
       isBlocked: false 
     });
@@ -263,10 +180,21 @@ router.get("/reports", authenticateToken, async (req, res) => {
     );
     
     const failedPayments = await Ride.countDocuments({
+      ...rideScope,
       status: 'cancelled',
       createdAt: { $gte: monthStart }
     });
     
+    // 🏢 חשבוניות חשבונות חברה: החודש, השנה, ויתרות פתוחות
+    const [invoicesMonth, invoicesYear, monthInvoices] = isScoped(rideScope) ? [null, null, null] : await Promise.all([
+      corporateBillingService.getInvoiceSummary(monthStart, now),
+      corporateBillingService.getInvoiceSummary(yearStart, now),
+      CorporateInvoice.find({ status: { $ne: 'void' }, issuedAt: { $gte: monthStart } })
+        .select('invoiceNumber account period total vatAmount paidAmount status dueDate issuedAt')
+        .sort({ issuedAt: -1 })
+        .lean()
+    ]);
+    
     res.json({
       monthly: {
         revenue: monthlyRides.reduce((sum, r) => sum + (r.price || 0), 0),
@@ -287,6 +215,11 @@ router.get("/reports", authenticateToken, async (req, res) => {
       payments: {
         count: monthlyRides.length,
         failed: failedPayments
+      },
+      corporate: {
+        monthly: invoicesMonth,
+        yearly: invoicesYear,
+        invoices: monthInvoices
       }
     });
     
@@ -297,59 +230,12 @@ router.get("/reports", authenticateToken, async (req, res) => {
 });
 
 
-// GET /api/finance/overview
-router.get("/overview", authenticateToken, async (req, res) => {
-  try {
-    const now = new Date();
-    
-    // היום
-    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const todayRides = await Ride.find({
-      createdAt: { $gte: todayStart },
-      status: 'finished'
-    });
-    
-    // שבוע
-    const weekStart = new Date(now);
-    weekStart.setDate(weekStart.getDate() - 7);
-    const weekRides = await Ride.find({
-      createdAt: { $gte: weekStart },
-      status: 'finished'
-    });
-    
-    // חודש
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthRides = await Ride.find({
-      createdAt: { $gte: monthStart },
-      status: 'finished'
-    });
-    
-    const calculateStats = (rides) => ({
-      revenue: rides.reduce((sum, r) => sum + (r.price || 0), 0),
-      commissions: rides.reduce((sum, r) => sum + (r.commissionAmount || 0), 0),
-      rides: rides.length
-    });
-    
-    res.json({
-      today: calculateStats(todayRides),
-      week: calculateStats(weekRides),
-      month: calculateStats(monthRides),
-      debts: { total: 0 }
-    });
-    
-  } catch (error) {
-    logger.error('Error fetching finance overview:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
 // GET /api/finance/payments
-router.get("/payments", authenticateToken, async (req, res) => {
+router.get("/payments", authenticateToken, requirePermission('payments:read'), async (req, res) => {
   try {
     const { status, limit = 50 } = req.query;
     
-    let query = {};
+    let query = scopeFilter(req, RIDE_SCOPE);
     if (status === 'completed') {
       query.status = 'finished';
     } else if (status === 'pending') {
@@ -382,11 +268,12 @@ router.get("/payments", authenticateToken, async (req, res) => {
 
 
 // POST /api/finance/reports/generate
-router.post("/reports/generate", authenticateToken, async (req, res) => {
+router.post("/reports/generate", authenticateToken, requirePermission('billing:read'), async (req, res) => {
   try {
     const { type, startDate, endDate } = req.body;
     
     const rides = await Ride.find({
+      ...scopeFilter(req, RIDE_SCOPE),
       createdAt: { 
         $gte: new Date(startDate), 
         $lte: new Date(endDate) 
@@ -5,7 +5,8 @@
 import express from 'express';
 import { WhatsAppGroup } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { requirePermission } from '../middlewares/rbac.js';
+import { requirePermission, requireScope, scopeFilter, scopeForUser } from '../middlewares/rbac.js';
+import stationService, { StationError } from '../utils/stationService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -22,6 +23,13 @@ const ERRORS = {
   }
 };
 
+// לקבוצות אין עיר - התחום לפי תחנה בלבד
+const GROUP_SCOPE = { city: null };
+
+function sendStationError(res, err) {
+  return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+}
+
 // ============================================================
 // 6 ENDPOINTS
 // ============================================================
@@ -50,7 +58,7 @@ router.get("/api/client/groups", async (req, res) => {
 // GET /api/groups
 router.get("/", authenticateToken, async (req, res) => {
   try {
-    const groups = await WhatsAppGroup.find()
+    const groups = await WhatsAppGroup.find(scopeFilter(req, { ...GROUP_SCOPE, requestedStation: req.query.station }))
       .sort({ name: 1 })
       .lean();
     
@@ -71,7 +79,7 @@ router.get("/", authenticateToken, async (req, res) => {
 // POST /api/groups
 router.post("/", authenticateToken, async (req, res) => {
   try {
-    const { name, phoneNumbers, isDefault } = req.body;
+    const { name, phoneNumbers, isDefault, station } = req.body;
     
     if (!name || !phoneNumbers || !Array.isArray(phoneNumbers)) {
       return res.status(400).json({
@@ -89,16 +97,20 @@ router.post("/", authenticateToken, async (req, res) => {
       });
     }
     
-    // If this should be default, unset other defaults
+    // 🏢 תחנה מבוקשת, או התחנה של המשתמש (null = קבוצה כללית)
+    const groupStation = await stationService.stationForNew(scopeForUser(req.user), { requested: station });
+    
+    // If this should be default, unset the station's other defaults
     if (isDefault) {
-      await WhatsAppGroup.updateMany({}, { isDefault: false });
+      await WhatsAppGroup.updateMany({ station: groupStation }, { isDefault: false });
     }
     
     const group = await WhatsAppGroup.create({
       name: name.trim(),
       phoneNumbers,
       isDefault: !!isDefault,
-      isActive: true
+      isActive: true,
+      station: groupStation
     });
     
     logger.info("Group created", {
@@ -109,6 +121,9 @@ router.post("/", authenticateToken, async (req, res) => {
     
     res.json({ ok: true, group });
   } catch (err) {
+    if (err instanceof StationError) {
+      return sendStationError(res, err);
+    }
     logger.error("Error creating group", {
       requestId: req.id,
       error: err.message
@@ -122,32 +137,38 @@ router.post("/", authenticateToken, async (req, res) => {
 
 
 // PUT /api/groups/:id
-router.put("/:id", authenticateToken, async (req, res) => {
+router.put("/:id", authenticateToken, requireScope(WhatsAppGroup, GROUP_SCOPE), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phoneNumbers, isDefault, isActive } = req.body;
+    const { name, phoneNumbers, isDefault, isActive, station } = req.body;
+    
+    const existing = await WhatsAppGroup.findById(id).select('station').lean();
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        error: "קבוצה לא נמצאה"
+      });
+    }
     
-    // If setting as default, unset others
+    // 🏢 העברה לתחנה אחרת (בתחום המשתמש)
+    const groupStation = station !== undefined
+      ? await stationService.assertAssignable(station, scopeForUser(req.user))
+      : existing.station || null;
+    
+    // If setting as default, unset the station's others
     if (isDefault) {
       await WhatsAppGroup.updateMany(
-        { _id: { $ne: id } },
+        { _id: { $ne: id }, station: groupStation },
         { isDefault: false }
       );
     }
     
     const group = await WhatsAppGroup.findByIdAndUpdate(
       id,
-      { name, phoneNumbers, isDefault, isActive },
+      { name, phoneNumbers, isDefault, isActive, station: groupStation },
       { new: true }
     );
     
-    if (!group) {
-      return res.status(404).json({
-        ok: false,
-        error: "קבוצה לא נמצאה"
-      });
-    }
-    
     logger.info("Group updated", {
       requestId: req.id,
       groupId: group._id
@@ -158,6 +179,9 @@ router.put("/:id", authenticateToken, async (req, res) => {
       group
     });
   } catch (err) {
+    if (err instanceof StationError) {
+      return sendStationError(res, err);
+    }
     logger.error("Error updating group", {
       requestId: req.id,
       error: err.message
@@ -171,7 +195,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
 
 // DELETE /api/groups/:id
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", authenticateToken, requireScope(WhatsAppGroup, GROUP_SCOPE), async (req, res) => {
   try {
     const { id } = req.params;
     
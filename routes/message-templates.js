@@ -6,7 +6,7 @@ import { requirePermission } from '../middlewares/rbac.js';
 const router = express.Router();
 
 // GET /api/templates - רשימת תבניות פעילות
-router.get('/', authenticateToken, requirePermission('admin'), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('templates:read'), async (req, res) => {
   try {
     const templates = await MessageTemplate.find({ isActive: true }).sort({ createdAt: -1 });
     res.json({ ok: true, templates });
@@ -16,7 +16,7 @@ router.get('/', authenticateToken, requirePermission('admin'), async (req, res)
 });
 
 // POST /api/templates - יצירת תבנית חדשה
-router.post('/', authenticateToken, requirePermission('admin'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('templates:update'), async (req, res) => {
   try {
     const template = new MessageTemplate(req.body);
     await template.save();
@@ -27,7 +27,7 @@ router.post('/', authenticateToken, requirePermission('admin'), async (req, res)
 });
 
 // GET /api/templates/:id - תבנית ספציפית
-router.get('/:id', authenticateToken, requirePermission('admin'), async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('templates:read'), async (req, res) => {
   try {
     const template = await MessageTemplate.findById(req.params.id);
     if (!template) {
@@ -40,7 +40,7 @@ router.get('/:id', authenticateToken, requirePermission('admin'), async (req, re
 });
 
 // PUT /api/templates/:id - עדכון תבנית
-router.put('/:id', authenticateToken, requirePermission('admin'), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('templates:update'), async (req, res) => {
   try {
     const template = await MessageTemplate.findByIdAndUpdate(
       req.params.id,
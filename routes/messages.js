@@ -9,10 +9,13 @@
 // ===============================================
 
 import express from 'express';
+import mongoose from 'mongoose';
 import { Activity, AuditLog, Campaign, Driver, MessageLog, MessageTemplate } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
 import { requirePermission } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
+import outboundMessageQueue from '../utils/outboundMessageQueue.js';
+import deliveryStatusService from '../utils/deliveryStatusService.js';
 
 const router = express.Router();
 
@@ -35,6 +38,9 @@ const ERRORS = {
     NOT_FOUND: 'מסע פרסום לא נמצא',
     INVALID_STATUS: 'סטטוס לא תקין'
   },
+  FUNNEL: {
+    INVALID_ID: 'מזהה לא תקין'
+  },
   SERVER: {
     DATABASE: 'שגיאת מסד נתונים',
     UNKNOWN: 'שגיאת שרת'
@@ -42,7 +48,7 @@ const ERRORS = {
 };
 
 const TEMPLATE_CATEGORIES = ['general', 'reminder', 'thanks', 'status', 'cancellation', 'marketing'];
-const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'running', 'completed', 'cancelled'];
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'in_progress', 'paused', 'completed', 'cancelled', 'failed'];
 
 // ============================================================
 // HELPER FUNCTIONS
@@ -421,33 +427,20 @@ router.post("/send", authenticateToken, requirePermission('messages:send'), asyn
     // Ensure to is array
     const recipients = Array.isArray(to) ? to : [to];
     
-    // Log to MessageLog if model exists
-    const logs = [];
-    try {
-      const MessageLog = (await import('../models/MessageLog.js').catch(() => null))?.default;
-      
-      if (MessageLog) {
-        for (const recipient of recipients) {
-          const log = await MessageLog.create({
-            to: recipient,
-            text: finalText,
-            templateId: usedTemplateId,
-            templateName: usedTemplateName,
-            status: 'sent',
-            sentBy: req.user.username || req.user.user,
-            sentAt: new Date()
-          });
-          logs.push(log);
-        }
+    // כל נמען נכנס לתור השליחה (MessageLog: queued → sent / failed)
+    const logs = await outboundMessageQueue.enqueue(
+      recipients.map(recipient => ({ to: recipient, text: finalText })),
+      {
+        sentBy: req.user.username || req.user.user,
+        templateId: usedTemplateId,
+        templateName: usedTemplateName
       }
-    } catch (err) {
-      logger.warn('Failed to log messages', { error: err.message });
-    }
+    );
     
     // Log to Activity
     await Activity.create({
       timestamp: new Date(),
-      message: `נשלחו ${recipients.length} הודעות`,
+      message: `${recipients.length} הודעות נכנסו לתור השליחה`,
       type: 'system',
       emoji: '📨',
       details: finalText.substring(0, 100),
@@ -466,18 +459,16 @@ router.post("/send", authenticateToken, requirePermission('messages:send'), asyn
       }
     }).catch(err => logger.error('AuditLog error:', err));
     
-    logger.success("Messages sent", {
+    logger.success("Messages queued", {
       requestId: req.id || null,
       recipientCount: recipients.length,
       templateId: usedTemplateId
     });
     
-    // TODO: Actually send via WhatsApp API
-    
-    res.json({ 
+    // השליחה עצמה אסינכרונית - הסטטוס לכל נמען ב-GET /api/messages/history
+    res.status(202).json({ 
       ok: true,
-      sent: recipients.length,
-      failed: 0,
+      queued: logs.length,
       logs: logs.map(l => ({ id: l._id, to: l.to, status: l.status }))
     });
   } catch (err) {
@@ -543,32 +534,21 @@ router.post("/broadcast", authenticateToken, requirePermission('messages:send'),
       });
     }
     
-    // Send to all drivers
-    const logs = [];
-    const MessageLog = (await import('../models/MessageLog.js').catch(() => null))?.default;
-    
-    for (const driver of drivers) {
-      const driverVariables = {
+    // כל נהג מקבל הודעה אישית - נכנסת לתור השליחה
+    const messages = drivers.map(driver => ({
+      to: driver.phone,
+      text: replaceVariables(template.content, {
         ...variables,
         driverName: driver.name,
         name: driver.name
-      };
-      
-      const text = replaceVariables(template.content, driverVariables);
-      
-      if (MessageLog) {
-        const log = await MessageLog.create({
-          to: driver.phone,
-          text,
-          templateId: template._id,
-          templateName: template.name,
-          status: 'sent',
-          sentBy: req.user.username || req.user.user,
-          sentAt: new Date()
-        });
-        logs.push(log);
-      }
-    }
+      })
+    }));
+    
+    const logs = await outboundMessageQueue.enqueue(messages, {
+      sentBy: req.user.username || req.user.user,
+      templateId: template._id,
+      templateName: template.name
+    });
     
     // Audit log
     await AuditLog.create({
@@ -582,17 +562,15 @@ router.post("/broadcast", authenticateToken, requirePermission('messages:send'),
       }
     }).catch(err => logger.error('AuditLog error:', err));
     
-    logger.success("Broadcast sent", {
+    logger.success("Broadcast queued", {
       requestId: req.id || null,
       templateId,
       recipientCount: drivers.length
     });
     
-    // TODO: Actually send via WhatsApp API
-    
-    res.json({ 
+    res.status(202).json({ 
       ok: true,
-      sent: drivers.length,
+      queued: logs.length,
       templateName: template.name
     });
   } catch (err) {
@@ -868,6 +846,111 @@ router.delete("/campaigns/:id", authenticateToken, requirePermission('messages:d
   }
 });
 
+// ===============================================
+// GET /api/messages/queue - מצב תור השליחה
+// ===============================================
+router.get("/queue", authenticateToken, requirePermission('messages:read'), async (req, res) => {
+  try {
+    res.json({
+      ok: true,
+      queue: outboundMessageQueue.getStatus()
+    });
+  } catch (err) {
+    logger.error("Error fetching outbound queue status", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({ 
+      ok: false, 
+      error: ERRORS.SERVER.UNKNOWN 
+    });
+  }
+});
+
+// ===============================================
+// GET /api/messages/funnel/ride/:rideId - משפך מסירת הצעות לנסיעה
+// ===============================================
+router.get("/funnel/ride/:rideId", authenticateToken, requirePermission('messages:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.rideId)) {
+      return res.status(400).json({ ok: false, error: ERRORS.FUNNEL.INVALID_ID });
+    }
+
+    const funnel = await deliveryStatusService.getRideFunnel(req.params.rideId);
+    res.json({ ok: true, ...funnel });
+  } catch (err) {
+    logger.error("Error fetching ride delivery funnel", {
+      requestId: req.id || null,
+      rideId: req.params.rideId,
+      error: err.message
+    });
+    res.status(500).json({ 
+      ok: false, 
+      error: ERRORS.SERVER.UNKNOWN 
+    });
+  }
+});
+
+// ===============================================
+// GET /api/messages/funnel/campaign/:id - משפך מסירה לקמפיין
+// ===============================================
+router.get("/funnel/campaign/:id", authenticateToken, requirePermission('messages:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: ERRORS.FUNNEL.INVALID_ID });
+    }
+
+    const campaign = await Campaign.findById(req.params.id).select('name status stats');
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: ERRORS.CAMPAIGN.NOT_FOUND });
+    }
+
+    const funnel = await deliveryStatusService.getCampaignFunnel(campaign._id);
+    res.json({ ok: true, campaign, ...funnel });
+  } catch (err) {
+    logger.error("Error fetching campaign delivery funnel", {
+      requestId: req.id || null,
+      campaignId: req.params.id,
+      error: err.message
+    });
+    res.status(500).json({ 
+      ok: false, 
+      error: ERRORS.SERVER.UNKNOWN 
+    });
+  }
+});
+
+// ===============================================
+// GET /api/messages/errors - דוח קודי שגיאה (ברירת מחדל: 30 יום)
+// ===============================================
+router.get("/errors", authenticateToken, requirePermission('messages:read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const startDate = from ? new Date(from) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const endDate = to ? new Date(to) : new Date();
+
+    const errors = await deliveryStatusService.getErrorReport({
+      createdAt: { $gte: startDate, $lte: endDate }
+    });
+
+    res.json({
+      ok: true,
+      errors,
+      total: errors.reduce((sum, e) => sum + e.count, 0),
+      period: { from: startDate, to: endDate }
+    });
+  } catch (err) {
+    logger.error("Error fetching delivery error report", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({ 
+      ok: false, 
+      error: ERRORS.SERVER.UNKNOWN 
+    });
+  }
+});
+
 // ===============================================
 // GET /api/messages/history - היסטוריית הודעות
 // ===============================================
@@ -886,7 +969,7 @@ router.get("/history", authenticateToken, requirePermission('messages:read'), as
       
       if (MessageLog) {
         [messages, total] = await Promise.all([
-          MessageLog.find().sort({ sentAt: -1 }).skip(skip).limit(limit),
+          MessageLog.find().sort({ createdAt: -1 }).skip(skip).limit(limit),
           MessageLog.countDocuments()
         ]);
       } else {
@@ -953,7 +1036,9 @@ router.get("/stats", authenticateToken, requirePermission('messages:read'), asyn
     
     let stats = {
       totalSent: 0,
+      totalDelivered: 0,
       totalFailed: 0,
+      totalQueued: 0,
       byTemplate: [],
       byDate: []
     };
@@ -965,7 +1050,7 @@ router.get("/stats", authenticateToken, requirePermission('messages:read'), asyn
         const aggregate = await MessageLog.aggregate([
           {
             $match: {
-              sentAt: { $gte: startDate, $lte: endDate }
+              createdAt: { $gte: startDate, $lte: endDate }
             }
           },
           {
@@ -991,7 +1076,7 @@ router.get("/stats", authenticateToken, requirePermission('messages:read'), asyn
               byDate: [
                 {
                   $group: {
-                    _id: { $dateToString: { format: "%Y-%m-%d", date: "$sentAt" } },
+                    _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
                     count: { $sum: 1 }
                   }
                 },
@@ -1003,8 +1088,15 @@ router.get("/stats", authenticateToken, requirePermission('messages:read'), asyn
         
         if (aggregate.length > 0) {
           const result = aggregate[0];
-          stats.totalSent = result.byStatus.find(s => s._id === 'sent')?.count || 0;
-          stats.totalFailed = result.byStatus.find(s => s._id === 'failed')?.count || 0;
+          const countOf = (...statuses) => result.byStatus
+            .filter(s => statuses.includes(s._id))
+            .reduce((sum, s) => sum + s.count, 0);
+          
+          // הודעה שנמסרה / נקראה נשלחה קודם
+          stats.totalSent = countOf('sent', 'delivered', 'read');
+          stats.totalDelivered = countOf('delivered', 'read');
+          stats.totalFailed = countOf('failed');
+          stats.totalQueued = countOf('queued');
           stats.byTemplate = result.byTemplate;
           stats.byDate = result.byDate;
         }
@@ -1030,6 +1122,6 @@ router.get("/stats", authenticateToken, requirePermission('messages:read'), asyn
   }
 });
 
-console.log('✅ Messages routes loaded - 15 endpoints');
+console.log('✅ Messages routes loaded - 19 endpoints');
 
 export default router;
\ No newline at end of file
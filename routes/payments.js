@@ -24,9 +24,10 @@
 // ===============================================
 
 import express from 'express';
-import { Activity, AuditLog, Driver, Payment, Ride } from '../models/index.js';
+import { Activity, AuditLog, Driver, Payment, PendingPayment, Ride } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { requirePermission } from '../middlewares/rbac.js';
+import { requirePermission, requireScope, inStationScope, scopeFilter } from '../middlewares/rbac.js';
+import commissionLedger from '../utils/commissionLedger.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -55,6 +56,9 @@ const ERRORS = {
 const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'refunded', 'unpaid'];
 const PAYMENT_TYPES = ['commission', 'penalty', 'bonus', 'refund', 'other'];
 
+// לתשלום אין עיר - התחום לפי התחנה של הנהג (Payment.station)
+const PAYMENT_SCOPE = { city: null };
+
 // ============================================================
 // HELPER FUNCTIONS
 // ============================================================
@@ -144,7 +148,7 @@ router.get("/", authenticateToken, requirePermission('payments:read'), async (re
     
     if (Payment) {
       // Use Payment model
-      const filter = {};
+      const filter = scopeFilter(req, { ...PAYMENT_SCOPE, requestedStation: req.query.station });
       if (status) filter.status = status;
       if (driverId) filter.driverId = driverId;
       if (type) filter.type = type;
@@ -263,7 +267,7 @@ router.post("/", authenticateToken, requirePermission('payments:create'), async
     
     // Verify driver exists
     const driver = await Driver.findById(driverId);
-    if (!driver) {
+    if (!driver || !inStationScope(req, driver.station || null)) {
       return res.status(404).json({
         ok: false,
         error: ERRORS.DRIVER.NOT_FOUND
@@ -280,7 +284,9 @@ router.post("/", authenticateToken, requirePermission('payments:create'), async
     }
     
     const payment = await Payment.create({
+      driver: driverId,
       driverId,
+      station: driver.station || null,
       driverName: driverName || driver.name,
       driverPhone: driverPhone || driver.phone,
       amount,
@@ -296,6 +302,10 @@ router.post("/", authenticateToken, requirePermission('payments:create'), async
       }
     });
     
+    // 📒 Ledger: חוב / זיכוי ידני נרשם בספר החשבונות
+    await commissionLedger.recordPaymentCharge(payment, driver._id, req.user.username || req.user.user)
+      .catch(err => logger.error('Ledger error:', err));
+    
     // ⚠️ CRITICAL: Enhanced audit for manual payment creation
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
@@ -342,7 +352,7 @@ router.post("/", authenticateToken, requirePermission('payments:create'), async
 // ===============================================
 // GET /api/payments/:id - קבלת תשלום בודד
 // ===============================================
-router.get("/:id", authenticateToken, requirePermission('payments:read'), async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission('payments:read'), requireScope(Payment, PAYMENT_SCOPE), async (req, res) => {
   try {
     const Payment = await getPaymentModel();
     
@@ -381,7 +391,7 @@ router.get("/:id", authenticateToken, requirePermission('payments:read'), async
 // ===============================================
 // PUT /api/payments/:id - עדכון תשלום
 // ===============================================
-router.put("/:id", authenticateToken, requirePermission('payments:update'), async (req, res) => {
+router.put("/:id", authenticateToken, requirePermission('payments:update'), requireScope(Payment, PAYMENT_SCOPE), async (req, res) => {
   try {
     const Payment = await getPaymentModel();
     
@@ -442,7 +452,7 @@ router.put("/:id", authenticateToken, requirePermission('payments:update'), asyn
 // ===============================================
 // DELETE /api/payments/:id - מחיקת תשלום
 // ===============================================
-router.delete("/:id", authenticateToken, requirePermission('payments:delete'), async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission('payments:delete'), requireScope(Payment, PAYMENT_SCOPE), async (req, res) => {
   try {
     const Payment = await getPaymentModel();
     
@@ -494,7 +504,7 @@ router.delete("/:id", authenticateToken, requirePermission('payments:delete'), a
 // ===============================================
 // PUT /api/payments/:id/mark-paid - סימון כשולם
 // ===============================================
-router.put("/:id/mark-paid", authenticateToken, requirePermission('payments:mark_paid'), async (req, res) => {
+router.put("/:id/mark-paid", authenticateToken, requirePermission('payments:mark_paid'), requireScope(Payment, PAYMENT_SCOPE), async (req, res) => {
   try {
     const { paymentMethod, notes } = req.body;
     
@@ -569,6 +579,23 @@ router.put("/:id/mark-paid", authenticateToken, requirePermission('payments:mark
       }
     }
     
+    // דמי תחנה: קוד התשלום הפתוח כבר לא רלוונטי
+    if (payment.type === 'subscription') {
+      await PendingPayment.updateMany(
+        { paymentId: payment._id, status: 'pending' },
+        { $set: { status: 'cancelled', notes: 'Marked as paid manually' } }
+      ).catch(err => logger.error('PendingPayment sync error:', err));
+    }
+    
+    // 📒 Ledger: סגירת החוב בספר החשבונות
+    if (payment.driver || payment.driverId) {
+      await commissionLedger.recordPaymentSettled(
+        payment,
+        payment.driver || payment.driverId,
+        req.user.username || req.user.user
+      ).catch(err => logger.error('Ledger error:', err));
+    }
+    
     // Update driver earnings if available
     try {
       if (payment.driverId) {
@@ -622,7 +649,7 @@ router.put("/:id/mark-paid", authenticateToken, requirePermission('payments:mark
 // ===============================================
 // POST /api/payments/:id/receipt - העלאת קבלה
 // ===============================================
-router.post("/:id/receipt", authenticateToken, requirePermission('payments:update'), async (req, res) => {
+router.post("/:id/receipt", authenticateToken, requirePermission('payments:update'), requireScope(Payment, PAYMENT_SCOPE), async (req, res) => {
   try {
     const { filename, url } = req.body;
     
@@ -685,7 +712,7 @@ router.post("/:id/receipt", authenticateToken, requirePermission('payments:updat
 // ===============================================
 // POST /api/payments/:id/ocr - OCR extraction
 // ===============================================
-router.post("/:id/ocr", authenticateToken, requirePermission('payments:update'), async (req, res) => {
+router.post("/:id/ocr", authenticateToken, requirePermission('payments:update'), requireScope(Payment, PAYMENT_SCOPE), async (req, res) => {
   try {
     const { extractedAmount, extractedDate, vendor, confidence, rawText } = req.body;
     
@@ -760,6 +787,7 @@ router.get("/overdue/list", authenticateToken, requirePermission('payments:read'
     const now = new Date();
     
     const payments = await Payment.find({
+      ...scopeFilter(req, PAYMENT_SCOPE),
       status: { $in: ['unpaid', 'pending'] },
       dueDate: { $lt: now }
     }).sort({ dueDate: 1 });
@@ -797,7 +825,7 @@ router.get("/overdue/list", authenticateToken, requirePermission('payments:read'
 // ===============================================
 // POST /api/payments/:id/reminder - שליחת תזכורת
 // ===============================================
-router.post("/:id/reminder", authenticateToken, requirePermission('payments:send_reminder'), async (req, res) => {
+router.post("/:id/reminder", authenticateToken, requirePermission('payments:send_reminder'), requireScope(Payment, PAYMENT_SCOPE), async (req, res) => {
   try {
     const Payment = await getPaymentModel();
     
@@ -912,7 +940,7 @@ router.get("/reports/summary", authenticateToken, requirePermission('payments:re
       });
     }
     
-    const filter = {};
+    const filter = scopeFilter(req, { ...PAYMENT_SCOPE, requestedStation: req.query.station });
     if (from || to) {
       filter.createdAt = {};
       if (from) filter.createdAt.$gte = new Date(from);
@@ -990,7 +1018,7 @@ router.get("/reports/by-driver", authenticateToken, requirePermission('payments:
       });
     }
     
-    const payments = await Payment.find({ driverId });
+    const payments = await Payment.find({ ...scopeFilter(req, PAYMENT_SCOPE), driverId });
     
     const stats = {
       total: payments.reduce((sum, p) => sum + p.amount, 0),
@@ -1042,7 +1070,7 @@ router.get("/reports/by-period", authenticateToken, requirePermission('payments:
       });
     }
     
-    const filter = {};
+    const filter = scopeFilter(req, { ...PAYMENT_SCOPE, requestedStation: req.query.station });
     if (from || to) {
       filter.createdAt = {};
       if (from) filter.createdAt.$gte = new Date(from);
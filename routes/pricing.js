@@ -0,0 +1,314 @@
+// ============================================================
+// PRICING ROUTES
+// Pricing zones and promo codes for the fare engine (utils/fareEngine.js)
+// ============================================================
+
+import express from 'express';
+import { AuditLog, PricingZone, PromoCode, Ride } from '../models/index.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/rbac.js';
+import fareEngine from '../utils/fareEngine.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Error messages
+const ERRORS = {
+  ZONE: {
+    NOT_FOUND: 'אזור לא נמצא',
+    DUPLICATE: 'קוד אזור כבר קיים',
+    UNKNOWN_TARGET: 'מחיר קבוע לאזור שלא קיים'
+  },
+  PROMO: {
+    NOT_FOUND: 'קוד הנחה לא נמצא',
+    DUPLICATE: 'קוד הנחה כבר קיים',
+    INVALID_PERCENT: 'הנחה באחוזים חייבת להיות בין 0 ל-100'
+  },
+  SERVER: {
+    DATABASE: 'שגיאת בסיס נתונים',
+    UNKNOWN: 'שגיאה לא צפויה'
+  }
+};
+
+// שדות שמותר לעדכן מהממשק
+const ZONE_FIELDS = ['code', 'name', 'kind', 'cities', 'center', 'radiusKm', 'fixedFares', 'flatRate', 'priority', 'isActive'];
+const PROMO_FIELDS = ['code', 'description', 'type', 'value', 'maxDiscount', 'minFare', 'validFrom', 'validUntil', 'maxUses', 'maxUsesPerPhone', 'zones', 'rideTypes', 'isActive'];
+
+function pick(body, fields) {
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function audit(req, action, details) {
+  AuditLog.create({
+    userId: req.user.userId || req.user.user,
+    username: req.user.username || req.user.user,
+    action,
+    details
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+/**
+ * שגיאת ולידציה / כפילות → 400 / 409, אחרת 500
+ */
+function sendSaveError(res, err, duplicateMessage) {
+  if (err.code === 11000) {
+    return res.status(409).json({ ok: false, error: duplicateMessage });
+  }
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  return res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+}
+
+/**
+ * מחירים קבועים רק לאזורים קיימים
+ */
+async function findUnknownTargets(fixedFares = []) {
+  const targets = [...new Set(fixedFares.map(fare => String(fare.toZone || '').trim().toLowerCase()))];
+  if (targets.length === 0) return [];
+
+  const existing = await PricingZone.distinct('code', { code: { $in: targets } });
+  return targets.filter(code => !existing.includes(code));
+}
+
+// ============================================================
+// ZONES
+// ============================================================
+
+// ===============================================
+// GET /api/pricing/zones - רשימת אזורים
+// ===============================================
+router.get('/zones', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const zones = await PricingZone.find().sort({ priority: -1, name: 1 }).lean();
+    res.json({ ok: true, zones });
+  } catch (err) {
+    logger.error('Error fetching pricing zones', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/pricing/zones - יצירת אזור
+// ===============================================
+router.post('/zones', authenticateToken, requirePermission('settings:update'), async (req, res) => {
+  try {
+    const data = pick(req.body, ZONE_FIELDS);
+
+    const unknown = await findUnknownTargets(data.fixedFares);
+    if (unknown.length > 0) {
+      return res.status(400).json({ ok: false, error: ERRORS.ZONE.UNKNOWN_TARGET, zones: unknown });
+    }
+
+    const zone = await PricingZone.create({ ...data, updatedBy: req.user.username || req.user.user });
+    fareEngine.invalidateZones();
+
+    audit(req, 'pricing_zone_created', { code: zone.code, name: zone.name });
+    logger.success('Pricing zone created', { requestId: req.id, code: zone.code });
+
+    res.status(201).json({ ok: true, zone });
+  } catch (err) {
+    logger.error('Error creating pricing zone', { requestId: req.id, error: err.message });
+    sendSaveError(res, err, ERRORS.ZONE.DUPLICATE);
+  }
+});
+
+// ===============================================
+// PUT /api/pricing/zones/:code - עדכון אזור
+// ===============================================
+router.put('/zones/:code', authenticateToken, requirePermission('settings:update'), async (req, res) => {
+  try {
+    const zone = await PricingZone.findOne({ code: req.params.code.toLowerCase() });
+    if (!zone) {
+      return res.status(404).json({ ok: false, error: ERRORS.ZONE.NOT_FOUND });
+    }
+
+    const updates = pick(req.body, ZONE_FIELDS);
+    delete updates.code;
+
+    const unknown = await findUnknownTargets(updates.fixedFares);
+    if (unknown.length > 0) {
+      return res.status(400).json({ ok: false, error: ERRORS.ZONE.UNKNOWN_TARGET, zones: unknown });
+    }
+
+    zone.set({ ...updates, updatedBy: req.user.username || req.user.user });
+    await zone.save();
+    fareEngine.invalidateZones();
+
+    audit(req, 'pricing_zone_updated', { code: zone.code, fields: Object.keys(updates) });
+    logger.success('Pricing zone updated', { requestId: req.id, code: zone.code });
+
+    res.json({ ok: true, zone });
+  } catch (err) {
+    logger.error('Error updating pricing zone', { requestId: req.id, error: err.message });
+    sendSaveError(res, err, ERRORS.ZONE.DUPLICATE);
+  }
+});
+
+// ===============================================
+// DELETE /api/pricing/zones/:code - מחיקת אזור
+// ===============================================
+router.delete('/zones/:code', authenticateToken, requirePermission('settings:update'), async (req, res) => {
+  try {
+    const code = req.params.code.toLowerCase();
+    const zone = await PricingZone.findOneAndDelete({ code });
+    if (!zone) {
+      return res.status(404).json({ ok: false, error: ERRORS.ZONE.NOT_FOUND });
+    }
+
+    // מחירים קבועים של אזורים אחרים לאזור שנמחק
+    await PricingZone.updateMany({ 'fixedFares.toZone': code }, { $pull: { fixedFares: { toZone: code } } });
+    fareEngine.invalidateZones();
+
+    audit(req, 'pricing_zone_deleted', { code, name: zone.name });
+    logger.success('Pricing zone deleted', { requestId: req.id, code });
+
+    res.json({ ok: true });
+  } catch (err) {
+    logger.error('Error deleting pricing zone', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ============================================================
+// PROMO CODES
+// ============================================================
+
+// ===============================================
+// GET /api/pricing/promo-codes - רשימת קודי הנחה
+// ===============================================
+router.get('/promo-codes', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const filter = req.query.active === 'true' ? { isActive: true } : {};
+    const promoCodes = await PromoCode.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ ok: true, promoCodes });
+  } catch (err) {
+    logger.error('Error fetching promo codes', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/pricing/promo-codes - יצירת קוד הנחה
+// ===============================================
+router.post('/promo-codes', authenticateToken, requirePermission('settings:update'), async (req, res) => {
+  try {
+    const data = pick(req.body, PROMO_FIELDS);
+
+    if (data.type === 'percent' && !(Number(data.value) <= 100)) {
+      return res.status(400).json({ ok: false, error: ERRORS.PROMO.INVALID_PERCENT });
+    }
+
+    const promoCode = await PromoCode.create({ ...data, createdBy: req.user.username || req.user.user });
+
+    audit(req, 'promo_code_created', { code: promoCode.code, type: promoCode.type, value: promoCode.value });
+    logger.success('Promo code created', { requestId: req.id, code: promoCode.code });
+
+    res.status(201).json({ ok: true, promoCode });
+  } catch (err) {
+    logger.error('Error creating promo code', { requestId: req.id, error: err.message });
+    sendSaveError(res, err, ERRORS.PROMO.DUPLICATE);
+  }
+});
+
+// ===============================================
+// PUT /api/pricing/promo-codes/:code - עדכון קוד הנחה
+// ===============================================
+router.put('/promo-codes/:code', authenticateToken, requirePermission('settings:update'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByCode(req.params.code);
+    if (!promoCode) {
+      return res.status(404).json({ ok: false, error: ERRORS.PROMO.NOT_FOUND });
+    }
+
+    const updates = pick(req.body, PROMO_FIELDS);
+    delete updates.code;
+
+    promoCode.set(updates);
+    if (promoCode.type === 'percent' && promoCode.value > 100) {
+      return res.status(400).json({ ok: false, error: ERRORS.PROMO.INVALID_PERCENT });
+    }
+    await promoCode.save();
+
+    audit(req, 'promo_code_updated', { code: promoCode.code, fields: Object.keys(updates) });
+    logger.success('Promo code updated', { requestId: req.id, code: promoCode.code });
+
+    res.json({ ok: true, promoCode });
+  } catch (err) {
+    logger.error('Error updating promo code', { requestId: req.id, error: err.message });
+    sendSaveError(res, err, ERRORS.PROMO.DUPLICATE);
+  }
+});
+
+// ===============================================
+// GET /api/pricing/promo-codes/:code/redemptions - מימושים של קוד
+// ===============================================
+router.get('/promo-codes/:code/redemptions', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByCode(req.params.code);
+    if (!promoCode) {
+      return res.status(404).json({ ok: false, error: ERRORS.PROMO.NOT_FOUND });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const rides = await Ride.find({ 'redemptions.code': promoCode.code })
+      .select('rideNumber customerName customerPhone status price redemptions createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const redemptions = rides.flatMap(ride => ride.redemptions
+      .filter(entry => entry.kind === 'promo' && entry.code === promoCode.code)
+      .map(entry => ({
+        rideId: ride._id,
+        rideNumber: ride.rideNumber,
+        customerName: ride.customerName,
+        customerPhone: ride.customerPhone,
+        rideStatus: ride.status,
+        price: ride.price,
+        discount: entry.amount,
+        redeemedAt: entry.redeemedAt,
+        reversedAt: entry.reversedAt
+      })));
+
+    res.json({
+      ok: true,
+      promoCode,
+      redemptions,
+      totalDiscount: redemptions
+        .filter(entry => !entry.reversedAt)
+        .reduce((sum, entry) => sum + (entry.discount || 0), 0)
+    });
+  } catch (err) {
+    logger.error('Error fetching promo code redemptions', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// DELETE /api/pricing/promo-codes/:code - השבתת קוד הנחה
+// ===============================================
+// השבתה ולא מחיקה - נסיעות שומרות את הקוד ב-pricingDetails
+router.delete('/promo-codes/:code', authenticateToken, requirePermission('settings:update'), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByCode(req.params.code);
+    if (!promoCode) {
+      return res.status(404).json({ ok: false, error: ERRORS.PROMO.NOT_FOUND });
+    }
+
+    promoCode.isActive = false;
+    await promoCode.save();
+
+    audit(req, 'promo_code_deactivated', { code: promoCode.code, usedCount: promoCode.usedCount });
+    logger.success('Promo code deactivated', { requestId: req.id, code: promoCode.code });
+
+    res.json({ ok: true, promoCode });
+  } catch (err) {
+    logger.error('Error deactivating promo code', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+console.log('✅ Pricing routes loaded - 9 endpoints');
+
+export default router;
@@ -0,0 +1,273 @@
+// ============================================================
+// RECURRING RIDES ROUTES
+// ניהול תבניות נסיעה חוזרת: מופעים קרובים, השהיה, עדכון לוח זמנים
+// (יצירת תבנית: POST /api/rides/recurring ב-rides.js)
+// ============================================================
+
+import express from 'express';
+import { AuditLog, Ride } from '../models/index.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { RIDE_SCOPE, requirePermission, requireScope, scopeFilter } from '../middlewares/rbac.js';
+import logger from '../utils/logger.js';
+import recurringRidesScheduler, { computeNextOccurrence } from '../utils/recurringRidesScheduler.js';
+
+const router = express.Router();
+
+const ERRORS = {
+  RECURRING: {
+    NOT_FOUND: 'נסיעה חוזרת לא נמצאה',
+    INVALID_WEEKDAYS: 'ימי שבוע לא תקינים (0-6)',
+    INVALID_SKIP_DATES: 'תאריכי דילוג חייבים להיות בפורמט YYYY-MM-DD',
+    INVALID_TIME: 'שעה לא תקינה (HH:MM)'
+  },
+  SERVER: {
+    UNKNOWN: 'שגיאה לא צפויה'
+  }
+};
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+async function findTemplate(id) {
+  return Ride.findOne({ _id: id, rideType: 'recurring' });
+}
+
+// ===============================================
+// GET /api/rides/recurring/upcoming - מופעים קרובים של כל התבניות (בתחום המשתמש)
+// ===============================================
+router.get("/upcoming", authenticateToken, requirePermission('rides:read'), async (req, res) => {
+  try {
+    const days = Math.min(60, Math.max(1, parseInt(req.query.days) || 7));
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const templates = await Ride.find({
+      ...scopeFilter(req, RIDE_SCOPE),
+      rideType: 'recurring',
+      'recurring.enabled': true,
+      'recurring.nextOccurrence': { $ne: null, $lte: until }
+    }).select('rideNumber customerName customerPhone pickup destination price recurring');
+
+    const occurrences = templates.flatMap(template =>
+      recurringRidesScheduler
+        .getUpcomingOccurrences(template, 100)
+        .filter(date => date <= until)
+        .map(date => ({
+          templateId: template._id,
+          templateRideNumber: template.rideNumber,
+          customerName: template.customerName,
+          pickup: template.pickup,
+          destination: template.destination,
+          price: template.price,
+          occurrence: date,
+          paused: template.recurring.paused
+        }))
+    ).sort((a, b) => a.occurrence - b.occurrence);
+
+    res.json({
+      ok: true,
+      days,
+      occurrences,
+      scheduler: recurringRidesScheduler.getStatus()
+    });
+  } catch (err) {
+    logger.error("Error fetching upcoming recurring rides", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// GET /api/rides/recurring/:id/upcoming - מופעים קרובים של תבנית
+// ===============================================
+router.get("/:id/upcoming", authenticateToken, requirePermission('rides:read'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
+  try {
+    const count = Math.min(100, Math.max(1, parseInt(req.query.count) || 10));
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.RECURRING.NOT_FOUND
+      });
+    }
+
+    const children = await Ride.find({ parentRideId: template._id })
+      .sort({ occurrenceDate: -1 })
+      .limit(10)
+      .select('rideNumber status occurrenceDate driverName');
+
+    res.json({
+      ok: true,
+      recurring: template.recurring,
+      upcoming: recurringRidesScheduler.getUpcomingOccurrences(template, count),
+      recentOccurrences: children
+    });
+  } catch (err) {
+    logger.error("Error fetching recurring ride occurrences", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// PUT /api/rides/recurring/:id/schedule - עדכון לוח זמנים
+// ===============================================
+router.put("/:id/schedule", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
+  try {
+    const { time, weekdays, skipDates, leadTimeMinutes, endDate } = req.body;
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.RECURRING.NOT_FOUND
+      });
+    }
+
+    if (time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+      return res.status(400).json({ ok: false, error: ERRORS.RECURRING.INVALID_TIME });
+    }
+
+    if (weekdays !== undefined &&
+        (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return res.status(400).json({ ok: false, error: ERRORS.RECURRING.INVALID_WEEKDAYS });
+    }
+
+    if (skipDates !== undefined &&
+        (!Array.isArray(skipDates) || skipDates.some(d => !DATE_KEY_REGEX.test(d)))) {
+      return res.status(400).json({ ok: false, error: ERRORS.RECURRING.INVALID_SKIP_DATES });
+    }
+
+    if (time !== undefined) template.recurring.time = time;
+    if (weekdays !== undefined) template.recurring.weekdays = weekdays;
+    if (skipDates !== undefined) template.recurring.skipDates = [...new Set(skipDates)].sort();
+    if (leadTimeMinutes !== undefined) template.recurring.leadTimeMinutes = leadTimeMinutes;
+    if (endDate !== undefined) template.recurring.endDate = endDate ? new Date(endDate) : null;
+
+    // חישוב מחדש של המופע הבא לפי הלוח החדש
+    template.recurring.nextOccurrence = computeNextOccurrence(template.recurring, new Date());
+    template.recurring.enabled = template.recurring.nextOccurrence !== null;
+
+    template.timeline.push({
+      event: 'recurring_schedule_updated',
+      timestamp: new Date(),
+      details: { by: req.user.username || req.user.user, changes: req.body }
+    });
+
+    await template.save();
+
+    await AuditLog.create({
+      userId: req.user.userId || req.user.user,
+      username: req.user.username || req.user.user,
+      action: 'recurring_schedule_updated',
+      details: { rideId: template._id, rideNumber: template.rideNumber, changes: req.body }
+    }).catch(err => logger.error('AuditLog error:', err));
+
+    logger.success("Recurring schedule updated", {
+      requestId: req.id || null,
+      rideNumber: template.rideNumber,
+      nextOccurrence: template.recurring.nextOccurrence
+    });
+
+    res.json({ ok: true, recurring: template.recurring });
+  } catch (err) {
+    logger.error("Error updating recurring schedule", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+/**
+ * השהיה / חידוש תבנית - משותף ל-pause ול-resume
+ */
+async function togglePaused(req, res, paused) {
+  const action = paused ? 'paused' : 'resumed';
+
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.RECURRING.NOT_FOUND
+      });
+    }
+
+    const by = req.user.username || req.user.user;
+    await recurringRidesScheduler.setPaused(template, paused, by);
+
+    await AuditLog.create({
+      userId: req.user.userId || req.user.user,
+      username: by,
+      action: `recurring_ride_${action}`,
+      details: { rideId: template._id, rideNumber: template.rideNumber }
+    }).catch(err => logger.error('AuditLog error:', err));
+
+    logger.info(`Recurring ride ${action}`, {
+      requestId: req.id || null,
+      rideNumber: template.rideNumber,
+      by
+    });
+
+    res.json({ ok: true, recurring: template.recurring });
+  } catch (err) {
+    logger.error(`Error updating recurring ride (${action})`, {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+}
+
+// ===============================================
+// POST /api/rides/recurring/:id/pause - השהיה
+// ===============================================
+router.post("/:id/pause", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), (req, res) =>
+  togglePaused(req, res, true)
+);
+
+// ===============================================
+// POST /api/rides/recurring/:id/resume - חידוש
+// ===============================================
+router.post("/:id/resume", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), (req, res) =>
+  togglePaused(req, res, false)
+);
+
+// ===============================================
+// POST /api/rides/recurring/run - הרצה ידנית של המתזמן
+// ===============================================
+router.post("/run", authenticateToken, requirePermission('rides:create'), async (req, res) => {
+  try {
+    await recurringRidesScheduler.runManually();
+
+    res.json({ ok: true, scheduler: recurringRidesScheduler.getStatus() });
+  } catch (err) {
+    logger.error("Error running recurring rides scheduler", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+export default router;
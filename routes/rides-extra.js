@@ -5,8 +5,13 @@
 // Created: 24 דצמבר 2025
 
 import express from 'express';
+import mongoose from 'mongoose';
 import { Activity, Driver, Ride } from '../models/index.js';
 import { authenticateToken } from './auth.js';
+import { RIDE_SCOPE, requirePermission, requireScope, scopeFilter } from '../middlewares/rbac.js';
+import geocoder from '../utils/geocoder.js';
+import logger from '../utils/logger.js';
+import rideStateMachine, { RideTransitionError, actorRoleFor } from '../utils/rideStateMachine.js';
 
 const router = express.Router();
 
@@ -14,13 +19,12 @@ const router = express.Router();
 // 1️⃣ PUT /api/rides/:id
 // ===============================================
 // עדכון כללי של נסיעה (כל השדות)
-router.put('/:id', authenticateToken, async (req, res) => {
+// ביטול / נעילה / שחרור / שליחה מחדש של נסיעה בודדת - routes/rides.js
+router.put('/:id', authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
     
-    console.log('🔄 Updating ride:', id);
-    
     const ride = await Ride.findById(id);
     
     if (!ride) {
@@ -39,7 +43,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
       'scheduledTime',
       'notes',
       'price',
-      'commissionRate',
+      'isExternal',
       'rideType',
       'specialNotes',
       'groupChat',
@@ -55,11 +59,15 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     });
     
-    // חשב עמלה מחדש אם המחיר השתנה
-    if (updateData.price || updateData.commissionRate) {
-      ride.commissionAmount = ride.price * ride.commissionRate;
+    // קידוד מחדש של מיקומים אם הכתובות השתנו
+    if (updateData.pickup !== undefined || updateData.destination !== undefined) {
+      const locations = await geocoder.geocodeRide(ride.pickup, ride.destination);
+      ride.pickupLocation = locations.pickupLocation;
+      ride.destinationLocation = locations.destinationLocation;
     }
     
+    // העמלה מחושבת מחדש ב-pre('save') כשהמחיר / isExternal משתנים (BillingConfig)
+    
     ride.updatedAt = new Date();
     
     await ride.save();
@@ -81,9 +89,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
         updatedFields: Object.keys(previousData),
         updatedBy: req.user?.username || 'admin'
       }
-    }).catch(err => console.log('Activity log failed:', err));
+    }).catch(err => logger.error('Activity log failed:', err));
     
-    console.log('✅ Ride updated successfully');
+    logger.success('✅ Ride updated', {
+      requestId: req.id || null,
+      rideNumber: ride.rideNumber,
+      updatedFields: Object.keys(previousData)
+    });
     
     res.json({
       ok: true,
@@ -92,7 +104,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
     });
     
   } catch (error) {
-    console.error('❌ Error updating ride:', error);
+    logger.error('❌ Error updating ride', {
+      requestId: req.id || null,
+      rideId: req.params.id,
+      error: error.message
+    });
     res.status(500).json({
       ok: false,
       error: { message: 'שגיאה בעדכון נסיעה', details: error.message }
@@ -101,353 +117,57 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // ===============================================
-// 2️⃣ POST /api/rides/:id/cancel
+// 🔧 BONUS: Batch operations
 // ===============================================
-// ביטול נסיעה
-router.post('/:id/cancel', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { reason, cancelledBy } = req.body;
-    
-    console.log('❌ Cancelling ride:', id);
-    
-    const ride = await Ride.findById(id);
-    
-    if (!ride) {
-      return res.status(404).json({
-        ok: false,
-        error: { message: 'נסיעה לא נמצאה' }
-      });
-    }
-    
-    // בדוק אם אפשר לבטל
-    if (!ride.canBeCancelled()) {
-      return res.status(400).json({
-        ok: false,
-        error: { 
-          message: 'לא ניתן לבטל נסיעה בסטטוס הנוכחי',
-          currentStatus: ride.status
-        }
-      });
-    }
-    
-    const previousStatus = ride.status;
-    
-    ride.status = 'cancelled';
-    ride.cancelledAt = new Date();
-    ride.cancelledBy = cancelledBy || req.user?.username || 'admin';
-    ride.cancellationReason = reason || 'ביטול ידני';
-    
-    // אם הנסיעה הייתה נעולה, שחרר את הנעילה
-    if (ride.lockedBy) {
-      ride.lockedBy = null;
-      ride.lockedAt = null;
-    }
-    
-    await ride.save();
-    
-    // הוסף להיסטוריה
-    await ride.addHistory(
-      'cancelled',
-      cancelledBy || req.user?.username || 'admin',
-      `Ride cancelled: ${reason || 'No reason provided'}`
-    );
-    
-    // תיעוד פעילות
-    await Activity.create({
-      type: 'ride_cancelled',
-      description: `Ride ${ride.rideNumber} cancelled`,
-      relatedId: ride._id,
-      data: {
-        rideNumber: ride.rideNumber,
-        previousStatus,
-        reason,
-        cancelledBy: ride.cancelledBy
-      }
-    }).catch(err => console.log('Activity log failed:', err));
-    
-    console.log('✅ Ride cancelled successfully');
-    
-    res.json({
-      ok: true,
-      ride,
-      message: 'הנסיעה בוטלה בהצלחה'
-    });
-    
-  } catch (error) {
-    console.error('❌ Error cancelling ride:', error);
-    res.status(500).json({
-      ok: false,
-      error: { message: 'שגיאה בביטול נסיעה', details: error.message }
-    });
-  }
-});
 
-// ===============================================
-// 3️⃣ POST /api/rides/:id/lock
-// ===============================================
-// נעילת נסיעה (למנוע נהגים נוספים)
-router.post('/:id/lock', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { driverPhone, driverName, lockReason } = req.body;
-    
-    console.log('🔒 Locking ride:', id);
-    
-    const ride = await Ride.findById(id);
-    
-    if (!ride) {
-      return res.status(404).json({
-        ok: false,
-        error: { message: 'נסיעה לא נמצאה' }
-      });
-    }
-    
-    // בדוק שהנסיעה לא כבר נעולה או שויכה
-    if (ride.status === 'locked') {
-      return res.status(400).json({
-        ok: false,
-        error: { message: 'הנסיעה כבר נעולה' }
-      });
-    }
-    
-    if (ride.status === 'assigned' || ride.status === 'approved') {
-      return res.status(400).json({
-        ok: false,
-        error: { message: 'הנסיעה כבר שויכה לנהג' }
-      });
-    }
-    
-    // נעל את הנסיעה
-    ride.status = 'locked';
-    ride.lockedBy = driverPhone || req.user?.username || 'admin';
-    ride.lockedAt = new Date();
-    ride.lockReason = lockReason || 'Manual lock';
-    
-    await ride.save();
-    
-    // הוסף להיסטוריה
-    await ride.addHistory(
-      'locked',
-      ride.lockedBy,
-      lockReason || 'Ride locked manually'
-    );
-    
-    // תיעוד פעילות
-    await Activity.create({
-      type: 'ride_locked',
-      description: `Ride ${ride.rideNumber} locked`,
-      relatedId: ride._id,
-      data: {
-        rideNumber: ride.rideNumber,
-        lockedBy: ride.lockedBy,
-        reason: lockReason
-      }
-    }).catch(err => console.log('Activity log failed:', err));
-    
-    console.log('✅ Ride locked successfully');
-    
-    res.json({
-      ok: true,
-      ride,
-      message: 'הנסיעה נעולה בהצלחה'
-    });
-    
-  } catch (error) {
-    console.error('❌ Error locking ride:', error);
-    res.status(500).json({
-      ok: false,
-      error: { message: 'שגיאה בנעילת נסיעה', details: error.message }
-    });
+// נסיעות מחוץ לתחום המשתמש (ערים / תחנות) מדולגות
+async function splitByScope(req, rideIds) {
+  const filter = scopeFilter(req, RIDE_SCOPE);
+  if (Object.keys(filter).length === 0) {
+    return { allowed: rideIds, outOfScope: [] };
   }
-});
+  
+  const inScopeIds = await Ride.find({
+    _id: { $in: rideIds.filter(id => mongoose.isValidObjectId(id)) },
+    ...filter
+  }).distinct('_id');
+  const inScope = new Set(inScopeIds.map(String));
+  
+  return {
+    allowed: rideIds.filter(id => inScope.has(String(id))),
+    outOfScope: rideIds.filter(id => !inScope.has(String(id)))
+  };
+}
 
-// ===============================================
-// 4️⃣ POST /api/rides/:id/unlock
-// ===============================================
-// פתיחת נעילה של נסיעה
-router.post('/:id/unlock', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { unlockReason, force = false } = req.body;
-    
-    console.log('🔓 Unlocking ride:', id);
-    
-    const ride = await Ride.findById(id);
-    
-    if (!ride) {
-      return res.status(404).json({
-        ok: false,
-        error: { message: 'נסיעה לא נמצאה' }
-      });
-    }
-    
-    // בדוק שהנסיעה נעולה
-    if (ride.status !== 'locked') {
-      return res.status(400).json({
-        ok: false,
-        error: { message: 'הנסיעה לא נעולה' }
+// מעבר סטטוס לכל נסיעה בנפרד (state machine) - נסיעות שלא ניתן להעביר מדולגות
+async function batchTransition(req, rideIds, status, allowedFrom, options) {
+  let modifiedCount = 0;
+  const { allowed, outOfScope } = await splitByScope(req, rideIds);
+  const skipped = outOfScope.map(rideId => ({ rideId, code: 'OUT_OF_SCOPE' }));
+  
+  for (const rideId of allowed) {
+    try {
+      const ride = await rideStateMachine.transition(rideId, status, {
+        ...options,
+        expectedFrom: allowedFrom
       });
-    }
-    
-    const previousLockedBy = ride.lockedBy;
-    
-    // שחרר נעילה
-    ride.status = 'sent'; // חזור לסטטוס נשלח
-    ride.lockedBy = null;
-    ride.lockedAt = null;
-    ride.unlockReason = unlockReason || 'Manual unlock';
-    ride.unlockedAt = new Date();
-    ride.unlockedBy = req.user?.username || 'admin';
-    
-    await ride.save();
-    
-    // הוסף להיסטוריה
-    await ride.addHistory(
-      'sent',
-      req.user?.username || 'admin',
-      `Ride unlocked: ${unlockReason || 'No reason provided'}`
-    );
-    
-    // תיעוד פעילות
-    await Activity.create({
-      type: 'ride_unlocked',
-      description: `Ride ${ride.rideNumber} unlocked`,
-      relatedId: ride._id,
-      data: {
-        rideNumber: ride.rideNumber,
-        previousLockedBy,
-        unlockedBy: ride.unlockedBy,
-        reason: unlockReason,
-        force
+      
+      if (ride) {
+        modifiedCount++;
+      } else {
+        skipped.push({ rideId, code: 'STATUS_NOT_ALLOWED' });
       }
-    }).catch(err => console.log('Activity log failed:', err));
-    
-    console.log('✅ Ride unlocked successfully');
-    
-    res.json({
-      ok: true,
-      ride,
-      message: 'הנעילה שוחררה בהצלחה'
-    });
-    
-  } catch (error) {
-    console.error('❌ Error unlocking ride:', error);
-    res.status(500).json({
-      ok: false,
-      error: { message: 'שגיאה בשחרור נעילה', details: error.message }
-    });
-  }
-});
-
-// ===============================================
-// 5️⃣ POST /api/rides/:id/redispatch
-// ===============================================
-// שליחה מחדש של נסיעה (דרך הבוט)
-router.post('/:id/redispatch', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { targetGroups, reason } = req.body;
-    
-    console.log('🔄 Redispatching ride:', id);
-    
-    const ride = await Ride.findById(id);
-    
-    if (!ride) {
-      return res.status(404).json({
-        ok: false,
-        error: { message: 'נסיעה לא נמצאה' }
-      });
+    } catch (error) {
+      if (!(error instanceof RideTransitionError)) throw error;
+      skipped.push({ rideId, code: error.code });
     }
-    
-    // בדוק שהנסיעה לא הושלמה
-    if (ride.isCompleted()) {
-      return res.status(400).json({
-        ok: false,
-        error: { message: 'לא ניתן לשלוח מחדש נסיעה שהושלמה' }
-      });
-    }
-    
-    // אם הנסיעה נעולה, שחרר נעילה
-    const wasLocked = ride.status === 'locked';
-    if (wasLocked) {
-      ride.lockedBy = null;
-      ride.lockedAt = null;
-    }
-    
-    // אפס שיוך נהג אם קיים
-    const hadDriver = !!ride.driverPhone;
-    if (hadDriver) {
-      ride.driverPhone = null;
-      ride.driverName = null;
-      ride.driverId = null;
-    }
-    
-    // עדכן סטטוס לנשלח מחדש
-    ride.status = 'sent';
-    ride.sentCount = (ride.sentCount || 0) + 1;
-    ride.lastRedispatchAt = new Date();
-    ride.redispatchReason = reason || 'Manual redispatch';
-    ride.redispatchedBy = req.user?.username || 'admin';
-    
-    // שמור קבוצות יעד אם צוינו
-    if (targetGroups) {
-      ride.targetGroups = targetGroups;
-    }
-    
-    await ride.save();
-    
-    // הוסף להיסטוריה
-    await ride.addHistory(
-      'sent',
-      req.user?.username || 'admin',
-      `Ride redispatched: ${reason || 'No reason provided'}`
-    );
-    
-    // תיעוד פעילות
-    await Activity.create({
-      type: 'ride_redispatched',
-      description: `Ride ${ride.rideNumber} redispatched`,
-      relatedId: ride._id,
-      data: {
-        rideNumber: ride.rideNumber,
-        wasLocked,
-        hadDriver,
-        targetGroups,
-        reason,
-        redispatchedBy: ride.redispatchedBy,
-        sentCount: ride.sentCount
-      }
-    }).catch(err => console.log('Activity log failed:', err));
-    
-    console.log('✅ Ride redispatched successfully');
-    
-    res.json({
-      ok: true,
-      ride,
-      message: 'הנסיעה נשלחה מחדש בהצלחה',
-      info: {
-        wasLocked,
-        hadDriver,
-        sentCount: ride.sentCount
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Error redispatching ride:', error);
-    res.status(500).json({
-      ok: false,
-      error: { message: 'שגיאה בשליחה מחדש', details: error.message }
-    });
   }
-});
-
-// ===============================================
-// 🔧 BONUS: Batch operations
-// ===============================================
+  
+  return { modifiedCount, skipped };
+}
 
 // נעילה המונית
-router.post('/batch/lock', authenticateToken, async (req, res) => {
+router.post('/batch/lock', authenticateToken, requirePermission('rides:update'), async (req, res) => {
   try {
     const { rideIds, lockReason } = req.body;
     
@@ -458,35 +178,40 @@ router.post('/batch/lock', authenticateToken, async (req, res) => {
       });
     }
     
-    console.log(`🔒 Batch locking ${rideIds.length} rides`);
-    
-    const result = await Ride.updateMany(
-      { 
-        _id: { $in: rideIds },
-        status: { $in: ['created', 'sent'] }
-      },
-      {
-        $set: {
-          status: 'locked',
-          lockedBy: req.user?.username || 'admin',
-          lockedAt: new Date(),
-          lockReason: lockReason || 'Batch lock'
-        }
+    const lockedBy = req.user?.username || 'admin';
+    const result = await batchTransition(req, rideIds, 'locked', ['created', 'sent'], {
+      actor: lockedBy,
+      actorRole: actorRoleFor(req.user),
+      event: 'locked',
+      reason: lockReason || 'Batch lock',
+      set: {
+        lockedBy,
+        lockedAt: new Date(),
+        lockReason: lockReason || 'Batch lock'
       }
-    );
+    });
     
-    console.log('✅ Batch lock completed');
+    logger.info('🔒 Batch lock completed', {
+      requestId: req.id || null,
+      total: rideIds.length,
+      updated: result.modifiedCount,
+      skipped: result.skipped.length
+    });
     
     res.json({
       ok: true,
       data: {
         updated: result.modifiedCount,
+        skipped: result.skipped,
         total: rideIds.length
       }
     });
     
   } catch (error) {
-    console.error('❌ Error in batch lock:', error);
+    logger.error('❌ Error in batch lock', {
+      requestId: req.id || null,
+      error: error.message
+    });
     res.status(500).json({
       ok: false,
       error: { message: 'שגיאה בנעילה המונית', details: error.message }
@@ -495,7 +220,7 @@ router.post('/batch/lock', authenticateToken, async (req, res) => {
 });
 
 // ביטול המוני
-router.post('/batch/cancel', authenticateToken, async (req, res) => {
+router.post('/batch/cancel', authenticateToken, requirePermission('rides:update', 'rides:cancel'), async (req, res) => {
   try {
     const { rideIds, reason } = req.body;
     
@@ -506,35 +231,40 @@ router.post('/batch/cancel', authenticateToken, async (req, res) => {
       });
     }
     
-    console.log(`❌ Batch cancelling ${rideIds.length} rides`);
-    
-    const result = await Ride.updateMany(
-      { 
-        _id: { $in: rideIds },
-        status: { $in: ['created', 'sent', 'locked', 'approved'] }
-      },
-      {
-        $set: {
-          status: 'cancelled',
-          cancelledAt: new Date(),
-          cancelledBy: req.user?.username || 'admin',
-          cancellationReason: reason || 'Batch cancellation'
-        }
+    const cancelledBy = req.user?.username || 'admin';
+    const result = await batchTransition(req, rideIds, 'cancelled', ['created', 'sent', 'locked', 'approved'], {
+      actor: cancelledBy,
+      actorRole: actorRoleFor(req.user),
+      event: 'cancelled',
+      reason: reason || 'Batch cancellation',
+      set: {
+        cancelledAt: new Date(),
+        cancelledBy,
+        cancelReason: reason || 'Batch cancellation'
       }
-    );
+    });
     
-    console.log('✅ Batch cancel completed');
+    logger.info('❌ Batch cancel completed', {
+      requestId: req.id || null,
+      total: rideIds.length,
+      updated: result.modifiedCount,
+      skipped: result.skipped.length
+    });
     
     res.json({
       ok: true,
       data: {
         updated: result.modifiedCount,
+        skipped: result.skipped,
         total: rideIds.length
       }
     });
     
   } catch (error) {
-    console.error('❌ Error in batch cancel:', error);
+    logger.error('❌ Error in batch cancel', {
+      requestId: req.id || null,
+      error: error.message
+    });
     res.status(500).json({
       ok: false,
       error: { message: 'שגיאה בביטול המוני', details: error.message }
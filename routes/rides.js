@@ -6,14 +6,23 @@
 import express from 'express';
 import { Activity, AuditLog, Driver, Ride, WhatsAppGroup } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { requirePermission } from '../middlewares/rbac.js';
+import { RIDE_SCOPE, inStationScope, requirePermission, requireScope, scopeFilter } from '../middlewares/rbac.js';
+import corporateBillingService from '../utils/corporateBillingService.js';
+import customerService from '../utils/customerService.js';
 import dispatchManager from '../utils/dispatchManager.js';
+import fareEngine from '../utils/fareEngine.js';
+import promotionService from '../utils/promotionService.js';
+import geocoder from '../utils/geocoder.js';
+import rideStateMachine, { ACTIVE_RIDE_STATUSES, RideTransitionError, actorRoleFor } from '../utils/rideStateMachine.js';
 import logger from '../utils/logger.js';
 import websockets from '../utils/websockets.js';
 
 import rideNumberGenerator from '../utils/rideNumberGenerator.js';
+import stationService, { StationError } from '../utils/stationService.js';
+import { computeNextOccurrence } from '../utils/recurringRidesScheduler.js';
 
 const router = express.Router();
+
 // ============================================================
 // ERROR MESSAGES
 // ============================================================
@@ -31,6 +40,9 @@ const ERRORS = {
     ALREADY_ASSIGNED: 'נסיעה כבר הוקצתה לנהג',
     NOT_ASSIGNED: 'נסיעה לא הוקצתה לנהג'
   },
+  CUSTOMER: {
+    BLOCKED: 'לא ניתן להזמין נסיעה מהמספר הזה. לפרטים צרו קשר עם התחנה'
+  },
   VALIDATION: {
     PHONE: 'מספר טלפון לא תקין',
     NAME: 'שם חייב להכיל לפחות 2 תווים',
@@ -38,6 +50,10 @@ const ERRORS = {
     RATING: 'דירוג חייב להיות בין 1 ל-5',
     INVALID_STATUS: 'סטטוס לא תקין'
   },
+  PRICING: {
+    MISSING_ADDRESSES: 'חסרים כתובת איסוף ויעד',
+    INVALID_TIME: 'מועד נסיעה לא תקין'
+  },
   SERVER: {
     DATABASE: 'שגיאת בסיס נתונים',
     UNKNOWN: 'שגיאה לא צפויה'
@@ -45,82 +61,12 @@ const ERRORS = {
 };
 
 // ============================================================
-// VALID STATUSES
-// ============================================================
-
-// ============================================================
-// STATE MACHINE - STRICT TRANSITIONS
+// STATE MACHINE
 // ============================================================
+// טבלת המעברים, ההרשאות וה-hooks נמצאים ב-utils/rideStateMachine.js
 
-const VALID_STATUSES = [
-  'created',
-  'distributed',  // הופץ לנהגים
-  'sent',         // נשלח בפועל
-  'locked',       // נעול על ידי נהג
-  'approved',     // אושר
-  'enroute',      // בדרך
-  'arrived',      // הגיע
-  'completed',    // הושלם (סטטוס יחיד!)
-  'cancelled'     // בוטל
-];
-
-const ACTIVE_STATUSES = ['locked', 'approved', 'enroute', 'arrived'];
-const FINAL_STATUSES = ['completed', 'cancelled'];
-
-// ✅ CRITICAL FIX: Strict state transition map
-const STATE_TRANSITIONS = {
-  created: ['distributed', 'sent', 'cancelled', 'locked'],
-  distributed: ['sent', 'locked', 'cancelled'],
-  sent: ['locked', 'cancelled'],
-  locked: ['approved', 'cancelled', 'created'], // can unlock back to created
-  approved: ['enroute', 'cancelled'],
-  enroute: ['arrived', 'cancelled'],
-  arrived: ['completed', 'cancelled'],
-  completed: [], // terminal state
-  cancelled: []  // terminal state
-};
-
-// ✅ CRITICAL FIX: Actor-based permissions
-const ACTOR_PERMISSIONS = {
-  system: ['*'], // can do anything
-  admin: ['*'],  // can do anything
-  bot: ['locked', 'approved'], // can only lock or approve
-  driver: ['enroute', 'arrived', 'completed'], // can only update progress
-  client: ['created'] // can only create
-};
-
-/**
- * ✅ CRITICAL FIX: Validate status transition with actor permissions
- */
-function canTransition(currentStatus, newStatus, actorRole = 'system') {
-  // Terminal states cannot transition
-  if (FINAL_STATUSES.includes(currentStatus)) {
-    return false;
-  }
-  
-  // Check if transition is allowed in state machine
-  const allowedTransitions = STATE_TRANSITIONS[currentStatus] || [];
-  if (!allowedTransitions.includes(newStatus)) {
-    return false;
-  }
-  
-  // Check actor permissions
-  const actorAllowed = ACTOR_PERMISSIONS[actorRole] || [];
-  if (actorAllowed.includes('*')) {
-    return true; // admin/system can do anything
-  }
-  
-  // Check if actor can transition TO this status
-  return actorAllowed.includes(newStatus);
-}
-
-/**
- * Validate status transition (legacy - use canTransition instead)
- * @deprecated Use canTransition with actorRole
- */
-function isValidStatusTransition(currentStatus, newStatus) {
-  return canTransition(currentStatus, newStatus, 'system');
-}
+// תפקידים שמנהל יכול לבצע מעבר בשמם (PUT /:id/status - actorRole)
+const DELEGATED_ACTOR_ROLES = ['bot', 'driver', 'customer'];
 
 // ============================================================
 // HELPER FUNCTIONS
@@ -164,10 +110,96 @@ function addTimelineEntry(ride, event, details = {}) {
   });
 }
 
+/**
+ * הצעת מחיר מגוף הבקשה: כתובות (עם geocoding) או מיקומים מוכנים, מועד, קוד הנחה, טלפון וסוג נסיעה
+ * @returns {Promise<Object>} - { error } או { quote, locations }
+ */
+async function quoteFromRequest(body = {}) {
+  const { pickup, destination, scheduledTime, promoCode, customerPhone, rideType } = body;
+  let { pickupLocation = null, destinationLocation = null } = body;
+
+  if (!pickupLocation?.coordinates || !destinationLocation?.coordinates) {
+    if (!pickup || !destination) {
+      return { error: ERRORS.PRICING.MISSING_ADDRESSES };
+    }
+    ({ pickupLocation, destinationLocation } = await geocoder.geocodeRide(pickup, destination));
+  }
+
+  if (scheduledTime && Number.isNaN(new Date(scheduledTime).getTime())) {
+    return { error: ERRORS.PRICING.INVALID_TIME };
+  }
+
+  const quote = await fareEngine.quote({ pickupLocation, destinationLocation, scheduledTime, promoCode, customerPhone, rideType });
+  return { quote, locations: { pickupLocation, destinationLocation } };
+}
+
+/**
+ * שמירת הצעת מחיר על הנסיעה: מימוש קוד ההנחה (Ride.redemptions), מחיר ו-pricingDetails
+ * @returns {Promise<Object>} - הצעת המחיר הסופית (בלי ההנחה אם המכסה נגמרה בינתיים)
+ */
+async function applyQuote(ride, quote, calculatedBy) {
+  const finalQuote = await promotionService.applyToRide(ride, quote);
+  ride.price = finalQuote.price; // העמלה מתעדכנת ב-pre('save') לפי BillingConfig
+  ride.pricingDetails = fareEngine.pricingDetails(finalQuote, calculatedBy);
+  return finalQuote;
+}
+
 // ============================================================
 // PUBLIC CLIENT API (no auth)
 // ============================================================
 
+// ===============================================
+// POST /api/client/quote - הצעת מחיר לפני הזמנה
+// ===============================================
+router.post("/api/client/quote", async (req, res) => {
+  try {
+    const { pickup, destination, scheduledTime, promoCode, customerPhone } = req.body;
+    const { error, quote } = await quoteFromRequest({ pickup, destination, scheduledTime, promoCode, customerPhone });
+
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    res.json({ ok: true, quote });
+  } catch (err) {
+    logger.error("Error quoting ride for client", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+/**
+ * שליחת נסיעה חדשה לנהגים (geo / waterfall / קבוצה) ומעבר ל-sent
+ * כישלון לא מפיל את הבקשה - הנסיעה נשארת ב-created והסדרן רואה אותה בלוח
+ */
+async function dispatchCreatedRide(ride, actor) {
+  try {
+    const result = await dispatchManager.sendRide(ride);
+
+    // geo / waterfall כבר העבירו ל-sent (expectedFrom → null)
+    const sent = await rideStateMachine.transition(ride._id, 'sent', {
+      actor,
+      event: 'sent',
+      reason: `Dispatched via ${result.method}`,
+      set: { dispatchMethod: result.method === 'twilio' ? 'twilio' : 'bot' },
+      expectedFrom: ['created']
+    });
+
+    return sent || await Ride.findById(ride._id) || ride;
+  } catch (error) {
+    logger.error('Error dispatching ride', {
+      rideNumber: ride.rideNumber,
+      error: error.message
+    });
+    return ride;
+  }
+}
+
 // ===============================================
 // POST /api/client/rides - יצירת נסיעה מלקוח
 // ===============================================
@@ -179,7 +211,8 @@ router.post("/api/client/rides", async (req, res) => {
       pickup, 
       destination, 
       scheduledTime, 
-      notes
+      notes,
+      promoCode
     } = req.body;
 
     // Validation
@@ -205,12 +238,21 @@ router.post("/api/client/rides", async (req, res) => {
       });
     }
 
+    // 🚫 לקוח ברשימה השחורה (customers.blockBlacklistedBookings)
+    if (await customerService.blockedForBooking(customerPhone)) {
+      logger.warn('Blacklisted customer booking rejected', { requestId: req.id || null, customerPhone });
+      return res.status(403).json({ ok: false, error: ERRORS.CUSTOMER.BLOCKED });
+    }
+
     // Generate ride number
     const rideNumber = generateRideNumber();
     
-    // Default price
-    const defaultPrice = 50;
-    const commissionRate = 0.10;
+    // 💰 מחיר מהמנוע (העמלה מחושבת במודל לפי BillingConfig)
+    const pricing = await quoteFromRequest({ pickup, destination, scheduledTime, promoCode, customerPhone });
+    if (pricing.error) {
+      return res.status(400).json({ ok: false, error: pricing.error });
+    }
+    const { locations } = pricing;
 
     // Create ride
     const ride = await Ride.create({
@@ -219,11 +261,10 @@ router.post("/api/client/rides", async (req, res) => {
       customerPhone: customerPhone.trim(),
       pickup: pickup.trim(),
       destination: destination.trim(),
+      ...locations,
       scheduledTime: scheduledTime || null,
       notes: notes || null,
-      price: defaultPrice,
-      commissionRate,
-      commissionAmount: Math.round(defaultPrice * commissionRate),
+      price: pricing.quote.price,
       status: "created",
       rideType: "regular",
       groupChat: "default",
@@ -234,6 +275,11 @@ router.post("/api/client/rides", async (req, res) => {
     addHistoryEntry(ride, 'created', 'client_website', { source: 'web' });
     addTimelineEntry(ride, 'created', { source: 'client_website' });
 
+    const quote = await applyQuote(ride, pricing.quote, 'client_quote');
+    // 🏢 עובד של חשבון חברה → על החשבון; אחרת ארנק משולם מראש אם יש
+    await corporateBillingService.attachAccount(ride);
+    await promotionService.attachWallet(ride);
+
     await ride.save();
 
     logger.success("Ride created from client", {
@@ -242,26 +288,22 @@ router.post("/api/client/rides", async (req, res) => {
       rideNumber: ride.rideNumber
     });
 
-    // TODO: Dispatch ride if dispatchManager available
-    // if (typeof dispatchManager !== 'undefined') {
-    //   dispatchManager.sendRide(ride).catch(err => logger.error('Dispatch error:', err));
-    // }
+    websockets.emitNewRide(ride);
 
-    // TODO: WebSocket update if available
-    // if (typeof websockets !== 'undefined') {
-    //   websockets.emitNewRide(ride);
-    // }
+    const dispatched = await dispatchCreatedRide(ride, 'client_website');
 
     res.json({ 
       ok: true, 
       ride: {
         _id: ride._id,
         rideNumber: ride.rideNumber,
-        status: ride.status,
+        status: dispatched.status,
         customerName: ride.customerName,
         pickup: ride.pickup,
-        destination: ride.destination
+        destination: ride.destination,
+        price: ride.price
       },
+      quote,
       message: `נסיעה ${ride.rideNumber} נוצרה בהצלחה`
     });
   } catch (err) {
@@ -325,13 +367,16 @@ router.get("/", authenticateToken, requirePermission('rides:read'), async (req,
       }
     }
     
+    // תחום הערים של התפקיד והתחנות של המשתמש (?station= לתחנה אחת)
+    Object.assign(filter, scopeFilter(req, { ...RIDE_SCOPE, requestedStation: req.query.station }));
+    
     // Query with pagination
     const [rides, total] = await Promise.all([
       Ride.find(filter)
         .sort({ createdAt: -1 })
         .limit(limit)
         .skip(skip)
-        .select('rideNumber customerName customerPhone pickup destination status price driverPhone driverId createdAt')
+        .select('rideNumber customerName customerPhone pickup destination status price driverPhone driverId station createdAt')
         .lean(),
       Ride.countDocuments(filter)
     ]);
@@ -382,16 +427,19 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
       scheduledTime, 
       notes, 
       price, 
-      commissionRate, 
+      isExternal = false,
       sendTo,
       sendToGroup,
       rideType = "regular",
       specialNotes = [],
-      groupChat = "default"
+      groupChat = "default",
+      promoCode,
+      costCenter,
+      station
     } = req.body;
 
     // Validation
-    if (!customerName || !customerPhone || !pickup || !destination || price === undefined) {
+    if (!customerName || !customerPhone || !pickup || !destination) {
       return res.status(400).json({ 
         ok: false, 
         error: ERRORS.RIDE.MISSING_FIELDS
@@ -413,31 +461,43 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
       });
     }
 
-    if (price < 0) {
+    if (price !== undefined && !(Number(price) >= 0)) {
       return res.status(400).json({ 
         ok: false, 
         error: ERRORS.VALIDATION.PRICE 
       });
     }
 
-    const commission = Math.round((price || 0) * (commissionRate || 0.10));
     const rideNumber = generateRideNumber();
+    const locations = await geocoder.geocodeRide(pickup, destination);
+
+    // 🏢 תחנה: מבוקשת / לפי עיר האיסוף / התחנה של הסדרן
+    const rideStation = await stationService.stationForNew(req.scope, {
+      requested: station,
+      city: locations.pickupLocation?.city
+    });
+
+    // בלי מחיר ידני - הצעת מחיר מהמנוע
+    const quote = price === undefined
+      ? await fareEngine.quote({ ...locations, scheduledTime, promoCode, customerPhone, rideType })
+      : null;
     
-    const ride = await Ride.create({
+    let ride = await Ride.create({
       rideNumber,
       customerName: customerName.trim(),
       customerPhone: customerPhone.trim(),
       pickup: pickup.trim(),
       destination: destination.trim(),
+      ...locations,
       scheduledTime: scheduledTime || null,
       notes: notes || null,
-      price: price,
-      commissionRate: commissionRate || 0.10,
-      commissionAmount: commission,
+      price: quote ? quote.price : Number(price),
+      isExternal: isExternal === true || isExternal === 'true',
       status: "created",
       rideType,
       specialNotes,
       groupChat,
+      station: rideStation,
       createdBy: "admin"
     });
 
@@ -449,6 +509,12 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
       by: req.user.username || req.user.user
     });
 
+    if (quote) {
+      await applyQuote(ride, quote, req.user.username || req.user.user);
+    }
+    await corporateBillingService.attachAccount(ride, { costCenter });
+    await promotionService.attachWallet(ride);
+
     await ride.save();
 
     // Audit log
@@ -478,7 +544,8 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
         const WhatsAppGroup = (await import('../models/WhatsAppGroup.js').catch(() => null))?.default;
         if (WhatsAppGroup) {
           const group = await WhatsAppGroup.findById(sendToGroup);
-          if (group?.isActive && group.phoneNumbers?.length > 0) {
+          const groupInScope = !group?.station || inStationScope(req, group.station);
+          if (group?.isActive && groupInScope && group.phoneNumbers?.length > 0) {
             phonesToSend = group.phoneNumbers;
           }
         }
@@ -486,15 +553,21 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
         // Send to default group or all active drivers
         const WhatsAppGroup = (await import('../models/WhatsAppGroup.js').catch(() => null))?.default;
         if (WhatsAppGroup) {
-          const defaultGroup = await WhatsAppGroup.findOne({ isDefault: true, isActive: true });
+          // קבוצת ברירת המחדל של התחנה, ואם אין - הכללית
+          const defaultGroup = await WhatsAppGroup.getDefault(ride.station);
           if (defaultGroup?.phoneNumbers?.length > 0) {
             phonesToSend = defaultGroup.phoneNumbers;
           }
         }
         
-        // Fallback: send to all active drivers
+        // Fallback: send to all active drivers (of the ride's station + unassigned)
         if (phonesToSend.length === 0) {
-          const drivers = await Driver.find({ isActive: true, isBlocked: { $ne: true } }, 'phone');
+          const drivers = await Driver.find({
+            isActive: true,
+            isBlocked: { $ne: true },
+            ...Driver.documentsValidFilter(),
+            ...(ride.station ? { station: { $in: [ride.station, null] } } : {})
+          }, 'phone');
           phonesToSend = drivers.map(d => d.phone).filter(Boolean);
         }
       }
@@ -516,12 +589,12 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
         }
         
         if (successCount > 0) {
-          ride.status = "sent";
-          addHistoryEntry(ride, 'sent', 'system', {
-            sentTo: successCount,
-            totalDrivers: phonesToSend.length
-          });
-          await ride.save();
+          ride = await rideStateMachine.transition(ride, 'sent', {
+            actor: 'system',
+            reason: `Sent to ${successCount}/${phonesToSend.length} drivers`,
+            details: { sentTo: successCount, totalDrivers: phonesToSend.length },
+            expectedFrom: ['created']
+          }) || ride;
           
           logger.success('Ride dispatched to drivers', {
             rideNumber: ride.rideNumber,
@@ -538,12 +611,19 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
       // Don't fail the request - ride is still created
     }
 
+    // 👤 אזהרות לסדרן (חסום, אי-הגעות, VIP) - ממשק הניהול לא חוסם
+    const customer = await customerService.getForRide(ride).catch(() => null);
+
     res.json({ 
       ok: true, 
       ride,
-      sentCount: successCount
+      sentCount: successCount,
+      customerAlerts: customerService.alertsFor(customer)
     });
   } catch (err) {
+    if (err instanceof StationError) {
+      return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+    }
     logger.error("Error creating ride", { 
       requestId: req.id || null,
       error: err.message 
@@ -558,7 +638,7 @@ router.post("/", authenticateToken, requirePermission('rides:create'), async (re
 // ===============================================
 // GET /api/rides/:id - פרטי נסיעה
 // ===============================================
-router.get("/:id", authenticateToken, requirePermission('rides:read'), async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission('rides:read'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id);
     
@@ -574,7 +654,14 @@ router.get("/:id", authenticateToken, requirePermission('rides:read'), async (re
       rideId: ride._id
     });
     
-    res.json({ ok: true, ride });
+    const customer = await customerService.getForRide(ride);
+    
+    res.json({
+      ok: true,
+      ride,
+      customer,
+      customerAlerts: customerService.alertsFor(customer)
+    });
   } catch (err) {
     logger.error("Error fetching ride", {
       requestId: req.id || null,
@@ -624,7 +711,7 @@ router.get("/number/:rideNumber", async (req, res) => {
 // ===============================================
 // DELETE /api/rides/:id - מחיקת נסיעה
 // ===============================================
-router.delete("/:id", authenticateToken, requirePermission('rides:delete'), async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission('rides:delete'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id);
     
@@ -636,7 +723,7 @@ router.delete("/:id", authenticateToken, requirePermission('rides:delete'), asyn
     }
     
     // ✅ FIX: Can't delete active rides
-    if (ACTIVE_STATUSES.includes(ride.status)) {
+    if (ACTIVE_RIDE_STATUSES.includes(ride.status)) {
       return res.status(400).json({
         ok: false,
         error: ERRORS.RIDE.CANNOT_DELETE_ACTIVE
@@ -686,9 +773,14 @@ router.delete("/:id", authenticateToken, requirePermission('rides:delete'), asyn
 // ===============================================
 // PUT /api/rides/:id/status - עדכון סטטוס (עם actor validation)
 // ===============================================
-router.put("/:id/status", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.put("/:id/status", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
-    const { status, notes, actorRole = 'admin' } = req.body;
+    const { status, notes } = req.body;
+    
+    // אפשר לבצע מעבר "בשם" תפקיד מצומצם יותר (נהג / בוט / לקוח), לא להרחיב הרשאות
+    const actorRole = DELEGATED_ACTOR_ROLES.includes(req.body.actorRole)
+      ? req.body.actorRole
+      : actorRoleFor(req.user);
     
     if (!status) {
       return res.status(400).json({
@@ -697,56 +789,22 @@ router.put("/:id/status", authenticateToken, requirePermission('rides:update'),
       });
     }
     
-    if (!VALID_STATUSES.includes(status)) {
-      return res.status(400).json({
-        ok: false,
-        error: ERRORS.VALIDATION.INVALID_STATUS
-      });
-    }
-    
-    const ride = await Ride.findById(req.params.id);
+    const existing = await Ride.findById(req.params.id);
     
-    if (!ride) {
+    if (!existing) {
       return res.status(404).json({
         ok: false,
         error: ERRORS.RIDE.NOT_FOUND
       });
     }
     
-    // ✅ CRITICAL FIX: Validate with actor permissions
-    if (!canTransition(ride.status, status, actorRole)) {
-      return res.status(403).json({
-        ok: false,
-        error: `${actorRole} לא יכול לעבור מסטטוס ${ride.status} ל-${status}`,
-        details: {
-          currentStatus: ride.status,
-          requestedStatus: status,
-          actorRole,
-          allowedStatuses: STATE_TRANSITIONS[ride.status] || []
-        }
-      });
-    }
-    
-    const oldStatus = ride.status;
-    ride.status = status;
-    ride.updatedAt = new Date();
-    
-    // Add history
-    addHistoryEntry(ride, 'status_changed', req.user.username || req.user.user, {
-      oldStatus,
-      newStatus: status,
-      notes,
-      actorRole
+    const oldStatus = existing.status;
+    const ride = await rideStateMachine.transition(existing, status, {
+      actor: req.user.username || req.user.user,
+      actorRole,
+      reason: notes || null
     });
     
-    addTimelineEntry(ride, 'status_changed', {
-      from: oldStatus,
-      to: status,
-      by: req.user.username || req.user.user
-    });
-    
-    await ride.save();
-    
     // Audit log
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
@@ -775,7 +833,8 @@ router.put("/:id/status", authenticateToken, requirePermission('rides:update'),
         websockets.emitRideUpdate(ride._id, {
           event: 'status_changed',
           oldStatus,
-          newStatus: status
+          newStatus: status,
+          station: ride.station
         });
       }
     } catch (err) {
@@ -784,6 +843,9 @@ router.put("/:id/status", authenticateToken, requirePermission('rides:update'),
     
     res.json({ ok: true, ride });
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.httpStatus).json(err.toResponse());
+    }
     logger.error("Error updating ride status", {
       requestId: req.id || null,
       error: err.message
@@ -798,13 +860,15 @@ router.put("/:id/status", authenticateToken, requirePermission('rides:update'),
 // ===============================================
 // POST /api/rides/:id/cancel - ביטול נסיעה
 // ===============================================
-router.post("/:id/cancel", authenticateToken, requirePermission('rides:cancel'), async (req, res) => {
+router.post("/:id/cancel", authenticateToken, requirePermission('rides:cancel'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
-    const { reason } = req.body;
+    // noShow: הלקוח לא הגיע - נספר בפרופיל הלקוח (Customer.stats.noShows)
+    const { reason, noShow } = req.body;
+    const isNoShow = noShow === true;
     
-    const ride = await Ride.findById(req.params.id);
+    const existing = await Ride.findById(req.params.id);
     
-    if (!ride) {
+    if (!existing) {
       return res.status(404).json({
         ok: false,
         error: ERRORS.RIDE.NOT_FOUND
@@ -812,41 +876,26 @@ router.post("/:id/cancel", authenticateToken, requirePermission('rides:cancel'),
     }
     
     // ✅ FIX: State guard - can't cancel already cancelled
-    if (ride.status === 'cancelled') {
+    if (existing.status === 'cancelled') {
       return res.status(400).json({
         ok: false,
         error: ERRORS.RIDE.ALREADY_CANCELLED
       });
     }
     
-    // ✅ FIX: Can't cancel completed rides
-    if (ride.status === 'completed') {
-      return res.status(400).json({
-        ok: false,
-        error: ERRORS.RIDE.CANNOT_CANCEL
-      });
-    }
-    
-    const oldStatus = ride.status;
-    ride.status = 'cancelled';
-    ride.cancelledAt = new Date();
-    ride.cancelReason = reason || 'לא צוין';
-    ride.cancelledBy = req.user.username || req.user.user;
-    ride.updatedAt = new Date();
-    
-    // Add history
-    addHistoryEntry(ride, 'cancelled', req.user.username || req.user.user, {
-      oldStatus,
-      reason: reason || 'לא צוין'
-    });
-    
-    addTimelineEntry(ride, 'cancelled', {
-      by: req.user.username || req.user.user,
-      reason: reason || 'לא צוין'
+    const ride = await rideStateMachine.transition(existing, 'cancelled', {
+      actor: req.user.username || req.user.user,
+      actorRole: actorRoleFor(req.user),
+      event: 'cancelled',
+      reason: reason || 'לא צוין',
+      set: {
+        cancelledAt: new Date(),
+        cancelReason: reason || (isNoShow ? 'הלקוח לא הגיע' : 'לא צוין'),
+        cancelledBy: req.user.username || req.user.user,
+        customerNoShow: isNoShow
+      }
     });
     
-    await ride.save();
-    
     // Audit log
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
@@ -855,7 +904,8 @@ router.post("/:id/cancel", authenticateToken, requirePermission('rides:cancel'),
       details: { 
         rideId: ride._id,
         rideNumber: ride.rideNumber,
-        reason: reason || 'לא צוין'
+        reason: reason || 'לא צוין',
+        noShow: isNoShow
       }
     }).catch(err => logger.error('AuditLog error:', err));
     
@@ -872,6 +922,9 @@ router.post("/:id/cancel", authenticateToken, requirePermission('rides:cancel'),
       message: "נסיעה בוטלה בהצלחה"
     });
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.httpStatus).json(err.toResponse());
+    }
     logger.error("Error cancelling ride", {
       requestId: req.id || null,
       error: err.message
@@ -890,13 +943,13 @@ router.post("/:id/cancel", authenticateToken, requirePermission('rides:cancel'),
 // ===============================================
 // POST /api/rides/:id/lock - נעילת נסיעה
 // ===============================================
-router.post("/:id/lock", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.post("/:id/lock", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const { reason } = req.body;
     
-    const ride = await Ride.findById(req.params.id);
+    const existing = await Ride.findById(req.params.id);
     
-    if (!ride) {
+    if (!existing) {
       return res.status(404).json({
         ok: false,
         error: ERRORS.RIDE.NOT_FOUND
@@ -904,33 +957,25 @@ router.post("/:id/lock", authenticateToken, requirePermission('rides:update'), a
     }
     
     // ✅ FIX: State guard - can't lock already locked
-    if (ride.status === 'locked') {
+    if (existing.status === 'locked') {
       return res.status(400).json({
         ok: false,
         error: ERRORS.RIDE.ALREADY_LOCKED
       });
     }
     
-    const oldStatus = ride.status;
-    ride.status = 'locked';
-    ride.lockedAt = new Date();
-    ride.lockedBy = req.user.username || req.user.user;
-    ride.lockReason = reason || 'לא צוין';
-    ride.updatedAt = new Date();
-    
-    // Add history
-    addHistoryEntry(ride, 'locked', req.user.username || req.user.user, {
-      oldStatus,
-      reason: reason || 'לא צוין'
-    });
-    
-    addTimelineEntry(ride, 'locked', {
-      by: req.user.username || req.user.user,
-      reason: reason || 'לא צוין'
+    const ride = await rideStateMachine.transition(existing, 'locked', {
+      actor: req.user.username || req.user.user,
+      actorRole: actorRoleFor(req.user),
+      event: 'locked',
+      reason: reason || 'לא צוין',
+      set: {
+        lockedAt: new Date(),
+        lockedBy: req.user.username || req.user.user,
+        lockReason: reason || 'לא צוין'
+      }
     });
     
-    await ride.save();
-    
     // Audit log
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
@@ -951,6 +996,9 @@ router.post("/:id/lock", authenticateToken, requirePermission('rides:update'), a
     
     res.json({ ok: true, ride });
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.httpStatus).json(err.toResponse());
+    }
     logger.error("Error locking ride", {
       requestId: req.id || null,
       error: err.message
@@ -965,7 +1013,7 @@ router.post("/:id/lock", authenticateToken, requirePermission('rides:update'), a
 // ===============================================
 // POST /api/rides/:id/unlock - ביטול נעילה
 // ===============================================
-router.post("/:id/unlock", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.post("/:id/unlock", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id);
     
@@ -984,20 +1032,17 @@ router.post("/:id/unlock", authenticateToken, requirePermission('rides:update'),
       });
     }
     
-    ride.status = 'created';
-    ride.lockedAt = null;
-    ride.lockedBy = null;
-    ride.lockReason = null;
-    ride.updatedAt = new Date();
-    
-    // Add history
-    addHistoryEntry(ride, 'unlocked', req.user.username || req.user.user, {});
-    addTimelineEntry(ride, 'unlocked', {
-      by: req.user.username || req.user.user
+    const unlocked = await rideStateMachine.transition(ride, 'created', {
+      actor: req.user.username || req.user.user,
+      actorRole: actorRoleFor(req.user),
+      event: 'unlocked',
+      set: {
+        lockedAt: null,
+        lockedBy: null,
+        lockReason: null
+      }
     });
     
-    await ride.save();
-    
     // Audit log
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
@@ -1015,8 +1060,11 @@ router.post("/:id/unlock", authenticateToken, requirePermission('rides:update'),
       rideNumber: ride.rideNumber
     });
     
-    res.json({ ok: true, ride });
+    res.json({ ok: true, ride: unlocked });
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.httpStatus).json(err.toResponse());
+    }
     logger.error("Error unlocking ride", {
       requestId: req.id || null,
       error: err.message
@@ -1035,7 +1083,7 @@ router.post("/:id/unlock", authenticateToken, requirePermission('rides:update'),
 // ===============================================
 // POST /api/rides/:id/assign - הקצאה לנהג (אטומי!)
 // ===============================================
-router.post("/:id/assign", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.post("/:id/assign", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const { driverPhone, driverId, driverName } = req.body;
     
@@ -1128,47 +1176,25 @@ router.post("/:id/assign", authenticateToken, requirePermission('rides:update'),
     }
     
     // ✅✅✅ CRITICAL FIX: ATOMIC UPDATE - prevents race condition!
-    const ride = await Ride.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        // ✅ RACE CONDITION FIX: Only update if status allows assignment
-        status: { $in: ['sent', 'created', 'distributed'] }
+    // (state machine: רק אם הסטטוס עדיין מאפשר שיבוץ; נהג עם מסמך שפג תוקפו נחסם - DOCUMENTS_EXPIRED)
+    const ride = await rideStateMachine.transition(req.params.id, 'approved', {
+      actor: req.user?.username || req.user?.user || 'system',
+      actorRole: actorRoleFor(req.user),
+      event: 'assigned',
+      reason: `שובץ לנהג ${actualDriverName || actualDriverPhone}`,
+      details: {
+        driver: actualDriverName || actualDriverPhone,
+        source: driverId ? 'admin_panel' : 'whatsapp'
       },
-      {
-        $set: {
-          status: 'approved',
-          driverPhone: actualDriverPhone,
-          driverId: actualDriverId,
-          driverName: actualDriverName,
-          assignedAt: new Date(),
-          assignedBy: req.user?.username || req.user?.user || 'system',
-          updatedAt: new Date()
-        },
-        $push: {
-          history: {
-            action: 'assigned',
-            status: 'approved',
-            by: req.user?.username || req.user?.user || 'system',
-            timestamp: new Date(),
-            details: {
-              driverPhone: actualDriverPhone,
-              driverId: actualDriverId,
-              driverName: actualDriverName,
-              source: driverId ? 'admin_panel' : 'whatsapp'
-            }
-          },
-          timeline: {
-            event: 'assigned',
-            timestamp: new Date(),
-            details: {
-              driver: actualDriverName || actualDriverPhone,
-              by: req.user?.username || req.user?.user || 'system'
-            }
-          }
-        }
+      set: {
+        driverPhone: actualDriverPhone,
+        driverId: actualDriverId,
+        driverName: actualDriverName,
+        assignedAt: new Date(),
+        assignedBy: req.user?.username || req.user?.user || 'system'
       },
-      { new: true }
-    );
+      expectedFrom: ['sent', 'created', 'distributed']
+    });
     
     // ✅ RACE CONDITION CHECK: If ride is null, someone else took it!
     if (!ride) {
@@ -1239,7 +1265,8 @@ router.post("/:id/assign", authenticateToken, requirePermission('rides:update'),
           event: 'assigned',
           status: 'approved',
           driverName: ride.driverName,
-          driverPhone: ride.driverPhone
+          driverPhone: ride.driverPhone,
+          station: ride.station
         });
       }
     } catch (err) {
@@ -1252,6 +1279,9 @@ router.post("/:id/assign", authenticateToken, requirePermission('rides:update'),
       message: 'נסיעה שוייכה בהצלחה'
     });
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.httpStatus).json(err.toResponse());
+    }
     logger.error("Error assigning ride", {
       requestId: req.id || null,
       error: err.message
@@ -1266,7 +1296,7 @@ router.post("/:id/assign", authenticateToken, requirePermission('rides:update'),
 // ===============================================
 // POST /api/rides/:id/redispatch - שליחה מחדש
 // ===============================================
-router.post("/:id/redispatch", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.post("/:id/redispatch", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const { reason } = req.body;
     
@@ -1281,33 +1311,29 @@ router.post("/:id/redispatch", authenticateToken, requirePermission('rides:updat
     
     // Clear driver assignment
     const oldDriverPhone = ride.driverPhone;
-    ride.driverPhone = null;
-    ride.driverId = null;
-    ride.driverName = null;
-    ride.status = 'created';
-    ride.updatedAt = new Date();
-    
-    // Add history
-    addHistoryEntry(ride, 'redispatched', req.user.username || req.user.user, {
-      oldDriverPhone,
-      reason: reason || 'לא צוין'
-    });
-    
-    addTimelineEntry(ride, 'redispatched', {
-      by: req.user.username || req.user.user,
-      reason: reason || 'לא צוין'
+    const by = req.user.username || req.user.user;
+    
+    const redispatched = await rideStateMachine.transition(ride, 'created', {
+      actor: by,
+      actorRole: actorRoleFor(req.user),
+      event: 'redispatched',
+      reason: reason || 'לא צוין',
+      details: { oldDriverPhone },
+      set: {
+        driverPhone: null,
+        driverId: null,
+        driverName: null
+      }
     });
     
-    await ride.save();
-    
     // Audit log
     await AuditLog.create({
       userId: req.user.userId || req.user.user,
       username: req.user.username || req.user.user,
       action: 'ride_redispatched',
       details: { 
-        rideId: ride._id,
-        rideNumber: ride.rideNumber,
+        rideId: redispatched._id,
+        rideNumber: redispatched.rideNumber,
         oldDriverPhone,
         reason: reason || 'לא צוין'
       }
@@ -1315,17 +1341,17 @@ router.post("/:id/redispatch", authenticateToken, requirePermission('rides:updat
     
     logger.success("Ride redispatched", {
       requestId: req.id || null,
-      rideId: ride._id,
-      rideNumber: ride.rideNumber
+      rideId: redispatched._id,
+      rideNumber: redispatched.rideNumber
     });
     
-    // TODO: Dispatch again
-    // if (typeof dispatchManager !== 'undefined') {
-    //   dispatchManager.sendRide(ride);
-    // }
+    const sent = await dispatchCreatedRide(redispatched, by);
     
-    res.json({ ok: true, ride });
+    res.json({ ok: true, ride: sent });
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.httpStatus).json(err.toResponse());
+    }
     logger.error("Error redispatching ride", {
       requestId: req.id || null,
       error: err.message
@@ -1344,7 +1370,7 @@ router.post("/:id/redispatch", authenticateToken, requirePermission('rides:updat
 // ===============================================
 // POST /api/rides/:id/rating - דירוג נסיעה
 // ===============================================
-router.post("/:id/rating", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.post("/:id/rating", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const { rating, comment, ratedBy } = req.body;
     
@@ -1422,12 +1448,36 @@ router.post("/:id/rating", authenticateToken, requirePermission('rides:update'),
 // ============================================================
 
 // ===============================================
-// POST /api/rides/:id/pricing - חישוב מחיר מתקדם
+// POST /api/rides/quote - הצעת מחיר (ממשק ניהול)
 // ===============================================
-router.post("/:id/pricing", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.post("/quote", authenticateToken, requirePermission('rides:read'), async (req, res) => {
+  try {
+    const { error, quote } = await quoteFromRequest(req.body);
+
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    res.json({ ok: true, quote });
+  } catch (err) {
+    logger.error("Error quoting ride", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// POST /api/rides/:id/pricing - תמחור נסיעה קיימת במנוע המחירים
+// ===============================================
+// המחיר מחושב בשרת לפי המיקומים והמועד של הנסיעה; מהלקוח מתקבל רק קוד הנחה
+// בלי promoCode בגוף הבקשה - הקוד שכבר על הנסיעה נשמר; promoCode: null מסיר אותו
+router.post("/:id/pricing", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
-    const { basePrice, distancePrice, timePrice, surgeMultiplier, discount } = req.body;
-    
     const ride = await Ride.findById(req.params.id);
     
     if (!ride) {
@@ -1436,50 +1486,73 @@ router.post("/:id/pricing", authenticateToken, requirePermission('rides:update')
         error: ERRORS.RIDE.NOT_FOUND
       });
     }
-    
-    // Calculate pricing
-    const totalBeforeDiscount = (
-      (basePrice || 0) + 
-      (distancePrice || 0) + 
-      (timePrice || 0)
-    ) * (surgeMultiplier || 1);
-    
-    const finalTotal = Math.max(0, totalBeforeDiscount - (discount || 0));
-    const commissionAmount = Math.round(finalTotal * (ride.commissionRate || 0.10));
-    
-    ride.pricingDetails = {
-      basePrice: basePrice || 0,
-      distancePrice: distancePrice || 0,
-      timePrice: timePrice || 0,
-      surgeMultiplier: surgeMultiplier || 1,
-      discount: discount || 0,
-      totalBeforeDiscount,
-      finalTotal,
-      calculatedAt: new Date(),
-      calculatedBy: req.user.username || req.user.user
-    };
-    
-    ride.price = finalTotal;
-    ride.commissionAmount = commissionAmount;
+
+    const currentPromo = ride.redemptions.find(entry => entry.kind === 'promo' && !entry.reversedAt);
+    const promoCode = req.body.promoCode !== undefined ? req.body.promoCode : currentPromo?.code;
+
+    // נסיעות ישנות בלי מיקום - geocoding לפני התמחור
+    if (!ride.pickupLocation?.coordinates || !ride.destinationLocation?.coordinates) {
+      const locations = await geocoder.geocodeRide(ride.pickup, ride.destination);
+      ride.pickupLocation = ride.pickupLocation?.coordinates ? ride.pickupLocation : locations.pickupLocation;
+      ride.destinationLocation = ride.destinationLocation?.coordinates ? ride.destinationLocation : locations.destinationLocation;
+    }
+
+    const quote = await fareEngine.quote({
+      pickupLocation: ride.pickupLocation,
+      destinationLocation: ride.destinationLocation,
+      scheduledTime: ride.scheduledTime || ride.createdAt,
+      promoCode,
+      customerPhone: ride.customerPhone,
+      rideType: ride.rideType,
+      rideId: ride._id
+    });
+
+    if (quote.promoError) {
+      return res.status(400).json({
+        ok: false,
+        error: quote.promoError.message,
+        code: quote.promoError.code
+      });
+    }
+
+    const oldPrice = ride.price;
+    const calculatedBy = req.user.username || req.user.user;
+
+    // אותו קוד בתמחור חוזר לא נספר פעמיים; קוד שהוחלף משוחרר
+    const finalQuote = await applyQuote(ride, quote, calculatedBy);
     ride.updatedAt = new Date();
     
     // Add history
-    addHistoryEntry(ride, 'pricing_calculated', req.user.username || req.user.user, {
-      oldPrice: ride.price,
-      newPrice: finalTotal,
-      pricingDetails: ride.pricingDetails
+    addHistoryEntry(ride, 'pricing_calculated', calculatedBy, {
+      oldPrice,
+      newPrice: finalQuote.price,
+      fareType: finalQuote.fareType,
+      promoCode: finalQuote.promo?.code || null
     });
     
     await ride.save();
+
+    await AuditLog.create({
+      userId: req.user.userId || req.user.user,
+      username: calculatedBy,
+      action: 'ride_priced',
+      details: {
+        rideId: ride._id,
+        rideNumber: ride.rideNumber,
+        oldPrice,
+        newPrice: finalQuote.price,
+        promoCode: finalQuote.promo?.code || null
+      }
+    }).catch(err => logger.error('AuditLog error:', err));
     
     logger.success("Ride pricing calculated", {
       requestId: req.id || null,
       rideId: ride._id,
       rideNumber: ride.rideNumber,
-      finalPrice: finalTotal
+      finalPrice: finalQuote.price
     });
     
-    res.json({ ok: true, pricingDetails: ride.pricingDetails, ride });
+    res.json({ ok: true, pricingDetails: ride.pricingDetails, quote: finalQuote, ride });
   } catch (err) {
     logger.error("Error calculating pricing", {
       requestId: req.id || null,
@@ -1509,8 +1582,13 @@ router.post("/recurring", authenticateToken, requirePermission('rides:create'),
       price, 
       frequency,  // 'daily', 'weekly', 'monthly'
       time,       // HH:MM
+      weekdays,   // [0-6], 0=ראשון
+      skipDates,  // ['YYYY-MM-DD']
+      leadTimeMinutes,
+      startDate,
       endDate,
-      notes
+      notes,
+      costCenter  // מרכז עלות למופעים על חשבון חברה
     } = req.body;
     
     // Validation
@@ -1528,7 +1606,38 @@ router.post("/recurring", authenticateToken, requirePermission('rides:create'),
       });
     }
     
+    if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'שעה לא תקינה (HH:MM)'
+      });
+    }
+    
+    if (weekdays && (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return res.status(400).json({
+        ok: false,
+        error: 'ימי שבוע לא תקינים (0-6)'
+      });
+    }
+    
+    const recurring = {
+      enabled: true,
+      frequency,
+      time: time || '08:00',
+      weekdays: weekdays || [],
+      skipDates: skipDates || [],
+      leadTimeMinutes: leadTimeMinutes ?? null,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      endDate: endDate ? new Date(endDate) : null,
+      createdBy: req.user.username || req.user.user
+    };
+    
+    // המופע הראשון - מתחילת תאריך ההתחלה (או מעכשיו אם הוא עבר)
+    const startFrom = new Date(Math.max(recurring.startDate.getTime() - 1, Date.now()));
+    recurring.nextOccurrence = computeNextOccurrence(recurring, startFrom);
+    
     const rideNumber = `RR${Date.now()}`;
+    const locations = await geocoder.geocodeRide(pickup, destination);
     
     const ride = await Ride.create({
       rideNumber,
@@ -1536,25 +1645,22 @@ router.post("/recurring", authenticateToken, requirePermission('rides:create'),
       customerPhone: customerPhone.trim(),
       pickup: pickup.trim(),
       destination: destination.trim(),
+      ...locations,
       price,
       notes,
       status: 'created',
       rideType: 'recurring',
-      recurring: {
-        enabled: true,
-        frequency,
-        time: time || '08:00',
-        endDate: endDate ? new Date(endDate) : null,
-        nextOccurrence: new Date(),
-        createdBy: req.user.username || req.user.user
-      }
+      recurring,
+      ...(costCenter ? { corporate: { costCenter } } : {})
     });
     
     // Add history
     addHistoryEntry(ride, 'created_recurring', req.user.username || req.user.user, {
       frequency,
       time,
-      endDate
+      weekdays,
+      endDate,
+      nextOccurrence: recurring.nextOccurrence
     });
     
     await ride.save();
@@ -1598,7 +1704,7 @@ router.post("/recurring", authenticateToken, requirePermission('rides:create'),
 // ===============================================
 // POST /api/rides/:id/issues - דיווח על בעיה
 // ===============================================
-router.post("/:id/issues", authenticateToken, requirePermission('rides:update'), async (req, res) => {
+router.post("/:id/issues", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const { type, description, severity } = req.body;
     
@@ -1675,6 +1781,66 @@ router.post("/:id/issues", authenticateToken, requirePermission('rides:update'),
   }
 });
 
+// ============================================================
+// STATION
+// ============================================================
+
+// ===============================================
+// PUT /api/rides/:id/station - העברת נסיעה לתחנה אחרת
+// ===============================================
+router.put("/:id/station", authenticateToken, requirePermission('rides:update'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    
+    if (!ride) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.RIDE.NOT_FOUND
+      });
+    }
+    
+    const station = await stationService.assertAssignable(req.body.station, req.scope);
+    const previousStation = ride.station;
+    
+    if (station !== previousStation) {
+      ride.station = station;
+      addHistoryEntry(ride, 'station_changed', req.user.username || req.user.user, {
+        from: previousStation,
+        to: station
+      });
+      addTimelineEntry(ride, 'station_changed', { from: previousStation, to: station });
+      await ride.save();
+      
+      await AuditLog.create({
+        userId: req.user.userId || req.user.user,
+        username: req.user.username || req.user.user,
+        action: 'ride_station_changed',
+        details: { rideId: ride._id, rideNumber: ride.rideNumber, from: previousStation, to: station }
+      }).catch(err => logger.error('AuditLog error:', err));
+      
+      websockets.emitRideUpdate(ride._id, {
+        event: 'station_changed',
+        station,
+        previousStation
+      });
+    }
+    
+    res.json({ ok: true, ride });
+  } catch (err) {
+    if (err instanceof StationError) {
+      return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+    }
+    logger.error("Error changing ride station", {
+      requestId: req.id || null,
+      error: err.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
 // ============================================================
 // HISTORY & TIMELINE
 // ============================================================
@@ -1682,7 +1848,7 @@ router.post("/:id/issues", authenticateToken, requirePermission('rides:update'),
 // ===============================================
 // GET /api/rides/:id/history - היסטוריית פעולות
 // ===============================================
-router.get("/:id/history", authenticateToken, requirePermission('rides:read'), async (req, res) => {
+router.get("/:id/history", authenticateToken, requirePermission('rides:read'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id).select('history');
     
@@ -1712,7 +1878,7 @@ router.get("/:id/history", authenticateToken, requirePermission('rides:read'), a
 // ===============================================
 // GET /api/rides/:id/timeline - ציר זמן
 // ===============================================
-router.get("/:id/timeline", authenticateToken, requirePermission('rides:read'), async (req, res) => {
+router.get("/:id/timeline", authenticateToken, requirePermission('rides:read'), requireScope(Ride, RIDE_SCOPE), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id).select('timeline');
     
@@ -1794,71 +1960,65 @@ router.post("/respond", async (req, res) => {
     
     // Handle response type
     if (response === 'accept' || !response) {
+      // 🌊 Waterfall: ההצעה שמורה כרגע לנהג אחר
+      const offerHolder = dispatchManager.getOfferHolder(rideId || rideNumber);
+      if (offerHolder && offerHolder !== driverPhone) {
+        return res.status(409).json({
+          ok: false,
+          message: 'Ride is currently offered to another driver',
+          code: 'OFFERED_TO_OTHER_DRIVER'
+        });
+      }
+      
+      const existingRide = rideId 
+        ? await Ride.findById(rideId)
+        : await Ride.findOne({ rideNumber });
+      
+      if (!existingRide) {
+        return res.status(404).json({
+          ok: false,
+          error: 'Ride not found'
+        });
+      }
+      
       // ✅✅✅ CRITICAL FIX: ATOMIC LOCK - prevents race condition!
-      const ride = await Ride.findOneAndUpdate(
-        {
-          // Find by ID or rideNumber
-          ...(rideId ? { _id: rideId } : { rideNumber }),
-          // ✅ RACE CONDITION FIX: Only lock if status allows
-          status: { $in: ['sent', 'distributed', 'created'] }
+      // (state machine: נועל רק אם הסטטוס עדיין מאפשר)
+      const ride = await rideStateMachine.transition(existingRide, 'locked', {
+        actor: driverPhone,
+        actorRole: 'driver',
+        event: 'locked',
+        reason: `ננעל על ידי ${driverName || driverPhone} (WhatsApp)`,
+        details: {
+          driver: driverName || driverPhone,
+          source: 'whatsapp'
         },
-        {
-          $set: {
-            status: 'locked',
-            lockedBy: driverPhone,
-            lockedAt: new Date(),
-            driverPhone: driverPhone,
-            driverName: driverName || 'Unknown Driver',
-            updatedAt: new Date()
-          },
-          $push: {
-            history: {
-              action: 'locked',
-              status: 'locked',
-              by: driverPhone,
-              timestamp: new Date(),
-              details: {
-                source: 'whatsapp',
-                driverName: driverName || driverPhone
-              }
-            },
-            timeline: {
-              event: 'locked',
-              timestamp: new Date(),
-              details: {
-                driver: driverName || driverPhone,
-                source: 'whatsapp'
-              }
-            }
-          }
+        set: {
+          lockedBy: driverPhone,
+          lockedAt: new Date(),
+          driverPhone: driverPhone,
+          driverName: driverName || 'Unknown Driver'
         },
-        { new: true }
-      );
+        expectedFrom: ['sent', 'distributed', 'created']
+      });
       
       // ✅ RACE CONDITION CHECK: If ride is null, someone else took it!
       if (!ride) {
-        // Try to find the ride to check why it failed
-        const existingRide = rideId 
-          ? await Ride.findById(rideId)
-          : await Ride.findOne({ rideNumber });
-        
-        if (!existingRide) {
-          return res.status(404).json({
-            ok: false,
-            error: 'Ride not found'
-          });
-        }
+        const currentRide = await Ride.findById(existingRide._id);
         
         // Ride exists but status doesn't allow locking
         return res.status(409).json({
           ok: false,
           message: 'Ride is no longer available',
-          rideStatus: existingRide.status,
-          assignedTo: existingRide.driverName || existingRide.driverPhone,
+          rideStatus: currentRide?.status || existingRide.status,
+          assignedTo: currentRide?.driverName || currentRide?.driverPhone || null,
           code: 'ALREADY_TAKEN'
         });
       }
       
+      // עצירת הצעות פתוחות (waterfall / geo)
+      dispatchManager.completeWaterfall(ride._id, driverPhone);
+      dispatchManager.cancelGeoDispatch(ride._id);
+      
       // ✅ WebSocket update
       try {
         if (typeof websockets !== 'undefined') {
@@ -1866,7 +2026,8 @@ router.post("/respond", async (req, res) => {
             event: 'locked',
             status: 'locked',
             driverName,
-            driverPhone
+            driverPhone,
+            station: ride.station
           });
         }
       } catch (err) {
@@ -1914,6 +2075,9 @@ router.post("/respond", async (req, res) => {
       
       await ride.save();
       
+      // 🌊 Waterfall: מעבר מיידי לנהג הבא
+      await dispatchManager.declineOffer(ride._id, driverPhone);
+      
       logger.info('Driver rejected ride', {
         rideNumber: ride.rideNumber,
         driverPhone,
@@ -1930,6 +2094,9 @@ router.post("/respond", async (req, res) => {
       });
     }
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.httpStatus).json(err.toResponse());
+    }
     logger.error("Error processing bot response", {
       error: err.message
     });
@@ -0,0 +1,232 @@
+// ============================================================
+// ROLES ROUTES
+// Roles, permission sets and data scopes - utils/roleStore.js, middlewares/rbac.js
+// ============================================================
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { AuditLog, User } from '../models/index.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { requirePermission, knownPermissions, listRoutePermissions } from '../middlewares/rbac.js';
+import roleStore, { RoleError } from '../utils/roleStore.js';
+import sessionService from '../utils/sessionService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Error messages
+const ERRORS = {
+  ROLE: {
+    NOT_FOUND: 'תפקיד לא נמצא'
+  },
+  USER: {
+    NOT_FOUND: 'משתמש לא נמצא'
+  },
+  SERVER: {
+    DATABASE: 'שגיאת בסיס נתונים'
+  }
+};
+
+const ROLE_FIELDS = ['displayName', 'description', 'permissions', 'scopes'];
+
+function pick(body, fields) {
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function changedBy(req) {
+  return req.user.username || req.user.user;
+}
+
+function audit(req, action, details) {
+  AuditLog.create({
+    userId: req.user.userId || req.user.user,
+    username: req.user.username || req.user.user,
+    action,
+    resource: 'role',
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+/**
+ * מה השתנה בתפקיד - לרישום ב-AuditLog
+ */
+function roleDiff(before, after) {
+  const beforePermissions = new Set(before?.permissions || []);
+  const afterPermissions = new Set(after?.permissions || []);
+
+  return {
+    role: (after || before).name,
+    addedPermissions: [...afterPermissions].filter(p => !beforePermissions.has(p)),
+    removedPermissions: [...beforePermissions].filter(p => !afterPermissions.has(p)),
+    scopes: { before: before?.scopes || null, after: after?.scopes || null },
+    displayName: { before: before?.displayName || null, after: after?.displayName || null }
+  };
+}
+
+function sendError(req, res, err, message) {
+  if (err instanceof RoleError) {
+    return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  logger.error(message, { requestId: req.id, error: err.message });
+  return res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+}
+
+async function userCounts() {
+  const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+  return new Map(counts.map(entry => [entry._id, entry.count]));
+}
+
+// ============================================================
+// 7 ENDPOINTS
+// ============================================================
+
+// ===============================================
+// GET /api/roles - רשימת תפקידים
+// ===============================================
+router.get('/', authenticateToken, requirePermission('roles:read'), async (req, res) => {
+  try {
+    const counts = await userCounts();
+    const roles = roleStore.list().map(role => ({ ...role, userCount: counts.get(role.name) || 0 }));
+
+    res.json({ ok: true, roles });
+  } catch (err) {
+    sendError(req, res, err, 'Error listing roles');
+  }
+});
+
+// ===============================================
+// GET /api/roles/permissions - כל ההרשאות שהנתיבים דורשים
+// ===============================================
+router.get('/permissions', authenticateToken, requirePermission('roles:read'), (req, res) => {
+  try {
+    const permissions = listRoutePermissions(req.app);
+
+    // הרשאות שמשויכות לתפקידים אבל אף נתיב לא דורש (שם שגוי / נתיב שהוסר)
+    const known = knownPermissions();
+    const unused = [...new Set(roleStore.list().flatMap(role => role.permissions))]
+      .filter(permission => !known.has(permission) && permission !== '*')
+      .sort();
+
+    res.json({ ok: true, permissions, unused });
+  } catch (err) {
+    sendError(req, res, err, 'Error listing permissions');
+  }
+});
+
+// ===============================================
+// GET /api/roles/:name - תפקיד בודד
+// ===============================================
+router.get('/:name', authenticateToken, requirePermission('roles:read'), async (req, res) => {
+  try {
+    const role = roleStore.get(req.params.name);
+    if (!role) {
+      return res.status(404).json({ ok: false, error: ERRORS.ROLE.NOT_FOUND });
+    }
+
+    const users = await User.find({ role: role.name })
+      .select('username email isActive lastLogin')
+      .sort({ username: 1 })
+      .lean();
+
+    res.json({ ok: true, role, users });
+  } catch (err) {
+    sendError(req, res, err, 'Error fetching role');
+  }
+});
+
+// ===============================================
+// POST /api/roles - יצירת תפקיד
+// ===============================================
+router.post('/', authenticateToken, requirePermission('roles:update'), async (req, res) => {
+  try {
+    const { role } = await roleStore.create(
+      { name: req.body.name, ...pick(req.body, ROLE_FIELDS) },
+      { knownPermissions: knownPermissions(), changedBy: changedBy(req) }
+    );
+
+    audit(req, 'role_created', roleDiff(null, role));
+
+    res.status(201).json({ ok: true, role });
+  } catch (err) {
+    sendError(req, res, err, 'Error creating role');
+  }
+});
+
+// ===============================================
+// PUT /api/roles/:name - עדכון הרשאות / תחום / שם תצוגה
+// ===============================================
+router.put('/:name', authenticateToken, requirePermission('roles:update'), async (req, res) => {
+  try {
+    const { role, before } = await roleStore.update(req.params.name, pick(req.body, ROLE_FIELDS), {
+      knownPermissions: knownPermissions(),
+      changedBy: changedBy(req)
+    });
+
+    audit(req, 'role_updated', roleDiff(before, role));
+
+    res.json({ ok: true, role });
+  } catch (err) {
+    sendError(req, res, err, 'Error updating role');
+  }
+});
+
+// ===============================================
+// DELETE /api/roles/:name - מחיקת תפקיד (רק אם אין משתמשים משויכים)
+// ===============================================
+router.delete('/:name', authenticateToken, requirePermission('roles:update'), async (req, res) => {
+  try {
+    const { before } = await roleStore.remove(req.params.name);
+
+    audit(req, 'role_deleted', roleDiff(before, null));
+
+    res.json({ ok: true, message: 'התפקיד נמחק' });
+  } catch (err) {
+    sendError(req, res, err, 'Error deleting role');
+  }
+});
+
+// ===============================================
+// PUT /api/roles/:name/users/:userId - שיוך משתמש לתפקיד
+// ===============================================
+router.put('/:name/users/:userId', authenticateToken, requirePermission('roles:update', 'users:update'), async (req, res) => {
+  try {
+    const role = roleStore.get(req.params.name);
+    if (!role) {
+      return res.status(404).json({ ok: false, error: ERRORS.ROLE.NOT_FOUND });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+    if (!user) {
+      return res.status(404).json({ ok: false, error: ERRORS.USER.NOT_FOUND });
+    }
+
+    const previousRole = user.role;
+    if (previousRole !== role.name) {
+      user.role = role.name;
+      await user.save();
+
+      // טוקן הגישה נושא את התפקיד - הסשנים הקיימים מנותקים
+      await sessionService.revokeAllForUser(user._id, { reason: 'role_changed' });
+
+      audit(req, 'user_role_changed', {
+        targetUserId: user._id,
+        targetUsername: user.username,
+        from: previousRole,
+        to: role.name
+      });
+    }
+
+    res.json({ ok: true, user: user.toSafeObject() });
+  } catch (err) {
+    sendError(req, res, err, 'Error assigning role');
+  }
+});
+
+console.log('✅ Roles routes loaded - 7 endpoints');
+
+export default router;
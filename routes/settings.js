@@ -2,131 +2,111 @@
 // SETTINGS ROUTES
 // Auto-generated from server.js refactoring
 // ============================================================
+// ההגדרות נשמרות ב-settingsStore (MongoDB + היסטוריית גרסאות);
+// כל שמירה מתפרסמת כאירוע ונכנסת לתוקף מיד, בלי הפעלה מחדש
+// אחוז העמלה שמור ב-BillingConfig - המסכים הישנים מעדכנים את האחוז הפנימי
 
 import express from 'express';
-import { Driver, Ride, WhatsAppGroup } from '../models/index.js';
+import { AuditLog, BillingConfig, WhatsAppGroup } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
-
-// Import what you need (adjust based on actual usage)
-// import Ride from '../models/Ride.js';
-// import Driver from '../models/Driver.js';
-// import { authenticateToken } from '../middlewares/auth.js';
-// import logger from '../utils/logger.js';
+import { getPricingSettings } from '../utils/pricing.js';
+import settingsStore, { SettingsError } from '../utils/settingsStore.js';
 
 const router = express.Router();
 
 // ============================================================
-// 18 ENDPOINTS
+// HELPERS
 // ============================================================
 
-// GET /api/settings/general
-router.get("/general", authenticateToken, async (req, res) => {
-  try {
-    // Return default settings
-    // TODO: Store in database
-    res.json({
-      companyName: process.env.COMPANY_NAME || 'מערכת מוניות',
-      companyPhone: process.env.COMPANY_PHONE || '03-1234567',
-      companyEmail: process.env.COMPANY_EMAIL || 'info@taxi.com',
-      workingHours: '24/7'
-    });
-  } catch (error) {
-    logger.error('Error fetching general settings:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-
-// POST /api/settings/general
-router.post("/general", authenticateToken, async (req, res) => {
-  try {
-    const settings = req.body;
-    // TODO: Save to database
-    logger.info('General settings updated', settings);
-    res.json({ success: true, message: 'Settings saved' });
-  } catch (error) {
-    logger.error('Error saving general settings:', error);
-    res.status(500).json({ error: error.message });
+function actorName(req) {
+  return req.user?.username || req.user?.userId || req.user?.user || 'admin';
+}
+
+/**
+ * שמירת מקטע + רישום ב-AuditLog
+ * @returns {Promise<Object>} - תוצאת settingsStore.update
+ */
+async function saveSection(req, section, patch, { reason = null, expectedVersion } = {}) {
+  const result = await settingsStore.update(section, patch, {
+    changedBy: actorName(req),
+    reason,
+    expectedVersion
+  });
+
+  if (result.changed) {
+    AuditLog.create({
+      userId: req.user.userId || req.user.user,
+      username: req.user.username || 'admin',
+      action: 'settings_updated',
+      details: {
+        section,
+        version: result.version,
+        changedKeys: result.changedKeys
+      }
+    }).catch(err => logger.error('AuditLog error:', err));
   }
-});
-
 
-// GET /api/settings/pricing
-router.get("/pricing", authenticateToken, async (req, res) => {
-  try {
-    // Return default pricing
-    // TODO: Store in database
-    res.json({
-      basePrice: process.env.BASE_PRICE || 15,
-      pricePerKm: process.env.PRICE_PER_KM || 5,
-      pricePerMinute: process.env.PRICE_PER_MINUTE || 1,
-      nightSurcharge: process.env.NIGHT_SURCHARGE || 25,
-      commissionPercent: process.env.COMMISSION_PERCENT || 20
+  return result;
+}
+
+/**
+ * עדכון אחוז העמלה הפנימי (BillingConfig) + רישום ב-AuditLog
+ * @throws {SettingsError} INVALID_VALUES
+ */
+async function saveCommissionPercent(req, percent) {
+  const value = Number(percent);
+  if (percent === null || percent === '' || !Number.isFinite(value) || value < 0 || value > 100) {
+    throw new SettingsError('INVALID_VALUES', {
+      section: 'billing',
+      errors: ['commissionPercent must be a number between 0 and 100']
     });
-  } catch (error) {
-    logger.error('Error fetching pricing settings:', error);
-    res.status(500).json({ error: error.message });
   }
-});
-
 
-// POST /api/settings/pricing
-router.post("/pricing", authenticateToken, async (req, res) => {
-  try {
-    const pricing = req.body;
-    // TODO: Save to database
-    logger.info('Pricing settings updated', pricing);
-    res.json({ success: true, message: 'Pricing updated' });
-  } catch (error) {
-    logger.error('Error saving pricing settings:', error);
-    res.status(500).json({ error: error.message });
+  const config = await BillingConfig.getConfig();
+  const oldValue = config.internalCommissionPercent;
+
+  config.internalCommissionPercent = value;
+  config.updatedAt = new Date();
+  config.updatedBy = actorName(req);
+  await config.save();
+
+  if (oldValue !== value) {
+    AuditLog.create({
+      userId: req.user.userId || req.user.user,
+      username: req.user.username || 'admin',
+      action: 'billing_config_updated',
+      details: {
+        oldValues: { internalCommissionPercent: oldValue },
+        newValues: { internalCommissionPercent: value }
+      }
+    }).catch(err => logger.error('AuditLog error:', err));
   }
-});
 
+  return config;
+}
 
-// GET /api/bot/settings
-router.get("/api/bot/settings", authenticateToken, async (req, res) => {
-  try {
-    res.json({
-      enabled: !!process.env.BOT_URL,
-      autoAssign: true,
-      autoReply: true,
-      responseDelay: 2
-    });
-  } catch (error) {
-    logger.error('Error fetching bot settings:', error);
-    res.status(500).json({ error: error.message });
+function sendSettingsError(res, req, error, logMessage) {
+  if (error instanceof SettingsError) {
+    return res.status(error.httpStatus).json(error.toResponse());
   }
-});
-
 
-// POST /api/bot/settings
-router.post("/api/bot/settings", authenticateToken, async (req, res) => {
-  try {
-    const settings = req.body;
-    // TODO: Save to database
-    logger.info('Bot settings updated', settings);
-    res.json({ success: true, message: 'Bot settings updated' });
-  } catch (error) {
-    logger.error('Error saving bot settings:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+  logger.error(logMessage, {
+    requestId: req.id,
+    error: error.message
+  });
+  res.status(500).json({ error: error.message });
+}
 
+// ============================================================
+// ENDPOINTS
+// ============================================================
 
 // GET /api/settings/general
 router.get("/general", authenticateToken, async (req, res) => {
   try {
-    res.json({
-      companyName: process.env.COMPANY_NAME || 'מערכת ניהול מוניות',
-      companyPhone: process.env.COMPANY_PHONE || '03-1234567',
-      companyEmail: process.env.COMPANY_EMAIL || 'info@taxi.com',
-      companyAddress: process.env.COMPANY_ADDRESS || 'תל אביב, ישראל',
-      workingHours: process.env.WORKING_HOURS || '24/7',
-      supportPhone: process.env.SUPPORT_PHONE || '03-1234567',
-      emergencyPhone: process.env.EMERGENCY_PHONE || '03-1234567'
-    });
+    res.json(settingsStore.get('general'));
   } catch (error) {
     logger.error('Error fetching general settings:', error);
     res.status(500).json({ error: error.message });
@@ -135,19 +115,19 @@ router.get("/general", authenticateToken, async (req, res) => {
 
 
 // POST /api/settings/general
-router.post("/general", authenticateToken, async (req, res) => {
+router.post("/general", authenticateToken, requirePermission('settings:update'), async (req, res) => {
   try {
-    const settings = req.body;
-    logger.info('General settings updated', settings);
-    
-    res.json({ 
-      success: true, 
+    const result = await saveSection(req, 'general', req.body);
+
+    res.json({
+      success: true,
       message: 'ההגדרות נשמרו בהצלחה',
-      settings 
+      version: result.version,
+      settings: result.values,
+      ignoredKeys: result.ignoredKeys
     });
   } catch (error) {
-    logger.error('Error saving general settings:', error);
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error saving general settings:');
   }
 });
 
@@ -155,14 +135,11 @@ router.post("/general", authenticateToken, async (req, res) => {
 // GET /api/settings/pricing
 router.get("/pricing", authenticateToken, async (req, res) => {
   try {
+    // אותן הגדרות שמשמשות להצעות מחיר בהזמנות WhatsApp
+    const billingConfig = await BillingConfig.getConfig();
     res.json({
-      basePrice: parseFloat(process.env.BASE_PRICE) || 15,
-      pricePerKm: parseFloat(process.env.PRICE_PER_KM) || 5,
-      pricePerMinute: parseFloat(process.env.PRICE_PER_MINUTE) || 1,
-      nightSurcharge: parseFloat(process.env.NIGHT_SURCHARGE) || 25,
-      commissionPercent: parseFloat(process.env.COMMISSION_PERCENT) || 20,
-      minimumRidePrice: parseFloat(process.env.MINIMUM_RIDE_PRICE) || 20,
-      cancellationFee: parseFloat(process.env.CANCELLATION_FEE) || 0
+      ...getPricingSettings(),
+      commissionPercent: billingConfig.internalCommissionPercent
     });
   } catch (error) {
     logger.error('Error fetching pricing settings:', error);
@@ -172,19 +149,30 @@ router.get("/pricing", authenticateToken, async (req, res) => {
 
 
 // POST /api/settings/pricing
-router.post("/pricing", authenticateToken, async (req, res) => {
+router.post("/pricing", authenticateToken, requirePermission('settings:update'), async (req, res) => {
   try {
-    const pricing = req.body;
-    logger.info('Pricing settings updated', pricing);
-    
-    res.json({ 
-      success: true, 
+    const { commissionPercent, ...pricing } = req.body || {};
+
+    // commissionPercent שמור ב-BillingConfig - מאמתים את המחירים לפני ששומרים משהו
+    settingsStore.validate('pricing', pricing);
+
+    const billingConfig = commissionPercent !== undefined
+      ? await saveCommissionPercent(req, commissionPercent)
+      : await BillingConfig.getConfig();
+    const result = await saveSection(req, 'pricing', pricing);
+
+    res.json({
+      success: true,
       message: 'הגדרות המחירים נשמרו בהצלחה',
-      pricing 
+      version: result.version,
+      pricing: {
+        ...getPricingSettings(),
+        commissionPercent: billingConfig.internalCommissionPercent
+      },
+      ignoredKeys: result.ignoredKeys
     });
   } catch (error) {
-    logger.error('Error saving pricing settings:', error);
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error saving pricing settings:');
   }
 });
 
@@ -195,10 +183,7 @@ router.get("/api/bot/settings", authenticateToken, async (req, res) => {
     res.json({
       enabled: !!process.env.BOT_URL,
       botUrl: process.env.BOT_URL || '',
-      autoAssign: process.env.BOT_AUTO_ASSIGN === 'true',
-      autoReply: process.env.BOT_AUTO_REPLY === 'true',
-      responseDelay: parseInt(process.env.BOT_RESPONSE_DELAY) || 2,
-      maxRetries: parseInt(process.env.BOT_MAX_RETRIES) || 3
+      ...settingsStore.get('bot')
     });
   } catch (error) {
     logger.error('Error fetching bot settings:', error);
@@ -208,113 +193,130 @@ router.get("/api/bot/settings", authenticateToken, async (req, res) => {
 
 
 // POST /api/bot/settings
-router.post("/api/bot/settings", authenticateToken, async (req, res) => {
+router.post("/api/bot/settings", authenticateToken, requirePermission('settings:update'), async (req, res) => {
   try {
-    const settings = req.body;
-    logger.info('Bot settings updated', settings);
-    
-    res.json({ 
-      success: true, 
+    const result = await saveSection(req, 'bot', req.body);
+
+    res.json({
+      success: true,
       message: 'הגדרות הבוט נשמרו בהצלחה',
-      settings 
+      version: result.version,
+      settings: result.values,
+      ignoredKeys: result.ignoredKeys
     });
   } catch (error) {
-    logger.error('Error saving bot settings:', error);
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error saving bot settings:');
   }
 });
 
 
 // POST /api/finance/commissions/settings
-router.post("/api/finance/commissions/settings", authenticateToken, async (req, res) => {
+router.post("/api/finance/commissions/settings", authenticateToken, requirePermission('settings:update'), async (req, res) => {
   try {
-    const { defaultRate } = req.body;
-    // כאן תוכל לשמור להגדרות במסד נתונים
-    logger.info('Commission settings updated', { defaultRate });
-    
-    res.json({ 
-      success: true, 
+    // מסך הכספים שולח global, ממשקים ישנים שולחים defaultRate
+    const config = await saveCommissionPercent(req, req.body?.defaultRate ?? req.body?.global);
+
+    res.json({
+      success: true,
       message: 'ההגדרות נשמרו בהצלחה',
-      defaultRate 
+      defaultRate: config.internalCommissionPercent
     });
   } catch (error) {
-    logger.error('Error saving commission settings:', error);
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error saving commission settings:');
   }
 });
 
 
-// GET /api/settings/general
-router.get("/general", authenticateToken, async (req, res) => {
+// GET /api/settings/groups
+router.get("/groups", authenticateToken, async (req, res) => {
   try {
-    res.json({
-      companyName: process.env.COMPANY_NAME || 'מערכת ניהול מוניות',
-      companyPhone: process.env.COMPANY_PHONE || '03-1234567',
-      companyEmail: process.env.COMPANY_EMAIL || 'info@taxi.com',
-      supportPhone: process.env.SUPPORT_PHONE || '03-1234567'
-    });
+    const groups = await WhatsAppGroup.find({ isActive: true });
+    res.json(groups);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 
-// POST /api/settings/general
-router.post("/general", authenticateToken, async (req, res) => {
+// ============================================================
+// VERSIONED SETTINGS STORE
+// ============================================================
+
+// GET /api/settings - כל המקטעים + גרסה נוכחית
+router.get("/", authenticateToken, requirePermission('settings:read'), async (req, res) => {
   try {
-    const settings = req.body;
-    logger.info('General settings updated', settings);
-    
-    res.json({ 
-      success: true, 
-      message: 'ההגדרות נשמרו',
-      settings 
-    });
+    res.json({ ok: true, sections: settingsStore.getAll() });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error fetching settings:');
   }
 });
 
 
-// GET /api/settings/pricing
-router.get("/pricing", authenticateToken, async (req, res) => {
+// GET /api/settings/:section/history - היסטוריית גרסאות
+router.get("/:section/history", authenticateToken, requirePermission('settings:read'), async (req, res) => {
   try {
+    const history = await settingsStore.getHistory(req.params.section, { limit: req.query.limit });
+
     res.json({
-      basePrice: parseFloat(process.env.BASE_PRICE) || 15,
-      pricePerKm: parseFloat(process.env.PRICE_PER_KM) || 5,
-      pricePerMinute: parseFloat(process.env.PRICE_PER_MINUTE) || 1,
-      commissionPercent: parseFloat(process.env.COMMISSION_PERCENT) || 20
+      ok: true,
+      current: settingsStore.describe(req.params.section),
+      history
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error fetching settings history:');
   }
 });
 
 
-// POST /api/settings/pricing
-router.post("/pricing", authenticateToken, async (req, res) => {
+// POST /api/settings/:section/rollback/:version - שחזור לגרסה קודמת
+router.post("/:section/rollback/:version", authenticateToken, requirePermission('settings:update'), async (req, res) => {
   try {
-    const pricing = req.body;
-    logger.info('Pricing updated', pricing);
-    
-    res.json({ 
-      success: true, 
-      message: 'המחירים נשמרו',
-      pricing 
+    const { section, version } = req.params;
+    const result = await settingsStore.rollback(section, version, {
+      changedBy: actorName(req),
+      reason: req.body?.reason || null
     });
+
+    if (result.changed) {
+      AuditLog.create({
+        userId: req.user.userId || req.user.user,
+        username: req.user.username || 'admin',
+        action: 'settings_rollback',
+        details: {
+          section,
+          rolledBackTo: parseInt(version),
+          version: result.version,
+          changedKeys: result.changedKeys
+        }
+      }).catch(err => logger.error('AuditLog error:', err));
+    }
+
+    res.json({ ok: true, ...result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error rolling back settings:');
   }
 });
 
 
-// GET /api/settings/groups
-router.get("/groups", authenticateToken, async (req, res) => {
+// GET /api/settings/:section - מקטע בודד (commission / dispatch / reminders ...)
+router.get("/:section", authenticateToken, requirePermission('settings:read'), async (req, res) => {
   try {
-    const groups = await WhatsAppGroup.find({ isActive: true });
-    res.json(groups);
+    res.json({ ok: true, ...settingsStore.describe(req.params.section) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendSettingsError(res, req, error, 'Error fetching settings section:');
+  }
+});
+
+
+// PUT /api/settings/:section - עדכון חלקי של מקטע
+router.put("/:section", authenticateToken, requirePermission('settings:update'), async (req, res) => {
+  try {
+    const { reason, expectedVersion, ...values } = req.body || {};
+    const result = await saveSection(req, req.params.section, values, { reason, expectedVersion });
+
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendSettingsError(res, req, error, 'Error saving settings section:');
   }
 });
 
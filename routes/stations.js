@@ -0,0 +1,219 @@
+// ============================================================
+// STATIONS ROUTES
+// Stations (regions) and user station assignment - utils/stationService.js
+// ============================================================
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { AuditLog, User } from '../models/index.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { requirePermission, inStationScope } from '../middlewares/rbac.js';
+import stationService, { StationError } from '../utils/stationService.js';
+import sessionService from '../utils/sessionService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Error messages
+const ERRORS = {
+  STATION: {
+    NOT_FOUND: 'תחנה לא נמצאה',
+    GLOBAL_ONLY: 'רק משתמש עם גישה לכל התחנות יכול ליצור או למחוק תחנות'
+  },
+  USER: {
+    NOT_FOUND: 'משתמש לא נמצא'
+  },
+  SERVER: {
+    DATABASE: 'שגיאת בסיס נתונים'
+  }
+};
+
+const STATION_FIELDS = ['name', 'cities', 'phone', 'isActive'];
+
+function pick(body, fields) {
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function changedBy(req) {
+  return req.user.username || req.user.user;
+}
+
+function audit(req, action, details) {
+  AuditLog.create({
+    userId: req.user.userId || req.user.user,
+    username: req.user.username || req.user.user,
+    action,
+    resource: 'station',
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+function sendError(req, res, err, message) {
+  if (err instanceof StationError) {
+    return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  logger.error(message, { requestId: req.id, error: err.message });
+  return res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+}
+
+// תחנה מחוץ לתחום - כאילו לא קיימת
+function stationNotFound(res) {
+  return res.status(404).json({ ok: false, error: ERRORS.STATION.NOT_FOUND });
+}
+
+// ============================================================
+// 6 ENDPOINTS
+// ============================================================
+
+// ===============================================
+// GET /api/stations - התחנות בתחום המשתמש
+// ===============================================
+router.get('/', authenticateToken, requirePermission('stations:read'), async (req, res) => {
+  try {
+    const stations = await stationService.list(req.scope.stations);
+    const withUsage = await Promise.all(
+      stations.map(async station => ({ ...station, usage: await stationService.usage(station.code) }))
+    );
+
+    res.json({ ok: true, stations: withUsage });
+  } catch (err) {
+    sendError(req, res, err, 'Error listing stations');
+  }
+});
+
+// ===============================================
+// GET /api/stations/:code - תחנה + המשתמשים שלה
+// ===============================================
+router.get('/:code', authenticateToken, requirePermission('stations:read'), async (req, res) => {
+  try {
+    const station = inStationScope(req, req.params.code) ? await stationService.get(req.params.code) : null;
+    if (!station) {
+      return stationNotFound(res);
+    }
+
+    const [usage, users] = await Promise.all([
+      stationService.usage(station.code),
+      User.find({ stations: station.code })
+        .select('username email role isActive lastLogin')
+        .sort({ username: 1 })
+        .lean()
+    ]);
+
+    res.json({ ok: true, station: { ...station, usage }, users });
+  } catch (err) {
+    sendError(req, res, err, 'Error fetching station');
+  }
+});
+
+// ===============================================
+// POST /api/stations - יצירת תחנה
+// ===============================================
+router.post('/', authenticateToken, requirePermission('stations:update'), async (req, res) => {
+  try {
+    if (req.scope.stations.length > 0) {
+      return res.status(403).json({ ok: false, error: ERRORS.STATION.GLOBAL_ONLY });
+    }
+
+    const { station } = await stationService.create(
+      { code: req.body.code, ...pick(req.body, STATION_FIELDS) },
+      changedBy(req)
+    );
+
+    audit(req, 'station_created', { station: station.code, after: station });
+
+    res.status(201).json({ ok: true, station });
+  } catch (err) {
+    sendError(req, res, err, 'Error creating station');
+  }
+});
+
+// ===============================================
+// PUT /api/stations/:code - עדכון שם / ערים / טלפון / השבתה
+// ===============================================
+router.put('/:code', authenticateToken, requirePermission('stations:update'), async (req, res) => {
+  try {
+    if (!inStationScope(req, req.params.code)) {
+      return stationNotFound(res);
+    }
+
+    const { station, before } = await stationService.update(
+      req.params.code,
+      pick(req.body, STATION_FIELDS),
+      changedBy(req)
+    );
+
+    audit(req, 'station_updated', { station: station.code, before, after: station });
+
+    res.json({ ok: true, station });
+  } catch (err) {
+    sendError(req, res, err, 'Error updating station');
+  }
+});
+
+// ===============================================
+// DELETE /api/stations/:code - מחיקת תחנה (רק בלי רשומות משויכות)
+// ===============================================
+router.delete('/:code', authenticateToken, requirePermission('stations:update'), async (req, res) => {
+  try {
+    if (req.scope.stations.length > 0) {
+      return res.status(403).json({ ok: false, error: ERRORS.STATION.GLOBAL_ONLY });
+    }
+
+    const { before } = await stationService.remove(req.params.code);
+
+    audit(req, 'station_deleted', { station: before.code, before });
+
+    res.json({ ok: true, message: 'התחנה נמחקה' });
+  } catch (err) {
+    sendError(req, res, err, 'Error deleting station');
+  }
+});
+
+// ===============================================
+// PUT /api/stations/users/:userId - התחנות של משתמש (ריק = כל התחנות)
+// ===============================================
+router.put('/users/:userId', authenticateToken, requirePermission('stations:update', 'users:update'), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+
+    // משתמש מוגבל מנהל רק משתמשים שכל התחנות שלהם בתחום שלו
+    const manageable = user && (
+      req.scope.stations.length === 0 ||
+      (user.stations.length > 0 && user.stations.every(code => req.scope.stations.includes(code)))
+    );
+    if (!manageable) {
+      return res.status(404).json({ ok: false, error: ERRORS.USER.NOT_FOUND });
+    }
+
+    const stations = await stationService.validateUserStations(req.body.stations, req.scope);
+    const previous = [...user.stations].sort();
+
+    if (previous.join(',') !== stations.join(',')) {
+      user.stations = stations;
+      await user.save();
+
+      // טוקן הגישה נושא את התחנות - הסשנים הקיימים מנותקים
+      await sessionService.revokeAllForUser(user._id, { reason: 'stations_changed' });
+
+      audit(req, 'user_stations_changed', {
+        targetUserId: user._id,
+        targetUsername: user.username,
+        from: previous,
+        to: stations
+      });
+    }
+
+    res.json({ ok: true, user: user.toSafeObject() });
+  } catch (err) {
+    sendError(req, res, err, 'Error assigning stations');
+  }
+});
+
+console.log('✅ Stations routes loaded - 6 endpoints');
+
+export default router;
@@ -13,6 +13,7 @@ import { Activity, AuditLog } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
 import { requirePermission } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
+import backupService from '../utils/backupService.js';
 
 import mongoose from 'mongoose';
 
@@ -25,6 +26,10 @@ const router = express.Router();
 const ERRORS = {
   SYSTEM: {
     BACKUP_FAILED: 'יצירת גיבוי נכשלה',
+    BACKUP_NOT_FOUND: 'גיבוי לא נמצא',
+    BACKUP_IN_PROGRESS: 'גיבוי או שחזור אחר כבר רץ',
+    RESTORE_CONFIRMATION: 'נדרש אישור מפורש לשחזור',
+    RESTORE_FAILED: 'שחזור הגיבוי נכשל',
     LOG_CLEANUP_FAILED: 'ניקוי לוגים נכשל',
     SETTINGS_NOT_FOUND: 'הגדרה לא נמצאה',
     SETTINGS_UPDATE_FAILED: 'עדכון הגדרות נכשל'
@@ -35,6 +40,16 @@ const ERRORS = {
   }
 };
 
+// ============================================================
+// HELPERS
+// ============================================================
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 // ============================================================
 // SYSTEM SETTINGS (in-memory - not persistent!)
 // ============================================================
@@ -332,36 +347,18 @@ router.delete("/logs/cleanup", authenticateToken, requirePermission('system:logs
 // ===============================================
 router.get("/backups/list", authenticateToken, requirePermission('system:backup'), async (req, res) => {
   try {
-    // TODO: Implement real backup system
-    // For now, return mock data
-    
-    const mockBackups = [
-      {
-        _id: '1',
-        filename: `backup_${new Date().toISOString().split('T')[0]}.tar.gz`,
-        createdAt: new Date(Date.now() - 86400000), // yesterday
-        size: 2547896,
-        sizeFormatted: '2.4 MB',
-        type: 'auto',
-        status: 'completed'
-      },
-      {
-        _id: '2',
-        filename: `backup_${new Date(Date.now() - 604800000).toISOString().split('T')[0]}.tar.gz`,
-        createdAt: new Date(Date.now() - 604800000), // last week
-        size: 2421043,
-        sizeFormatted: '2.3 MB',
-        type: 'manual',
-        status: 'completed'
-      }
-    ];
+    const backups = await backupService.listBackups();
     
     res.json({
       ok: true,
-      mock: true,  // ⚠️ Flag to indicate this is mock data
-      backups: mockBackups,
-      count: mockBackups.length,
-      warning: 'This is mock data. Real backup system not implemented yet.'
+      backups: backups.map(backup => ({
+        ...backup,
+        _id: backup.id,
+        sizeFormatted: formatBytes(backup.size),
+        status: 'completed'
+      })),
+      count: backups.length,
+      status: backupService.getStatus()
     });
   } catch (error) {
     logger.error('Error fetching backups', {
@@ -380,30 +377,21 @@ router.get("/backups/list", authenticateToken, requirePermission('system:backup'
 // ===============================================
 router.post("/backups/create", authenticateToken, requirePermission('system:backup'), async (req, res) => {
   try {
-    // TODO: Implement real backup logic
-    // This would typically:
-    // 1. Dump MongoDB
-    // 2. Compress files
-    // 3. Upload to S3/storage
-    // 4. Return backup info
-    
-    const backupId = `backup_${Date.now()}`;
-    const filename = `${backupId}.tar.gz`;
-    
-    const backup = {
-      _id: backupId,
-      filename,
-      createdAt: new Date(),
-      size: 2547896,
-      sizeFormatted: '2.4 MB',
+    if (backupService.inProgress) {
+      return res.status(409).json({
+        ok: false,
+        error: ERRORS.SYSTEM.BACKUP_IN_PROGRESS
+      });
+    }
+    
+    const backup = await backupService.createBackup({
       type: 'manual',
-      status: 'completed',
       createdBy: req.user.username || req.user.user
-    };
+    });
     
     logger.info('Backup created', {
       requestId: req.id || null,
-      backupId,
+      backupId: backup.id,
       createdBy: req.user.username || req.user.user
     });
     
@@ -413,17 +401,25 @@ router.post("/backups/create", authenticateToken, requirePermission('system:back
         userId: req.user.userId || req.user.user,
         username: req.user.username || req.user.user,
         action: 'system_backup_created',
-        details: { backupId, filename },
+        details: {
+          backupId: backup.id,
+          filename: backup.filename,
+          size: backup.size,
+          totalDocuments: backup.totalDocuments
+        },
         timestamp: new Date()
       }).catch(err => logger.error('Failed to log backup creation', { error: err.message }));
     }
     
     res.json({
       ok: true,
-      mock: true,  // ⚠️ Flag to indicate this is mock data
-      message: 'הגיבוי נוצר בהצלחה (mock)',
-      warning: 'This is a mock backup. Real backup system not implemented yet.',
-      backup
+      message: 'הגיבוי נוצר בהצלחה',
+      backup: {
+        ...backup,
+        _id: backup.id,
+        sizeFormatted: formatBytes(backup.size),
+        status: 'completed'
+      }
     });
   } catch (error) {
     logger.error('Error creating backup', {
@@ -437,6 +433,162 @@ router.post("/backups/create", authenticateToken, requirePermission('system:back
   }
 });
 
+// ===============================================
+// GET /api/system/backups/:id/download - הורדת קובץ גיבוי
+// ===============================================
+router.get("/backups/:id/download", authenticateToken, requirePermission('system:backup'), async (req, res) => {
+  try {
+    const backup = await backupService.getBackup(req.params.id);
+    
+    if (!backup) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.SYSTEM.BACKUP_NOT_FOUND
+      });
+    }
+    
+    if (AuditLog) {
+      await AuditLog.create({
+        userId: req.user.userId || req.user.user,
+        username: req.user.username || req.user.user,
+        action: 'system_backup_downloaded',
+        details: { backupId: backup.id },
+        timestamp: new Date()
+      }).catch(err => logger.error('Failed to log backup download', { error: err.message }));
+    }
+    
+    res.setHeader('X-Backup-Checksum-Sha256', backup.checksum.value);
+    res.download(backup.archivePath, backup.filename);
+  } catch (error) {
+    logger.error('Error downloading backup', {
+      requestId: req.id || null,
+      error: error.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// GET /api/system/backups/:id/verify - אימות גיבוי
+// ===============================================
+router.get("/backups/:id/verify", authenticateToken, requirePermission('system:backup'), async (req, res) => {
+  try {
+    const backup = await backupService.getBackup(req.params.id);
+    
+    if (!backup) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.SYSTEM.BACKUP_NOT_FOUND
+      });
+    }
+    
+    const verification = await backupService.verifyBackup(backup.id);
+    
+    logger.info('Backup verified', {
+      requestId: req.id || null,
+      backupId: backup.id,
+      valid: verification.valid
+    });
+    
+    res.json({
+      ok: true,
+      verification
+    });
+  } catch (error) {
+    logger.error('Error verifying backup', {
+      requestId: req.id || null,
+      error: error.message
+    });
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SERVER.UNKNOWN
+    });
+  }
+});
+
+// ===============================================
+// POST /api/system/backups/:id/restore - שחזור מגיבוי
+// ===============================================
+// ⚠️ פעולה הרסנית: דורש הרשאת system:restore ואישור מפורש
+// body: { confirm: "RESTORE <backupId>", collections?: [...] }
+router.post("/backups/:id/restore", authenticateToken, requirePermission('system:restore'), async (req, res) => {
+  const { confirm, collections } = req.body;
+  const backupId = req.params.id;
+  
+  try {
+    const backup = await backupService.getBackup(backupId);
+    
+    if (!backup) {
+      return res.status(404).json({
+        ok: false,
+        error: ERRORS.SYSTEM.BACKUP_NOT_FOUND
+      });
+    }
+    
+    if (confirm !== `RESTORE ${backup.id}`) {
+      return res.status(400).json({
+        ok: false,
+        error: ERRORS.SYSTEM.RESTORE_CONFIRMATION,
+        expected: `RESTORE ${backup.id}`
+      });
+    }
+    
+    if (backupService.inProgress) {
+      return res.status(409).json({
+        ok: false,
+        error: ERRORS.SYSTEM.BACKUP_IN_PROGRESS
+      });
+    }
+    
+    const summary = await backupService.restoreBackup(backup.id, {
+      collections: Array.isArray(collections) ? collections : null,
+      restoredBy: req.user.username || req.user.user
+    });
+    
+    // Audit log - נכתב אחרי השחזור כדי שלא יימחק עם collection ה-auditlogs
+    if (AuditLog) {
+      await AuditLog.create({
+        userId: req.user.userId || req.user.user,
+        username: req.user.username || req.user.user,
+        action: 'system_backup_restored',
+        details: summary,
+        timestamp: new Date()
+      }).catch(err => logger.error('Failed to log backup restore', { error: err.message }));
+    }
+    
+    res.json({
+      ok: true,
+      message: 'השחזור הושלם בהצלחה',
+      summary
+    });
+  } catch (error) {
+    logger.error('Error restoring backup', {
+      requestId: req.id || null,
+      backupId,
+      error: error.message
+    });
+    
+    if (AuditLog) {
+      await AuditLog.create({
+        userId: req.user.userId || req.user.user,
+        username: req.user.username || req.user.user,
+        action: 'system_backup_restore_failed',
+        details: { backupId, error: error.message, verification: error.verification || null },
+        timestamp: new Date()
+      }).catch(err => logger.error('Failed to log backup restore', { error: err.message }));
+    }
+    
+    res.status(500).json({
+      ok: false,
+      error: ERRORS.SYSTEM.RESTORE_FAILED,
+      verification: error.verification || undefined
+    });
+  }
+});
+
 // ===============================================
 // GET /api/system/settings/all - קבלת כל ההגדרות
 // ===============================================
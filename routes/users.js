@@ -11,6 +11,8 @@ import { Activity, AuditLog, User } from '../models/index.js';
 import { authenticateToken } from '../middlewares/auth.js';
 import { requirePermission } from '../middlewares/rbac.js';
 import logger from '../utils/logger.js';
+import sessionService from '../utils/sessionService.js';
+import roleStore from '../utils/roleStore.js';
 
 import bcrypt from 'bcryptjs';
 
@@ -37,8 +39,6 @@ const ERRORS = {
   }
 };
 
-const VALID_ROLES = ['admin', 'manager', 'dispatcher', 'viewer'];
-
 // ============================================================
 // VALIDATION HELPERS
 // ============================================================
@@ -175,11 +175,11 @@ router.post("/", authenticateToken, requirePermission('users:create'), async (re
       });
     }
     
-    if (role && !VALID_ROLES.includes(role)) {
+    if (role && !roleStore.has(role)) {
       return res.status(400).json({
         ok: false,
         error: ERRORS.USER.INVALID_ROLE,
-        validRoles: VALID_ROLES
+        validRoles: roleStore.names()
       });
     }
     
@@ -284,11 +284,11 @@ router.put("/:id", authenticateToken, requirePermission('users:update'), async (
     }
     
     if (req.body.role) {
-      if (!VALID_ROLES.includes(req.body.role)) {
+      if (!roleStore.has(req.body.role)) {
         return res.status(400).json({
           ok: false,
           error: ERRORS.USER.INVALID_ROLE,
-          validRoles: VALID_ROLES
+          validRoles: roleStore.names()
         });
       }
       updates.role = req.body.role;
@@ -313,6 +313,13 @@ router.put("/:id", authenticateToken, requirePermission('users:update'), async (
       });
     }
     
+    // השבתה או שינוי תפקיד - הסשנים הקיימים מנותקים (טוקן גישה נושא את התפקיד)
+    if (!user.isActive || updates.role) {
+      await sessionService.revokeAllForUser(user._id, {
+        reason: !user.isActive ? 'user_disabled' : 'role_changed'
+      });
+    }
+    
     logger.success('User updated', {
       requestId: req.id || null,
       userId: user._id,
@@ -383,6 +390,8 @@ router.delete("/:id", authenticateToken, requirePermission('users:delete'), asyn
       });
     }
     
+    await sessionService.revokeAllForUser(user._id, { reason: 'user_deleted' });
+    
     logger.success('User deleted', {
       requestId: req.id || null,
       deletedUserId: user._id,
@@ -467,6 +476,8 @@ router.post("/:id/reset-password", authenticateToken, requirePermission('users:u
     user.updatedAt = new Date();
     await user.save();
     
+    await sessionService.revokeAllForUser(user._id, { reason: 'password_reset' });
+    
     logger.success('User password reset by admin', {
       requestId: req.id || null,
       targetUserId: user._id,
@@ -0,0 +1,220 @@
+// ============================================================
+// WALLET ROUTES
+// Prepaid customer wallets (corporate accounts) - utils/promotionService.js
+// ============================================================
+
+import crypto from 'crypto';
+import express from 'express';
+import { AuditLog, CustomerWallet, WalletTransaction } from '../models/index.js';
+import { normalizePhone } from '../models/Customer.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/rbac.js';
+import promotionService, { WalletError } from '../utils/promotionService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Error messages
+const ERRORS = {
+  WALLET: {
+    NOT_FOUND: 'ארנק לא נמצא',
+    ALREADY_EXISTS: 'לטלפון הזה כבר יש ארנק',
+    INVALID_PHONE: 'מספר טלפון לא תקין',
+    INACTIVE: 'הארנק אינו פעיל'
+  },
+  SERVER: {
+    DATABASE: 'שגיאת בסיס נתונים',
+    UNKNOWN: 'שגיאה לא צפויה'
+  }
+};
+
+const PHONE_REGEX = /^05\d{8}$/;
+const WALLET_FIELDS = ['name', 'companyName', 'isActive', 'notes'];
+
+function audit(req, action, details) {
+  AuditLog.create({
+    userId: req.user.userId || req.user.user,
+    username: req.user.username || req.user.user,
+    action,
+    details
+  }).catch(err => logger.error('AuditLog error:', err));
+}
+
+function sendError(res, err) {
+  if (err instanceof WalletError) {
+    return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+  }
+  return res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+}
+
+// ===============================================
+// GET /api/wallets - רשימת ארנקים
+// ===============================================
+router.get('/', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const { search, active } = req.query;
+    const query = {};
+
+    if (active === 'true') query.isActive = true;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ phone: pattern }, { name: pattern }, { companyName: pattern }];
+    }
+
+    const wallets = await CustomerWallet.find(query).sort({ companyName: 1, name: 1 }).lean();
+    res.json({ ok: true, wallets });
+  } catch (err) {
+    logger.error('Error fetching wallets', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/wallets - פתיחת ארנק לטלפון
+// ===============================================
+router.post('/', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone || !PHONE_REGEX.test(phone)) {
+      return res.status(400).json({ ok: false, error: ERRORS.WALLET.INVALID_PHONE });
+    }
+
+    const data = Object.fromEntries(WALLET_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    const wallet = await CustomerWallet.create({ ...data, phone, createdBy: req.user.username || req.user.user });
+
+    audit(req, 'wallet_created', { phone, companyName: wallet.companyName });
+    logger.success('Customer wallet created', { requestId: req.id, phone });
+
+    res.status(201).json({ ok: true, wallet });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ ok: false, error: ERRORS.WALLET.ALREADY_EXISTS });
+    }
+    logger.error('Error creating wallet', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// GET /api/wallets/:phone - ארנק + תנועות
+// ===============================================
+router.get('/:phone', authenticateToken, requirePermission('billing:read'), async (req, res) => {
+  try {
+    const wallet = await promotionService.getWallet(req.params.phone);
+    if (!wallet) {
+      return res.status(404).json({ ok: false, error: ERRORS.WALLET.NOT_FOUND });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const transactions = await WalletTransaction.find({ walletId: wallet._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ ok: true, wallet, transactions });
+  } catch (err) {
+    logger.error('Error fetching wallet', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// PUT /api/wallets/:phone - עדכון פרטי ארנק
+// ===============================================
+router.put('/:phone', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const wallet = await promotionService.getWallet(req.params.phone);
+    if (!wallet) {
+      return res.status(404).json({ ok: false, error: ERRORS.WALLET.NOT_FOUND });
+    }
+
+    const updates = Object.fromEntries(WALLET_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    wallet.set(updates);
+    await wallet.save();
+
+    audit(req, 'wallet_updated', { phone: wallet.phone, fields: Object.keys(updates) });
+
+    res.json({ ok: true, wallet });
+  } catch (err) {
+    logger.error('Error updating wallet', { requestId: req.id, error: err.message });
+    res.status(500).json({ ok: false, error: ERRORS.SERVER.DATABASE });
+  }
+});
+
+// ===============================================
+// POST /api/wallets/:phone/topup - טעינת ארנק
+// ===============================================
+// idempotencyKey אופציונלי - שליחה חוזרת של אותה טעינה לא תטען פעמיים
+router.post('/:phone/topup', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const { amount, description, idempotencyKey } = req.body;
+
+    const wallet = await promotionService.getWallet(req.params.phone);
+    if (!wallet) {
+      return res.status(404).json({ ok: false, error: ERRORS.WALLET.NOT_FOUND });
+    }
+    if (!wallet.isActive) {
+      return res.status(409).json({ ok: false, error: ERRORS.WALLET.INACTIVE });
+    }
+
+    const result = await promotionService.post({
+      wallet,
+      type: 'topup',
+      amount,
+      idempotencyKey: `topup:${idempotencyKey || crypto.randomUUID()}`,
+      description: description || 'טעינת ארנק',
+      createdBy: req.user.username || req.user.user
+    });
+
+    if (!result.duplicate) {
+      audit(req, 'wallet_topup', { phone: wallet.phone, amount: result.transaction.amount });
+    }
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    logger.error('Error topping up wallet', { requestId: req.id, error: err.message });
+    sendError(res, err);
+  }
+});
+
+// ===============================================
+// POST /api/wallets/:phone/adjust - תיקון ידני (חיוב / זיכוי)
+// ===============================================
+router.post('/:phone/adjust', authenticateToken, requirePermission('billing:update'), async (req, res) => {
+  try {
+    const { amount, direction, description, idempotencyKey } = req.body;
+
+    const wallet = await promotionService.getWallet(req.params.phone);
+    if (!wallet) {
+      return res.status(404).json({ ok: false, error: ERRORS.WALLET.NOT_FOUND });
+    }
+
+    const result = await promotionService.post({
+      wallet,
+      type: 'adjustment',
+      amount,
+      direction,
+      idempotencyKey: `adjustment:${idempotencyKey || crypto.randomUUID()}`,
+      description: description || 'תיקון ידני',
+      createdBy: req.user.username || req.user.user
+    });
+
+    if (!result.duplicate) {
+      audit(req, 'wallet_adjusted', {
+        phone: wallet.phone,
+        direction,
+        amount: result.transaction.amount,
+        description
+      });
+    }
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    logger.error('Error adjusting wallet', { requestId: req.id, error: err.message });
+    sendError(res, err);
+  }
+});
+
+console.log('✅ Wallet routes loaded - 6 endpoints');
+
+export default router;
@@ -0,0 +1,85 @@
+// ===============================================
+// 🏢 ASSIGN STATIONS
+// ===============================================
+// משייך נסיעות ונהגים קיימים בלי תחנה לפי ערי התחנות (Station.cities):
+// נסיעה לפי עיר האיסוף, נהג לפי Driver.city, תשלום לפי התחנה של הנהג.
+// בטוח להרצה חוזרת - מטפל רק ברשומות שעדיין בלי תחנה.
+//
+// Usage: npm run assign-stations [-- --dry-run]
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import Driver from '../models/Driver.js';
+import Payment from '../models/Payment.js';
+import Ride from '../models/Ride.js';
+import Station from '../models/Station.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function assignStations() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000
+    });
+
+    console.log('✅ Connected to MongoDB');
+    console.log(`📊 Database: ${mongoose.connection.name}\n`);
+
+    const stations = await Station.find({ isActive: true }).select('code name cities').lean();
+    if (stations.length === 0) {
+      console.log('⚠️ No active stations - create stations first (POST /api/stations)');
+      process.exit(0);
+    }
+
+    const unassigned = { station: null };
+
+    for (const station of stations) {
+      const rideFilter = { ...unassigned, 'pickupLocation.city': { $in: station.cities } };
+      const driverFilter = { ...unassigned, city: { $in: station.cities } };
+
+      if (dryRun) {
+        const [rides, drivers] = await Promise.all([
+          Ride.countDocuments(rideFilter),
+          Driver.countDocuments(driverFilter)
+        ]);
+        console.log(`🧪 ${station.code} (${station.name}): ${rides} rides, ${drivers} drivers`);
+        continue;
+      }
+
+      const rides = await Ride.updateMany(rideFilter, { $set: { station: station.code } });
+      const drivers = await Driver.updateMany(driverFilter, { $set: { station: station.code } });
+
+      // תשלומים בלי תחנה של נהגי התחנה
+      const driverIds = await Driver.distinct('_id', { station: station.code });
+      const payments = await Payment.updateMany(
+        { ...unassigned, driver: { $in: driverIds } },
+        { $set: { station: station.code } }
+      );
+
+      console.log(`✅ ${station.code} (${station.name}): ${rides.modifiedCount} rides, ${drivers.modifiedCount} drivers, ${payments.modifiedCount} payments`);
+    }
+
+    const [rides, drivers] = await Promise.all([
+      Ride.countDocuments(unassigned),
+      Driver.countDocuments(unassigned)
+    ]);
+    console.log(`\n📋 Still without a station: ${rides} rides, ${drivers} drivers`);
+    console.log('   (visible only to users with access to all stations)');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.error('\n💡 Make sure:');
+    console.error('   1. MongoDB is running');
+    console.error('   2. MONGODB_URI is correct in .env');
+    process.exit(1);
+  }
+}
+
+// Run the script
+console.log('🚀 Station Assignment\n');
+assignStations();
@@ -0,0 +1,96 @@
+// ===============================================
+// 👤 BACKFILL CUSTOMERS
+// ===============================================
+// יוצר לקוח (Customer) לכל טלפון בנסיעות הקיימות, מקשר את הנסיעות (Ride.customerId)
+// ומחשב סטטיסטיקה ודרגת VIP. בטוח להרצה חוזרת - מטפל רק בנסיעות שעדיין לא קושרו.
+//
+// Usage: npm run backfill-customers [-- --dry-run]
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import Customer, { normalizePhone } from '../models/Customer.js';
+import Ride from '../models/Ride.js';
+import customerService from '../utils/customerService.js';
+import settingsStore from '../utils/settingsStore.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function backfillCustomers() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI, {
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000
+    });
+
+    console.log('✅ Connected to MongoDB');
+    console.log(`📊 Database: ${mongoose.connection.name}\n`);
+
+    // דרגות VIP וספי אי-הגעה
+    await settingsStore.load();
+
+    // טלפון כפי שנשמר בנסיעה → טלפון מנורמל (0501234567 / +972501234567 / 050-123-4567 הם אותו לקוח)
+    const rawPhones = await Ride.aggregate([
+      { $match: { customerId: null, customerPhone: { $nin: [null, ''] } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$customerPhone', name: { $first: '$customerName' }, rides: { $sum: 1 } } }
+    ]);
+
+    const byPhone = new Map();
+    for (const entry of rawPhones) {
+      const phone = normalizePhone(entry._id);
+      if (!phone) continue;
+
+      const group = byPhone.get(phone) || { raw: [], name: null, rides: 0 };
+      group.raw.push(entry._id);
+      group.name = group.name || entry.name;
+      group.rides += entry.rides;
+      byPhone.set(phone, group);
+    }
+
+    console.log(`🔍 ${rawPhones.length} phone formats → ${byPhone.size} customers\n`);
+
+    if (dryRun) {
+      console.log('🧪 Dry run - nothing written');
+      process.exit(0);
+    }
+
+    let created = 0;
+    let linkedRides = 0;
+
+    for (const [phone, group] of byPhone) {
+      try {
+        const existed = await Customer.exists({ phone });
+        const customer = await Customer.ensureForPhone(phone, group.name);
+        if (!existed) created++;
+
+        const result = await Ride.updateMany(
+          { customerId: null, customerPhone: { $in: group.raw } },
+          { $set: { customerId: customer._id } }
+        );
+        linkedRides += result.modifiedCount;
+
+        await customerService.refreshStats(customer._id);
+      } catch (error) {
+        console.error(`❌ Error backfilling ${phone}:`, error.message);
+      }
+    }
+
+    console.log(`✅ Customers created: ${created}`);
+    console.log(`✅ Rides linked: ${linkedRides}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.error('\n💡 Make sure:');
+    console.error('   1. MongoDB is running');
+    console.error('   2. MONGODB_URI is correct in .env');
+    process.exit(1);
+  }
+}
+
+// Run the script
+console.log('🚀 Customer Backfill\n');
+backfillCustomers();
@@ -22,10 +22,23 @@ import corsConfig from "./config/cors-config.js";
 import websockets from "./utils/websockets.js";
 import logger from "./utils/logger.js";
 import "./utils/logsCleaner.js"; // Auto cleanup old logs
+import recurringRidesScheduler from "./utils/recurringRidesScheduler.js";
+import backupService from "./utils/backupService.js";
+import stationBillingService from "./utils/stationBillingService.js";
+import corporateBillingService from "./utils/corporateBillingService.js";
+import driverComplianceService from "./utils/driverComplianceService.js";
+import settingsStore from "./utils/settingsStore.js";
+import roleStore from "./utils/roleStore.js";
+import sessionService from "./utils/sessionService.js";
+import paymentRemindersCron from "./utils/paymentRemindersCron.js";
+import outboundMessageQueue from "./utils/outboundMessageQueue.js";
+import campaignRunner from "./utils/campaignRunner.js";
+import { registerDispatchHandlers } from "./utils/dispatchChannels.js";
 
 // Routes - Clean API Routes
 import authRoutes from "./routes/auth.js";
 import ridesRoutes from "./routes/rides.js";
+import recurringRidesRoutes from "./routes/recurring-rides.js";
 import driversRoutes from "./routes/drivers.js";
 import groupsRoutes from "./routes/groups.js";
 import paymentsRoutes from "./routes/payments.js";
@@ -39,7 +52,13 @@ import settingsRoutes from "./routes/settings.js";
 import systemRoutes from "./routes/system.js";
 import dispatchRoutes from "./routes/dispatch.js";
 import financeRoutes from "./routes/finance.js";
+import billingRoutes from "./routes/billing.js";
+import pricingRoutes from "./routes/pricing.js";
+import walletsRoutes from "./routes/wallets.js";
+import corporateRoutes from "./routes/corporate.js";
 import customersRoutes from "./routes/customers.js";
+import rolesRoutes from "./routes/roles.js";
+import stationsRoutes from "./routes/stations.js";
 import websocketRoutes from "./routes/websocket.js";
 import miscRoutes from "./routes/misc.js";
 
@@ -74,12 +93,62 @@ try {
   process.exit(1);
 }
 
+// הגדרות שמורות (settingsStore) - לפני הפעלת המשימות ברקע; ללא גרסה שמורה → משתני סביבה
+try {
+  await settingsStore.load();
+} catch (error) {
+  logger.error('Failed to load stored settings, using environment defaults:', error);
+}
+
+// תפקידים והרשאות (roleStore) - עד הטעינה פועלים תפקידי המערכת המובנים
+try {
+  await roleStore.load();
+} catch (error) {
+  logger.error('Failed to load roles, using built-in system roles:', error);
+}
+
+// סשנים שבוטלו לפני ההפעלה מחדש - טוקני הגישה שלהם עדיין לא פגו
+sessionService.loadRevoked().catch(error => {
+  logger.error('Failed to load revoked sessions:', error);
+});
+
 // ===============================================
 // WEBSOCKET SETUP
 // ===============================================
 
 websockets.setupWebSockets(server);
 
+// ===============================================
+// DISPATCH CHANNELS
+// ===============================================
+
+// הצעות לנהגים (geo / waterfall) ושליחה לקבוצה דרך בוט / Twilio
+registerDispatchHandlers();
+
+// ===============================================
+// BACKGROUND JOBS
+// ===============================================
+
+if (process.env.RECURRING_RIDES_ENABLED !== 'false') {
+  recurringRidesScheduler.start();
+}
+
+backupService.start(); // ENABLE_AUTO_BACKUP=true
+stationBillingService.start(); // ENABLE_STATION_BILLING=true
+corporateBillingService.start(); // ENABLE_CORPORATE_INVOICING=true
+driverComplianceService.start(); // DOCUMENT_EXPIRY_REMINDERS_ENABLED=false לכיבוי
+
+if (process.env.PAYMENT_REMINDERS_ENABLED === 'true') {
+  paymentRemindersCron.start();
+}
+
+// הודעות שנשארו בתור השליחה מהרצה קודמת
+outboundMessageQueue.recover().catch(error => {
+  logger.error('Failed to recover outbound message queue:', error);
+});
+
+campaignRunner.start(); // CAMPAIGNS_ENABLED=false לכיבוי
+
 // ===============================================
 // STATIC FILES
 // ===============================================
@@ -104,6 +173,9 @@ app.get("/health", (req, res) => {
 
 // Core routes
 app.use("/auth", authRoutes);
+app.use("/api/rides/recurring", recurringRidesRoutes);
+// לפני rides.js - אחרת /batch/lock ו-/batch/cancel נתפסים כ-/:id/lock ו-/:id/cancel
+app.use("/api/rides", ridesExtraRoutes);
 app.use("/api/rides", ridesRoutes);
 app.use("/api/drivers", driversRoutes);
 app.use("/api/groups", groupsRoutes);
@@ -116,9 +188,15 @@ app.use("/api/admin", adminRoutes);
 app.use("/api/registrations", registrationsRoutes);
 app.use("/api/messages", messagesRoutes);
 app.use("/api/settings", settingsRoutes);
+app.use("/api/roles", rolesRoutes);
+app.use("/api/stations", stationsRoutes);
 app.use("/api/system", systemRoutes);
 app.use("/api/dispatch", dispatchRoutes);
 app.use("/api/finance", financeRoutes);
+app.use("/api/billing", billingRoutes);
+app.use("/api/pricing", pricingRoutes);
+app.use("/api/wallets", walletsRoutes);
+app.use("/api/corporate", corporateRoutes);
 app.use("/api/customers", customersRoutes);
 app.use("/api/campaigns", campaignsRoutes);
 app.use("/api/templates", messageTemplatesRoutes);
@@ -130,7 +208,6 @@ app.use("/api/websocket", websocketRoutes);
 // Legacy/Extra routes
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/health", healthRoutes);
-app.use("/api/rides", ridesExtraRoutes);
 
 // Misc routes
 app.use("/api", miscRoutes);
@@ -138,6 +215,7 @@ app.use("/api", miscRoutes);
 console.log("✅ All API Routes Registered:");
 console.log("   🔐 /auth");
 console.log("   🚗 /api/rides");
+console.log("   🔁 /api/rides/recurring");
 console.log("   👤 /api/drivers");
 console.log("   👥 /api/groups");
 console.log("   💰 /api/payments");
@@ -147,9 +225,15 @@ console.log("   ⚙️  /api/admin");
 console.log("   📋 /api/registrations");
 console.log("   💬 /api/messages");
 console.log("   🎛️  /api/settings");
+console.log("   🛡️  /api/roles");
+console.log("   🏢 /api/stations");
 console.log("   🖥️  /api/system");
 console.log("   🚦 /api/dispatch");
 console.log("   💵 /api/finance");
+console.log("   🧾 /api/billing");
+console.log("   🧮 /api/pricing");
+console.log("   👛 /api/wallets");
+console.log("   🏢 /api/corporate");
 console.log("   👥 /api/customers");
 console.log("   🤖 /api/bot");
 console.log("   🔌 /api/websocket");
@@ -211,6 +295,13 @@ server.listen(PORT, () => {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  recurringRidesScheduler.stop();
+  backupService.stop();
+  stationBillingService.stop();
+  corporateBillingService.stop();
+  driverComplianceService.stop();
+  paymentRemindersCron.stop();
+  campaignRunner.stop();
   
   server.close(() => {
     logger.info('HTTP server closed');
@@ -0,0 +1,57 @@
+// ===============================================
+// 🧪 BOOKING TIME CHECK
+// ===============================================
+// בודק ש-parseRideTime מפענח שעות לפי שעון ישראל גם כשהשרת רץ ב-UTC:
+// - "14:30" בקיץ (UTC+3) = 11:30Z, בחורף (UTC+2) = 12:30Z
+// - שעה שעברה היום → מחר, "מחר 07:15", "DD/MM HH:MM" ומעבר שנה
+// - מעבר יום בשעון ישראל כשב-UTC עדיין אתמול
+// TZ של התהליך נקבע ל-UTC לפני כל import, כך שהתוצאה לא תלויה במכונה
+// שימוש:
+//   node test-booking-time.js
+
+process.env.TZ = 'UTC';
+
+const { parseRideTime } = await import('./utils/customerBookingHandler.js');
+
+let failures = 0;
+
+function check(label, text, now, expected) {
+  const result = parseRideTime(text, new Date(now));
+  const actual = result.ok ? (result.date ? result.date.toISOString() : 'now') : 'invalid';
+
+  if (actual === expected) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`❌ ${label} - ${actual} (צפוי ${expected})`);
+  }
+}
+
+console.log('\n🧪 בדיקת פענוח שעת נסיעה (TZ=UTC)...\n');
+
+// 10:00 בבוקר שעון ישראל, קיץ
+const summerMorning = '2026-07-15T07:00:00.000Z';
+// 10:00 בבוקר שעון ישראל, חורף
+const winterMorning = '2026-01-15T08:00:00.000Z';
+
+check('קיץ: 14:30 היום', '14:30', summerMorning, '2026-07-15T11:30:00.000Z');
+check('חורף: 14:30 היום', '14:30', winterMorning, '2026-01-15T12:30:00.000Z');
+check('שעה שעברה - מחר', '08:00', summerMorning, '2026-07-16T05:00:00.000Z');
+check('מחר 07:15', 'מחר 07:15', summerMorning, '2026-07-16T04:15:00.000Z');
+check('DD/MM HH:MM', '20/07 09:00', summerMorning, '2026-07-20T06:00:00.000Z');
+check('DD/MM חורף', '01/02 09:00', winterMorning, '2026-02-01T07:00:00.000Z');
+check('DD/MM שעבר - שנה הבאה (מעל 30 יום)', '01/07 09:00', summerMorning, 'invalid');
+check('תאריך לא קיים', '31/02 09:00', winterMorning, 'invalid');
+
+// 00:30 שעון ישראל ב-16/07 (ב-UTC עדיין 15/07) - "מחר" הוא 17/07
+const afterMidnight = '2026-07-15T21:30:00.000Z';
+check('אחרי חצות בישראל: מחר 07:00', 'מחר 07:00', afterMidnight, '2026-07-17T04:00:00.000Z');
+check('אחרי חצות בישראל: 09:00 היום', '09:00', afterMidnight, '2026-07-16T06:00:00.000Z');
+
+// מעבר לשעון קיץ (27/03/2026 02:00 → 03:00)
+check('לפני מעבר לשעון קיץ: מחר 09:00', 'מחר 09:00', '2026-03-26T08:00:00.000Z', '2026-03-27T06:00:00.000Z');
+
+check('עכשיו', 'עכשיו', summerMorning, 'now');
+
+console.log(`\n${failures === 0 ? '✅ כל הבדיקות עברו' : `❌ ${failures} בדיקות נכשלו`}\n`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// ===============================================
+// 🧪 DRIVER OFFERS CHECK
+// ===============================================
+// בודק את שרשרת הצעות הנסיעה לנהגים (geo / waterfall) בלי רשת ובלי DB:
+// - registerDispatchHandlers רושם handler להצעה לנהג (אחרת geo / waterfall לא רצים)
+// - כל הצעה נרשמת ב-MessageLog עם rideId / driverId / kind, גם כשהשליחה נכשלה
+// - משפך הנסיעה (deliveryStatusService.getRideFunnel) מציג את הנהגים שלא קיבלו הצעה
+// ערוץ השליחה וה-MessageLog מוחלפים בזיכרון - שום הודעה לא יוצאת
+// שימוש:
+//   node test-dispatch-offers.js
+
+process.env.BOT_URL = process.env.BOT_URL || 'http://localhost:3001';
+
+const { registerDispatchHandlers } = await import('./utils/dispatchChannels.js');
+const { default: dispatchManager } = await import('./utils/dispatchManager.js');
+const { default: deliveryStatusService } = await import('./utils/deliveryStatusService.js');
+const { default: outboundMessageQueue } = await import('./utils/outboundMessageQueue.js');
+const { MessageLog } = await import('./models/index.js');
+
+const ride = {
+  _id: 'ride-check-1',
+  rideNumber: 'CHECK-1',
+  pickup: 'דיזנגוף 50, תל אביב',
+  destination: 'הרצל 1, חיפה',
+  price: 120,
+  pickupLocation: { type: 'Point', coordinates: [34.7745, 32.0775], city: 'תל אביב' }
+};
+
+const drivers = [
+  { _id: 'driver-ok', phone: '0501111111', name: 'נהג זמין', distanceMeters: 1200 },
+  { _id: 'driver-down', phone: '0502222222', name: 'נהג לא זמין', distanceMeters: 2500 }
+];
+
+// ערוץ בזיכרון: הנהג השני "לא זמין"
+const sent = [];
+outboundMessageQueue.send = async (to, text) => {
+  if (to === drivers[1].phone) {
+    const error = new Error('Recipient unreachable');
+    error.code = 63024;
+    throw error;
+  }
+  sent.push({ to, text });
+  return { channel: 'bot', messageId: `check-${sent.length}` };
+};
+
+const logs = [];
+MessageLog.create = async (doc) => {
+  logs.push({ ...doc, createdAt: new Date() });
+  return doc;
+};
+MessageLog.find = (query) => {
+  const rows = logs.filter(log => log.rideId === query.rideId);
+  const chain = { sort: () => chain, select: () => chain, lean: async () => rows };
+  return chain;
+};
+
+let failures = 0;
+
+function check(label, condition, detail = '') {
+  if (condition) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`❌ ${label}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+console.log('\n🧪 בדיקת הצעות נסיעה לנהגים...\n');
+
+registerDispatchHandlers();
+check('handler להצעה לנהג נרשם', !!dispatchManager.sendToDriverHandler);
+check('geo dispatch זמין לנסיעה עם מיקום', dispatchManager.shouldTryGeoDispatch(ride));
+
+for (const driver of drivers) {
+  await dispatchManager._sendDriverOffer(ride, driver, 'geo_offer').catch(() => {});
+}
+
+check('ההצעה נשלחה לנהג הזמין', sent.length === 1 && sent[0].to === drivers[0].phone);
+check('ההודעה כוללת את מספר הנסיעה', sent[0]?.text.includes(ride.rideNumber));
+check('רשומת MessageLog לכל הצעה', logs.length === drivers.length, `${logs.length} רשומות`);
+check('הצעה שנשלחה נרשמה כ-sent עם ערוץ ו-messageId',
+  logs[0]?.status === 'sent' && logs[0]?.channel === 'bot' && logs[0]?.messageId === 'check-1');
+check('הצעה שנכשלה נרשמה עם קוד שגיאה', logs[1]?.status === 'failed' && logs[1]?.errorCode === '63024');
+
+const funnel = await deliveryStatusService.getRideFunnel(ride._id);
+check('המשפך סופר את שתי ההצעות', funnel.funnel.total === 2 && funnel.funnel.failed === 1);
+check('המשפך מציג את הנהג שלא קיבל את ההצעה',
+  funnel.notReceived.some(r => r.driverId === 'driver-down' && r.kind === 'geo_offer'));
+
+console.log(`\n${failures === 0 ? '✅ כל הבדיקות עברו' : `❌ ${failures} בדיקות נכשלו`}\n`);
+process.exit(failures === 0 ? 0 : 1);
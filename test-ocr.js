@@ -0,0 +1,73 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ocrService from './utils/ocrService.js';
+
+// ===============================================
+// 🧪 OCR FIXTURES CHECK
+// ===============================================
+// מריץ את חילוץ הנתונים (processPaymentScreenshot) על צילומי מסך לדוגמה
+// של Bit / PayBox / העברה בנקאית ומשווה לערכים הצפויים.
+// שימוש:
+//   node test-ocr.js                  - טקסט מוכן מ-fixtures/ocr/*.txt (ספק fixture)
+//   node test-ocr.js --provider=tesseract path/to/screenshot.png
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures', 'ocr');
+
+const FIELDS = ['paymentCode', 'amount', 'phoneNumber', 'date', 'time'];
+
+async function checkFixtures() {
+  const expected = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'expected.json'), 'utf8'));
+  let failures = 0;
+
+  ocrService.setProvider('fixture');
+
+  console.log('\n🧪 בדיקת חילוץ נתונים מצילומי מסך לדוגמה...\n');
+
+  for (const [file, fields] of Object.entries(expected)) {
+    const result = await ocrService.processPaymentScreenshot(path.join(fixturesDir, file));
+
+    if (!result.success) {
+      console.log(`❌ ${file}: ${result.error}`);
+      failures++;
+      continue;
+    }
+
+    const mismatches = FIELDS.filter(field => result.extractedData[field] !== fields[field]);
+
+    if (mismatches.length === 0) {
+      console.log(`✅ ${file}`);
+    } else {
+      failures++;
+      console.log(`❌ ${file}`);
+      mismatches.forEach(field => {
+        console.log(`   ${field}: expected ${JSON.stringify(fields[field])}, got ${JSON.stringify(result.extractedData[field])}`);
+      });
+    }
+  }
+
+  console.log(`\n${failures === 0 ? '✅ כל הבדיקות עברו' : `❌ ${failures} בדיקות נכשלו`}\n`);
+  return failures === 0;
+}
+
+async function checkImage(provider, imagePath) {
+  ocrService.setProvider(provider);
+
+  const result = await ocrService.processPaymentScreenshot(imagePath);
+  console.log(JSON.stringify(result, null, 2));
+
+  return result.success;
+}
+
+const providerArg = process.argv.find(arg => arg.startsWith('--provider='));
+const imagePath = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+const ok = providerArg && imagePath
+  ? await checkImage(providerArg.split('=')[1], imagePath)
+  : await checkFixtures();
+
+process.exit(ok ? 0 : 1);
@@ -0,0 +1,105 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// ===============================================
+// 🧪 ROLES & PERMISSIONS CHECK
+// ===============================================
+// בודק שההרשאות נאכפות על בקשות HTTP אמיתיות (middlewares/auth.js + middlewares/rbac.js):
+// - בלי טוקן / טוקן לא תקין - 401 / 403
+// - תפקיד מותאם בלי roles:update / roles:read מקבל 403 על ניהול התפקידים
+// - תפקיד מותאם עם roles:read ו-admin עוברים
+// - סשן שבוטל (התנתקות / "התנתק מכל המכשירים") נחסם בכל הנתיבים המוגנים - 401
+// התפקידים נטענים לזיכרון (בלי DB) והשרת מאזין על פורט אקראי
+// שימוש:
+//   node test-rbac.js
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'rbac-check-secret-rbac-check-secret';
+
+const { default: rolesRoutes } = await import('./routes/roles.js');
+const { default: financeRoutes } = await import('./routes/finance.js');
+const { default: stationsRoutes } = await import('./routes/stations.js');
+const { default: roleStore } = await import('./utils/roleStore.js');
+const { default: sessionService } = await import('./utils/sessionService.js');
+
+// תפקידים מותאמים (כמו שנוצרים דרך POST /api/roles)
+roleStore.cache.set('dispatcher', {
+  name: 'dispatcher',
+  permissions: ['rides:read', 'rides:update'],
+  scopes: { cities: ['חיפה'] }
+});
+roleStore.cache.set('auditor', {
+  name: 'auditor',
+  permissions: ['roles:read'],
+  scopes: { cities: [] }
+});
+
+const app = express();
+app.use(express.json());
+app.use('/api/roles', rolesRoutes);
+app.use('/api/finance', financeRoutes);
+app.use('/api/stations', stationsRoutes);
+
+const server = app.listen(0);
+const baseUrl = `http://localhost:${server.address().port}`;
+
+function tokenFor(role, sid = `check-${role}`) {
+  return jwt.sign({ username: `check-${role}`, role, stations: [], sid }, process.env.JWT_SECRET);
+}
+
+async function request(method, path, token, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return res.status;
+}
+
+let failures = 0;
+
+function check(label, actual, expected) {
+  if (actual === expected) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`❌ ${label} - ${actual} (צפוי ${expected})`);
+  }
+}
+
+console.log('\n🧪 בדיקת אכיפת הרשאות...\n');
+
+const newRole = { name: 'night_shift', permissions: ['rides:read'] };
+
+check('בלי טוקן - 401', await request('POST', '/api/roles', null, newRole), 401);
+check('טוקן לא תקין - 403', await request('POST', '/api/roles', 'not-a-token', newRole), 403);
+check('תפקיד מותאם בלי roles:update לא יוצר תפקיד - 403',
+  await request('POST', '/api/roles', tokenFor('dispatcher'), newRole), 403);
+check('תפקיד מותאם בלי roles:update לא עורך תפקיד - 403',
+  await request('PUT', '/api/roles/dispatcher', tokenFor('dispatcher'), { permissions: ['*'] }), 403);
+check('תפקיד מותאם בלי roles:read לא צופה בהרשאות - 403',
+  await request('GET', '/api/roles/permissions', tokenFor('dispatcher')), 403);
+check('viewer לא יוצר תפקיד - 403', await request('POST', '/api/roles', tokenFor('viewer'), newRole), 403);
+check('תפקיד מותאם עם roles:read צופה בהרשאות - 200',
+  await request('GET', '/api/roles/permissions', tokenFor('auditor')), 200);
+check('תפקיד מותאם עם roles:read בלבד לא יוצר תפקיד - 403',
+  await request('POST', '/api/roles', tokenFor('auditor'), newRole), 403);
+check('admin צופה בהרשאות - 200', await request('GET', '/api/roles/permissions', tokenFor('admin')), 200);
+
+// סשן admin שבוטל - טוקן הגישה עדיין בתוקף
+const revokedToken = tokenFor('admin', 'check-revoked-session');
+sessionService.markRevoked('check-admin', ['check-revoked-session'], 'logout_all');
+
+check('סשן שבוטל - ניהול תפקידים 401', await request('GET', '/api/roles/permissions', revokedToken), 401);
+check('סשן שבוטל - כספים 401', await request('GET', '/api/finance/overview', revokedToken), 401);
+check('סשן שבוטל - תחנות 401', await request('POST', '/api/stations', revokedToken, { name: 'x' }), 401);
+
+server.close();
+
+console.log(`\n${failures === 0 ? '✅ כל הבדיקות עברו' : `❌ ${failures} בדיקות נכשלו`}\n`);
+process.exit(failures === 0 ? 0 : 1);
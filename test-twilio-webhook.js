@@ -0,0 +1,126 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import twilio from 'twilio';
+
+// ===============================================
+// 🧪 TWILIO WEBHOOK FIXTURES
+// ===============================================
+// שולח בקשות Twilio מוקלטות (fixtures/twilio/*.json) לשרת מקומי רץ:
+// - כל fixture נחתם ב-TWILIO_AUTH_TOKEN מול WEBHOOK_URL + path (כמו Twilio)
+// - MessageSid חדש בכל הרצה (אחרת הגנת ה-replay תדחה אותן)
+// - בדיקות אבטחה: גוף ששונה אחרי החתימה → 403, שליחה חוזרת של אותה בקשה → 409
+// בלי TWILIO_AUTH_TOKEN: SKIP_TWILIO_VALIDATION=true בשרת (לא ב-production)
+// שימוש:
+//   node test-twilio-webhook.js
+//   node test-twilio-webhook.js --url=http://localhost:3000
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures', 'twilio');
+
+const urlArg = process.argv.find(arg => arg.startsWith('--url='));
+const baseUrl = urlArg ? urlArg.split('=')[1] : `http://localhost:${process.env.PORT || 3000}`;
+const publicUrl = (process.env.WEBHOOK_URL || 'https://taxi-system.onrender.com').replace(/\/+$/, '');
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+const bypass = process.env.SKIP_TWILIO_VALIDATION === 'true';
+
+function freshSid() {
+  return `SM${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * MessageSid חדש לכל השדות שמחזיקים אותו
+ */
+function withFreshSid(params) {
+  const sid = freshSid();
+  const result = { ...params };
+  for (const key of ['MessageSid', 'SmsSid', 'SmsMessageSid']) {
+    if (key in result) result[key] = sid;
+  }
+  return result;
+}
+
+async function post(fixturePath, params, signature) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (signature) headers['X-Twilio-Signature'] = signature;
+
+  const response = await fetch(`${baseUrl}${fixturePath}`, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(params).toString()
+  });
+
+  return { status: response.status, body: await response.text() };
+}
+
+function sign(fixturePath, params) {
+  return authToken ? twilio.getExpectedTwilioSignature(authToken, `${publicUrl}${fixturePath}`, params) : null;
+}
+
+function report(name, ok, details) {
+  console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` - ${details}`}`);
+  return ok ? 0 : 1;
+}
+
+async function run() {
+  if (!authToken && !bypass) {
+    console.log('❌ חסר TWILIO_AUTH_TOKEN (או SKIP_TWILIO_VALIDATION=true לפיתוח מקומי)');
+    return false;
+  }
+
+  const fixtures = fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')) }));
+
+  let failures = 0;
+
+  console.log(`\n🧪 שליחת ${fixtures.length} בקשות Twilio מוקלטות ל-${baseUrl}`);
+  console.log(`   חתימה מול: ${publicUrl}${authToken ? '' : ' (לא נחתם - SKIP_TWILIO_VALIDATION)'}\n`);
+
+  for (const fixture of fixtures) {
+    const params = withFreshSid(fixture.params);
+    const { status, body } = await post(fixture.path, params, sign(fixture.path, params));
+    failures += report(`${fixture.file}: ${fixture.description}`, status === fixture.expectStatus,
+      `expected ${fixture.expectStatus}, got ${status} ${body.substring(0, 80)}`);
+  }
+
+  const webhook = fixtures.find(fixture => fixture.path.endsWith('/twilio/webhook'));
+
+  if (webhook) {
+    console.log('\n🔏 בדיקות אבטחה\n');
+
+    // אותה בקשה חתומה פעמיים - השנייה נדחית
+    const params = withFreshSid(webhook.params);
+    const signature = sign(webhook.path, params);
+    await post(webhook.path, params, signature);
+    const replay = await post(webhook.path, params, signature);
+    failures += report('replay של MessageSid נדחה', replay.status === 409, `got ${replay.status}`);
+
+    if (authToken && !bypass) {
+      // גוף ששונה אחרי החתימה
+      const original = withFreshSid(webhook.params);
+      const tampered = { ...original, Body: `${original.Body} (tampered)` };
+      const forged = await post(webhook.path, tampered, sign(webhook.path, original));
+      failures += report('חתימה לא תואמת נדחית', forged.status === 403, `got ${forged.status}`);
+
+      const unsigned = await post(webhook.path, withFreshSid(webhook.params), null);
+      failures += report('בקשה ללא חתימה נדחית', unsigned.status === 403, `got ${unsigned.status}`);
+    } else {
+      console.log('⏭️  בדיקות חתימה דולגו (SKIP_TWILIO_VALIDATION=true)');
+    }
+  }
+
+  console.log(`\n${failures === 0 ? '✅ כל הבדיקות עברו' : `❌ ${failures} בדיקות נכשלו`}\n`);
+  return failures === 0;
+}
+
+const ok = await run().catch(err => {
+  console.error('❌ שגיאה:', err.message);
+  return false;
+});
+
+process.exit(ok ? 0 : 1);
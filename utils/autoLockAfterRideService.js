@@ -1,6 +1,9 @@
+import BillingConfig from '../models/BillingConfig.js';
 import Driver from '../models/Driver.js';
 import Ride from '../models/Ride.js';
 import PaymentCodeGenerator from './paymentCodeGenerator.js';
+import commissionLedger from './commissionLedger.js';
+import settingsStore from './settingsStore.js';
 import logger from './logger.js';
 
 // ===============================================
@@ -32,17 +35,36 @@ class AutoLockAfterRideService {
         throw new Error('Driver not found');
       }
       
-      // 3. חשב עמלה
-      const commissionPercentage = parseFloat(process.env.COMMISSION_PERCENTAGE || 12);
+      // 3. חשב עמלה (BillingConfig - אותו חישוב כמו Ride.commissionAmount ו-/api/billing)
+      const commissionSettings = settingsStore.get('commission');
+      const billingConfig = await BillingConfig.getConfig(ride.station);
       const ridePrice = ride.price || 0;
-      const commissionAmount = Math.round((ridePrice * commissionPercentage) / 100);
+      const calculation = billingConfig.calculateCommission(ridePrice, ride.isExternal);
+      const commissionPercentage = calculation.commissionPercent;
+      const commissionAmount = calculation.total;
       
       logger.info('💰 Calculated commission', {
         ridePrice,
         commissionPercentage,
-        commissionAmount
+        commission: calculation.commission,
+        tax: calculation.tax,
+        commissionAmount,
+        isExternal: calculation.isExternal
       });
       
+      await Ride.updateOne({ _id: ride._id }, { $set: Ride.commissionFields(calculation) });
+      
+      // 📒 חיוב העמלה בספר החשבונות (פעם אחת לנסיעה)
+      if (commissionAmount > 0) {
+        await commissionLedger.recordRideCommission(ride, driver._id, commissionAmount).catch(err => {
+          logger.error('❌ Failed to post ride commission to ledger', {
+            rideId,
+            driverId,
+            error: err.message
+          });
+        });
+      }
+      
       // 4. נעל את הנהג מיד!
       driver.isBlocked = true;
       driver.blockReason = `Ride completed - payment required (${commissionAmount} ₪)`;
@@ -55,7 +77,7 @@ class AutoLockAfterRideService {
       });
       
       // 5. צור תשלום ממתין
-      const expiryMinutes = parseInt(process.env.PAYMENT_CODE_EXPIRY_MINUTES || 10);
+      const expiryMinutes = commissionSettings.paymentCodeExpiryMinutes;
       const payment = await PaymentCodeGenerator.createPendingPayment(
         driverId,
         commissionAmount,
@@ -68,13 +90,14 @@ class AutoLockAfterRideService {
       });
       
       // 6. צור הודעה לנהג
-      const paymentPhone = process.env.PAYMENT_PHONE || '050-9630017';
+      const paymentPhone = commissionSettings.paymentPhone;
       const message = this.createImmediatePaymentMessage(
         payment.code,
         commissionAmount,
         ridePrice,
         paymentPhone,
-        expiryMinutes
+        expiryMinutes,
+        calculation
       );
       
       // 7. שלח הודעה לנהג דרך הבוט
@@ -117,9 +140,15 @@ class AutoLockAfterRideService {
    * @param {number} ridePrice - מחיר הנסיעה
    * @param {string} phone - מספר טלפון
    * @param {number} expiryMinutes - דקות עד תפוגה
+   * @param {Object} calculation - BillingConfig.calculateCommission (אחוז, מינימום, מע"מ)
    * @returns {string}
    */
-  createImmediatePaymentMessage(code, amount, ridePrice, phone, expiryMinutes) {
+  createImmediatePaymentMessage(code, amount, ridePrice, phone, expiryMinutes, calculation) {
+    const breakdown = calculation.minimumCommissionApplied
+      ? 'עמלת מינימום'
+      : `${calculation.commissionPercent}% עמלה`;
+    const taxNote = calculation.tax > 0 ? ` + מע"מ ${calculation.tax} ₪` : '';
+
     return `🔒 *הגישה שלך ננעלה*
 
 סיימת נסיעה בהצלחה! 🎉
@@ -127,7 +156,7 @@ class AutoLockAfterRideService {
 
 *כדי להמשיך לקבל נסיעות, עליך לשלם עמלה:*
 
-💵 *סכום לתשלום:* ${amount} ₪ (${process.env.COMMISSION_PERCENTAGE || 12}% עמלה)
+💵 *סכום לתשלום:* ${amount} ₪ (${breakdown}${taxNote})
 📱 *מספר להעברה:* ${phone}
 
 📝 *חשוב!* יש לרשום בהערת התשלום:
@@ -0,0 +1,487 @@
+import cron from 'node-cron';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+import logger from './logger.js';
+
+// ===============================================
+// 💾 BACKUP SERVICE - MongoDB Backup & Restore
+// ===============================================
+// גיבוי כל ה-collections לקובץ NDJSON דחוס (gzip) + manifest עם checksum:
+// - backup_<timestamp>.ndjson.gz   - שורה ראשונה header, אח"כ שורה לכל מסמך (EJSON)
+// - backup_<timestamp>.manifest.json - פרטי הגיבוי, ספירות ו-sha256 של הארכיון
+// גיבוי אוטומטי לפי BACKUP_SCHEDULE + מחיקה לפי BACKUP_RETENTION_DAYS / BACKUP_MAX_COUNT
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const FORMAT_VERSION = 1;
+const BACKUP_ID_REGEX = /^backup_[0-9TZ-]+$/;
+const RESTORE_BATCH_SIZE = 500;
+
+class BackupService {
+  constructor() {
+    this.backupDir = path.resolve(process.env.BACKUP_PATH || './backups');
+    this.schedule = process.env.BACKUP_SCHEDULE || '0 2 * * *';
+    this.retentionDays = parseInt(process.env.BACKUP_RETENTION_DAYS || '30');
+    this.maxCount = parseInt(process.env.BACKUP_MAX_COUNT || '30');
+    this.isRunning = false;
+    this.inProgress = null; // 'backup' | 'restore' | null
+    this.jobs = [];
+  }
+
+  // ===============================================
+  // ⏰ SCHEDULE
+  // ===============================================
+
+  /**
+   * התחלת גיבוי אוטומטי (רק אם ENABLE_AUTO_BACKUP=true)
+   */
+  start() {
+    if (process.env.ENABLE_AUTO_BACKUP !== 'true') {
+      logger.info('💾 Auto backup disabled (ENABLE_AUTO_BACKUP != true)');
+      return;
+    }
+
+    if (this.isRunning) {
+      logger.warn('⚠️ Backup cron already running');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error('❌ Invalid BACKUP_SCHEDULE, auto backup not started', { schedule: this.schedule });
+      return;
+    }
+
+    const backupJob = cron.schedule(this.schedule, async () => {
+      try {
+        await this.createBackup({ type: 'auto', createdBy: 'system' });
+        await this.applyRetention();
+      } catch (error) {
+        logger.error('❌ Scheduled backup failed', { error: error.message });
+      }
+    });
+
+    this.jobs = [backupJob];
+    this.isRunning = true;
+
+    logger.success('✅ Backup cron started', {
+      schedule: this.schedule,
+      retentionDays: this.retentionDays,
+      backupDir: this.backupDir
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+    this.isRunning = false;
+
+    logger.success('✅ Backup cron stopped');
+  }
+
+  // ===============================================
+  // 🔧 HELPERS
+  // ===============================================
+
+  _paths(id) {
+    if (!BACKUP_ID_REGEX.test(id)) {
+      throw new Error('Invalid backup id');
+    }
+
+    return {
+      archive: path.join(this.backupDir, `${id}.ndjson.gz`),
+      manifest: path.join(this.backupDir, `${id}.manifest.json`)
+    };
+  }
+
+  async _checksum(file) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    return hash.digest('hex');
+  }
+
+  _lock(operation) {
+    if (this.inProgress) {
+      throw new Error(`Another ${this.inProgress} is in progress`);
+    }
+    this.inProgress = operation;
+  }
+
+  _openArchive(file) {
+    return readline.createInterface({
+      input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+  }
+
+  // ===============================================
+  // 💾 CREATE
+  // ===============================================
+
+  /**
+   * יצירת גיבוי מלא של כל ה-collections
+   * @param {Object} options - { type: 'manual'|'auto'|'pre-restore', createdBy }
+   * @returns {Promise<Object>} - ה-manifest של הגיבוי
+   */
+  async createBackup({ type = 'manual', createdBy = 'system' } = {}) {
+    this._lock('backup');
+
+    const startTime = Date.now();
+    const createdAt = new Date();
+    const id = `backup_${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const { archive, manifest } = this._paths(id);
+    const partial = `${archive}.partial`;
+
+    try {
+      await fs.promises.mkdir(this.backupDir, { recursive: true });
+
+      const db = mongoose.connection.db;
+      if (!db) {
+        throw new Error('Database not connected');
+      }
+
+      const collectionNames = (await db.listCollections({}, { nameOnly: true }).toArray())
+        .map(c => c.name)
+        .filter(name => !name.startsWith('system.'))
+        .sort();
+
+      logger.info('💾 Creating backup...', { id, type, collections: collectionNames.length });
+
+      const gzip = zlib.createGzip();
+      const output = pipeline(gzip, fs.createWriteStream(partial));
+
+      const write = async line => {
+        if (!gzip.write(line + '\n')) {
+          await once(gzip, 'drain');
+        }
+      };
+
+      await write(JSON.stringify({
+        type: 'header',
+        formatVersion: FORMAT_VERSION,
+        id,
+        database: mongoose.connection.name,
+        createdAt
+      }));
+
+      const collections = [];
+      for (const name of collectionNames) {
+        let count = 0;
+        const cursor = db.collection(name).find({});
+
+        for await (const doc of cursor) {
+          await write(EJSON.stringify({ c: name, d: doc }, { relaxed: false }));
+          count++;
+        }
+
+        collections.push({ name, count });
+      }
+
+      gzip.end();
+      await output;
+
+      await fs.promises.rename(partial, archive);
+      const { size } = await fs.promises.stat(archive);
+
+      const info = {
+        id,
+        filename: path.basename(archive),
+        formatVersion: FORMAT_VERSION,
+        database: mongoose.connection.name,
+        type,
+        createdBy,
+        createdAt,
+        durationMs: Date.now() - startTime,
+        size,
+        checksum: {
+          algorithm: 'sha256',
+          value: await this._checksum(archive)
+        },
+        collections,
+        totalDocuments: collections.reduce((sum, c) => sum + c.count, 0)
+      };
+
+      await fs.promises.writeFile(manifest, JSON.stringify(info, null, 2));
+
+      logger.success('✅ Backup created', {
+        id,
+        type,
+        size,
+        documents: info.totalDocuments,
+        durationMs: info.durationMs
+      });
+
+      return info;
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      logger.error('❌ Backup failed', { id, error: error.message });
+      throw error;
+    } finally {
+      this.inProgress = null;
+    }
+  }
+
+  // ===============================================
+  // 📋 LIST / GET
+  // ===============================================
+
+  /**
+   * רשימת כל הגיבויים (לפי manifest), מהחדש לישן
+   */
+  async listBackups() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const file of files.filter(f => f.endsWith('.manifest.json'))) {
+      try {
+        const info = JSON.parse(await fs.promises.readFile(path.join(this.backupDir, file), 'utf8'));
+        backups.push(info);
+      } catch (error) {
+        logger.warn('⚠️ Unreadable backup manifest', { file, error: error.message });
+      }
+    }
+
+    return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * פרטי גיבוי בודד
+   * @returns {Promise<Object|null>} - manifest + נתיב הארכיון, או null אם לא קיים
+   */
+  async getBackup(id) {
+    if (!BACKUP_ID_REGEX.test(id)) return null;
+
+    const { archive, manifest } = this._paths(id);
+    try {
+      const info = JSON.parse(await fs.promises.readFile(manifest, 'utf8'));
+      await fs.promises.access(archive);
+      return { ...info, archivePath: archive };
+    } catch {
+      return null;
+    }
+  }
+
+  // ===============================================
+  // ✅ VERIFY
+  // ===============================================
+
+  /**
+   * אימות גיבוי: checksum של הארכיון + ספירת מסמכים מול ה-manifest
+   * @returns {Promise<Object>} - { valid, checksumMatch, countsMatch, collections }
+   */
+  async verifyBackup(id) {
+    const backup = await this.getBackup(id);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+
+    const checksum = await this._checksum(backup.archivePath);
+    const checksumMatch = checksum === backup.checksum.value;
+
+    const counts = {};
+    let headerOk = false;
+    let parseError = null;
+
+    try {
+      for await (const line of this._openArchive(backup.archivePath)) {
+        if (!line) continue;
+
+        if (!headerOk) {
+          const header = JSON.parse(line);
+          headerOk = header.type === 'header' && header.id === backup.id;
+          continue;
+        }
+
+        const { c } = JSON.parse(line);
+        counts[c] = (counts[c] || 0) + 1;
+      }
+    } catch (error) {
+      parseError = error.message;
+    }
+
+    const collections = backup.collections.map(c => ({
+      name: c.name,
+      expected: c.count,
+      actual: counts[c.name] || 0,
+      match: (counts[c.name] || 0) === c.count
+    }));
+    const countsMatch = !parseError && collections.every(c => c.match);
+
+    return {
+      id: backup.id,
+      valid: checksumMatch && headerOk && countsMatch,
+      checksumMatch,
+      headerOk,
+      countsMatch,
+      parseError,
+      collections,
+      verifiedAt: new Date()
+    };
+  }
+
+  // ===============================================
+  // ♻️ RESTORE
+  // ===============================================
+
+  /**
+   * שחזור מגיבוי - מחליף את תוכן ה-collections שבגיבוי
+   * לפני השחזור: אימות מלא + גיבוי בטיחות (pre-restore)
+   * @param {string} id - מזהה גיבוי
+   * @param {Object} options - { collections: רשימה חלקית (ברירת מחדל: הכל), restoredBy }
+   * @returns {Promise<Object>} - סיכום השחזור
+   */
+  async restoreBackup(id, { collections = null, restoredBy = 'system' } = {}) {
+    const verification = await this.verifyBackup(id);
+    if (!verification.valid) {
+      const error = new Error('Backup verification failed - restore aborted');
+      error.verification = verification;
+      throw error;
+    }
+
+    const backup = await this.getBackup(id);
+    const selected = new Set(
+      (collections && collections.length > 0 ? collections : backup.collections.map(c => c.name))
+        .filter(name => backup.collections.some(c => c.name === name))
+    );
+
+    const safetyBackup = await this.createBackup({ type: 'pre-restore', createdBy: restoredBy });
+
+    this._lock('restore');
+    const startTime = Date.now();
+
+    try {
+      const db = mongoose.connection.db;
+      const restored = {};
+      const cleared = new Set();
+      const batches = new Map();
+
+      const flush = async name => {
+        const docs = batches.get(name);
+        if (!docs || docs.length === 0) return;
+        await db.collection(name).insertMany(docs, { ordered: false });
+        restored[name] = (restored[name] || 0) + docs.length;
+        batches.set(name, []);
+      };
+
+      const clear = async name => {
+        if (cleared.has(name)) return;
+        await db.collection(name).deleteMany({});
+        cleared.add(name);
+      };
+
+      logger.warn('♻️ Restoring backup...', { id, collections: [...selected], restoredBy });
+
+      let isHeader = true;
+      for await (const line of this._openArchive(backup.archivePath)) {
+        if (!line) continue;
+        if (isHeader) {
+          isHeader = false;
+          continue;
+        }
+
+        const { c, d } = EJSON.parse(line, { relaxed: false });
+        if (!selected.has(c)) continue;
+
+        await clear(c);
+        if (!batches.has(c)) batches.set(c, []);
+        batches.get(c).push(d);
+
+        if (batches.get(c).length >= RESTORE_BATCH_SIZE) {
+          await flush(c);
+        }
+      }
+
+      for (const name of selected) {
+        await clear(name); // collections ריקים בגיבוי - מרוקנים גם הם
+        await flush(name);
+      }
+
+      const summary = {
+        id,
+        safetyBackupId: safetyBackup.id,
+        collections: [...selected].map(name => ({ name, restored: restored[name] || 0 })),
+        totalDocuments: Object.values(restored).reduce((sum, n) => sum + n, 0),
+        durationMs: Date.now() - startTime,
+        restoredBy,
+        restoredAt: new Date()
+      };
+
+      logger.success('✅ Backup restored', {
+        id,
+        documents: summary.totalDocuments,
+        durationMs: summary.durationMs
+      });
+
+      return summary;
+    } finally {
+      this.inProgress = null;
+    }
+  }
+
+  // ===============================================
+  // 🗑️ RETENTION
+  // ===============================================
+
+  /**
+   * מחיקת גיבויים ישנים מ-BACKUP_RETENTION_DAYS או מעבר ל-BACKUP_MAX_COUNT
+   * הגיבוי האחרון לעולם לא נמחק
+   * @returns {Promise<string[]>} - מזהי הגיבויים שנמחקו
+   */
+  async applyRetention() {
+    const backups = await this.listBackups();
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+    const toDelete = backups.filter((backup, index) =>
+      index > 0 && (index >= this.maxCount || new Date(backup.createdAt).getTime() < cutoff)
+    );
+
+    for (const backup of toDelete) {
+      const { archive, manifest } = this._paths(backup.id);
+      await fs.promises.rm(archive, { force: true });
+      await fs.promises.rm(manifest, { force: true });
+    }
+
+    if (toDelete.length > 0) {
+      logger.info(`🗑️ Deleted ${toDelete.length} old backups`, {
+        retentionDays: this.retentionDays,
+        maxCount: this.maxCount
+      });
+    }
+
+    return toDelete.map(b => b.id);
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      inProgress: this.inProgress,
+      schedule: this.schedule,
+      retentionDays: this.retentionDays,
+      maxCount: this.maxCount,
+      backupDir: this.backupDir
+    };
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const backupService = new BackupService();
+
+export default backupService;
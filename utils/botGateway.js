@@ -4,7 +4,6 @@
 // נקודת כניסה מרכזית לכל תקשורת עם WhatsApp Bot
 // מנהל: שליחות, קבלות, retries, errors, logging
 
-import fetch from 'node-fetch';
 import logger from './logger.js';
 
 class BotGateway {
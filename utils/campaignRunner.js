@@ -0,0 +1,499 @@
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import Customer from '../models/Customer.js';
+import Driver from '../models/Driver.js';
+import MessageLog from '../models/MessageLog.js';
+import MessageTemplate from '../models/MessageTemplate.js';
+import outboundMessageQueue from './outboundMessageQueue.js';
+import websockets from './websockets.js';
+import logger from './logger.js';
+
+// ===============================================
+// 📣 CAMPAIGN RUNNER
+// ===============================================
+// הרצת קמפיינים מתוזמנים: scheduled → in_progress → completed
+// - קהל יעד מ-targetAudience.filters (נהגים / לקוחות לפי היסטוריית נסיעות)
+// - תבנית עם משתנים אישיים לכל נמען ({{name}}, {{totalRides}} ...)
+// - שליחה במנות דרך outboundMessageQueue; בין מנות נבדק הסטטוס (pause / cancel)
+// - המשך אחרי עצירה / הפעלה מחדש: נמענים שכבר יש להם MessageLog בקמפיין מדולגים
+// - stats.sent / stats.failed מתעדכנים מכל תוצאת שליחה ומשודרים ב-WebSocket
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function renderTemplate(text, variables) {
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : ''
+  );
+}
+
+class CampaignRunner {
+  constructor() {
+    this.isRunning = false;
+    this.jobs = [];
+
+    // קמפיינים שרצים כרגע בתהליך הזה
+    this.active = new Set();
+
+    this.schedule = process.env.CAMPAIGN_RUNNER_SCHEDULE || '* * * * *';
+    this.batchSize = parseInt(process.env.CAMPAIGN_BATCH_SIZE || '20');
+    this.batchDelayMs = parseInt(process.env.CAMPAIGN_BATCH_DELAY_MS || '5000');
+    this.batchTimeoutMs = parseInt(process.env.CAMPAIGN_BATCH_TIMEOUT_MS || String(10 * 60 * 1000));
+
+    // כל תוצאת שליחה של הודעת קמפיין מעדכנת את הסטטיסטיקה
+    outboundMessageQueue.on('sent', log => this.recordResult(log, 'sent'));
+    outboundMessageQueue.on('failed', log => this.recordResult(log, 'failed'));
+  }
+
+  /**
+   * הפעלת בדיקת קמפיינים מתוזמנים (CAMPAIGNS_ENABLED=false לכיבוי)
+   */
+  start() {
+    if (process.env.CAMPAIGNS_ENABLED === 'false') {
+      logger.info('📣 Campaign runner disabled (CAMPAIGNS_ENABLED=false)');
+      return;
+    }
+
+    if (this.isRunning) {
+      logger.warn('⚠️ Campaign runner already running');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error('❌ Invalid CAMPAIGN_RUNNER_SCHEDULE, campaign runner not started', { schedule: this.schedule });
+      return;
+    }
+
+    const dueJob = cron.schedule(this.schedule, async () => {
+      await this.runDueCampaigns();
+    });
+
+    this.jobs = [dueJob];
+    this.isRunning = true;
+
+    logger.success('✅ Campaign runner started', { schedule: this.schedule });
+
+    // קמפיינים שנקטעו בהפעלה הקודמת
+    this.runDueCampaigns();
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+    this.isRunning = false;
+
+    logger.info('📣 Campaign runner stopped');
+  }
+
+  /**
+   * קמפיינים שהגיע זמנם + קמפיינים שנקטעו באמצע
+   */
+  async runDueCampaigns() {
+    try {
+      const due = await Campaign.find({
+        $or: [
+          { status: 'scheduled', scheduledFor: { $lte: new Date() } },
+          { status: 'in_progress' }
+        ]
+      }).select('_id name');
+
+      for (const campaign of due) {
+        if (this.active.has(String(campaign._id))) continue;
+
+        this.execute(campaign._id).catch(error => {
+          logger.error('❌ Campaign execution failed', { campaignId: campaign._id, error: error.message });
+        });
+      }
+    } catch (error) {
+      logger.error('❌ Error checking due campaigns', { error: error.message });
+    }
+  }
+
+  // ===============================================
+  // 🎛️ CONTROL
+  // ===============================================
+
+  /**
+   * הפעלה מיידית של טיוטה / קמפיין מתוזמן
+   * @returns {Promise<Object|null>} - null אם הסטטוס לא מאפשר
+   */
+  async startNow(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: ['draft', 'scheduled'] } },
+      { $set: { status: 'scheduled', scheduledFor: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!campaign) return null;
+
+    this.execute(campaign._id).catch(error => {
+      logger.error('❌ Campaign execution failed', { campaignId, error: error.message });
+    });
+
+    return campaign;
+  }
+
+  /**
+   * השהיה - הריצה נעצרת בסוף המנה הנוכחית
+   */
+  async pause(campaignId, pausedBy = 'system') {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: ['scheduled', 'in_progress'] } },
+      { $set: { status: 'paused', pausedAt: new Date(), pausedBy, updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (campaign) {
+      logger.info('⏸️ Campaign paused', { campaignId, pausedBy });
+      this.emitUpdate(campaign);
+    }
+    return campaign;
+  }
+
+  /**
+   * המשך קמפיין מושהה - נמענים שכבר קיבלו הודעה מדולגים
+   */
+  async resume(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: 'paused' },
+      { $set: { status: 'in_progress', pausedAt: null, updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!campaign) return null;
+
+    logger.info('▶️ Campaign resumed', { campaignId });
+    this.emitUpdate(campaign);
+
+    if (!this.active.has(String(campaign._id))) {
+      this.execute(campaign._id).catch(error => {
+        logger.error('❌ Campaign execution failed', { campaignId, error: error.message });
+      });
+    }
+
+    return campaign;
+  }
+
+  /**
+   * ביטול - הודעות שעדיין בתור לא יישלחו
+   */
+  async cancel(campaignId, cancelledBy = 'system', reason = null) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: ['draft', 'scheduled', 'in_progress', 'paused'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy,
+          cancellationReason: reason,
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!campaign) return null;
+
+    // הודעות שעוד לא יצאו - outboundMessageQueue מדלג על מה שאינו queued
+    const { modifiedCount } = await MessageLog.updateMany(
+      { campaignId: String(campaign._id), status: 'queued' },
+      { $set: { status: 'failed', failedAt: new Date(), failureReason: 'Campaign cancelled' } }
+    );
+
+    logger.info('🛑 Campaign cancelled', { campaignId, cancelledBy, droppedMessages: modifiedCount });
+    this.emitUpdate(campaign);
+
+    return campaign;
+  }
+
+  // ===============================================
+  // 🚀 EXECUTION
+  // ===============================================
+
+  /**
+   * הרצת קמפיין עד הסוף / עד השהיה או ביטול
+   */
+  async execute(campaignId) {
+    const key = String(campaignId);
+    if (this.active.has(key)) return;
+    this.active.add(key);
+
+    try {
+      const campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, status: { $in: ['scheduled', 'in_progress'] } },
+        { $set: { status: 'in_progress', updatedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!campaign) return;
+
+      if (!campaign.startedAt) {
+        campaign.startedAt = new Date();
+        await Campaign.updateOne({ _id: campaign._id }, { $set: { startedAt: campaign.startedAt } });
+      }
+
+      const text = await this.loadMessageText(campaign);
+      const recipients = await this.resolveAudience(campaign.targetAudience?.filters);
+
+      const alreadyMessaged = new Set(await MessageLog.distinct('to', { campaignId: key }));
+      const pending = recipients.filter(r => !alreadyMessaged.has(r.phone));
+
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { $set: { 'targetAudience.actualCount': recipients.length, 'stats.total': recipients.length } }
+      );
+
+      logger.info('📣 Campaign started', {
+        campaignId: key,
+        name: campaign.name,
+        recipients: recipients.length,
+        pending: pending.length
+      });
+      this.emitUpdate(await Campaign.findById(campaign._id));
+
+      const batchSize = campaign.throttle?.batchSize || this.batchSize;
+      const batchDelayMs = campaign.throttle?.batchDelayMs ?? this.batchDelayMs;
+
+      for (let i = 0; i < pending.length; i += batchSize) {
+        // השהיה / ביטול נבדקים בין מנות
+        const current = await Campaign.findById(campaign._id).select('status');
+        if (current?.status !== 'in_progress') {
+          logger.info('📣 Campaign stopped before completion', { campaignId: key, status: current?.status });
+          return;
+        }
+
+        const batch = pending.slice(i, i + batchSize);
+        const logs = await outboundMessageQueue.enqueue(
+          batch.map(recipient => ({
+            to: recipient.phone,
+            text: renderTemplate(text, { ...(campaign.message?.variables || {}), ...recipient.variables }),
+            metadata: { audience: recipient.type }
+          })),
+          {
+            sentBy: campaign.createdBy || 'campaign',
+            templateId: campaign.message?.templateId,
+            templateName: campaign.name,
+            campaignId: key
+          }
+        );
+
+        await this.waitForBatch(logs.map(log => log._id));
+
+        if (i + batchSize < pending.length && batchDelayMs > 0) {
+          await sleep(batchDelayMs);
+        }
+      }
+
+      const completed = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'in_progress' },
+        { $set: { status: 'completed', completedAt: new Date(), updatedAt: new Date() } },
+        { new: true }
+      );
+
+      if (completed) {
+        logger.success('✅ Campaign completed', { campaignId: key, stats: completed.stats });
+        this.emitUpdate(completed);
+      }
+    } catch (error) {
+      logger.error('❌ Campaign failed', { campaignId: key, error: error.message });
+
+      const failed = await Campaign.findOneAndUpdate(
+        { _id: campaignId, status: 'in_progress' },
+        { $set: { status: 'failed', failureReason: error.message, updatedAt: new Date() } },
+        { new: true }
+      ).catch(() => null);
+
+      if (failed) this.emitUpdate(failed);
+    } finally {
+      this.active.delete(key);
+    }
+  }
+
+  /**
+   * המתנה עד שכל הודעות המנה יצאו מהתור (sent / failed)
+   */
+  async waitForBatch(logIds) {
+    const deadline = Date.now() + this.batchTimeoutMs;
+
+    while (Date.now() < deadline) {
+      const remaining = await MessageLog.countDocuments({ _id: { $in: logIds }, status: 'queued' });
+      if (remaining === 0) return;
+      await sleep(2000);
+    }
+
+    logger.warn('⚠️ Campaign batch timed out waiting for outbound queue', { count: logIds.length });
+  }
+
+  /**
+   * טקסט ההודעה: טקסט חופשי או תבנית שמורה
+   */
+  async loadMessageText(campaign) {
+    if (campaign.message?.text) {
+      return campaign.message.text;
+    }
+
+    const templateId = campaign.message?.templateId;
+    if (!templateId || !mongoose.isValidObjectId(templateId)) {
+      throw new Error('Campaign has no message text or valid template');
+    }
+
+    const template = await MessageTemplate.findByIdAndUpdate(
+      templateId,
+      { $inc: { usageCount: 1 }, $set: { lastUsed: new Date() } },
+      { new: true }
+    );
+
+    // בתבניות ישנות התוכן נשמר ב-content
+    const text = template?.text || template?.get('content');
+    if (!text) {
+      throw new Error('Campaign template not found');
+    }
+
+    return text;
+  }
+
+  // ===============================================
+  // 🎯 AUDIENCE
+  // ===============================================
+
+  /**
+   * פענוח קהל היעד
+   * @param {Object} filters
+   * @param {string} filters.audience - drivers (ברירת מחדל) | customers | all
+   * @param {string} filters.city / filters.workArea / filters.minRating - נהגים
+   * @param {number} filters.inactiveDays - לקוחות שלא נסעו X ימים (לקוחות רדומים)
+   * @param {number} filters.activeWithinDays - לקוחות שנסעו ב-X הימים האחרונים
+   * @param {number} filters.minRides - מינימום נסיעות
+   * @param {string[]} filters.phones - רשימה מפורשת (מצטמצמת לקהל שנמצא)
+   * @returns {Promise<Array>} - [{ phone, name, type, variables }]
+   */
+  async resolveAudience(filters = {}) {
+    const audience = filters.audience || 'drivers';
+    const recipients = [];
+
+    if (audience === 'drivers' || audience === 'all') {
+      recipients.push(...await this.resolveDrivers(filters));
+    }
+
+    if (audience === 'customers' || audience === 'all') {
+      recipients.push(...await this.resolveCustomers(filters));
+    }
+
+    const phones = Array.isArray(filters.phones) && filters.phones.length > 0
+      ? new Set(filters.phones)
+      : null;
+
+    // נמען אחד לכל מספר
+    const seen = new Set();
+    return recipients.filter(recipient => {
+      if (!recipient.phone || seen.has(recipient.phone)) return false;
+      if (phones && !phones.has(recipient.phone)) return false;
+      seen.add(recipient.phone);
+      return true;
+    });
+  }
+
+  async resolveDrivers(filters) {
+    const query = { isActive: true, isBlocked: { $ne: true } };
+    if (filters.city) query.city = filters.city;
+    if (filters.workArea) query.workArea = filters.workArea;
+    if (filters.minRating) query['rating.average'] = { $gte: Number(filters.minRating) };
+    if (filters.minRides) query['stats.totalRides'] = { $gte: Number(filters.minRides) };
+
+    const drivers = await Driver.find(query).select('name phone city');
+
+    return drivers.map(driver => ({
+      phone: driver.phone,
+      name: driver.name,
+      type: 'driver',
+      variables: {
+        name: driver.name,
+        driverName: driver.name,
+        phone: driver.phone,
+        city: driver.city || ''
+      }
+    }));
+  }
+
+  /**
+   * לקוחות לפי פרופיל הלקוח (models/Customer.js) - בלי חסומים ובלי מי שביקש לא לקבל הודעות
+   */
+  async resolveCustomers(filters) {
+    const query = {
+      isBlacklisted: { $ne: true },
+      marketingOptOut: { $ne: true },
+      phone: { $nin: [null, ''] }
+    };
+    const now = Date.now();
+
+    if (filters.inactiveDays) {
+      query['stats.lastRideAt'] = { $lt: new Date(now - Number(filters.inactiveDays) * DAY) };
+    }
+    if (filters.activeWithinDays) {
+      query['stats.lastRideAt'] = { ...query['stats.lastRideAt'], $gte: new Date(now - Number(filters.activeWithinDays) * DAY) };
+    }
+    if (filters.minRides) {
+      // נסיעות שלא בוטלו
+      query.$expr = { $gte: [{ $subtract: ['$stats.totalRides', '$stats.cancelledRides'] }, Number(filters.minRides)] };
+    }
+
+    const customers = await Customer.find(query).select('phone name stats');
+
+    return customers.map(customer => ({
+      phone: customer.phone,
+      name: customer.name,
+      type: 'customer',
+      variables: {
+        name: customer.name || '',
+        customerName: customer.name || '',
+        phone: customer.phone,
+        totalRides: customer.stats.totalRides - customer.stats.cancelledRides,
+        lastRideDate: customer.stats.lastRideAt ? new Date(customer.stats.lastRideAt).toLocaleDateString('he-IL') : ''
+      }
+    }));
+  }
+
+  // ===============================================
+  // 📊 STATS
+  // ===============================================
+
+  async recordResult(log, result) {
+    if (!log.campaignId || !mongoose.isValidObjectId(log.campaignId)) return;
+
+    try {
+      const campaign = await Campaign.findByIdAndUpdate(
+        log.campaignId,
+        { $inc: { [`stats.${result}`]: 1 } },
+        { new: true }
+      ).select('name status stats');
+
+      if (campaign) this.emitUpdate(campaign);
+    } catch (error) {
+      logger.error('❌ Failed to update campaign stats', { campaignId: log.campaignId, error: error.message });
+    }
+  }
+
+  emitUpdate(campaign) {
+    if (!campaign) return;
+
+    websockets.emitCampaignUpdate(String(campaign._id), {
+      name: campaign.name,
+      status: campaign.status,
+      stats: campaign.stats
+    });
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const campaignRunner = new CampaignRunner();
+
+export default campaignRunner;
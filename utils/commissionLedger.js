@@ -0,0 +1,406 @@
+import mongoose from 'mongoose';
+import Driver from '../models/Driver.js';
+import LedgerEntry, { LEDGER_ENTRY_TYPES, STATION_ACCOUNTS } from '../models/LedgerEntry.js';
+import logger from './logger.js';
+import { stationDate, stationParts } from './stationTime.js';
+
+// ===============================================
+// 📒 COMMISSION LEDGER SERVICE
+// ===============================================
+// מקור אמת יחיד למה שכל נהג חייב לתחנה:
+// - חיוב בסיום נסיעה (עמלה), זיכוי כשתשלום מאומת
+// - תיקונים, קנסות ובונוסים ידניים
+// - יתרה שוטפת לנהג + דוח חודשי
+
+// סוגים שמחייבים את הנהג / מזכים אותו (adjustment - לפי direction)
+const DEBIT_TYPES = ['commission', 'penalty', 'subscription'];
+const CREDIT_TYPES = ['payment', 'bonus'];
+
+// Payment.type → רישום בספר (חוב ידני שנוצר ב-POST /api/payments)
+const PAYMENT_TYPE_POSTINGS = {
+  commission: { type: 'commission' },
+  subscription: { type: 'subscription' },
+  penalty: { type: 'penalty' },
+  bonus: { type: 'bonus' },
+  refund: { type: 'adjustment', direction: 'credit' },
+  ride: { type: 'adjustment', direction: 'debit' },
+  other: { type: 'adjustment', direction: 'debit' }
+};
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * חודש חשבונאי YYYY-MM (לפי שעון התחנה)
+ */
+export function ledgerPeriod(date = new Date()) {
+  const { year, month } = stationParts(date);
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * גבולות חודש חשבונאי - חצות בשעון התחנה, לא של השרת
+ * @param {number} month - 1-12
+ */
+export function ledgerPeriodRange(year, month) {
+  return {
+    startDate: stationDate({ year, month, day: 1 }),
+    endDate: stationDate({ year, month: month + 1, day: 1 })
+  };
+}
+
+export function driverAccount(driverId) {
+  return `driver:${driverId}`;
+}
+
+class CommissionLedger {
+
+  /**
+   * רישום רשומה בספר - אידמפוטנטי לפי idempotencyKey
+   * @param {Object} params
+   * @param {string} params.driverId
+   * @param {string} params.type - commission / payment / adjustment / penalty / bonus / subscription
+   * @param {number} params.amount - סכום חיובי
+   * @param {string} params.direction - debit / credit (חובה רק ל-adjustment)
+   * @param {string} params.idempotencyKey
+   * @param {string} params.description
+   * @param {Object} params.reference - { kind, id, number }
+   * @param {string} params.createdBy
+   * @returns {Promise<Object>} - { entry, duplicate }
+   */
+  async post({ driverId, type, amount, direction, idempotencyKey, description = null, reference = {}, createdBy = 'system' }) {
+    if (!LEDGER_ENTRY_TYPES.includes(type)) {
+      throw new Error(`Invalid ledger entry type: ${type}`);
+    }
+
+    const value = roundMoney(parseFloat(amount));
+    if (!value || value <= 0) {
+      throw new Error('Ledger amount must be positive');
+    }
+
+    const side = DEBIT_TYPES.includes(type) ? 'debit'
+      : CREDIT_TYPES.includes(type) ? 'credit'
+      : direction;
+
+    if (side !== 'debit' && side !== 'credit') {
+      throw new Error('Adjustment requires direction (debit / credit)');
+    }
+
+    const driver = await Driver.findById(driverId).select('_id');
+    if (!driver) {
+      throw new Error('Driver not found');
+    }
+
+    const account = driverAccount(driver._id);
+    const stationAccount = STATION_ACCOUNTS[type];
+    const balanceDelta = side === 'debit' ? value : -value;
+
+    let entry;
+    try {
+      entry = await LedgerEntry.create({
+        driverId: driver._id,
+        idempotencyKey,
+        type,
+        debitAccount: side === 'debit' ? account : stationAccount,
+        creditAccount: side === 'debit' ? stationAccount : account,
+        amount: value,
+        balanceDelta,
+        description,
+        reference,
+        period: ledgerPeriod(),
+        createdBy
+      });
+    } catch (error) {
+      // כבר נרשם (למשל סיום נסיעה שטופל פעמיים).
+      // הרשומה והיתרה הן שתי כתיבות - אם הניסיון הקודם נפל ביניהן, הניסיון החוזר מיישר את היתרה
+      if (error.code === 11000) {
+        const existing = await LedgerEntry.findOne({ idempotencyKey });
+        await this.rebuildBalance(driver._id);
+        return { entry: existing, duplicate: true };
+      }
+      throw error;
+    }
+
+    const updated = await Driver.findByIdAndUpdate(
+      driver._id,
+      { $inc: { ledgerBalance: balanceDelta } },
+      { new: true }
+    ).select('ledgerBalance');
+
+    entry.balanceAfter = roundMoney(updated.ledgerBalance);
+    await entry.save();
+
+    logger.info('📒 Ledger entry posted', {
+      driverId: String(driver._id),
+      type,
+      side,
+      amount: value,
+      balanceAfter: entry.balanceAfter
+    });
+
+    return { entry, duplicate: false };
+  }
+
+  /**
+   * חיוב עמלה על נסיעה שהסתיימה (פעם אחת לנסיעה)
+   */
+  async recordRideCommission(ride, driverId, amount) {
+    return this.post({
+      driverId,
+      type: 'commission',
+      amount,
+      idempotencyKey: `commission:${ride._id}`,
+      description: `עמלה - נסיעה ${ride.rideNumber}`,
+      reference: { kind: 'Ride', id: ride._id, number: ride.rideNumber }
+    });
+  }
+
+  /**
+   * זיכוי תשלום שאומת (OCR / ידני)
+   */
+  async recordPaymentReceived({ driverId, amount, referenceKind, referenceId, description, createdBy = 'system' }) {
+    return this.post({
+      driverId,
+      type: 'payment',
+      amount,
+      idempotencyKey: `payment:${referenceKind}:${referenceId}`,
+      description: description || 'תשלום עמלה',
+      reference: { kind: referenceKind, id: referenceId },
+      createdBy
+    });
+  }
+
+  /**
+   * רישום תשלום ידני (Payment) בספר לפי סוגו
+   */
+  async recordPaymentCharge(payment, driverId, createdBy = 'system') {
+    const posting = PAYMENT_TYPE_POSTINGS[payment.type] || PAYMENT_TYPE_POSTINGS.other;
+
+    return this.post({
+      driverId,
+      ...posting,
+      amount: payment.amount,
+      idempotencyKey: `charge:Payment:${payment._id}`,
+      description: payment.description || payment.type,
+      reference: { kind: 'Payment', id: payment._id, number: payment.rideNumber || null },
+      createdBy
+    });
+  }
+
+  /**
+   * סימון Payment כשולם: הנהג שילם חוב (זיכוי),
+   * או שהתחנה שילמה לנהג בונוס / החזר (חיוב שסוגר את הזיכוי)
+   */
+  async recordPaymentSettled(payment, driverId, createdBy = 'system') {
+    const posting = PAYMENT_TYPE_POSTINGS[payment.type] || PAYMENT_TYPE_POSTINGS.other;
+    const stationPaysDriver = posting.type === 'bonus' || posting.direction === 'credit';
+
+    if (stationPaysDriver) {
+      return this.post({
+        driverId,
+        type: 'adjustment',
+        direction: 'debit',
+        amount: payment.amount,
+        idempotencyKey: `settle:Payment:${payment._id}`,
+        description: `שולם לנהג - ${payment.description || payment.type}`,
+        reference: { kind: 'Payment', id: payment._id },
+        createdBy
+      });
+    }
+
+    return this.recordPaymentReceived({
+      driverId,
+      amount: payment.amount,
+      referenceKind: 'Payment',
+      referenceId: payment._id,
+      description: payment.description ? `תשלום - ${payment.description}` : null,
+      createdBy
+    });
+  }
+
+  /**
+   * יתרה נוכחית של נהג
+   */
+  async getBalance(driverId) {
+    const driver = await Driver.findById(driverId).select('ledgerBalance');
+    return driver ? roundMoney(driver.ledgerBalance || 0) : null;
+  }
+
+  /**
+   * חישוב יתרה מחדש מכל הרשומות (התאמה) ועדכון הנהג
+   */
+  async rebuildBalance(driverId) {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { driverId: new mongoose.Types.ObjectId(String(driverId)) } },
+      { $group: { _id: null, balance: { $sum: '$balanceDelta' } } }
+    ]);
+
+    const balance = roundMoney(result?.balance || 0);
+    await Driver.updateOne({ _id: driverId }, { $set: { ledgerBalance: balance } });
+
+    return balance;
+  }
+
+  /**
+   * רשומות של נהג בטווח תאריכים
+   */
+  async getEntries(driverId, { from = null, to = null, limit = 200 } = {}) {
+    const query = { driverId };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return LedgerEntry.find(query).sort({ createdAt: 1 }).limit(limit).lean();
+  }
+
+  /**
+   * דוח חודשי לנהג: יתרת פתיחה, תנועות, סיכום לפי סוג, יתרת סגירה
+   * @param {string} driverId
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @returns {Promise<Object|null>}
+   */
+  async getMonthlyStatement(driverId, year, month) {
+    const driver = await Driver.findById(driverId).select('name phone driverId ledgerBalance');
+    if (!driver) {
+      return null;
+    }
+
+    const { startDate, endDate } = ledgerPeriodRange(year, month);
+
+    const [opening] = await LedgerEntry.aggregate([
+      { $match: { driverId: driver._id, createdAt: { $lt: startDate } } },
+      { $group: { _id: null, balance: { $sum: '$balanceDelta' } } }
+    ]);
+
+    const entries = await LedgerEntry.find({
+      driverId: driver._id,
+      createdAt: { $gte: startDate, $lt: endDate }
+    }).sort({ createdAt: 1 }).lean();
+
+    const openingBalance = roundMoney(opening?.balance || 0);
+    const totals = Object.fromEntries(LEDGER_ENTRY_TYPES.map(type => [type, 0]));
+    let debits = 0;
+    let credits = 0;
+    let running = openingBalance;
+
+    const lines = entries.map(entry => {
+      running = roundMoney(running + entry.balanceDelta);
+      totals[entry.type] = roundMoney(totals[entry.type] + entry.balanceDelta);
+
+      if (entry.balanceDelta > 0) debits += entry.amount;
+      else credits += entry.amount;
+
+      return {
+        date: entry.createdAt,
+        type: entry.type,
+        description: entry.description,
+        reference: entry.reference?.number || (entry.reference?.id ? String(entry.reference.id) : null),
+        debit: entry.balanceDelta > 0 ? entry.amount : 0,
+        credit: entry.balanceDelta < 0 ? entry.amount : 0,
+        balance: running
+      };
+    });
+
+    return {
+      driver: {
+        id: driver._id,
+        driverId: driver.driverId,
+        name: driver.name,
+        phone: driver.phone
+      },
+      period: {
+        month,
+        year,
+        key: ledgerPeriod(startDate),
+        startDate,
+        endDate
+      },
+      openingBalance,
+      totals,
+      totalDebits: roundMoney(debits),
+      totalCredits: roundMoney(credits),
+      closingBalance: running,
+      currentBalance: roundMoney(driver.ledgerBalance || 0),
+      lines
+    };
+  }
+
+  /**
+   * סיכום כל הנהגים לחודש: סכום לפי סוג רשומה + סך החוב הפתוח כרגע
+   * @param {Object} driverFilter - רק הנהגים האלה (למשל { station: { $in: [...] } })
+   */
+  async getPeriodTotals(year, month, driverFilter = {}) {
+    const { startDate, endDate } = ledgerPeriodRange(year, month);
+
+    const entryMatch = { createdAt: { $gte: startDate, $lt: endDate } };
+    if (Object.keys(driverFilter).length > 0) {
+      entryMatch.driverId = { $in: await Driver.distinct('_id', driverFilter) };
+    }
+
+    const byType = await LedgerEntry.aggregate([
+      { $match: entryMatch },
+      { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    const [outstanding] = await Driver.aggregate([
+      { $match: { ...driverFilter, ledgerBalance: { $gt: 0 } } },
+      { $group: { _id: null, total: { $sum: '$ledgerBalance' }, drivers: { $sum: 1 } } }
+    ]);
+
+    const totals = Object.fromEntries(LEDGER_ENTRY_TYPES.map(type => [type, 0]));
+    byType.forEach(row => {
+      totals[row._id] = roundMoney(row.amount);
+    });
+
+    return {
+      totals,
+      outstanding: roundMoney(outstanding?.total || 0),
+      driversWithDebt: outstanding?.drivers || 0
+    };
+  }
+
+  /**
+   * ייצוא דוח ל-CSV (עם BOM כדי שאקסל יציג עברית)
+   */
+  statementToCsv(statement) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [
+      ['נהג', statement.driver.name, statement.driver.phone],
+      ['תקופה', statement.period.key],
+      ['יתרת פתיחה', statement.openingBalance],
+      [],
+      ['תאריך', 'סוג', 'תיאור', 'אסמכתא', 'חובה', 'זכות', 'יתרה'],
+      ...statement.lines.map(line => [
+        new Date(line.date).toISOString().slice(0, 10),
+        line.type,
+        line.description,
+        line.reference,
+        line.debit || '',
+        line.credit || '',
+        line.balance
+      ]),
+      [],
+      ['סה"כ חובה', statement.totalDebits],
+      ['סה"כ זכות', statement.totalCredits],
+      ['יתרת סגירה', statement.closingBalance]
+    ];
+
+    return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\n');
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const commissionLedger = new CommissionLedger();
+
+export default commissionLedger;
@@ -0,0 +1,706 @@
+import cron from 'node-cron';
+import { AuditLog, BillingConfig, CorporateAccount, CorporateInvoice, Driver, LedgerEntry, Ride } from '../models/index.js';
+import { normalizePhone } from '../models/Customer.js';
+import commissionLedger, { ledgerPeriod, ledgerPeriodRange } from './commissionLedger.js';
+import logger from './logger.js';
+
+// ===============================================
+// 🏢 CORPORATE BILLING SERVICE
+// ===============================================
+// נסיעות על חשבון חברה (models/CorporateAccount.js):
+// - נסיעה של עובד מורשה מסומנת paymentMethod=account עם מרכז עלות
+// - חריגה ממסגרת חודשית (עובד / מרכז עלות / חשבון) או כלל אישור → approvalStatus=pending
+// - בסיום נסיעה מאושרת הנהג מזוכה בספר החשבונות (התחנה גובה מהחברה)
+// - חשבונית חודשית (CorporateInvoice) עם מע"מ לפי BillingConfig.taxRate, CSV / PDF, מעקב תשלום
+// - הפקה אוטומטית ב-1 לחודש (ENABLE_CORPORATE_INVOICING=true) או ידנית מ-/api/corporate
+
+const COMPLETED_STATUSES = ['finished', 'commission_paid', 'completed'];
+const BILLABLE_APPROVALS = ['not_required', 'approved'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * שגיאת חשבון חברה עם קוד HTTP (routes/corporate.js)
+ */
+export class CorporateError extends Error {
+  constructor(code, message, httpStatus = 400) {
+    super(message);
+    this.name = 'CorporateError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * סדר תצוגה לעברית ב-PDF (pdfkit מצייר משמאל לימין): הופכים את השורה ומחזירים מספרים / לטינית לכיוונם
+ */
+function visualOrder(text) {
+  const value = text === null || text === undefined ? '' : String(text);
+  if (!/[\u0590-\u05FF]/.test(value)) return value;
+
+  return value
+    .split('')
+    .reverse()
+    .join('')
+    .replace(/[A-Za-z0-9@.,:/+%_-]+/g, run => run.split('').reverse().join(''));
+}
+
+class CorporateBillingService {
+  constructor() {
+    this.isRunning = false;
+    this.jobs = [];
+    this.isInvoicing = false;
+
+    // 1 לחודש ב-07:00 - חשבוניות על החודש שהסתיים
+    this.schedule = process.env.CORPORATE_INVOICE_SCHEDULE || '0 7 1 * *';
+  }
+
+  /**
+   * הפקת חשבוניות אוטומטית (ENABLE_CORPORATE_INVOICING=true)
+   */
+  start() {
+    if (process.env.ENABLE_CORPORATE_INVOICING !== 'true') {
+      logger.info('🏢 Corporate invoicing disabled (ENABLE_CORPORATE_INVOICING != true)');
+      return;
+    }
+
+    if (this.isRunning) {
+      logger.warn('⚠️ Corporate invoicing cron already running');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error('❌ Invalid CORPORATE_INVOICE_SCHEDULE, corporate invoicing not started', { schedule: this.schedule });
+      return;
+    }
+
+    const invoicingJob = cron.schedule(this.schedule, async () => {
+      try {
+        const { year, month } = this.previousPeriod();
+        await this.runInvoicing({ year, month, triggeredBy: 'cron' });
+      } catch (error) {
+        logger.error('❌ Scheduled corporate invoicing failed', { error: error.message });
+      }
+    });
+
+    this.jobs = [invoicingJob];
+    this.isRunning = true;
+
+    logger.success('✅ Corporate invoicing cron started', { schedule: this.schedule });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+    this.isRunning = false;
+
+    logger.info('🏢 Corporate invoicing cron stopped');
+  }
+
+  /**
+   * החודש הקודם (ברירת המחדל להפקה)
+   */
+  previousPeriod(date = new Date()) {
+    const d = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+    return { year: d.getFullYear(), month: d.getMonth() + 1 };
+  }
+
+  // ===============================================
+  // 🚕 RIDES
+  // ===============================================
+
+  /**
+   * הוצאה החודש (נסיעות שלא בוטלו ולא נדחו): לחשבון, לעובד ולמרכז העלות
+   */
+  async monthlySpend(account, { employeePhone, costCenter }, at = new Date(), excludeRideId = null) {
+    const match = {
+      'corporate.accountId': account._id,
+      status: { $ne: 'cancelled' },
+      'corporate.approvalStatus': { $ne: 'rejected' },
+      createdAt: {
+        $gte: new Date(at.getFullYear(), at.getMonth(), 1),
+        $lt: new Date(at.getFullYear(), at.getMonth() + 1, 1)
+      }
+    };
+    if (excludeRideId) match._id = { $ne: excludeRideId };
+
+    const [spend] = await Ride.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          account: { $sum: '$price' },
+          employee: { $sum: { $cond: [{ $eq: ['$corporate.employeePhone', employeePhone] }, '$price', 0] } },
+          costCenter: { $sum: { $cond: [{ $eq: ['$corporate.costCenter', costCenter] }, '$price', 0] } }
+        }
+      }
+    ]);
+
+    return {
+      account: roundMoney(spend?.account || 0),
+      employee: roundMoney(spend?.employee || 0),
+      costCenter: roundMoney(spend?.costCenter || 0)
+    };
+  }
+
+  /**
+   * האם הנסיעה דורשת אישור: כלל האישור של החשבון, ואז המסגרות החודשיות
+   * @returns {Promise<Object>} - { status: not_required|pending, reason }
+   */
+  async approvalFor(account, employee, costCenter, price, ride) {
+    const rule = account.approvalRule || {};
+
+    if (rule.mode === 'always') {
+      return { status: 'pending', reason: 'כל נסיעה דורשת אישור' };
+    }
+    if (rule.mode === 'over_amount' && rule.amount !== null && price > rule.amount) {
+      return { status: 'pending', reason: `נסיעה מעל ₪${rule.amount}` };
+    }
+
+    const spend = await this.monthlySpend(
+      account,
+      { employeePhone: employee.phone, costCenter },
+      ride.createdAt || new Date(),
+      ride._id
+    );
+    const center = account.findCostCenter(costCenter);
+
+    const limits = [
+      { limit: employee.monthlyLimit, spent: spend.employee, reason: 'חריגה ממסגרת העובד' },
+      { limit: center?.monthlyLimit, spent: spend.costCenter, reason: `חריגה ממסגרת מרכז העלות ${costCenter}` },
+      { limit: account.monthlyLimit, spent: spend.account, reason: 'חריגה ממסגרת החשבון' }
+    ];
+
+    const exceeded = limits.find(({ limit, spent }) => limit !== null && limit !== undefined && spent + price > limit);
+    if (exceeded) {
+      return { status: 'pending', reason: `${exceeded.reason} (₪${roundMoney(exceeded.spent + price)} מתוך ₪${exceeded.limit})` };
+    }
+
+    return { status: 'not_required', reason: null };
+  }
+
+  /**
+   * סימון נסיעה של עובד מורשה כנסיעה על חשבון החברה (הקורא שומר את הנסיעה)
+   * @param {Object} ride
+   * @param {Object} options - { costCenter } מרכז עלות שונה ממרכז העלות של העובד
+   * @returns {Promise<boolean>}
+   */
+  async attachAccount(ride, { costCenter } = {}) {
+    if (ride.paymentMethod && ride.paymentMethod !== 'cash') return false;
+
+    const account = await CorporateAccount.findByEmployeePhone(ride.customerPhone);
+    if (!account) return false;
+
+    const employee = account.findEmployee(ride.customerPhone);
+    const center = account.findCostCenter(costCenter)?.code || employee.costCenter || null;
+    const approval = await this.approvalFor(account, employee, center, ride.price || 0, ride);
+
+    ride.paymentMethod = 'account';
+    ride.corporate = {
+      accountId: account._id,
+      employeePhone: employee.phone,
+      employeeName: employee.name || ride.customerName,
+      costCenter: center,
+      approvalStatus: approval.status,
+      approvalReason: approval.reason,
+      approvedBy: null,
+      approvedAt: null,
+      invoiceId: null
+    };
+
+    if (approval.status === 'pending') {
+      logger.info('🏢 Corporate ride awaiting approval', {
+        rideNumber: ride.rideNumber,
+        account: account.code,
+        reason: approval.reason
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * אישור נסיעה שממתינה - נכנסת לחשבונית; נסיעה שכבר הסתיימה מזכה את הנהג
+   */
+  async approveRide(ride, by) {
+    this.assertDecidable(ride, ['pending']);
+
+    ride.corporate.approvalStatus = 'approved';
+    ride.corporate.approvedBy = by;
+    ride.corporate.approvedAt = new Date();
+    await ride.save();
+
+    if (COMPLETED_STATUSES.includes(ride.status)) {
+      const driverId = ride.driverId ||
+        (ride.driverPhone ? (await Driver.findOne({ phone: ride.driverPhone }).select('_id'))?._id : null);
+      await this.creditDriver(ride, driverId);
+    }
+
+    return ride;
+  }
+
+  /**
+   * דחיית נסיעה - הנוסע משלם לנהג; זיכוי שכבר ניתן לנהג מבוטל
+   */
+  async rejectRide(ride, by, reason = null) {
+    this.assertDecidable(ride, BILLABLE_APPROVALS.concat('pending'));
+
+    ride.corporate.approvalStatus = 'rejected';
+    ride.corporate.approvalReason = reason || ride.corporate.approvalReason;
+    ride.corporate.approvedBy = by;
+    ride.corporate.approvedAt = new Date();
+    ride.paymentMethod = 'cash';
+    await ride.save();
+
+    await this.reverseDriverCredit(ride);
+
+    return ride;
+  }
+
+  assertDecidable(ride, allowedStatuses) {
+    if (!ride.corporate?.accountId) {
+      throw new CorporateError('NOT_ACCOUNT_RIDE', 'הנסיעה אינה על חשבון חברה', 409);
+    }
+    if (ride.corporate.invoiceId) {
+      throw new CorporateError('ALREADY_INVOICED', 'הנסיעה כבר נכללה בחשבונית', 409);
+    }
+    if (!allowedStatuses.includes(ride.corporate.approvalStatus)) {
+      throw new CorporateError('INVALID_APPROVAL_STATUS', 'לא ניתן לשנות את אישור הנסיעה במצב הנוכחי', 409);
+    }
+  }
+
+  /**
+   * זיכוי הנהג על נסיעה שהחברה משלמת (פעם אחת לנסיעה)
+   */
+  async creditDriver(ride, driverId) {
+    if (ride.paymentMethod !== 'account' || !BILLABLE_APPROVALS.includes(ride.corporate?.approvalStatus)) return null;
+    if (!driverId || !(ride.price > 0)) return null;
+
+    try {
+      const { entry } = await commissionLedger.post({
+        driverId,
+        type: 'adjustment',
+        direction: 'credit',
+        amount: ride.price,
+        idempotencyKey: `account_ride:${ride._id}`,
+        description: `נסיעה ${ride.rideNumber} על חשבון חברה`,
+        reference: { kind: 'Ride', id: ride._id, number: ride.rideNumber }
+      });
+      return entry;
+    } catch (error) {
+      logger.error('❌ Failed to credit driver for account ride', {
+        rideNumber: ride.rideNumber,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async reverseDriverCredit(ride) {
+    const credit = await LedgerEntry.findOne({ idempotencyKey: `account_ride:${ride._id}` });
+    if (!credit) return null;
+
+    const { entry } = await commissionLedger.post({
+      driverId: credit.driverId,
+      type: 'adjustment',
+      direction: 'debit',
+      amount: credit.amount,
+      idempotencyKey: `account_ride_reversal:${ride._id}`,
+      description: `ביטול זיכוי - נסיעה ${ride.rideNumber} נדחתה על ידי החברה`,
+      reference: { kind: 'Ride', id: ride._id, number: ride.rideNumber }
+    });
+    return entry;
+  }
+
+  // ===============================================
+  // 🧾 INVOICES
+  // ===============================================
+
+  /**
+   * חשבונית לחשבון אחד: נסיעות שהושלמו ואושרו עד סוף החודש ועדיין לא חויבו
+   * @returns {Promise<Object|null>} - החשבונית (או טיוטה ב-dryRun), null אם אין נסיעות
+   */
+  async invoiceAccount(account, { year, month, dryRun = false, createdBy = 'system' }) {
+    const { startDate: periodStart, endDate: periodEnd } = ledgerPeriodRange(year, month);
+    const period = ledgerPeriod(periodStart);
+    const billingKey = `${account._id}:${period}`;
+
+    if (await CorporateInvoice.exists({ billingKey })) {
+      throw new CorporateError('ALREADY_INVOICED', `לחשבון ${account.code} כבר יש חשבונית לתקופה ${period}`, 409);
+    }
+
+    const rides = await Ride.find({
+      'corporate.accountId': account._id,
+      'corporate.invoiceId': null,
+      'corporate.approvalStatus': { $in: BILLABLE_APPROVALS },
+      status: { $in: COMPLETED_STATUSES },
+      createdAt: { $lt: periodEnd }
+    })
+      .select('rideNumber createdAt corporate pickup destination price customerPhone customerName')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (rides.length === 0) return null;
+
+    const config = await BillingConfig.getConfig();
+    const taxRate = config.taxRate || 0;
+
+    const lines = rides.map(ride => ({
+      rideId: ride._id,
+      rideNumber: ride.rideNumber,
+      date: ride.createdAt,
+      employeePhone: ride.corporate.employeePhone || normalizePhone(ride.customerPhone),
+      employeeName: ride.corporate.employeeName || ride.customerName,
+      costCenter: ride.corporate.costCenter,
+      pickup: ride.pickup,
+      destination: ride.destination,
+      amount: roundMoney(ride.price || 0)
+    }));
+
+    const byCenter = new Map();
+    for (const line of lines) {
+      const center = byCenter.get(line.costCenter) || { costCenter: line.costCenter, rides: 0, amount: 0 };
+      center.rides++;
+      center.amount = roundMoney(center.amount + line.amount);
+      byCenter.set(line.costCenter, center);
+    }
+
+    // מחירי הנסיעות כוללים מע"מ (כמו ב-BillingConfig.calculateCommission)
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+    const subtotal = roundMoney(total / (1 + taxRate / 100));
+
+    const previous = await CorporateInvoice.countDocuments({ accountId: account._id, period });
+    const data = {
+      invoiceNumber: `${account.code}-${period}${previous > 0 ? `-${previous + 1}` : ''}`,
+      accountId: account._id,
+      account: {
+        code: account.code,
+        name: account.name,
+        taxId: account.taxId,
+        billingAddress: account.billingAddress
+      },
+      period,
+      billingKey,
+      lines,
+      costCenters: [...byCenter.values()],
+      rideCount: lines.length,
+      subtotal,
+      taxRate,
+      vatAmount: roundMoney(total - subtotal),
+      total,
+      currency: config.currency || 'ILS',
+      issuedAt: new Date(),
+      dueDate: new Date(Date.now() + (account.paymentTermsDays ?? 30) * 24 * 60 * 60 * 1000),
+      createdBy
+    };
+
+    if (dryRun) return data;
+
+    const invoice = await CorporateInvoice.create(data);
+
+    await Ride.updateMany(
+      { _id: { $in: rides.map(ride => ride._id) }, 'corporate.invoiceId': null },
+      { $set: { 'corporate.invoiceId': invoice._id } }
+    );
+
+    logger.success('🧾 Corporate invoice issued', {
+      invoiceNumber: invoice.invoiceNumber,
+      account: account.code,
+      rides: invoice.rideCount,
+      total: invoice.total
+    });
+
+    return invoice;
+  }
+
+  /**
+   * הפקת חשבוניות חודשיות לכל החשבונות הפעילים
+   * @returns {Promise<Object>} - { period, dryRun, issued, skipped, failed, totals }
+   */
+  async runInvoicing({ year, month, dryRun = false, triggeredBy = 'system' }) {
+    if (this.isInvoicing) {
+      throw new Error('Corporate invoicing run already in progress');
+    }
+
+    this.isInvoicing = true;
+
+    try {
+      const period = ledgerPeriod(ledgerPeriodRange(year, month).startDate);
+      const accounts = await CorporateAccount.find({ isActive: true });
+
+      logger.info('🏢 Corporate invoicing run started', { period, dryRun, triggeredBy, accounts: accounts.length });
+
+      const summary = {
+        period,
+        dryRun,
+        issued: [],
+        skipped: [],
+        failed: [],
+        totals: { subtotal: 0, vat: 0, total: 0 }
+      };
+
+      for (const account of accounts) {
+        try {
+          const invoice = await this.invoiceAccount(account, { year, month, dryRun, createdBy: triggeredBy });
+          if (!invoice) {
+            summary.skipped.push({ accountId: account._id, code: account.code, reason: 'no_rides' });
+            continue;
+          }
+
+          summary.issued.push({
+            accountId: account._id,
+            code: account.code,
+            invoiceId: invoice._id || null,
+            invoiceNumber: invoice.invoiceNumber,
+            rideCount: invoice.rideCount,
+            total: invoice.total
+          });
+          summary.totals.subtotal = roundMoney(summary.totals.subtotal + invoice.subtotal);
+          summary.totals.vat = roundMoney(summary.totals.vat + invoice.vatAmount);
+          summary.totals.total = roundMoney(summary.totals.total + invoice.total);
+        } catch (error) {
+          if (error.code === 'ALREADY_INVOICED') {
+            summary.skipped.push({ accountId: account._id, code: account.code, reason: 'already_invoiced' });
+            continue;
+          }
+          logger.error('❌ Failed to invoice corporate account', {
+            account: account.code,
+            period,
+            error: error.message
+          });
+          summary.failed.push({ accountId: account._id, code: account.code, error: error.message });
+        }
+      }
+
+      if (!dryRun) {
+        await AuditLog.create({
+          userId: triggeredBy,
+          username: triggeredBy,
+          action: 'corporate_invoicing_run',
+          details: {
+            period,
+            issued: summary.issued.length,
+            skipped: summary.skipped.length,
+            failed: summary.failed.length,
+            totals: summary.totals
+          }
+        }).catch(err => logger.error('AuditLog error:', err));
+      }
+
+      logger.success('✅ Corporate invoicing run completed', {
+        period,
+        dryRun,
+        issued: summary.issued.length,
+        skipped: summary.skipped.length,
+        failed: summary.failed.length,
+        total: summary.totals.total
+      });
+
+      return summary;
+    } finally {
+      this.isInvoicing = false;
+    }
+  }
+
+  /**
+   * רישום תשלום - חלקי נשאר issued עד שהסכום מכוסה
+   */
+  async markPaid(invoice, { amount, reference = null }) {
+    if (invoice.status !== 'issued') {
+      throw new CorporateError('NOT_PAYABLE', 'החשבונית אינה פתוחה לתשלום', 409);
+    }
+
+    const value = amount === undefined || amount === null
+      ? roundMoney(invoice.total - invoice.paidAmount)
+      : roundMoney(parseFloat(amount));
+    if (!(value > 0)) {
+      throw new CorporateError('INVALID_AMOUNT', 'סכום תשלום לא תקין');
+    }
+
+    invoice.paidAmount = roundMoney(invoice.paidAmount + value);
+    invoice.paymentReference = reference || invoice.paymentReference;
+    if (invoice.paidAmount >= invoice.total) {
+      invoice.status = 'paid';
+      invoice.paidAt = new Date();
+    }
+
+    await invoice.save();
+    return invoice;
+  }
+
+  /**
+   * ביטול חשבונית - הנסיעות משתחררות לחשבונית הבאה ואפשר להפיק מחדש לאותה תקופה
+   */
+  async voidInvoice(invoice, { reason = null }) {
+    if (invoice.status === 'void') {
+      throw new CorporateError('ALREADY_VOID', 'החשבונית כבר בוטלה', 409);
+    }
+    if (invoice.paidAmount > 0) {
+      throw new CorporateError('HAS_PAYMENTS', 'לא ניתן לבטל חשבונית ששולמה (גם חלקית)', 409);
+    }
+
+    invoice.status = 'void';
+    invoice.voidedAt = new Date();
+    invoice.voidReason = reason;
+    invoice.billingKey = undefined;
+    await invoice.save();
+
+    await Ride.updateMany(
+      { 'corporate.invoiceId': invoice._id },
+      { $set: { 'corporate.invoiceId': null } }
+    );
+
+    return invoice;
+  }
+
+  /**
+   * ייצוא חשבונית ל-CSV (עם BOM כדי שאקסל יציג עברית)
+   */
+  invoiceToCsv(invoice) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [
+      ['חשבונית', invoice.invoiceNumber],
+      ['לקוח', invoice.account.name, invoice.account.taxId],
+      ['תקופה', invoice.period],
+      ['תאריך הפקה', new Date(invoice.issuedAt).toISOString().slice(0, 10)],
+      ['לתשלום עד', new Date(invoice.dueDate).toISOString().slice(0, 10)],
+      [],
+      ['תאריך', 'נסיעה', 'עובד', 'טלפון', 'מרכז עלות', 'איסוף', 'יעד', 'סכום'],
+      ...invoice.lines.map(line => [
+        new Date(line.date).toISOString().slice(0, 10),
+        line.rideNumber,
+        line.employeeName,
+        line.employeePhone,
+        line.costCenter,
+        line.pickup,
+        line.destination,
+        line.amount
+      ]),
+      [],
+      ['מרכז עלות', 'נסיעות', 'סכום'],
+      ...invoice.costCenters.map(center => [center.costCenter || '-', center.rides, center.amount]),
+      [],
+      ['סכום לפני מע"מ', invoice.subtotal],
+      [`מע"מ (${invoice.taxRate}%)`, invoice.vatAmount],
+      ['סה"כ לתשלום', invoice.total],
+      ['שולם', invoice.paidAmount]
+    ];
+
+    return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\n');
+  }
+
+  /**
+   * חשבונית PDF - דורש את החבילה pdfkit (npm install pdfkit)
+   * INVOICE_PDF_FONT - נתיב לגופן TTF עם עברית (בלעדיו הטקסט העברי לא יוצג)
+   * @returns {Promise<Buffer>}
+   */
+  async invoiceToPdf(invoice) {
+    // טעינה דינמית - החבילה נדרשת רק להפקת PDF
+    const { default: PDFDocument } = await import('pdfkit').catch(() => {
+      throw new CorporateError('PDF_UNAVAILABLE', 'הפקת PDF אינה זמינה בשרת (pdfkit לא מותקן)', 501);
+    });
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    if (process.env.INVOICE_PDF_FONT) {
+      doc.font(process.env.INVOICE_PDF_FONT);
+    }
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const line = (text, options = {}) => doc.text(visualOrder(text), { align: 'right', ...options });
+    const date = value => new Date(value).toISOString().slice(0, 10);
+
+    doc.fontSize(18);
+    line(`חשבונית ${invoice.invoiceNumber}`);
+    doc.fontSize(11).moveDown();
+    line(`לכבוד: ${invoice.account.name}${invoice.account.taxId ? ` (ח.פ. ${invoice.account.taxId})` : ''}`);
+    if (invoice.account.billingAddress) line(invoice.account.billingAddress);
+    line(`תקופה: ${invoice.period}   תאריך: ${date(invoice.issuedAt)}   לתשלום עד: ${date(invoice.dueDate)}`);
+    doc.moveDown();
+
+    doc.fontSize(9);
+    for (const entry of invoice.lines) {
+      line(`${date(entry.date)}  ${entry.rideNumber || ''}  ${entry.employeeName || entry.employeePhone}  ${entry.costCenter || '-'}  ${entry.pickup} ← ${entry.destination}  ₪${entry.amount}`);
+    }
+
+    doc.moveDown().fontSize(11);
+    for (const center of invoice.costCenters) {
+      line(`מרכז עלות ${center.costCenter || '-'}: ${center.rides} נסיעות, ₪${center.amount}`);
+    }
+
+    doc.moveDown();
+    line(`סכום לפני מע"מ: ₪${invoice.subtotal}`);
+    line(`מע"מ (${invoice.taxRate}%): ₪${invoice.vatAmount}`);
+    doc.fontSize(13);
+    line(`סה"כ לתשלום: ₪${invoice.total}`);
+
+    doc.end();
+    return done;
+  }
+
+  // ===============================================
+  // 📊 REPORTS
+  // ===============================================
+
+  /**
+   * חשבוניות שהופקו בטווח + יתרות פתוחות ובאיחור (לכל התקופות)
+   */
+  async getInvoiceSummary(from, to = new Date()) {
+    const [issued] = await CorporateInvoice.aggregate([
+      { $match: { status: { $ne: 'void' }, issuedAt: { $gte: from, $lte: to } } },
+      { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$total' }, vat: { $sum: '$vatAmount' } } }
+    ]);
+
+    const [paid] = await CorporateInvoice.aggregate([
+      { $match: { status: 'paid', paidAt: { $gte: from, $lte: to } } },
+      { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$total' } } }
+    ]);
+
+    const now = new Date();
+    const [open] = await CorporateInvoice.aggregate([
+      { $match: { status: 'issued' } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          outstanding: { $sum: { $subtract: ['$total', '$paidAmount'] } },
+          overdueCount: { $sum: { $cond: [{ $lt: ['$dueDate', now] }, 1, 0] } },
+          overdue: { $sum: { $cond: [{ $lt: ['$dueDate', now] }, { $subtract: ['$total', '$paidAmount'] }, 0] } }
+        }
+      }
+    ]);
+
+    return {
+      issued: issued?.count || 0,
+      invoiced: roundMoney(issued?.total || 0),
+      vat: roundMoney(issued?.vat || 0),
+      paid: paid?.count || 0,
+      collected: roundMoney(paid?.total || 0),
+      unpaid: open?.count || 0,
+      outstanding: roundMoney(open?.outstanding || 0),
+      overdue: open?.overdueCount || 0,
+      overdueAmount: roundMoney(open?.overdue || 0)
+    };
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const corporateBillingService = new CorporateBillingService();
+
+export default corporateBillingService;
@@ -0,0 +1,564 @@
+// ===============================================
+// 🚕 CUSTOMER BOOKING HANDLER
+// ===============================================
+// מנהל את תהליך הזמנת נסיעה של לקוח דרך WhatsApp:
+// איסוף → יעד → שעה → הערות → הצעת מחיר → אישור → יצירה ושליחה לנהגים
+// ועדכוני סטטוס ללקוח (נהג נמצא / בדרך / הגיע)
+
+import BookingSession from '../models/BookingSession.js';
+import Ride from '../models/Ride.js';
+import Driver from '../models/Driver.js';
+import dispatchManager from './dispatchManager.js';
+import geocoder, { toGeoPoint } from './geocoder.js';
+import corporateBillingService from './corporateBillingService.js';
+import customerService from './customerService.js';
+import fareEngine from './fareEngine.js';
+import promotionService from './promotionService.js';
+import rideNumberGenerator from './rideNumberGenerator.js';
+import rideStateMachine from './rideStateMachine.js';
+import { STATION_TIMEZONE, stationDate, stationParts } from './stationTime.js';
+import websockets from './websockets.js';
+import logger from './logger.js';
+
+// סשן שלא היה בו שימוש זמן רב - נזנח ולא תופס יותר הודעות
+const SESSION_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+// הזמנה מראש - עד 30 יום קדימה
+const MAX_ADVANCE_DAYS = 30;
+
+const BOOKING_COMMANDS = ['הזמנה', 'הזמנת נסיעה', 'הזמן נסיעה', 'מונית', 'book', 'taxi', 'order'];
+const CANCEL_COMMANDS = ['ביטול', 'בטל', 'cancel', 'stop'];
+const CONFIRM_ANSWERS = ['אישור', 'מאשר', 'כן', 'yes', 'ok', 'confirm', '1'];
+const REJECT_ANSWERS = ['לא', 'no', '2'];
+const NOW_ANSWERS = ['עכשיו', 'מיידי', 'מיד', 'now', 'asap', '0'];
+const NO_NOTES_ANSWERS = ['אין', 'לא', '-', 'no', 'none', 'skip'];
+
+// סטטוסים שעליהם הלקוח מקבל הודעה (locked/assigned/approved = נמצא נהג)
+const CUSTOMER_STATUS_EVENTS = {
+  locked: 'driver_assigned',
+  assigned: 'driver_assigned',
+  approved: 'driver_assigned',
+  enroute: 'driver_enroute',
+  arrived: 'driver_arrived'
+};
+
+// ===============================================
+// 📊 BOOKING FLOW
+// ===============================================
+
+const BOOKING_STEPS = {
+  awaiting_pickup: {
+    question: '🚕 *הזמנת נסיעה*\n\n📍 מאיפה לאסוף אותך?\nשלח *כתובת* או שתף *מיקום*\n\n(לביטול בכל שלב שלח: *ביטול*)',
+    next: 'awaiting_destination'
+  },
+  awaiting_destination: {
+    question: '🎯 *לאן נוסעים?*\nשלח את כתובת היעד או שתף מיקום',
+    next: 'awaiting_time'
+  },
+  awaiting_time: {
+    question: '🕐 *מתי?*\n\nשלח *עכשיו* לנסיעה מיידית\nאו שעה: *18:30* / *מחר 07:15* / *DD/MM 09:00*',
+    next: 'awaiting_notes'
+  },
+  awaiting_notes: {
+    question: '📝 *הערות לנהג?*\n(מספר נוסעים, מזוודות, כיסא תינוק וכו\')\n\nאם אין - שלח *אין*',
+    next: 'awaiting_confirmation'
+  }
+};
+
+// ===============================================
+// 🔧 HELPERS
+// ===============================================
+
+function normalizeText(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * פענוח שעת נסיעה מטקסט חופשי
+ * @returns {{ ok: boolean, date: Date|null }} - date=null לנסיעה מיידית
+ */
+export function parseRideTime(text, now = new Date()) {
+  const normalized = normalizeText(text);
+
+  if (NOW_ANSWERS.includes(normalized)) {
+    return { ok: true, date: null };
+  }
+
+  // השעה שהלקוח כתב היא שעון התחנה, לא של השרת
+  const today = stationParts(now);
+
+  let match = normalized.match(/^(היום |today )?(\d{1,2})[:.](\d{2})$/);
+  if (match) {
+    const time = { hour: Number(match[2]), minute: Number(match[3]) };
+    let date = stationDate({ ...today, ...time });
+    // שעה שכבר עברה היום - הכוונה למחר
+    if (date <= now) date = stationDate({ ...today, day: today.day + 1, ...time });
+    return validateRideTime(date, match[2], match[3], now);
+  }
+
+  match = normalized.match(/^(מחר|tomorrow) (\d{1,2})[:.](\d{2})$/);
+  if (match) {
+    const date = stationDate({ ...today, day: today.day + 1, hour: Number(match[2]), minute: Number(match[3]) });
+    return validateRideTime(date, match[2], match[3], now);
+  }
+
+  match = normalized.match(/^(\d{1,2})[./](\d{1,2}) (\d{1,2})[:.](\d{2})$/);
+  if (match) {
+    const requested = { month: Number(match[2]), day: Number(match[1]), hour: Number(match[3]), minute: Number(match[4]) };
+    if (new Date(Date.UTC(today.year, requested.month - 1, requested.day)).getUTCDate() !== requested.day) {
+      return { ok: false, date: null };
+    }
+    let date = stationDate({ year: today.year, ...requested });
+    if (date <= now) date = stationDate({ year: today.year + 1, ...requested });
+    return validateRideTime(date, match[3], match[4], now);
+  }
+
+  return { ok: false, date: null };
+}
+
+function validateRideTime(date, hours, minutes, now) {
+  if (Number(hours) > 23 || Number(minutes) > 59) {
+    return { ok: false, date: null };
+  }
+
+  if (date.getTime() - now.getTime() > MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000) {
+    return { ok: false, date: null };
+  }
+
+  return { ok: true, date };
+}
+
+function formatRideTime(date) {
+  if (!date) return '⚡ מיידית';
+  return new Date(date).toLocaleString('he-IL', {
+    timeZone: STATION_TIMEZONE,
+    weekday: 'short',
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// ===============================================
+// 🔧 CUSTOMER BOOKING HANDLER CLASS
+// ===============================================
+
+class CustomerBookingHandler {
+  constructor() {
+    this.sendHandler = null;
+  }
+
+  /**
+   * Handle customer message
+   * @param {string} phone
+   * @param {string} message
+   * @param {Object} context - { latitude, longitude, profileName }
+   * @returns {Promise<string|null>} - תשובה, או null אם ההודעה לא שייכת להזמנה
+   */
+  async handleMessage(phone, message, context = {}) {
+    try {
+      let session = await BookingSession.findOne({ phone, status: 'in_progress' });
+
+      if (session && Date.now() - session.lastActivityAt.getTime() > SESSION_TIMEOUT_MS) {
+        await BookingSession.deleteOne({ _id: session._id });
+        session = null;
+      }
+
+      if (!session) {
+        return this.isBookingCommand(message)
+          ? await this.startBooking(phone, context.profileName)
+          : null;
+      }
+
+      if (CANCEL_COMMANDS.includes(normalizeText(message))) {
+        return await this.cancelBooking(phone);
+      }
+
+      switch (session.currentStep) {
+        case 'awaiting_pickup':
+        case 'awaiting_destination':
+          return await this.handleLocationStep(session, message, context);
+        case 'awaiting_time':
+          return await this.handleTimeStep(session, message);
+        case 'awaiting_notes':
+          return await this.handleNotesStep(session, message);
+        case 'awaiting_confirmation':
+          return await this.handleConfirmation(session, message);
+        default:
+          return null;
+      }
+    } catch (error) {
+      logger.error('Error in customer booking handler', {
+        phone,
+        error: error.message
+      });
+      return '❌ אירעה שגיאה טכנית. אנא נסה שוב.';
+    }
+  }
+
+  /**
+   * Check if message is a booking command
+   */
+  isBookingCommand(message) {
+    return BOOKING_COMMANDS.includes(normalizeText(message));
+  }
+
+  /**
+   * Start new booking (מחליף הזמנה קודמת שלא הושלמה)
+   */
+  async startBooking(phone, profileName = null) {
+    // 🚫 לקוח ברשימה השחורה - לא פותחים הזמנה
+    if (await customerService.blockedForBooking(phone)) {
+      logger.warn('🚫 Blacklisted customer tried to book via WhatsApp', { phone });
+      return 'מצטערים, לא ניתן להזמין נסיעה מהמספר הזה. לפרטים צרו קשר עם התחנה.';
+    }
+
+    await BookingSession.findOneAndUpdate(
+      { phone },
+      {
+        $set: {
+          currentStep: 'awaiting_pickup',
+          data: { customerName: profileName?.trim() || null },
+          quote: null,
+          status: 'in_progress',
+          rideId: null,
+          startedAt: new Date(),
+          completedAt: null,
+          lastActivityAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info('🚕 Customer booking started', { phone });
+
+    return BOOKING_STEPS.awaiting_pickup.question;
+  }
+
+  /**
+   * איסוף / יעד - כתובת טקסט או מיקום משותף
+   */
+  async handleLocationStep(session, message, context) {
+    const isPickup = session.currentStep === 'awaiting_pickup';
+    const field = isPickup ? 'pickup' : 'destination';
+    let address;
+    let location;
+
+    if (context.latitude && context.longitude) {
+      const lat = parseFloat(context.latitude);
+      const lng = parseFloat(context.longitude);
+      address = message?.trim() || `📍 מיקום משותף (${lat.toFixed(5)}, ${lng.toFixed(5)})`;
+      location = toGeoPoint({ lat, lng, label: address, source: 'whatsapp', confidence: 1 });
+    } else {
+      address = message?.trim();
+
+      if (!address || address.length < 2) {
+        return `❌ כתובת לא תקינה\n\n${BOOKING_STEPS[session.currentStep].question}`;
+      }
+
+      location = toGeoPoint(await geocoder.geocode(address).catch(() => null));
+    }
+
+    session.data[field] = address;
+    session.data[`${field}Location`] = location;
+    session.currentStep = BOOKING_STEPS[session.currentStep].next;
+    await session.save();
+
+    return BOOKING_STEPS[session.currentStep].question;
+  }
+
+  async handleTimeStep(session, message) {
+    const { ok, date } = parseRideTime(message);
+
+    if (!ok) {
+      return `❌ לא הבנתי את השעה\n\n${BOOKING_STEPS.awaiting_time.question}`;
+    }
+
+    session.data.scheduledTime = date;
+    session.currentStep = BOOKING_STEPS.awaiting_time.next;
+    await session.save();
+
+    return BOOKING_STEPS.awaiting_notes.question;
+  }
+
+  async handleNotesStep(session, message) {
+    const notes = message?.trim();
+    session.data.notes = !notes || NO_NOTES_ANSWERS.includes(normalizeText(notes))
+      ? null
+      : notes.substring(0, 500);
+
+    const quote = await fareEngine.quote({
+      pickupLocation: session.data.pickupLocation,
+      destinationLocation: session.data.destinationLocation,
+      scheduledTime: session.data.scheduledTime
+    });
+
+    session.quote = {
+      price: quote.price,
+      estimated: quote.estimated,
+      distanceKm: quote.distanceKm,
+      durationMinutes: quote.durationMinutes,
+      fareType: quote.fareType,
+      pricingDetails: fareEngine.pricingDetails(quote, 'whatsapp_quote'),
+      quotedAt: quote.quotedAt
+    };
+    session.currentStep = BOOKING_STEPS.awaiting_notes.next;
+    await session.save();
+
+    return this.getSummary(session);
+  }
+
+  /**
+   * סיכום ההזמנה + הצעת מחיר
+   */
+  getSummary(session) {
+    const { data, quote } = session;
+    let priceLine = quote.fareType && quote.fareType !== 'metered'
+      ? `💰 *מחיר:* ₪${quote.price}`
+      : quote.estimated
+        ? `💰 *מחיר משוער:* ₪${quote.price}\n🛣️ כ-${quote.distanceKm} ק"מ, ${quote.durationMinutes} דק'`
+        : `💰 *מחיר מינימום:* ₪${quote.price}\n(המחיר הסופי ייקבע לפי המסלול)`;
+
+    // מחיר אזורי / תוספות זמן / surge - שהלקוח יבין ממה המחיר מורכב
+    const extras = (quote.pricingDetails?.components || [])
+      .filter(component => !['base', 'distance', 'time', 'minimum', 'rounding'].includes(component.type));
+    if (extras.length > 0) {
+      priceLine += `\n${extras.map(component => `• ${component.label}: ₪${Math.round(component.amount)}`).join('\n')}`;
+    }
+
+    return `📋 *סיכום ההזמנה*
+
+📍 *איסוף:* ${data.pickup}
+🎯 *יעד:* ${data.destination}
+🕐 *מתי:* ${formatRideTime(data.scheduledTime)}
+${data.notes ? `📝 *הערות:* ${data.notes}\n` : ''}
+${priceLine}
+
+*לאישור שלח:* 1 / אישור
+*לביטול שלח:* 2 / ביטול`;
+  }
+
+  async handleConfirmation(session, message) {
+    const answer = normalizeText(message);
+
+    if (REJECT_ANSWERS.includes(answer)) {
+      return await this.cancelBooking(session.phone);
+    }
+
+    if (!CONFIRM_ANSWERS.includes(answer)) {
+      return this.getSummary(session);
+    }
+
+    const ride = await this.createRide(session);
+
+    session.status = 'confirmed';
+    session.currentStep = 'completed';
+    session.rideId = ride._id;
+    session.completedAt = new Date();
+    await session.save();
+
+    return `✅ *ההזמנה התקבלה!*
+
+🚖 *מספר נסיעה:* ${ride.rideNumber}
+💰 *מחיר:* ₪${ride.price}
+
+אנחנו מחפשים לך נהג - נעדכן אותך כאן ברגע שיימצא. 🙏`;
+  }
+
+  /**
+   * יצירת הנסיעה מהסשן ושליחה לנהגים
+   */
+  async createRide(session) {
+    const { data, quote } = session;
+    const rideNumber = await rideNumberGenerator.formatRideNumber();
+
+    const ride = await Ride.create({
+      rideNumber,
+      customerName: data.customerName || 'לקוח WhatsApp',
+      customerPhone: session.phone,
+      pickup: data.pickup,
+      destination: data.destination,
+      pickupLocation: data.pickupLocation,
+      destinationLocation: data.destinationLocation,
+      scheduledTime: data.scheduledTime ? data.scheduledTime.toISOString() : null,
+      notes: data.notes,
+      price: quote.price,
+      pricingDetails: quote.pricingDetails,
+      status: 'created',
+      rideType: 'regular',
+      groupChat: 'default',
+      createdBy: 'whatsapp_customer',
+      timeline: [{
+        event: 'created',
+        timestamp: new Date(),
+        details: { source: 'whatsapp_booking', quote: quote.price }
+      }]
+    });
+
+    // 🏢 עובד של חשבון חברה - על החשבון; 👛 אחרת ארנק משולם מראש - יחויב בסיום
+    const billedToAccount = await corporateBillingService.attachAccount(ride);
+    if (billedToAccount || await promotionService.attachWallet(ride)) {
+      await ride.save();
+    }
+
+    logger.success('🚕 Ride booked via WhatsApp', {
+      rideNumber,
+      customerPhone: session.phone,
+      price: quote.price
+    });
+
+    websockets.emitNewRide(ride);
+
+    try {
+      const result = await dispatchManager.sendRide(ride);
+
+      await rideStateMachine.transition(ride, 'sent', {
+        actor: 'whatsapp_booking',
+        actorRole: 'system',
+        event: 'sent',
+        reason: `Dispatched via ${result.method}`,
+        set: { dispatchMethod: result.method === 'twilio' ? 'twilio' : 'bot' },
+        expectedFrom: ['created']
+      });
+    } catch (error) {
+      // הנסיעה נשארת ב-created - הסדרן יראה אותה בלוח
+      logger.error('❌ Failed to dispatch WhatsApp booking', {
+        rideNumber,
+        error: error.message
+      });
+    }
+
+    return ride;
+  }
+
+  /**
+   * Cancel booking
+   */
+  async cancelBooking(phone) {
+    await BookingSession.updateOne(
+      { phone, status: 'in_progress' },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+
+    logger.info('Customer booking cancelled', { phone });
+
+    return '❌ *ההזמנה בוטלה*\n\nלהזמנה חדשה שלח: *הזמנה*';
+  }
+
+  // ===============================================
+  // 📣 CUSTOMER STATUS NOTIFICATIONS
+  // ===============================================
+
+  /**
+   * הגדר handler לשליחת הודעה ללקוח: async (phone, message) => {}
+   * ברירת מחדל: Twilio WhatsApp (אם מוגדרים credentials)
+   */
+  setSendHandler(handler) {
+    this.sendHandler = handler;
+    logger.debug('Customer notification handler configured');
+  }
+
+  async sendToCustomer(phone, message) {
+    if (!this.sendHandler) {
+      if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_WHATSAPP_FROM) {
+        throw new Error('Customer notification handler not configured');
+      }
+
+      // טעינה דינמית - twilioAdapter עוצר את התהליך אם חסרים credentials
+      const { default: twilioAdapter } = await import('./twilioAdapter.js');
+      this.sendHandler = (to, text) => twilioAdapter.sendWhatsAppMessage(to, text);
+    }
+
+    return this.sendHandler(phone, message);
+  }
+
+  /**
+   * עדכון הלקוח על שינוי סטטוס בנסיעה שהוזמנה ב-WhatsApp
+   * לעולם לא זורק; כל הודעה נשלחת פעם אחת בלבד לנסיעה
+   * @param {Object} ride - הנסיעה אחרי העדכון
+   */
+  async notifyRideStatus(ride) {
+    try {
+      const event = CUSTOMER_STATUS_EVENTS[ride?.status];
+
+      if (!event || ride.createdBy !== 'whatsapp_customer' || !ride.customerPhone) {
+        return false;
+      }
+
+      // סימון אטומי - מונע הודעה כפולה (למשל locked ואז approved)
+      const claimed = await Ride.updateOne(
+        {
+          _id: ride._id,
+          timeline: { $not: { $elemMatch: { event: 'customer_notified', 'details.type': event } } }
+        },
+        {
+          $push: {
+            timeline: {
+              event: 'customer_notified',
+              timestamp: new Date(),
+              details: { type: event, status: ride.status }
+            }
+          }
+        }
+      );
+
+      if (claimed.modifiedCount === 0) {
+        return false;
+      }
+
+      const message = await this.createStatusMessage(ride, event);
+      await this.sendToCustomer(ride.customerPhone, message);
+
+      logger.info('📣 Customer notified on ride status', {
+        rideNumber: ride.rideNumber,
+        event
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to notify customer on ride status', {
+        rideNumber: ride?.rideNumber,
+        status: ride?.status,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  async createStatusMessage(ride, event) {
+    if (event === 'driver_enroute') {
+      return `🚖 *הנהג בדרך אליך!*\n\nנסיעה ${ride.rideNumber}\n📍 ${ride.pickup}`;
+    }
+
+    if (event === 'driver_arrived') {
+      return `📍 *הנהג הגיע!*\n\nנסיעה ${ride.rideNumber} - הנהג ממתין לך ב: ${ride.pickup}`;
+    }
+
+    const driver = ride.driverPhone
+      ? await Driver.findOne({ phone: ride.driverPhone }).select('name vehicleType vehicleNumber')
+      : null;
+    const vehicle = [driver?.vehicleType, driver?.vehicleNumber].filter(Boolean).join(' - ');
+
+    return `✅ *נמצא נהג לנסיעה שלך!*
+
+🚖 *נסיעה:* ${ride.rideNumber}
+👤 *נהג:* ${ride.driverName || driver?.name || 'נהג'}
+${vehicle ? `🚗 *רכב:* ${vehicle}\n` : ''}☎️ *טלפון:* ${ride.driverPhone || '-'}
+
+נעדכן כשהנהג יצא לדרך.`;
+  }
+}
+
+// ===============================================
+// 📤 EXPORT
+// ===============================================
+
+const customerBookingHandler = new CustomerBookingHandler();
+
+// 📣 כל מעבר סטטוס (ממשק, בוט, נהג) מעדכן את הלקוח
+rideStateMachine.after(Object.keys(CUSTOMER_STATUS_EVENTS), ({ ride }) =>
+  customerBookingHandler.notifyRideStatus(ride)
+);
+
+export default customerBookingHandler;
@@ -0,0 +1,181 @@
+import { Customer, Ride } from '../models/index.js';
+import settingsStore from './settingsStore.js';
+import logger from './logger.js';
+
+// ===============================================
+// 👤 CUSTOMER SERVICE
+// ===============================================
+// פרופיל לקוח סביב models/Customer.js:
+// - סטטיסטיקה מחושבת מחדש מהנסיעות (בסיום / ביטול נסיעה ובמילוי לאחור)
+// - דרגת VIP לפי customers.vipTiers וחסימה אוטומטית אחרי אי-הגעות
+// - אזהרות לסדרן בפתיחת נסיעה ("הלקוח לא הגיע 3 פעמים")
+
+const COMPLETED_STATUSES = ['finished', 'commission_paid', 'completed'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class CustomerService {
+  /**
+   * הדרגה הגבוהה שהלקוח עומד בה (tiers ממוינות מהנמוכה לגבוהה)
+   */
+  vipTierFor(stats, tiers = settingsStore.get('customers').vipTiers) {
+    let tier = null;
+    for (const candidate of tiers) {
+      if (stats.completedRides >= candidate.minRides && stats.totalSpent >= candidate.minSpent) {
+        tier = candidate.code;
+      }
+    }
+    return tier;
+  }
+
+  /**
+   * חישוב מחדש של stats, דרגת VIP וחסימה אוטומטית מכל נסיעות הלקוח
+   */
+  async refreshStats(customerId) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) return null;
+
+    const [totals] = await Ride.aggregate([
+      { $match: { customerId: customer._id } },
+      {
+        $group: {
+          _id: null,
+          totalRides: { $sum: 1 },
+          completedRides: { $sum: { $cond: [{ $in: ['$status', COMPLETED_STATUSES] }, 1, 0] } },
+          cancelledRides: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          noShows: { $sum: { $cond: [{ $eq: ['$customerNoShow', true] }, 1, 0] } },
+          totalSpent: { $sum: { $cond: [{ $in: ['$status', COMPLETED_STATUSES] }, '$price', 0] } },
+          firstRideAt: { $min: '$createdAt' },
+          lastRideAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+
+    const stats = {
+      totalRides: totals?.totalRides || 0,
+      completedRides: totals?.completedRides || 0,
+      cancelledRides: totals?.cancelledRides || 0,
+      noShows: totals?.noShows || 0,
+      totalSpent: roundMoney(totals?.totalSpent || 0),
+      avgRidePrice: totals?.completedRides ? roundMoney(totals.totalSpent / totals.completedRides) : 0,
+      firstRideAt: totals?.firstRideAt || null,
+      lastRideAt: totals?.lastRideAt || null,
+      refreshedAt: new Date()
+    };
+
+    const settings = settingsStore.get('customers');
+    const previousNoShows = customer.stats?.noShows || 0;
+    customer.stats = stats;
+    customer.vipTier = this.vipTierFor(stats, settings.vipTiers);
+
+    // רק במעבר את הסף - לקוח ששוחרר ידנית לא נחסם שוב באותה ספירה
+    const threshold = settings.noShowBlacklistThreshold;
+    if (threshold > 0 && previousNoShows < threshold && stats.noShows >= threshold && !customer.isBlacklisted) {
+      this.applyBlacklist(customer, `חסימה אוטומטית: ${stats.noShows} אי-הגעות`, 'system');
+      logger.warn('Customer auto-blacklisted', { phone: customer.phone, noShows: stats.noShows });
+    }
+
+    await customer.save();
+    return customer;
+  }
+
+  /**
+   * רענון ללא זריקת שגיאה - לשימוש ב-hooks של מכונת המצבים
+   */
+  async refreshForRide(ride) {
+    if (!ride.customerId) return;
+    try {
+      await this.refreshStats(ride.customerId);
+    } catch (err) {
+      logger.error('Customer stats refresh failed', { rideId: ride._id, error: err.message });
+    }
+  }
+
+  applyBlacklist(customer, reason, by) {
+    customer.isBlacklisted = true;
+    customer.blacklistReason = reason || null;
+    customer.blacklistedAt = new Date();
+    customer.blacklistedBy = by;
+  }
+
+  clearBlacklist(customer) {
+    customer.isBlacklisted = false;
+    customer.blacklistReason = null;
+    customer.blacklistedAt = null;
+    customer.blacklistedBy = null;
+  }
+
+  /**
+   * אזהרות לסדרן: [{ level, code, message }]
+   */
+  alertsFor(customer) {
+    if (!customer) return [];
+
+    const { noShowWarningThreshold, vipTiers } = settingsStore.get('customers');
+    const alerts = [];
+
+    if (customer.isBlacklisted) {
+      alerts.push({
+        level: 'danger',
+        code: 'blacklisted',
+        message: customer.blacklistReason ? `לקוח חסום: ${customer.blacklistReason}` : 'לקוח חסום'
+      });
+    }
+
+    const noShows = customer.stats?.noShows || 0;
+    if (noShows >= noShowWarningThreshold) {
+      alerts.push({ level: 'warning', code: 'no_shows', message: `הלקוח לא הגיע ${noShows} פעמים` });
+    }
+
+    const tierCode = customer.vipTierOverride || customer.vipTier;
+    if (tierCode) {
+      const tier = vipTiers.find(entry => entry.code === tierCode);
+      alerts.push({ level: 'info', code: 'vip', message: `לקוח VIP - ${tier?.name || tierCode}` });
+    }
+
+    const lastNote = customer.notes?.[customer.notes.length - 1];
+    if (lastNote) {
+      alerts.push({ level: 'info', code: 'note', message: `הערה: ${lastNote.text}` });
+    }
+
+    return alerts;
+  }
+
+  /**
+   * הלקוח של נסיעה (לפי customerId, או לפי טלפון לנסיעות שלא קושרו)
+   */
+  async getForRide(ride) {
+    if (ride.customerId) {
+      return Customer.findById(ride.customerId._id || ride.customerId);
+    }
+    return Customer.findByPhone(ride.customerPhone);
+  }
+
+  /**
+   * הלקוח חסום להזמנה עצמית (אתר / WhatsApp)? מחזיר את הלקוח החסום או null
+   */
+  async blockedForBooking(phone) {
+    if (!settingsStore.get('customers').blockBlacklistedBookings) return null;
+
+    const customer = await Customer.findByPhone(phone);
+    return customer?.isBlacklisted ? customer : null;
+  }
+
+  /**
+   * מזהי הנהגים המועדפים של לקוח הנסיעה (לתעדוף בשיבוץ)
+   */
+  async preferredDriverIds(ride) {
+    if (!ride.customerId) return [];
+
+    const customer = await Customer.findById(ride.customerId).select('preferredDrivers').lean();
+    return (customer?.preferredDrivers || []).map(entry => entry.driverId.toString());
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const customerService = new CustomerService();
+
+export default customerService;
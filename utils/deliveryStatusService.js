@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import MessageLog from '../models/MessageLog.js';
+import websockets from './websockets.js';
+import logger from './logger.js';
+
+// ===============================================
+// 📬 DELIVERY STATUS SERVICE
+// ===============================================
+// עדכוני מסירה מ-Twilio (status callbacks) → MessageLog + Campaign.stats:
+// - queued / sent / delivered / read / failed / undelivered
+// - סטטוס מתקדם רק קדימה (callbacks יכולים להגיע שלא לפי הסדר)
+// - משפכי מסירה לנסיעה (הצעות לנהגים) ולקמפיין + דוח קודי שגיאה
+
+// סטטוס Twilio → סטטוס MessageLog
+const TWILIO_STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed',
+  undelivered: 'failed'
+};
+
+// סדר ההתקדמות - עדכון רק לסטטוס גבוה יותר
+const STATUS_RANK = {
+  pending: 0,
+  queued: 1,
+  sent: 2,
+  delivered: 3,
+  read: 4
+};
+
+// failed אפשרי רק לפני שההודעה נמסרה
+const FAILABLE_STATUSES = ['pending', 'queued', 'sent'];
+
+// קודי שגיאה נפוצים של Twilio / WhatsApp
+export const TWILIO_ERROR_CODES = {
+  '21211': 'Invalid "To" phone number',
+  '21408': 'Permission to send to this region is not enabled',
+  '21610': 'Recipient unsubscribed (STOP)',
+  '30003': 'Unreachable destination handset',
+  '30004': 'Message blocked',
+  '30005': 'Unknown destination handset',
+  '30006': 'Landline or unreachable carrier',
+  '30007': 'Message filtered by carrier',
+  '30008': 'Unknown error',
+  '63003': 'WhatsApp: invalid destination number',
+  '63016': 'WhatsApp: outside the 24h session window (template required)',
+  '63018': 'WhatsApp: rate limit exceeded'
+};
+
+class DeliveryStatusService {
+
+  /**
+   * עיבוד status callback של Twilio
+   * @param {Object} payload - גוף ה-callback (MessageSid, MessageStatus, ErrorCode, ErrorMessage)
+   * @returns {Promise<Object>} - { matched, updated, status }
+   */
+  async applyTwilioStatus(payload) {
+    const sid = payload.MessageSid || payload.SmsSid;
+    const twilioStatus = (payload.MessageStatus || payload.SmsStatus || '').toLowerCase();
+    const status = TWILIO_STATUS_MAP[twilioStatus];
+
+    if (!sid || !status) {
+      return { matched: false, updated: false, status: twilioStatus || null };
+    }
+
+    const log = await MessageLog.findOne({ messageId: sid });
+    if (!log) {
+      logger.debug('📬 Status callback for unknown message', { sid, status: twilioStatus });
+      return { matched: false, updated: false, status };
+    }
+
+    const update = this.buildUpdate(log, status, payload);
+    if (!update) {
+      return { matched: true, updated: false, status: log.status };
+    }
+
+    // עדכון אטומי מול הסטטוס שקראנו - callback מקביל לא יספר פעמיים
+    const updated = await MessageLog.findOneAndUpdate(
+      { _id: log._id, status: log.status },
+      update,
+      { new: true }
+    );
+
+    if (!updated) {
+      return { matched: true, updated: false, status: log.status };
+    }
+
+    await this.updateCampaignStats(log.status, updated);
+    this.emitUpdates(updated);
+
+    if (status === 'failed') {
+      logger.warn('📬 Message delivery failed', {
+        sid,
+        to: updated.to,
+        errorCode: updated.errorCode,
+        rideId: updated.rideId || null,
+        campaignId: updated.campaignId || null
+      });
+    }
+
+    return { matched: true, updated: true, status: updated.status };
+  }
+
+  buildUpdate(log, status, payload) {
+    const now = new Date();
+
+    if (status === 'failed') {
+      if (!FAILABLE_STATUSES.includes(log.status)) return null;
+
+      const errorCode = payload.ErrorCode ? String(payload.ErrorCode) : null;
+      return {
+        $set: {
+          status: 'failed',
+          failedAt: now,
+          errorCode,
+          failureReason: payload.ErrorMessage || TWILIO_ERROR_CODES[errorCode] || payload.MessageStatus
+        }
+      };
+    }
+
+    const currentRank = STATUS_RANK[log.status];
+    if (currentRank === undefined || STATUS_RANK[status] <= currentRank) return null;
+
+    const $set = { status };
+    if (status === 'sent' && !log.sentAt) $set.sentAt = now;
+    if (status === 'delivered') $set.deliveredAt = now;
+    if (status === 'read') {
+      $set.readAt = now;
+      if (!log.deliveredAt) $set.deliveredAt = now;
+    }
+
+    return { $set };
+  }
+
+  /**
+   * Campaign.stats לפי המעבר (previous → updated.status)
+   */
+  async updateCampaignStats(previous, updated) {
+    if (!updated.campaignId || !mongoose.isValidObjectId(updated.campaignId)) return;
+
+    const wasSent = STATUS_RANK[previous] >= STATUS_RANK.sent;
+    const wasDelivered = STATUS_RANK[previous] >= STATUS_RANK.delivered;
+    const $inc = {};
+
+    switch (updated.status) {
+      case 'sent':
+        $inc['stats.sent'] = 1;
+        break;
+      case 'delivered':
+        if (!wasSent) $inc['stats.sent'] = 1;
+        $inc['stats.delivered'] = 1;
+        break;
+      case 'read':
+        if (!wasSent) $inc['stats.sent'] = 1;
+        if (!wasDelivered) $inc['stats.delivered'] = 1;
+        $inc['stats.read'] = 1;
+        break;
+      case 'failed':
+        // נספרה כנשלחת - עוברת לנכשלות
+        if (wasSent) $inc['stats.sent'] = -1;
+        $inc['stats.failed'] = 1;
+        break;
+      default:
+        return;
+    }
+
+    const campaign = await Campaign.findByIdAndUpdate(updated.campaignId, { $inc }, { new: true })
+      .select('name status stats');
+
+    if (campaign) {
+      websockets.emitCampaignUpdate(String(campaign._id), {
+        name: campaign.name,
+        status: campaign.status,
+        stats: campaign.stats
+      });
+    }
+  }
+
+  emitUpdates(log) {
+    if (log.rideId) {
+      websockets.emitRideUpdate(String(log.rideId), {
+        event: 'offer_delivery',
+        driverPhone: log.to,
+        driverId: log.driverId || null,
+        deliveryStatus: log.status,
+        errorCode: log.errorCode || null
+      });
+    }
+  }
+
+  // ===============================================
+  // 📊 FUNNELS
+  // ===============================================
+
+  /**
+   * משפך מסירת הצעות לנסיעה: לכל נהג - הסטטוס האחרון של ההצעה
+   * notReceived = נהגים שההצעה שלהם נכשלה או לא אושרה כנמסרה
+   */
+  async getRideFunnel(rideId) {
+    const logs = await MessageLog.find({ rideId })
+      .sort({ createdAt: 1 })
+      .select('to driverId status channel errorCode failureReason sentAt deliveredAt readAt failedAt metadata createdAt')
+      .lean();
+
+    const recipients = logs.map(log => ({
+      driverId: log.driverId || null,
+      phone: log.to,
+      kind: log.metadata?.kind || null,
+      channel: log.channel,
+      status: log.status,
+      errorCode: log.errorCode || null,
+      errorDescription: log.errorCode ? TWILIO_ERROR_CODES[log.errorCode] || null : null,
+      failureReason: log.failureReason || null,
+      sentAt: log.sentAt || null,
+      deliveredAt: log.deliveredAt || null,
+      readAt: log.readAt || null
+    }));
+
+    return {
+      rideId,
+      funnel: this.countFunnel(logs.map(log => ({ _id: log.status, count: 1 }))),
+      recipients,
+      notReceived: recipients.filter(r => !['delivered', 'read'].includes(r.status))
+    };
+  }
+
+  /**
+   * משפך מסירה לקמפיין + פילוח שגיאות
+   */
+  async getCampaignFunnel(campaignId) {
+    const match = { campaignId: String(campaignId) };
+
+    const [byStatus, errors] = await Promise.all([
+      MessageLog.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      this.getErrorReport(match)
+    ]);
+
+    return {
+      campaignId,
+      funnel: this.countFunnel(byStatus),
+      errors
+    };
+  }
+
+  /**
+   * דוח קודי שגיאה
+   * @param {Object} match - סינון MessageLog נוסף (למשל campaignId / טווח תאריכים)
+   */
+  async getErrorReport(match = {}) {
+    const rows = await MessageLog.aggregate([
+      { $match: { ...match, status: 'failed' } },
+      {
+        $group: {
+          _id: '$errorCode',
+          count: { $sum: 1 },
+          lastAt: { $max: '$failedAt' },
+          sampleReason: { $last: '$failureReason' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    return rows.map(row => ({
+      errorCode: row._id || null,
+      description: (row._id && TWILIO_ERROR_CODES[row._id]) || row.sampleReason || null,
+      count: row.count,
+      lastAt: row.lastAt || null
+    }));
+  }
+
+  /**
+   * ספירה מצטברת: כל הודעה שנמסרה נספרת גם כנשלחת וכו'
+   * @param {Array} statusCounts - [{ _id: status, count }]
+   */
+  countFunnel(statusCounts) {
+    const funnel = { total: 0, queued: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+
+    for (const { _id: status, count } of statusCounts) {
+      funnel.total += count;
+      if (status === 'failed') {
+        funnel.failed += count;
+        continue;
+      }
+      const rank = STATUS_RANK[status] ?? 0;
+      if (rank <= STATUS_RANK.queued) funnel.queued += count;
+      if (rank >= STATUS_RANK.sent) funnel.sent += count;
+      if (rank >= STATUS_RANK.delivered) funnel.delivered += count;
+      if (rank >= STATUS_RANK.read) funnel.read += count;
+    }
+
+    return funnel;
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const deliveryStatusService = new DeliveryStatusService();
+
+export default deliveryStatusService;
@@ -0,0 +1,99 @@
+import { Driver, WhatsAppGroup } from '../models/index.js';
+import botGateway from './botGateway.js';
+import dispatchManager from './dispatchManager.js';
+import logger from './logger.js';
+import { createDriverOfferMessage, createGroupMessage, sendBulkMessagesWithRateLimit } from './messaging.js';
+import outboundMessageQueue from './outboundMessageQueue.js';
+
+// ===============================================
+// 🔌 DISPATCH CHANNELS
+// ===============================================
+// חיבור ערוצי השליחה ל-dispatchManager בהפעלת השרת:
+// - הצעה אישית לנהג (geo / waterfall): createDriverOfferMessage דרך outboundMessageQueue.send (בוט → Twilio)
+// - שליחה לקבוצה דרך הבוט: botGateway.dispatch
+// - שליחה לקבוצה דרך Twilio: הודעת קבוצה לכל מספרי קבוצת ברירת המחדל של התחנה,
+//   ואם אין - לכל הנהגים הזכאים (כמו POST /api/rides)
+
+function twilioConfigured() {
+  return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_WHATSAPP_FROM);
+}
+
+/**
+ * נמעני השליחה לקבוצה דרך Twilio
+ * @returns {Promise<Array<string>>} - מספרי טלפון
+ */
+async function groupRecipients(ride) {
+  const defaultGroup = await WhatsAppGroup.getDefault(ride.station);
+  if (defaultGroup?.phoneNumbers?.length > 0) {
+    // נהגים בקבוצה עם מסמך שפג תוקפו (לא documentsValidFilter) לא מקבלים את ההודעה
+    const suspended = await Driver.find({
+      phone: { $in: defaultGroup.phoneNumbers },
+      $nor: [Driver.documentsValidFilter()]
+    }).distinct('phone');
+
+    return defaultGroup.phoneNumbers.filter(phone => !suspended.includes(phone));
+  }
+
+  const drivers = await Driver.find({
+    isActive: true,
+    isBlocked: { $ne: true },
+    ...Driver.documentsValidFilter(),
+    ...(ride.station ? { station: { $in: [ride.station, null] } } : {})
+  }, 'phone');
+
+  return drivers.map(d => d.phone).filter(Boolean);
+}
+
+/**
+ * הצעה לנהג בודד - מחזיר { channel, messageId } ל-MessageLog של ההצעה
+ */
+export async function sendDriverOffer(ride, driver) {
+  return outboundMessageQueue.send(driver.phone, createDriverOfferMessage(ride, driver));
+}
+
+/**
+ * שליחה לקבוצה דרך Twilio
+ * @throws {Error} - אם אין נמענים או שאף הודעה לא נשלחה
+ */
+export async function sendGroupViaTwilio(ride) {
+  const phones = await groupRecipients(ride);
+  if (phones.length === 0) {
+    throw new Error('No recipients for group broadcast');
+  }
+
+  const results = await sendBulkMessagesWithRateLimit(phones, createGroupMessage(ride));
+  if (results.success.length === 0) {
+    throw new Error(`Twilio broadcast failed for all ${phones.length} recipients`);
+  }
+
+  return {
+    successCount: results.success.length,
+    failedCount: results.failed.length
+  };
+}
+
+/**
+ * רישום ה-handlers ב-dispatchManager (server.js)
+ * ערוץ שלא מוגדר לא נרשם - dispatchManager מדלג עליו / עובר ל-fallback
+ */
+export function registerDispatchHandlers() {
+  const bot = botGateway.isEnabled;
+  const twilio = twilioConfigured();
+
+  if (!bot && !twilio) {
+    logger.warn('⚠️ No dispatch channel configured (BOT_URL / TWILIO_*) - rides will not be sent');
+    return;
+  }
+
+  dispatchManager.setDriverHandler(sendDriverOffer);
+
+  if (bot) {
+    dispatchManager.setBotHandler(ride => botGateway.dispatch(ride));
+  }
+
+  if (twilio) {
+    dispatchManager.setTwilioHandler(sendGroupViaTwilio);
+  }
+
+  logger.info('🔌 Dispatch channels registered', { bot, twilio, driverOffers: true });
+}
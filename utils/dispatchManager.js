@@ -5,19 +5,45 @@
 // - נסיון ראשון: בוט (whatsapp-web.js)
 // - אם נכשל: Twilio (fallback)
 // - מעקב אחר ביצועים והחלפה אוטומטית
+// - Geo dispatch: הצעה לנהגים הקרובים בטבעות מתרחבות לפני שליחה לקבוצה
+// - Waterfall: הצעה לנהג אחד בכל פעם, לפי דירוג, עם זמן תפוגה לכל הצעה
 
 import logger from './logger.js';
 import config from '../config/index.js';
+import settingsStore from './settingsStore.js';
+import customerService from './customerService.js';
+import rideStateMachine from './rideStateMachine.js';
+import { Driver, MessageLog, Ride } from '../models/index.js';
+
+// סטטוסים שבהם הנסיעה עדיין פתוחה לקבלה
+// (תואם ל-rideStateMachine: רק מהם מותר לעבור ל-sent)
+const OPEN_STATUSES = ['created', 'distributed', 'sent'];
+
+// סטטוסים שבהם הנהג עסוק בנסיעה אחרת
+const BUSY_STATUSES = ['locked', 'assigned', 'approved', 'enroute', 'arrived'];
+
+const VALID_MODES = ['auto', 'bot-only', 'twilio-only', 'waterfall'];
 
 class DispatchManager {
   constructor() {
     // ===============================================
     // 🎛️ CONFIGURATION
     // ===============================================
-    this.mode = process.env.DISPATCH_MODE || 'auto';  // auto | bot-only | twilio-only
-    this.maxBotFailures = parseInt(process.env.MAX_BOT_FAILURES || '3');
-    this.maxTwilioFailures = parseInt(process.env.MAX_TWILIO_FAILURES || '3');
+    // ההגדרות נטענות מ-settingsStore (מקטע dispatch, ברירת מחדל ממשתני הסביבה)
+    // ומתעדכנות בזמן ריצה דרך אירוע change:dispatch
+    const settings = settingsStore.get('dispatch');
+    this.mode = settings.mode;  // auto | bot-only | twilio-only | waterfall
     this.healthCheckInterval = parseInt(process.env.HEALTH_CHECK_INTERVAL || '30000'); // 30s
+    this.applySettings(settings);
+    
+    settingsStore.on('change:dispatch', ({ values, previous, action }) => {
+      this.applySettings(values);
+      
+      // מצב שהשתנה בזמן ריצה (failover אוטומטי) לא נדרס אלא אם המצב עצמו שונה בהגדרות
+      if (values.mode !== previous.mode || action === 'load') {
+        this.switchMode(values.mode);
+      }
+    });
     
     // ===============================================
     // 📊 STATE TRACKING
@@ -49,6 +75,20 @@ class DispatchManager {
         lastFailure: null,
         averageResponseTime: 0
       },
+      geo: {
+        dispatches: 0,
+        offersSent: 0,
+        ringsWidened: 0,
+        groupFallbacks: 0
+      },
+      waterfall: {
+        started: 0,
+        offersSent: 0,
+        accepted: 0,
+        declined: 0,
+        expired: 0,
+        groupFallbacks: 0
+      },
       total: {
         ridesDispatched: 0,
         failedDispatches: 0
@@ -60,6 +100,7 @@ class DispatchManager {
     // ===============================================
     this.sendViaBotHandler = null;
     this.sendViaTwilioHandler = null;
+    this.sendToDriverHandler = null;
     this.botHealthCheckHandler = null;
     this.twilioHealthCheckHandler = null;
     
@@ -68,10 +109,21 @@ class DispatchManager {
     // ===============================================
     this.healthCheckTimer = null;
     
+    // ===============================================
+    // 📍 ACTIVE GEO DISPATCHES (rideId -> state)
+    // ===============================================
+    this.geoDispatches = new Map();
+    
+    // ===============================================
+    // 🌊 ACTIVE WATERFALLS (rideId -> state)
+    // ===============================================
+    this.waterfalls = new Map();
+    
     logger.info('🧠 DispatchManager initialized', {
       mode: this.mode,
       maxBotFailures: this.maxBotFailures,
-      maxTwilioFailures: this.maxTwilioFailures
+      maxTwilioFailures: this.maxTwilioFailures,
+      geoDispatch: this.geoDispatchEnabled ? this.geoRingsKm.join('/') + 'km' : 'disabled'
     });
   }
 
@@ -82,9 +134,10 @@ class DispatchManager {
   /**
    * שלח נסיעה - הפונקציה המרכזית
    * @param {Object} ride - אובייקט הנסיעה
+   * @param {Object} options - { skipGeo, skipWaterfall: לשלוח ישר לקבוצה }
    * @returns {Promise<Object>} - תוצאה: { method, success, error }
    */
-  async sendRide(ride) {
+  async sendRide(ride, options = {}) {
     const startTime = Date.now();
     
     logger.info('📤 Dispatching ride...', {
@@ -96,6 +149,60 @@ class DispatchManager {
     let result = null;
     let error = null;
 
+    // ===============================================
+    // 🌊 WATERFALL - ONE DRIVER AT A TIME
+    // ===============================================
+    if (!options.skipWaterfall && this.shouldTryWaterfall()) {
+      try {
+        const waterfallResult = await this._startWaterfall(ride);
+        
+        if (waterfallResult) {
+          if (waterfallResult.success) this.stats.total.ridesDispatched++;
+          return {
+            ...waterfallResult,
+            responseTime: Date.now() - startTime
+          };
+        }
+        
+        logger.info('🌊 No waterfall candidates, broadcasting to group', {
+          rideNumber: ride.rideNumber
+        });
+      } catch (err) {
+        logger.warn('⚠️ Waterfall dispatch failed, broadcasting to group', {
+          rideNumber: ride.rideNumber,
+          error: err.message
+        });
+      }
+      
+      options = { ...options, skipGeo: true };
+    }
+
+    // ===============================================
+    // 📍 TRY NEAREST DRIVERS FIRST (if ride is geocoded)
+    // ===============================================
+    if (!options.skipGeo && this.shouldTryGeoDispatch(ride)) {
+      try {
+        const geoResult = await this._startGeoDispatch(ride);
+        
+        if (geoResult) {
+          this.stats.total.ridesDispatched++;
+          return {
+            ...geoResult,
+            responseTime: Date.now() - startTime
+          };
+        }
+        
+        logger.info('📍 No nearby drivers found, broadcasting to group', {
+          rideNumber: ride.rideNumber
+        });
+      } catch (err) {
+        logger.warn('⚠️ Geo dispatch failed, broadcasting to group', {
+          rideNumber: ride.rideNumber,
+          error: err.message
+        });
+      }
+    }
+
     // ===============================================
     // 🤖 TRY BOT FIRST (if applicable)
     // ===============================================
@@ -183,9 +290,9 @@ class DispatchManager {
       }
     }
 
-    // אם הגענו לכאן - אין אפשרות לשלוח
+    // אם הגענו לכאן - אין אפשרות לשלוח (bot-only והבוט נכשל, או שאף ערוץ לא פעיל)
     this.stats.total.failedDispatches++;
-    throw new Error('No dispatch method available');
+    throw new Error(error ? `Bot dispatch failed: ${error.message}` : 'No dispatch method available');
   }
 
   // ===============================================
@@ -214,10 +321,580 @@ class DispatchManager {
     return await this.sendViaTwilioHandler(ride);
   }
 
+  // ===============================================
+  // 📍 GEO DISPATCH - NEAREST DRIVERS IN RINGS
+  // ===============================================
+  
+  /**
+   * התחלת הצעה לנהגים קרובים - טבעת ראשונה שיש בה נהגים
+   * @returns {Promise<Object|null>} - null אם אין נהגים באף טבעת
+   */
+  async _startGeoDispatch(ride) {
+    const rideId = String(ride._id);
+    this.cancelGeoDispatch(rideId);
+    
+    const state = {
+      ride,
+      ringIndex: -1,
+      offeredPhones: new Set(),
+      timer: null,
+      startedAt: new Date()
+    };
+    
+    const offer = await this._offerNextRing(state);
+    if (!offer) {
+      return null;
+    }
+    
+    this.geoDispatches.set(rideId, state);
+    this._scheduleRingTimeout(rideId, state);
+    this.stats.geo.dispatches++;
+    
+    return {
+      method: 'geo',
+      success: true,
+      successCount: offer.sent,
+      details: offer
+    };
+  }
+
+  /**
+   * מעבר לטבעת הבאה שיש בה נהגים שעוד לא קיבלו הצעה
+   * @returns {Promise<Object|null>} - { ringKm, sent, drivers } או null אם נגמרו הטבעות
+   */
+  async _offerNextRing(state) {
+    const { ride } = state;
+    
+    while (state.ringIndex < this.geoRingsKm.length - 1) {
+      state.ringIndex++;
+      const ringKm = this.geoRingsKm[state.ringIndex];
+      
+      const drivers = await Driver.findNearestEligible(ride.pickupLocation.coordinates, {
+        maxDistanceKm: ringKm,
+        limit: this.geoMaxDrivers,
+        excludePhones: [...state.offeredPhones],
+        maxLocationAgeMinutes: this.geoMaxLocationAge,
+        // נהגי התחנה של הנסיעה + נהגים בלי תחנה
+        stations: ride.station ? [ride.station] : [],
+        includeUnassigned: true
+      });
+      
+      if (drivers.length === 0) {
+        continue;
+      }
+      
+      let sent = 0;
+      for (const driver of drivers) {
+        state.offeredPhones.add(driver.phone);
+        try {
+          await this._sendDriverOffer(ride, driver, 'geo_offer');
+          sent++;
+        } catch (err) {
+          logger.warn('⚠️ Failed to offer ride to driver', {
+            rideNumber: ride.rideNumber,
+            driverPhone: driver.phone,
+            error: err.message
+          });
+        }
+      }
+      
+      if (sent === 0) {
+        continue;
+      }
+      
+      this.stats.geo.offersSent += sent;
+      if (state.ringIndex > 0) {
+        this.stats.geo.ringsWidened++;
+      }
+      
+      const offeredTo = drivers.map(d => ({
+        driverId: d._id,
+        phone: d.phone,
+        name: d.name,
+        distanceKm: Math.round(d.distanceMeters / 100) / 10
+      }));
+      
+      // רק אם הנסיעה עדיין פתוחה - נהג שכבר נעל לא יחזיר אותה ל-sent
+      await rideStateMachine.transition(ride._id, 'sent', {
+        actor: 'dispatch',
+        actorRole: 'system',
+        event: 'geo_offer',
+        reason: `Offered to ${sent} drivers within ${ringKm}km`,
+        details: { ringKm, drivers: offeredTo },
+        inc: { sentCount: sent },
+        expectedFrom: OPEN_STATUSES
+      });
+      
+      logger.success('📍 Ride offered to nearest drivers', {
+        rideNumber: ride.rideNumber,
+        ringKm,
+        sent
+      });
+      
+      return { ringKm, sent, drivers: offeredTo };
+    }
+    
+    return null;
+  }
+
+  /**
+   * שליחת הצעה לנהג + רשומת MessageLog (משפך מסירה לנסיעה)
+   * ה-handler מחזיר SID / { sid | messageId, channel } - status callbacks מעדכנים לפיו
+   * @throws {Error} - שגיאת ה-handler (אחרי רישום failed)
+   */
+  async _sendDriverOffer(ride, driver, kind) {
+    const log = {
+      to: driver.phone,
+      text: `הצעת נסיעה ${ride.rideNumber}`,
+      rideId: ride._id,
+      driverId: driver._id,
+      sentBy: 'dispatch',
+      metadata: { kind, rideNumber: ride.rideNumber }
+    };
+
+    try {
+      const result = await this.sendToDriverHandler(ride, driver);
+      const messageId = typeof result === 'string' ? result : result?.sid || result?.messageId || null;
+
+      MessageLog.create({
+        ...log,
+        status: 'sent',
+        channel: result?.channel || null,
+        messageId,
+        sentAt: new Date()
+      }).catch(err => logger.error('MessageLog error:', err));
+
+      return result;
+    } catch (err) {
+      MessageLog.create({
+        ...log,
+        status: 'failed',
+        failedAt: new Date(),
+        failureReason: err.message,
+        errorCode: err.code ? String(err.code) : null
+      }).catch(logErr => logger.error('MessageLog error:', logErr));
+
+      throw err;
+    }
+  }
+
+  _scheduleRingTimeout(rideId, state) {
+    state.timer = setTimeout(() => {
+      this._onRingTimeout(rideId).catch(err => {
+        logger.error('Geo dispatch ring timeout error', { rideId, error: err.message });
+      });
+    }, this.geoRingTimeout);
+  }
+
+  /**
+   * אף נהג לא לקח את הנסיעה בזמן - הרחב טבעת, ואם נגמרו - שלח לקבוצה
+   */
+  async _onRingTimeout(rideId) {
+    const state = this.geoDispatches.get(rideId);
+    if (!state) return;
+    
+    const ride = await Ride.findById(rideId);
+    if (!ride || !OPEN_STATUSES.includes(ride.status)) {
+      this.cancelGeoDispatch(rideId);
+      return;
+    }
+    
+    state.ride = ride;
+    const offer = await this._offerNextRing(state);
+    
+    if (offer) {
+      this._scheduleRingTimeout(rideId, state);
+      return;
+    }
+    
+    // נגמרו הטבעות - חזרה לשליחה לקבוצה
+    this.cancelGeoDispatch(rideId);
+    this.stats.geo.groupFallbacks++;
+    
+    await Ride.updateOne(
+      { _id: ride._id },
+      {
+        $push: {
+          timeline: {
+            event: 'geo_fallback_to_group',
+            timestamp: new Date(),
+            details: { offeredDrivers: state.offeredPhones.size }
+          }
+        }
+      }
+    );
+    
+    logger.info('📍 Geo rings exhausted, falling back to group broadcast', {
+      rideNumber: ride.rideNumber,
+      offeredDrivers: state.offeredPhones.size
+    });
+    
+    await this._fallbackToGroup(ride, { skipGeo: true });
+  }
+
+  /**
+   * עצירת הצעה גאוגרפית פעילה (למשל כשהנסיעה ננעלה/בוטלה)
+   */
+  cancelGeoDispatch(rideId) {
+    const state = this.geoDispatches.get(String(rideId));
+    if (!state) return false;
+    
+    clearTimeout(state.timer);
+    this.geoDispatches.delete(String(rideId));
+    return true;
+  }
+
+  // ===============================================
+  // 🌊 WATERFALL - SEQUENTIAL OFFERS
+  // ===============================================
+  
+  /**
+   * דירוג נהגים להצעה: דירוג (40%), אחוז קבלה (30%), זמן המתנה מאז הנסיעה האחרונה (30%)
+   * נהגים מועדפים של הלקוח (Customer.preferredDrivers) מקבלים את ההצעה ראשונים
+   * @returns {Promise<Array>} - נהגים ממוינים, הטוב ביותר ראשון
+   */
+  async rankWaterfallCandidates(ride) {
+    const busyPhones = await Ride.distinct('driverPhone', {
+      status: { $in: BUSY_STATUSES },
+      driverPhone: { $ne: null }
+    });
+    
+    const drivers = await Driver.find({
+      isActive: true,
+      isBlocked: { $ne: true },
+      isOnShift: { $ne: false },
+      phone: { $nin: busyPhones },
+      // בלי מסמך שפג תוקפו
+      ...Driver.documentsValidFilter(),
+      // נהגי התחנה של הנסיעה + נהגים בלי תחנה
+      ...(ride.station ? { station: { $in: [ride.station, null] } } : {})
+    })
+      .select('name phone rating stats lastActive')
+      .lean();
+    
+    if (drivers.length === 0) {
+      return [];
+    }
+    
+    const lastRides = await Ride.aggregate([
+      {
+        $match: {
+          driverPhone: { $in: drivers.map(d => d.phone) },
+          status: { $in: ['finished', 'commission_paid', 'completed'] }
+        }
+      },
+      { $group: { _id: '$driverPhone', lastRideAt: { $max: '$updatedAt' } } }
+    ]);
+    const lastRideByPhone = new Map(lastRides.map(r => [r._id, r.lastRideAt]));
+    
+    const preferredIds = new Set(await customerService.preferredDriverIds(ride).catch(() => []));
+    
+    const now = Date.now();
+    const maxIdleHours = 8;
+    
+    return drivers
+      .map(driver => {
+        const lastRideAt = lastRideByPhone.get(driver.phone);
+        const idleHours = lastRideAt ? (now - new Date(lastRideAt).getTime()) / 3600000 : maxIdleHours;
+        const rating = driver.rating?.count > 0 ? driver.rating.average : 3;
+        const acceptanceRate = driver.stats?.totalRides > 0 ? driver.stats.acceptanceRate : 50;
+        
+        const score =
+          (rating / 5) * 0.4 +
+          (acceptanceRate / 100) * 0.3 +
+          (Math.min(idleHours, maxIdleHours) / maxIdleHours) * 0.3;
+        
+        return {
+          ...driver,
+          score: Math.round(score * 1000) / 1000,
+          preferred: preferredIds.has(driver._id.toString())
+        };
+      })
+      .sort((a, b) => (b.preferred - a.preferred) || (b.score - a.score))
+      .slice(0, this.waterfallMaxCandidates);
+  }
+
+  async _startWaterfall(ride) {
+    const rideId = String(ride._id);
+    this.cancelWaterfall(rideId);
+    
+    const candidates = await this.rankWaterfallCandidates(ride);
+    if (candidates.length === 0) {
+      return null;
+    }
+    
+    const state = {
+      ride,
+      rideNumber: ride.rideNumber,
+      candidates,
+      index: -1,
+      current: null,
+      timer: null,
+      startedAt: new Date()
+    };
+    this.waterfalls.set(rideId, state);
+    this.stats.waterfall.started++;
+    
+    const offered = await this._offerNextCandidate(rideId);
+    if (!offered) {
+      // כל ההצעות נכשלו - לא להשאיר waterfall יתום במפה
+      this.cancelWaterfall(rideId);
+      
+      // הנסיעה נסגרה בינתיים - לא לשלוח לקבוצה
+      if (state.closed) {
+        return {
+          method: 'waterfall',
+          success: false,
+          successCount: 0,
+          details: { reason: 'ride_not_open' }
+        };
+      }
+      return null;
+    }
+    
+    return {
+      method: 'waterfall',
+      success: true,
+      successCount: 1,
+      details: {
+        candidates: candidates.length,
+        offeredTo: offered.phone
+      }
+    };
+  }
+
+  /**
+   * שליחת הצעה לנהג הבא ברשימה
+   * @returns {Promise<Object|null>} - הנהג שקיבל הצעה, או null אם הרשימה נגמרה
+   *   (או שהנסיעה כבר לא פתוחה - state.closed, ה-waterfall נעצר בלי שליחה לקבוצה)
+   */
+  async _offerNextCandidate(rideId) {
+    const state = this.waterfalls.get(rideId);
+    if (!state) return null;
+    
+    while (state.index < state.candidates.length - 1) {
+      state.index++;
+      const driver = state.candidates[state.index];
+      const expiresAt = new Date(Date.now() + this.waterfallOfferTimeout * 1000);
+      
+      try {
+        await this._sendDriverOffer(state.ride, {
+          ...driver,
+          offerExpiresInSeconds: this.waterfallOfferTimeout
+        }, 'waterfall_offer');
+      } catch (err) {
+        logger.warn('⚠️ Failed to send waterfall offer', {
+          rideNumber: state.rideNumber,
+          driverPhone: driver.phone,
+          error: err.message
+        });
+        continue;
+      }
+      
+      // קודם המעבר ל-sent ורק אז טיימר התפוגה - נסיעה שכבר לא פתוחה עוצרת את ה-waterfall
+      let sent = null;
+      try {
+        sent = await rideStateMachine.transition(rideId, 'sent', {
+          actor: 'dispatch',
+          actorRole: 'system',
+          event: 'waterfall_offer',
+          reason: `Offered to ${driver.phone} (${state.index + 1}/${state.candidates.length})`,
+          details: {
+            driverPhone: driver.phone,
+            driverName: driver.name,
+            position: state.index + 1,
+            of: state.candidates.length,
+            score: driver.score,
+            expiresAt
+          },
+          inc: { sentCount: 1 },
+          expectedFrom: OPEN_STATUSES
+        });
+      } catch (err) {
+        logger.error('Waterfall offer transition failed', {
+          rideNumber: state.rideNumber,
+          driverPhone: driver.phone,
+          error: err.message
+        });
+      }
+      
+      if (!sent) {
+        logger.warn('🌊 Ride is no longer open, stopping waterfall', {
+          rideNumber: state.rideNumber
+        });
+        state.closed = true;
+        this.cancelWaterfall(rideId);
+        return null;
+      }
+      
+      state.current = driver.phone;
+      state.timer = setTimeout(() => {
+        this._onOfferExpired(rideId, driver.phone).catch(err => {
+          logger.error('Waterfall offer expiry error', { rideId, error: err.message });
+        });
+      }, this.waterfallOfferTimeout * 1000);
+      
+      this.stats.waterfall.offersSent++;
+      
+      logger.info('🌊 Ride offered to driver', {
+        rideNumber: state.rideNumber,
+        driverPhone: driver.phone,
+        position: state.index + 1
+      });
+      
+      return driver;
+    }
+    
+    return null;
+  }
+
+  async _onOfferExpired(rideId, driverPhone) {
+    const state = this.waterfalls.get(rideId);
+    if (!state || state.current !== driverPhone) return;
+    
+    this.stats.waterfall.expired++;
+    await this._addTimelineEntry(rideId, 'waterfall_offer_expired', { driverPhone });
+    
+    await this._advanceWaterfall(rideId);
+  }
+
+  /**
+   * מעבר לנהג הבא - או לשליחה לקבוצה כשהרשימה נגמרה
+   */
+  async _advanceWaterfall(rideId) {
+    const state = this.waterfalls.get(rideId);
+    if (!state) return;
+    
+    clearTimeout(state.timer);
+    state.current = null;
+    
+    const ride = await Ride.findById(rideId);
+    if (!ride || !OPEN_STATUSES.includes(ride.status)) {
+      this.cancelWaterfall(rideId);
+      return;
+    }
+    state.ride = ride;
+    
+    const offered = await this._offerNextCandidate(rideId);
+    if (offered || state.closed) return;
+    
+    // הרשימה נגמרה - חזרה לשליחה לקבוצה
+    this.cancelWaterfall(rideId);
+    this.stats.waterfall.groupFallbacks++;
+    
+    await this._addTimelineEntry(rideId, 'waterfall_exhausted', {
+      offeredDrivers: state.candidates.length
+    });
+    
+    logger.info('🌊 Waterfall exhausted, falling back to group broadcast', {
+      rideNumber: ride.rideNumber
+    });
+    
+    await this._fallbackToGroup(ride, { skipWaterfall: true, skipGeo: true });
+  }
+
+  /**
+   * שליחה לקבוצה אחרי שההצעות לנהגים נגמרו (geo / waterfall)
+   * כישלון נרשם ב-timeline ולא נזרק - הנסיעה נשארת פתוחה לשליחה מחדש
+   */
+  async _fallbackToGroup(ride, options) {
+    try {
+      await this.sendRide(ride, options);
+    } catch (err) {
+      logger.error('❌ Group fallback failed', {
+        rideNumber: ride.rideNumber,
+        error: err.message
+      });
+      
+      await this._addTimelineEntry(ride._id, 'group_fallback_failed', {
+        error: err.message
+      });
+    }
+  }
+
+  _findWaterfall(rideKey) {
+    const key = String(rideKey);
+    if (this.waterfalls.has(key)) {
+      return [key, this.waterfalls.get(key)];
+    }
+    for (const entry of this.waterfalls) {
+      if (entry[1].rideNumber === key) return entry;
+    }
+    return [null, null];
+  }
+
+  /**
+   * הנהג שמחזיק כרגע בהצעה (או null אם אין waterfall פעיל לנסיעה)
+   * @param {string} rideKey - rideId או rideNumber
+   */
+  getOfferHolder(rideKey) {
+    const [, state] = this._findWaterfall(rideKey);
+    return state ? state.current : null;
+  }
+
+  /**
+   * נהג דחה את ההצעה - מעבר מיידי לנהג הבא
+   * @returns {Promise<boolean>} - true אם הדחייה התייחסה להצעה הפעילה
+   */
+  async declineOffer(rideKey, driverPhone) {
+    const [rideId, state] = this._findWaterfall(rideKey);
+    if (!state || state.current !== driverPhone) return false;
+    
+    this.stats.waterfall.declined++;
+    await this._addTimelineEntry(rideId, 'waterfall_offer_declined', { driverPhone });
+    
+    await this._advanceWaterfall(rideId);
+    return true;
+  }
+
+  /**
+   * הנהג קיבל את הנסיעה - סיום ה-waterfall
+   */
+  completeWaterfall(rideKey, driverPhone) {
+    const [rideId, state] = this._findWaterfall(rideKey);
+    if (!state) return false;
+    
+    if (state.current === driverPhone) {
+      this.stats.waterfall.accepted++;
+    }
+    return this.cancelWaterfall(rideId);
+  }
+
+  cancelWaterfall(rideId) {
+    const state = this.waterfalls.get(String(rideId));
+    if (!state) return false;
+    
+    clearTimeout(state.timer);
+    this.waterfalls.delete(String(rideId));
+    return true;
+  }
+
+  async _addTimelineEntry(rideId, event, details, extraUpdate = {}) {
+    await Ride.updateOne(
+      { _id: rideId },
+      {
+        ...extraUpdate,
+        $push: { timeline: { event, timestamp: new Date(), details } }
+      }
+    );
+  }
+
   // ===============================================
   // 🎯 DECISION LOGIC
   // ===============================================
   
+  shouldTryWaterfall() {
+    return this.mode === 'waterfall' && !!this.sendToDriverHandler;
+  }
+
+  shouldTryGeoDispatch(ride) {
+    return this.geoDispatchEnabled &&
+      !!this.sendToDriverHandler &&
+      this.geoRingsKm.length > 0 &&
+      Array.isArray(ride?.pickupLocation?.coordinates) &&
+      ride.pickupLocation.coordinates.length === 2;
+  }
+
   shouldTryBot() {
     // אם bot-only mode - תמיד נסה
     if (this.mode === 'bot-only') {
@@ -229,8 +906,8 @@ class DispatchManager {
       return false;
     }
     
-    // במצב auto - נסה רק אם הבוט לא offline
-    return this.mode === 'auto' && this.botStatus !== 'offline';
+    // במצב auto/waterfall - נסה רק אם הבוט לא offline
+    return ['auto', 'waterfall'].includes(this.mode) && this.botStatus !== 'offline';
   }
 
   shouldTryTwilio() {
@@ -244,8 +921,8 @@ class DispatchManager {
       return false;
     }
     
-    // במצב auto - נסה כ-fallback
-    return this.mode === 'auto';
+    // במצב auto/waterfall - נסה כ-fallback
+    return ['auto', 'waterfall'].includes(this.mode);
   }
 
   // ===============================================
@@ -303,15 +980,39 @@ class DispatchManager {
       limit: this.maxBotFailures
     });
     
-    this.mode = 'twilio-only';
+    // ב-waterfall נשארים במצב - botStatus=offline כבר מדלג על הבוט
+    if (this.mode !== 'waterfall') {
+      this.mode = 'twilio-only';
+    }
     this.botStatus = 'offline';
   }
 
-  switchMode(newMode) {
-    const validModes = ['auto', 'bot-only', 'twilio-only'];
+  /**
+   * החלת הגדרות ה-dispatch (מלבד המצב - ראה switchMode)
+   * @param {Object} settings - settingsStore.get('dispatch')
+   */
+  applySettings(settings) {
+    this.maxBotFailures = settings.maxBotFailures;
+    this.maxTwilioFailures = settings.maxTwilioFailures;
+    
+    // 📍 Geo dispatch - טבעות חיפוש מתרחבות סביב נקודת האיסוף
+    this.geoDispatchEnabled = settings.geoDispatchEnabled;
+    this.geoMaxDrivers = settings.geoMaxDrivers;
+    this.geoRingsKm = settings.geoRingsKm
+      .map(Number)
+      .filter(km => km > 0)
+      .sort((a, b) => a - b);
+    this.geoRingTimeout = settings.geoRingTimeout; // ms
+    this.geoMaxLocationAge = settings.geoMaxLocationAge; // minutes
     
-    if (!validModes.includes(newMode)) {
-      throw new Error(`Invalid mode: ${newMode}. Must be one of: ${validModes.join(', ')}`);
+    // 🌊 Waterfall - הצעה לנהג אחד בכל פעם
+    this.waterfallOfferTimeout = settings.waterfallOfferTimeout; // seconds
+    this.waterfallMaxCandidates = settings.waterfallMaxCandidates;
+  }
+
+  switchMode(newMode) {
+    if (!VALID_MODES.includes(newMode)) {
+      throw new Error(`Invalid mode: ${newMode}. Must be one of: ${VALID_MODES.join(', ')}`);
     }
     
     const oldMode = this.mode;
@@ -441,6 +1142,15 @@ class DispatchManager {
     logger.debug('Twilio dispatch handler configured');
   }
 
+  /**
+   * הגדר handler לשליחת הצעה ישירה לנהג (geo dispatch)
+   * handler(ride, driver) - driver כולל phone, name, distanceMeters
+   */
+  setDriverHandler(handler) {
+    this.sendToDriverHandler = handler;
+    logger.debug('Driver offer handler configured');
+  }
+
   /**
    * הגדר handler לבדיקת בריאות הבוט
    */
@@ -470,7 +1180,16 @@ class DispatchManager {
       consecutiveTwilioFailures: this.consecutiveTwilioFailures,
       lastBotCheck: this.lastBotCheck,
       lastTwilioCheck: this.lastTwilioCheck,
-      healthChecksRunning: this.healthCheckTimer !== null
+      healthChecksRunning: this.healthCheckTimer !== null,
+      geoDispatch: {
+        enabled: this.geoDispatchEnabled,
+        driverHandlerConfigured: !!this.sendToDriverHandler,
+        activeDispatches: this.geoDispatches.size
+      },
+      waterfall: {
+        activeOffers: this.waterfalls.size,
+        offerTimeoutSeconds: this.waterfallOfferTimeout
+      }
     };
   }
 
@@ -498,7 +1217,18 @@ class DispatchManager {
       config: {
         maxBotFailures: this.maxBotFailures,
         maxTwilioFailures: this.maxTwilioFailures,
-        healthCheckInterval: this.healthCheckInterval
+        healthCheckInterval: this.healthCheckInterval,
+        geo: {
+          enabled: this.geoDispatchEnabled,
+          maxDrivers: this.geoMaxDrivers,
+          ringsKm: this.geoRingsKm,
+          ringTimeout: this.geoRingTimeout,
+          maxLocationAgeMinutes: this.geoMaxLocationAge
+        },
+        waterfall: {
+          offerTimeoutSeconds: this.waterfallOfferTimeout,
+          maxCandidates: this.waterfallMaxCandidates
+        }
       }
     };
   }
@@ -525,6 +1255,20 @@ class DispatchManager {
         lastFailure: null,
         averageResponseTime: 0
       },
+      geo: {
+        dispatches: 0,
+        offersSent: 0,
+        ringsWidened: 0,
+        groupFallbacks: 0
+      },
+      waterfall: {
+        started: 0,
+        offersSent: 0,
+        accepted: 0,
+        declined: 0,
+        expired: 0,
+        groupFallbacks: 0
+      },
       total: {
         ridesDispatched: 0,
         failedDispatches: 0
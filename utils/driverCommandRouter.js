@@ -0,0 +1,414 @@
+// ===============================================
+// 🚖 DRIVER COMMAND ROUTER
+// ===============================================
+// פקודות שירות עצמי לנהגים רשומים דרך WhatsApp:
+// נסיעות היום, עמלות פתוחות, רווחי החודש, משמרת ודיווח על בעיה
+
+import Driver from '../models/Driver.js';
+import Ride from '../models/Ride.js';
+import PendingPayment from '../models/PendingPayment.js';
+import AuditLog from '../models/AuditLog.js';
+import logger from './logger.js';
+
+// סטטוסים של נסיעה שהנהג נמצא בה כרגע
+const ACTIVE_RIDE_STATUSES = ['locked', 'assigned', 'approved', 'enroute', 'arrived'];
+
+// נסיעה שהסתיימה ועדיין לא שולמה עליה עמלה
+const UNPAID_COMMISSION_STATUSES = ['finished'];
+
+const EARNING_STATUSES = ['finished', 'commission_paid', 'completed'];
+
+const STATUS_LABELS = {
+  created: 'נוצרה',
+  distributed: 'הופצה',
+  sent: 'נשלחה',
+  locked: 'נעולה',
+  assigned: 'שובצה',
+  approved: 'אושרה',
+  enroute: 'בדרך',
+  arrived: 'הגיע',
+  finished: 'הסתיימה',
+  commission_paid: 'עמלה שולמה',
+  cancelled: 'בוטלה',
+  completed: 'הושלמה'
+};
+
+const MAX_RIDES_LISTED = 10;
+
+// ===============================================
+// 📋 COMMANDS
+// ===============================================
+// aliases - התאמה מדויקת; prefixes - פקודה עם טקסט חופשי אחריה
+
+const COMMANDS = [
+  {
+    name: 'help',
+    aliases: ['עזרה', 'תפריט', 'help', 'menu', '?']
+  },
+  {
+    name: 'rides',
+    aliases: ['הנסיעות שלי', 'נסיעות', 'נסיעות היום', 'my rides', 'rides', 'today']
+  },
+  {
+    name: 'commissions',
+    aliases: ['עמלות', 'עמלה', 'חוב', 'commissions', 'commission', 'balance']
+  },
+  {
+    name: 'earnings',
+    aliases: ['רווחים', 'הכנסות', 'רווחים החודש', 'earnings', 'income']
+  },
+  {
+    name: 'shiftOn',
+    aliases: ['התחל משמרת', 'זמין', 'shift on', 'on shift', 'start shift', 'online']
+  },
+  {
+    name: 'shiftOff',
+    aliases: ['סיום משמרת', 'סיים משמרת', 'לא זמין', 'shift off', 'off shift', 'end shift', 'offline']
+  },
+  {
+    name: 'report',
+    aliases: ['דיווח', 'בעיה', 'report', 'issue'],
+    prefixes: ['דיווח', 'בעיה', 'report', 'issue']
+  }
+];
+
+// ===============================================
+// 🔧 DRIVER COMMAND ROUTER CLASS
+// ===============================================
+
+class DriverCommandRouter {
+
+  /**
+   * זיהוי פקודה מתוך הודעה
+   * @returns {{ name: string, args: string } | null}
+   */
+  parseCommand(message) {
+    const normalized = message?.trim().replace(/\s+/g, ' ').toLowerCase();
+
+    if (!normalized) {
+      return null;
+    }
+
+    for (const command of COMMANDS) {
+      if (command.aliases.includes(normalized)) {
+        return { name: command.name, args: '' };
+      }
+    }
+
+    for (const command of COMMANDS) {
+      for (const prefix of command.prefixes || []) {
+        if (normalized.startsWith(`${prefix} `) || normalized.startsWith(`${prefix}:`)) {
+          const args = message.trim().slice(prefix.length).replace(/^[\s:]+/, '').trim();
+          return { name: command.name, args };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * טיפול בהודעת נהג
+   * @returns {Promise<string|null>} - תשובה, או null אם ההודעה אינה פקודה
+   */
+  async handleMessage(phone, message) {
+    const command = this.parseCommand(message);
+
+    if (!command) {
+      return null;
+    }
+
+    try {
+      const driver = await Driver.findOne({ phone });
+
+      if (!driver) {
+        return '❌ *אתה לא רשום במערכת*\n\n💡 כדי להירשם שלח: *הרשמה*';
+      }
+
+      if (driver.registrationStatus === 'pending') {
+        return '⏳ *הבקשה שלך בטיפול*\n\nהפקודות יהיו זמינות לאחר אישור המנהל.';
+      }
+
+      if (driver.isBlocked) {
+        return `❌ *חשבון חסום*\n\n${driver.blockedReason || 'פנה למנהל לפרטים'}`;
+      }
+
+      logger.info('🚖 Driver command received', {
+        driverPhone: phone,
+        command: command.name
+      });
+
+      switch (command.name) {
+        case 'help':
+          return this.getHelp(driver);
+        case 'rides':
+          return await this.getTodayRides(driver);
+        case 'commissions':
+          return await this.getUnpaidCommissions(driver);
+        case 'earnings':
+          return await this.getMonthlyEarnings(driver);
+        case 'shiftOn':
+          return await this.setShift(driver, true);
+        case 'shiftOff':
+          return await this.setShift(driver, false);
+        case 'report':
+          return await this.reportIssue(driver, command.args);
+        default:
+          return null;
+      }
+    } catch (error) {
+      logger.error('Error handling driver command', {
+        driverPhone: phone,
+        command: command.name,
+        error: error.message
+      });
+      return '❌ אירעה שגיאה טכנית. אנא נסה שוב.';
+    }
+  }
+
+  /**
+   * תפריט עזרה
+   */
+  getHelp(driver) {
+    return `📋 *תפריט נהג - ${driver.name}*
+
+🚖 *נסיעות* - הנסיעות שלי היום
+💳 *עמלות* - עמלות פתוחות וקוד תשלום
+💰 *רווחים* - הרווחים שלי החודש
+🟢 *התחל משמרת* - קבלת נסיעות
+🔴 *סיום משמרת* - הפסקת קבלת נסיעות
+⚠️ *דיווח <תיאור>* - דיווח על בעיה בנסיעה הנוכחית
+📍 שלח *מיקום* - עדכון המיקום שלך
+ℹ️ *סטטוס* - סטטוס הרישום
+
+משמרת: ${driver.isOnShift ? '🟢 פעילה' : '🔴 לא פעילה'}`;
+  }
+
+  /**
+   * הנסיעות של הנהג מתחילת היום
+   */
+  async getTodayRides(driver) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const rides = await Ride.find({
+      driverPhone: driver.phone,
+      createdAt: { $gte: startOfDay }
+    })
+      .sort({ createdAt: 1 })
+      .select('rideNumber status pickup destination price commissionAmount scheduledTime');
+
+    if (rides.length === 0) {
+      return '🚖 *אין לך נסיעות היום*\n\nשלח *התחל משמרת* כדי לקבל נסיעות.';
+    }
+
+    const lines = rides.slice(0, MAX_RIDES_LISTED).map(ride =>
+      `• *${ride.rideNumber}* (${STATUS_LABELS[ride.status] || ride.status})\n  ${ride.pickup} ← ${ride.destination} | ₪${ride.price}`
+    );
+
+    const total = rides
+      .filter(ride => EARNING_STATUSES.includes(ride.status))
+      .reduce((sum, ride) => sum + (ride.price || 0), 0);
+
+    return `🚖 *הנסיעות שלך היום (${rides.length})*
+
+${lines.join('\n')}${rides.length > MAX_RIDES_LISTED ? `\n...ועוד ${rides.length - MAX_RIDES_LISTED}` : ''}
+
+💰 *סה"כ נסיעות שהסתיימו:* ₪${total}`;
+  }
+
+  /**
+   * עמלות פתוחות + קודי תשלום בתוקף
+   */
+  async getUnpaidCommissions(driver) {
+    const [unpaidRides, pendingPayments] = await Promise.all([
+      Ride.find({
+        driverPhone: driver.phone,
+        status: { $in: UNPAID_COMMISSION_STATUSES }
+      }).select('rideNumber commissionAmount price commissionRate'),
+      PendingPayment.findPendingForDriver(driver._id)
+    ]);
+
+    const commissionOf = ride =>
+      ride.commissionAmount || Math.round((ride.price || 0) * (ride.commissionRate || 0.1));
+    const totalCommission = unpaidRides.reduce((sum, ride) => sum + commissionOf(ride), 0);
+
+    if (unpaidRides.length === 0 && pendingPayments.length === 0) {
+      return '✅ *אין לך עמלות פתוחות*\n\nתודה! 🙏';
+    }
+
+    let reply = `💳 *עמלות פתוחות*
+
+🚖 *נסיעות ללא תשלום עמלה:* ${unpaidRides.length}
+💰 *סה"כ עמלה:* ₪${Math.round(totalCommission)}`;
+
+    if (pendingPayments.length > 0) {
+      const codes = pendingPayments.map(payment =>
+        `🔑 *${payment.paymentCode}* - ₪${payment.amount} (בתוקף עד ${new Date(payment.expiresAt).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' })})`
+      );
+
+      reply += `
+
+*קודי תשלום בתוקף:*
+${codes.join('\n')}
+
+📝 יש לרשום את הקוד בהערת התשלום ולשלוח לכאן צילום מסך.`;
+    } else {
+      reply += '\n\n📞 קוד תשלום יישלח אליך בהודעה נפרדת.';
+    }
+
+    return reply;
+  }
+
+  /**
+   * רווחי החודש הנוכחי (ברוטו, עמלה, נטו)
+   */
+  async getMonthlyEarnings(driver) {
+    const now = new Date();
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const [summary] = await Ride.aggregate([
+      {
+        $match: {
+          driverPhone: driver.phone,
+          status: { $in: EARNING_STATUSES },
+          createdAt: { $gte: startOfMonth }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          gross: { $sum: '$price' },
+          commission: { $sum: { $ifNull: ['$commissionAmount', 0] } }
+        }
+      }
+    ]);
+
+    const monthName = now.toLocaleDateString('he-IL', { month: 'long', year: 'numeric' });
+
+    if (!summary) {
+      return `💰 *רווחים - ${monthName}*\n\nעדיין אין נסיעות שהסתיימו החודש.`;
+    }
+
+    const gross = Math.round(summary.gross);
+    const commission = Math.round(summary.commission);
+
+    return `💰 *רווחים - ${monthName}*
+
+🚖 *נסיעות:* ${summary.count}
+💵 *ברוטו:* ₪${gross}
+💸 *עמלות:* ₪${commission}
+✅ *נטו:* ₪${gross - commission}`;
+  }
+
+  /**
+   * כניסה / יציאה ממשמרת
+   */
+  async setShift(driver, onShift) {
+    if (!driver.isActive) {
+      return '⚠️ *חשבון לא פעיל*\n\nפנה למנהל להפעלת החשבון.';
+    }
+
+    if (driver.isOnShift === onShift) {
+      return onShift
+        ? '🟢 *אתה כבר במשמרת*\n\nשלח *סיום משמרת* כדי להפסיק לקבל נסיעות.'
+        : '🔴 *אתה כבר מחוץ למשמרת*\n\nשלח *התחל משמרת* כדי לקבל נסיעות.';
+    }
+
+    driver.isOnShift = onShift;
+    driver.lastActive = new Date();
+    if (onShift) {
+      driver.shiftStartedAt = new Date();
+    } else {
+      driver.shiftEndedAt = new Date();
+    }
+    await driver.save();
+
+    logger.info(onShift ? '🟢 Driver started shift' : '🔴 Driver ended shift', {
+      driverPhone: driver.phone,
+      driverId: driver.driverId
+    });
+
+    return onShift
+      ? '🟢 *המשמרת התחילה*\n\nתקבל הצעות לנסיעות.\n📍 שלח מיקום כדי לקבל נסיעות קרובות.'
+      : '🔴 *המשמרת הסתיימה*\n\nלא תקבל הצעות לנסיעות עד לתחילת משמרת חדשה. יום טוב! 👋';
+  }
+
+  /**
+   * דיווח על בעיה בנסיעה הנוכחית - נשמר ב-ride.issues
+   */
+  async reportIssue(driver, description) {
+    if (!description || description.length < 3) {
+      return '⚠️ *נא לתאר את הבעיה*\n\nלדוגמה: *דיווח הלקוח לא הגיע לנקודת האיסוף*';
+    }
+
+    const ride = await Ride.findOne({
+      driverPhone: driver.phone,
+      status: { $in: ACTIVE_RIDE_STATUSES }
+    }).sort({ updatedAt: -1 });
+
+    if (!ride) {
+      return '❌ *אין לך נסיעה פעילה*\n\nלבעיות אחרות פנה למנהל.';
+    }
+
+    const reportedBy = `${driver.name} (${driver.phone})`;
+
+    ride.issues.push({
+      type: 'driver_report',
+      description: description.substring(0, 1000),
+      severity: 'medium',
+      reportedBy,
+      reportedAt: new Date(),
+      resolved: false
+    });
+
+    ride.history.push({
+      status: ride.status,
+      by: driver.phone,
+      timestamp: new Date(),
+      details: `בעיה דווחה על ידי הנהג: ${description.substring(0, 200)}`
+    });
+
+    ride.timeline.push({
+      event: 'issue_reported',
+      timestamp: new Date(),
+      details: { type: 'driver_report', severity: 'medium', source: 'whatsapp', by: driver.phone }
+    });
+
+    await ride.save();
+
+    await AuditLog.create({
+      userId: driver.phone,
+      username: driver.name,
+      action: 'ride_issue_reported',
+      details: {
+        rideId: ride._id,
+        rideNumber: ride.rideNumber,
+        issueType: 'driver_report',
+        severity: 'medium',
+        source: 'whatsapp'
+      }
+    }).catch(err => logger.error('AuditLog error:', err));
+
+    logger.warn('⚠️ Issue reported by driver', {
+      driverPhone: driver.phone,
+      rideNumber: ride.rideNumber
+    });
+
+    return `✅ *הדיווח התקבל*
+
+🚖 *נסיעה:* ${ride.rideNumber}
+📝 ${description}
+
+המנהל יטפל בבעיה בהקדם.`;
+  }
+}
+
+// ===============================================
+// 📤 EXPORT
+// ===============================================
+
+const driverCommandRouter = new DriverCommandRouter();
+
+export default driverCommandRouter;
@@ -0,0 +1,333 @@
+import cron from 'node-cron';
+import { AuditLog, Driver } from '../models/index.js';
+import { DOCUMENT_LABELS, EXPIRING_DOCUMENT_TYPES } from '../models/Driver.js';
+import autoLockAfterRideService from './autoLockAfterRideService.js';
+import logger from './logger.js';
+import settingsStore from './settingsStore.js';
+
+// ===============================================
+// 📄 DRIVER COMPLIANCE SERVICE
+// ===============================================
+// תוקף מסמכי הנהג (רישיון נהיגה, רישיון רכב, ביטוח):
+// - תאריך התוקף נקבע באימות המסמך (verifyDocument)
+// - נהג עם מסמך שפג תוקפו לא מקבל נסיעות - Driver.documentsValidFilter בכל שאילתת זכאות,
+//   כך שההשעיה מיידית ולא תלויה בהרצת ה-cron
+// - תזכורת יומית ב-WhatsApp לפני הפקיעה (settings → reminders.documentExpiryReminderDays)
+//   והודעה אחת בפקיעה; כל תזכורת נשלחת פעם אחת לכל תוקף (Driver.documents.<type>.expiryReminders)
+// - דוח נהגים בסיכון ל-GET /api/drivers/compliance
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// כל סוגי המסמכים שאפשר לאמת (models/Driver.js documents)
+export const DOCUMENT_TYPES = ['idDocument', 'profilePhoto', 'carPhoto', ...EXPIRING_DOCUMENT_TYPES];
+
+/**
+ * שגיאת מסמך עם קוד HTTP (routes/drivers.js)
+ */
+export class ComplianceError extends Error {
+  constructor(code, message, httpStatus = 400) {
+    super(message);
+    this.name = 'ComplianceError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('he-IL');
+}
+
+class DriverComplianceService {
+  constructor() {
+    this.isRunning = false;
+    this.jobs = [];
+    this.isSending = false;
+
+    // כל יום ב-09:00
+    this.schedule = process.env.DOCUMENT_EXPIRY_SCHEDULE || '0 9 * * *';
+  }
+
+  /**
+   * הפעלת התזכורות היומיות (DOCUMENT_EXPIRY_REMINDERS_ENABLED=false לכיבוי)
+   */
+  start() {
+    if (process.env.DOCUMENT_EXPIRY_REMINDERS_ENABLED === 'false') {
+      logger.info('📄 Document expiry reminders disabled (DOCUMENT_EXPIRY_REMINDERS_ENABLED=false)');
+      return;
+    }
+
+    if (this.isRunning) {
+      logger.warn('⚠️ Document expiry cron already running');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error('❌ Invalid DOCUMENT_EXPIRY_SCHEDULE, document expiry reminders not started', { schedule: this.schedule });
+      return;
+    }
+
+    const remindersJob = cron.schedule(this.schedule, async () => {
+      try {
+        await this.sendReminders();
+      } catch (error) {
+        logger.error('❌ Scheduled document expiry reminders failed', { error: error.message });
+      }
+    });
+
+    this.jobs = [remindersJob];
+    this.isRunning = true;
+
+    logger.success('✅ Document expiry cron started', { schedule: this.schedule });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+    this.isRunning = false;
+
+    logger.info('📄 Document expiry cron stopped');
+  }
+
+  /**
+   * הטווח שבו מסמך נחשב "עומד לפוג" - התזכורת הראשונה
+   */
+  warningDays() {
+    return Math.max(...settingsStore.get('reminders').documentExpiryReminderDays);
+  }
+
+  /**
+   * אימות מסמך - למסמך עם תוקף חובה תאריך תוקף עתידי
+   * @param {Object} driver - מסמך Driver (נשמר על ידי הקורא)
+   * @param {string} type - סוג המסמך (DOCUMENT_TYPES)
+   * @param {Object} options - { verified, expiresAt, verifiedBy }
+   * @returns {Object} - { document, before }
+   */
+  verifyDocument(driver, type, { verified = true, expiresAt, verifiedBy } = {}) {
+    if (!DOCUMENT_TYPES.includes(type)) {
+      throw new ComplianceError('DOCUMENT_NOT_FOUND', 'מסמך לא נמצא', 404);
+    }
+
+    const now = new Date();
+    const doc = driver.documents[type];
+    const before = {
+      verified: !!doc.verified,
+      expiresAt: doc.expiresAt || null
+    };
+
+    const expiring = EXPIRING_DOCUMENT_TYPES.includes(type);
+    let expiryDate = null;
+
+    if (expiring && verified) {
+      expiryDate = expiresAt ? new Date(expiresAt) : null;
+      if (!expiryDate || isNaN(expiryDate.getTime())) {
+        throw new ComplianceError('MISSING_EXPIRY', `חובה לציין תאריך תוקף ל${DOCUMENT_LABELS[type]}`);
+      }
+      if (expiryDate <= now) {
+        throw new ComplianceError('DOCUMENT_EXPIRED', `תוקף ${DOCUMENT_LABELS[type]} כבר פג - לא ניתן לאמת`);
+      }
+    }
+
+    doc.verified = verified;
+    doc.verifiedAt = now;
+    doc.verifiedBy = verifiedBy;
+
+    if (expiring && verified) {
+      doc.expiresAt = expiryDate;
+      // תוקף חדש - התזכורות מתחילות מחדש
+      doc.expiryReminders = [];
+    }
+
+    return {
+      document: {
+        type,
+        url: doc.url || null,
+        uploadedAt: doc.uploadedAt || null,
+        verified: doc.verified,
+        verifiedAt: doc.verifiedAt,
+        verifiedBy: doc.verifiedBy,
+        expiresAt: expiring ? doc.expiresAt || null : undefined
+      },
+      before
+    };
+  }
+
+  /**
+   * נהגים פעילים עם מסמך שפג / עומד לפוג / בלי תאריך תוקף
+   * @param {Object} filter - פילטר נוסף (תחום המשתמש)
+   * @param {Object} options - { warningDays, includeMissing }
+   * @returns {Promise<Object>} - { drivers, summary }
+   */
+  async listAtRisk(filter = {}, { warningDays = this.warningDays(), includeMissing = true } = {}) {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + warningDays * DAY_MS);
+
+    const conditions = EXPIRING_DOCUMENT_TYPES.flatMap(type => [
+      { [`documents.${type}.expiresAt`]: { $ne: null, $lte: horizon } },
+      ...(includeMissing ? [{ [`documents.${type}.expiresAt`]: null }] : [])
+    ]);
+
+    const drivers = await Driver.find({ ...filter, isActive: true, $or: conditions })
+      .select('name phone driverId city station isBlocked isOnShift documents');
+
+    const summary = { expired: 0, expiring: 0, missing: 0 };
+    const atRisk = drivers.map(driver => {
+      const compliance = driver.documentCompliance(warningDays, now);
+      if (compliance.status in summary) summary[compliance.status]++;
+
+      const expiryDates = compliance.documents.map(doc => doc.expiresAt).filter(Boolean);
+
+      return {
+        _id: driver._id,
+        name: driver.name,
+        phone: driver.phone,
+        driverId: driver.driverId,
+        city: driver.city,
+        station: driver.station || null,
+        isBlocked: driver.isBlocked,
+        isOnShift: driver.isOnShift,
+        // מושעה מקבלת נסיעות בגלל מסמך שפג
+        suspended: compliance.status === 'expired',
+        status: compliance.status,
+        nextExpiry: expiryDates.length > 0 ? new Date(Math.min(...expiryDates.map(Number))) : null,
+        documents: compliance.documents
+      };
+    });
+
+    // הדחוף ביותר ראשון: פג → עומד לפוג (לפי תאריך) → בלי תאריך
+    const order = { expired: 0, expiring: 1, missing: 2, valid: 3 };
+    atRisk.sort((a, b) =>
+      order[a.status] - order[b.status] ||
+      (a.nextExpiry || Infinity) - (b.nextExpiry || Infinity)
+    );
+
+    return { drivers: atRisk, summary, warningDays };
+  }
+
+  /**
+   * תזכורות לפני פקיעה + הודעת פקיעה (פעם אחת לכל סף ולכל תוקף)
+   * @returns {Promise<Object>} - { reminded, expired, failed }
+   */
+  async sendReminders(now = new Date()) {
+    if (this.isSending) {
+      logger.warn('⚠️ Document expiry reminders already running');
+      return null;
+    }
+
+    this.isSending = true;
+
+    try {
+      const reminderDays = settingsStore.get('reminders').documentExpiryReminderDays;
+      const horizon = new Date(now.getTime() + Math.max(...reminderDays) * DAY_MS);
+
+      const drivers = await Driver.find({
+        isActive: true,
+        $or: EXPIRING_DOCUMENT_TYPES.map(type => ({ [`documents.${type}.expiresAt`]: { $ne: null, $lte: horizon } }))
+      }).select('name phone driverId documents');
+
+      const result = { reminded: 0, expired: 0, failed: 0 };
+
+      for (const driver of drivers) {
+        for (const type of EXPIRING_DOCUMENT_TYPES) {
+          const doc = driver.documents?.[type];
+          if (!doc?.expiresAt || doc.expiresAt > horizon) continue;
+
+          const sent = doc.expiryReminders || [];
+
+          try {
+            if (doc.expiresAt <= now) {
+              if (sent.includes(0)) continue;
+              await this.notifyExpired(driver, type, doc.expiresAt);
+              await this.markSent(driver, type, [0]);
+              result.expired++;
+              continue;
+            }
+
+            // כל הספים שעברנו ועוד לא נשלחו - הודעה אחת (למשל אימות עם 10 ימים לתוקף)
+            const daysLeft = Math.ceil((doc.expiresAt - now) / DAY_MS);
+            const due = reminderDays.filter(days => daysLeft <= days && !sent.includes(days));
+            if (due.length === 0) continue;
+
+            await autoLockAfterRideService.sendToBot(driver.phone, this.reminderMessage(type, doc.expiresAt, daysLeft));
+            await this.markSent(driver, type, due);
+            result.reminded++;
+          } catch (error) {
+            logger.error('❌ Failed to send document expiry reminder', {
+              driverId: driver._id,
+              documentType: type,
+              error: error.message
+            });
+            result.failed++;
+          }
+        }
+      }
+
+      logger.info('📄 Document expiry reminders done', result);
+
+      return result;
+    } finally {
+      this.isSending = false;
+    }
+  }
+
+  async markSent(driver, type, days) {
+    await Driver.updateOne(
+      { _id: driver._id },
+      { $addToSet: { [`documents.${type}.expiryReminders`]: { $each: days } } }
+    );
+  }
+
+  /**
+   * הודעת פקיעה לנהג + AuditLog (ההשעיה עצמה כבר בתוקף דרך documentsValidFilter)
+   */
+  async notifyExpired(driver, type, expiresAt) {
+    await autoLockAfterRideService.sendToBot(driver.phone, this.expiredMessage(type, expiresAt));
+
+    await AuditLog.create({
+      userId: 'system',
+      username: 'system',
+      action: 'driver_document_expired',
+      details: {
+        driverId: driver._id,
+        driverName: driver.name,
+        documentType: type,
+        expiresAt
+      }
+    }).catch(err => logger.error('AuditLog error:', err));
+
+    logger.warn('📄 Driver suspended - document expired', {
+      driverId: driver._id,
+      documentType: type,
+      expiresAt
+    });
+  }
+
+  reminderMessage(type, expiresAt, daysLeft) {
+    return `📄 *תזכורת: ${DOCUMENT_LABELS[type]} עומד לפוג*
+
+⏰ תוקף עד: ${formatDate(expiresAt)} (עוד ${daysLeft} ימים)
+
+יש לשלוח למשרד מסמך מחודש לפני המועד.
+בלי מסמך בתוקף לא ניתן לקבל נסיעות.`;
+  }
+
+  expiredMessage(type, expiresAt) {
+    return `⛔ *פג תוקף: ${DOCUMENT_LABELS[type]}*
+
+התוקף הסתיים ב-${formatDate(expiresAt)}.
+קבלת נסיעות הושעתה עד לאימות מסמך בתוקף.
+
+📤 שלח למשרד מסמך מחודש.`;
+  }
+}
+
+// ===============================================
+// 🚀 EXPORT SINGLETON
+// ===============================================
+
+const driverComplianceService = new DriverComplianceService();
+
+export default driverComplianceService;
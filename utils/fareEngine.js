@@ -0,0 +1,391 @@
+import { Driver, PricingZone, Ride } from '../models/index.js';
+import { distanceKm } from './geocoder.js';
+import { getPricingSettings, meterFare } from './pricing.js';
+import promotionService from './promotionService.js';
+import logger from './logger.js';
+
+// ===============================================
+// 🧮 FARE ENGINE
+// ===============================================
+// הצעת מחיר בצד השרת - אותו חישוב לפני יצירת נסיעה ובעת תמחור נסיעה קיימת:
+// 1. מחיר בסיס: מחיר קבוע בין אזורים / מחיר אחיד לשדה תעופה, אחרת מחיר מונה (utils/pricing.js)
+// 2. תוספת זמן: הגבוהה מבין לילה / שבת / חג (שעון השרת)
+// 3. surge: נסיעות פתוחות ביחס לנהגים זמינים (רק למחיר מונה ולנסיעות קרובות)
+// 4. עיגול ל-5 ₪ ומחיר מינימום, ואז קוד הנחה (utils/promotionService.js)
+// כל רכיב מוחזר ב-components עם הסבר בעברית
+
+// סטטוסים של נסיעה שממתינה לנהג (תואם ל-dispatchManager)
+const OPEN_STATUSES = ['created', 'distributed', 'sent'];
+
+// סטטוסים שבהם הנהג עסוק בנסיעה אחרת
+const BUSY_STATUSES = ['locked', 'assigned', 'approved', 'enroute', 'arrived'];
+
+const ZONES_CACHE_MS = 60 * 1000;
+const DEMAND_CACHE_MS = 30 * 1000;
+
+const TIME_BAND_LABELS = {
+  night: 'תוספת לילה',
+  shabbat: 'תוספת שבת',
+  holiday: 'תוספת חג'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+const normalizeCity = value => String(value || '').trim().toLowerCase().replace(/[\s-]+/g, ' ');
+
+/**
+ * מפתח תאריך מקומי (YYYY-MM-DD) - להשוואה מול holidayDates
+ */
+function localDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isNight(hour, settings) {
+  const { nightStartHour: start, nightEndHour: end } = settings;
+  if (start === end) return false;
+  return start > end ? (hour >= start || hour < end) : (hour >= start && hour < end);
+}
+
+function isShabbat(date, settings) {
+  const day = date.getDay();
+  const hour = date.getHours();
+  return (day === 5 && hour >= settings.shabbatStartHour) || (day === 6 && hour < settings.shabbatEndHour);
+}
+
+class FareEngine {
+  constructor() {
+    this.zonesCache = { at: 0, zones: null };
+    this.demandCache = { at: 0, demand: null };
+  }
+
+  // ===============================================
+  // 🗺️ ZONES
+  // ===============================================
+
+  async getZones() {
+    if (this.zonesCache.zones && Date.now() - this.zonesCache.at < ZONES_CACHE_MS) {
+      return this.zonesCache.zones;
+    }
+
+    const zones = await PricingZone.find({ isActive: true }).sort({ priority: -1 }).lean();
+    this.zonesCache = { at: Date.now(), zones };
+    return zones;
+  }
+
+  /**
+   * לאחר שינוי אזורים (routes/pricing.js)
+   */
+  invalidateZones() {
+    this.zonesCache = { at: 0, zones: null };
+  }
+
+  /**
+   * האזור של מיקום: רדיוס סביב מרכז או שם עיר, העדיפות הגבוהה קודם
+   * (בעדיפות שווה - התאמת רדיוס מנצחת, היא ספציפית יותר מעיר שלמה)
+   */
+  matchZone(location, zones) {
+    if (!location) return null;
+
+    const city = normalizeCity(location.city);
+    let best = null;
+
+    for (const zone of zones) {
+      const byRadius = Array.isArray(location.coordinates) && zone.center?.length === 2 && zone.radiusKm > 0 &&
+        distanceKm(location.coordinates, zone.center) <= zone.radiusKm;
+      const byCity = !!city && (zone.cities || []).some(name => normalizeCity(name) === city);
+
+      if (!byRadius && !byCity) continue;
+
+      const rank = [zone.priority || 0, byRadius ? 1 : 0];
+      if (!best || rank[0] > best.rank[0] || (rank[0] === best.rank[0] && rank[1] > best.rank[1])) {
+        best = { zone, rank };
+      }
+    }
+
+    return best?.zone || null;
+  }
+
+  /**
+   * מחיר אזורי: מחיר קבוע בין שני האזורים (כל כיוון), אחרת מחיר אחיד של אחד מהם
+   * @returns {Object|null} - { fareType, price, label }
+   */
+  zoneFare(pickupZone, destinationZone) {
+    if (pickupZone && destinationZone) {
+      const fixed = pickupZone.fixedFares?.find(fare => fare.toZone === destinationZone.code) ||
+        destinationZone.fixedFares?.find(fare => fare.toZone === pickupZone.code);
+
+      if (fixed) {
+        return {
+          fareType: 'zone_fixed',
+          price: fixed.price,
+          label: `מחיר קבוע ${pickupZone.name} ← ${destinationZone.name}`
+        };
+      }
+    }
+
+    const flatZone = [pickupZone, destinationZone].find(zone => zone && zone.flatRate !== null && zone.flatRate !== undefined);
+    if (flatZone) {
+      return {
+        fareType: 'zone_flat',
+        price: flatZone.flatRate,
+        label: `מחיר אחיד ${flatZone.name}`
+      };
+    }
+
+    return null;
+  }
+
+  // ===============================================
+  // 🕯️ TIME BANDS
+  // ===============================================
+
+  /**
+   * רצועת הזמן של הנסיעה - התוספת הגבוהה מבין לילה / שבת / חג
+   * @returns {Object|null} - { band, percent, label }
+   */
+  getTimeBand(date, settings = getPricingSettings()) {
+    const candidates = [];
+
+    if ((settings.holidayDates || []).includes(localDateKey(date))) {
+      candidates.push({ band: 'holiday', percent: settings.holidaySurcharge });
+    }
+    if (isShabbat(date, settings)) {
+      candidates.push({ band: 'shabbat', percent: settings.shabbatSurcharge });
+    }
+    if (isNight(date.getHours(), settings)) {
+      candidates.push({ band: 'night', percent: settings.nightSurcharge });
+    }
+
+    const best = candidates
+      .filter(candidate => candidate.percent > 0)
+      .sort((a, b) => b.percent - a.percent)[0];
+
+    return best ? { ...best, label: TIME_BAND_LABELS[best.band] } : null;
+  }
+
+  // ===============================================
+  // 📈 SURGE
+  // ===============================================
+
+  /**
+   * נסיעות פתוחות מול נהגים זמינים (במשמרת, לא חסומים, לא בנסיעה)
+   */
+  async getDemand() {
+    if (this.demandCache.demand && Date.now() - this.demandCache.at < DEMAND_CACHE_MS) {
+      return this.demandCache.demand;
+    }
+
+    const busyPhones = await Ride.distinct('driverPhone', {
+      status: { $in: BUSY_STATUSES },
+      driverPhone: { $ne: null }
+    });
+
+    const [openRides, availableDrivers] = await Promise.all([
+      Ride.countDocuments({ status: { $in: OPEN_STATUSES } }),
+      Driver.countDocuments({
+        isActive: true,
+        isBlocked: { $ne: true },
+        isOnShift: { $ne: false },
+        phone: { $nin: busyPhones },
+        ...Driver.documentsValidFilter()
+      })
+    ]);
+
+    const demand = {
+      openRides,
+      availableDrivers,
+      // אין נהגים זמינים - כל נסיעה פתוחה נספרת כנהג חסר
+      ratio: round(openRides / Math.max(availableDrivers, 1))
+    };
+
+    this.demandCache = { at: Date.now(), demand };
+    return demand;
+  }
+
+  /**
+   * מכפיל surge: 1 + (יחס - סף) × צעד, בין 1 למקסימום, מעוגל ל-0.05
+   */
+  surgeMultiplier(ratio, settings) {
+    if (ratio <= settings.surgeThreshold) return 1;
+
+    const raw = 1 + (ratio - settings.surgeThreshold) * settings.surgeStep;
+    return Math.min(settings.surgeMaxMultiplier, Math.round(raw * 20) / 20);
+  }
+
+  /**
+   * surge חל רק על נסיעות בחלון הקרוב - הביקוש הנוכחי לא מעיד על נסיעה מתוזמנת רחוקה
+   */
+  async getSurge(rideTime, settings) {
+    if (!settings.surgeEnabled) return null;
+
+    const minutesAhead = (rideTime.getTime() - Date.now()) / 60000;
+    if (minutesAhead > settings.surgeWindowMinutes) return null;
+
+    try {
+      const demand = await this.getDemand();
+      return { ...demand, multiplier: this.surgeMultiplier(demand.ratio, settings) };
+    } catch (err) {
+      logger.error('Fare engine demand lookup failed', { error: err.message });
+      return null;
+    }
+  }
+
+  // ===============================================
+  // 💰 QUOTE
+  // ===============================================
+
+  /**
+   * הצעת מחיר לנסיעה
+   * @param {Object} params - { pickupLocation, destinationLocation, scheduledTime, promoCode, customerPhone, rideType, rideId }
+   *   rideId - תמחור מחדש של נסיעה קיימת (השימוש שלה בקוד לא נספר נגדה)
+   * @returns {Promise<Object>} - { price, totalBeforeDiscount, discount, fareType, components, breakdown, ... }
+   *   estimated=false כשאין קואורדינטות ואין אזור - המחיר הוא מחיר המינימום
+   */
+  async quote({ pickupLocation, destinationLocation, scheduledTime, promoCode, customerPhone = null, rideType = 'regular', rideId = null } = {}) {
+    const settings = getPricingSettings();
+    const rideTime = scheduledTime ? new Date(scheduledTime) : new Date();
+    const components = [];
+
+    const zones = await this.getZones();
+    const pickupZone = this.matchZone(pickupLocation, zones);
+    const destinationZone = this.matchZone(destinationLocation, zones);
+    const meter = meterFare({ pickupLocation, destinationLocation }, settings);
+    const zoneFare = this.zoneFare(pickupZone, destinationZone);
+
+    let fare;
+    const breakdown = { basePrice: 0, distancePrice: 0, timePrice: 0 };
+
+    if (zoneFare) {
+      fare = zoneFare.price;
+      breakdown.basePrice = zoneFare.price;
+      components.push({ type: zoneFare.fareType, label: zoneFare.label, amount: zoneFare.price });
+    } else if (meter.estimated) {
+      fare = meter.subtotal;
+      breakdown.basePrice = meter.basePrice;
+      breakdown.distancePrice = round(meter.distancePrice);
+      breakdown.timePrice = round(meter.timePrice);
+      components.push(
+        { type: 'base', label: 'מחיר בסיס', amount: meter.basePrice },
+        { type: 'distance', label: `מרחק (${meter.distanceKm} ק"מ)`, amount: breakdown.distancePrice },
+        { type: 'time', label: `זמן משוער (${meter.durationMinutes} דק')`, amount: breakdown.timePrice }
+      );
+    } else {
+      fare = settings.minimumRidePrice;
+      breakdown.basePrice = fare;
+      components.push({ type: 'minimum', label: 'מחיר מינימום (אין מיקום מדויק)', amount: fare });
+    }
+
+    const fareType = zoneFare?.fareType || 'metered';
+
+    // תוספת זמן - חלה גם על מחיר אזורי
+    const timeBand = this.getTimeBand(rideTime, settings);
+    const surcharge = timeBand ? round(fare * timeBand.percent / 100) : 0;
+    if (surcharge > 0) {
+      components.push({ type: timeBand.band, label: `${timeBand.label} (${timeBand.percent}%)`, amount: surcharge });
+    }
+
+    // surge - רק למחיר מונה (מחיר קבוע הוא התחייבות ללקוח)
+    const surge = fareType === 'metered' && meter.estimated ? await this.getSurge(rideTime, settings) : null;
+    const surgeMultiplier = surge?.multiplier || 1;
+    const surgeAmount = round((fare + surcharge) * (surgeMultiplier - 1));
+    if (surgeAmount > 0) {
+      components.push({
+        type: 'surge',
+        label: `ביקוש גבוה (×${surgeMultiplier})`,
+        amount: surgeAmount,
+        details: { openRides: surge.openRides, availableDrivers: surge.availableDrivers, ratio: surge.ratio }
+      });
+    }
+
+    // עיגול: מחיר מונה כלפי מעלה ל-5 ₪ ומחיר מינימום, מחיר אזורי לשקל שלם
+    const subtotal = fare + surcharge + surgeAmount;
+    const totalBeforeDiscount = fareType === 'metered'
+      ? Math.max(settings.minimumRidePrice, Math.ceil(subtotal / 5) * 5)
+      : Math.round(subtotal);
+    const rounding = round(totalBeforeDiscount - subtotal);
+    if (rounding !== 0) {
+      components.push({ type: 'rounding', label: 'עיגול', amount: rounding });
+    }
+
+    let promo = null;
+    let promoError = null;
+    if (promoCode) {
+      const result = await promotionService.checkPromo(promoCode, {
+        fare: totalBeforeDiscount,
+        at: rideTime,
+        customerPhone,
+        zones: [pickupZone?.code, destinationZone?.code],
+        rideType,
+        excludeRideId: rideId
+      });
+      promo = result.promo || null;
+      promoError = result.error || null;
+      if (promo?.discount > 0) {
+        components.push({ type: 'discount', label: `קוד הנחה ${promo.code}`, amount: -promo.discount });
+      }
+    }
+
+    const discount = promo?.discount || 0;
+
+    return {
+      price: totalBeforeDiscount - discount,
+      totalBeforeDiscount,
+      discount,
+      estimated: meter.estimated || !!zoneFare,
+      fareType,
+      distanceKm: meter.distanceKm,
+      durationMinutes: meter.durationMinutes,
+      zones: {
+        pickup: pickupZone ? { code: pickupZone.code, name: pickupZone.name, kind: pickupZone.kind } : null,
+        destination: destinationZone ? { code: destinationZone.code, name: destinationZone.name, kind: destinationZone.kind } : null
+      },
+      timeBand: timeBand ? { band: timeBand.band, percent: timeBand.percent } : null,
+      surge: surge ? { ...surge, multiplier: surgeMultiplier } : null,
+      promo,
+      promoError,
+      components,
+      breakdown: {
+        ...breakdown,
+        surcharge,
+        surge: surgeAmount,
+        rounding,
+        discount
+      },
+      scheduledTime: rideTime,
+      quotedAt: new Date()
+    };
+  }
+
+  /**
+   * הצעת מחיר → Ride.pricingDetails
+   */
+  pricingDetails(quote, calculatedBy = 'system') {
+    return {
+      basePrice: quote.breakdown.basePrice,
+      distancePrice: quote.breakdown.distancePrice,
+      timePrice: quote.breakdown.timePrice,
+      surcharge: quote.breakdown.surcharge,
+      timeBand: quote.timeBand?.band || null,
+      surgeMultiplier: quote.surge?.multiplier || 1,
+      discount: quote.discount,
+      promoCode: quote.promo?.code || null,
+      fareType: quote.fareType,
+      pickupZone: quote.zones.pickup?.code || null,
+      destinationZone: quote.zones.destination?.code || null,
+      components: quote.components,
+      totalBeforeDiscount: quote.totalBeforeDiscount,
+      finalTotal: quote.price,
+      calculatedAt: quote.quotedAt,
+      calculatedBy
+    };
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const fareEngine = new FareEngine();
+
+export default fareEngine;
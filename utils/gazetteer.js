@@ -0,0 +1,191 @@
+// ===============================================
+// 🗺️ ISRAEL GAZETTEER - Offline Place Index
+// ===============================================
+// מאגר מקומי של ערים ושכונות בישראל עם קואורדינטות
+// משמש את ה-Geocoder כשאין ספק חיצוני (או כגיבוי)
+
+// ===============================================
+// 🏙️ CITIES
+// ===============================================
+// [key, hebrew name, english name, lat, lng, extra aliases]
+
+const CITIES = [
+  ['jerusalem', 'ירושלים', 'Jerusalem', 31.7683, 35.2137, ['י-ם', 'jlm']],
+  ['tel-aviv', 'תל אביב', 'Tel Aviv', 32.0853, 34.7818, ['תל אביב יפו', 'תל-אביב', 'ת"א', 'tlv', 'tel-aviv']],
+  ['haifa', 'חיפה', 'Haifa', 32.7940, 34.9896, []],
+  ['rishon-lezion', 'ראשון לציון', 'Rishon LeZion', 31.9730, 34.7925, ['ראשל"צ', 'ראשלצ', 'rishon']],
+  ['petah-tikva', 'פתח תקווה', 'Petah Tikva', 32.0840, 34.8878, ['פתח תקוה', 'פ"ת', 'petach tikva']],
+  ['ashdod', 'אשדוד', 'Ashdod', 31.8014, 34.6435, []],
+  ['netanya', 'נתניה', 'Netanya', 32.3215, 34.8532, []],
+  ['beersheba', 'באר שבע', 'Beersheba', 31.2520, 34.7915, ['ב"ש', 'beer sheva', "be'er sheva"]],
+  ['bnei-brak', 'בני ברק', 'Bnei Brak', 32.0807, 34.8338, ['ב"ב', 'bney brak']],
+  ['holon', 'חולון', 'Holon', 32.0158, 34.7874, []],
+  ['ramat-gan', 'רמת גן', 'Ramat Gan', 32.0684, 34.8248, ['ר"ג']],
+  ['rehovot', 'רחובות', 'Rehovot', 31.8928, 34.8113, []],
+  ['ashkelon', 'אשקלון', 'Ashkelon', 31.6688, 34.5743, []],
+  ['bat-yam', 'בת ים', 'Bat Yam', 32.0171, 34.7454, []],
+  ['beit-shemesh', 'בית שמש', 'Beit Shemesh', 31.7470, 34.9881, []],
+  ['kfar-saba', 'כפר סבא', 'Kfar Saba', 32.1750, 34.9069, ['כ"ס']],
+  ['herzliya', 'הרצליה', 'Herzliya', 32.1624, 34.8447, []],
+  ['hadera', 'חדרה', 'Hadera', 32.4340, 34.9197, []],
+  ['modiin', 'מודיעין', 'Modiin', 31.8980, 35.0104, ['מודיעין מכבים רעות']],
+  ['modiin-illit', 'מודיעין עילית', 'Modiin Illit', 31.9330, 35.0440, ['קרית ספר', 'קריית ספר']],
+  ['nazareth', 'נצרת', 'Nazareth', 32.6996, 35.3035, []],
+  ['nof-hagalil', 'נוף הגליל', 'Nof HaGalil', 32.7080, 35.3230, ['נצרת עילית']],
+  ['lod', 'לוד', 'Lod', 31.9516, 34.8953, []],
+  ['ramla', 'רמלה', 'Ramla', 31.9293, 34.8656, []],
+  ['raanana', 'רעננה', "Ra'anana", 32.1848, 34.8713, ['raanana']],
+  ['beitar-illit', 'ביתר עילית', 'Beitar Illit', 31.6960, 35.1150, ['ביתר']],
+  ['rahat', 'רהט', 'Rahat', 31.3930, 34.7544, []],
+  ['hod-hasharon', 'הוד השרון', 'Hod HaSharon', 32.1500, 34.8880, []],
+  ['givatayim', 'גבעתיים', 'Givatayim', 32.0722, 34.8125, []],
+  ['kiryat-gat', 'קריית גת', 'Kiryat Gat', 31.6100, 34.7642, ['קרית גת']],
+  ['nahariya', 'נהריה', 'Nahariya', 33.0059, 35.0941, []],
+  ['afula', 'עפולה', 'Afula', 32.6078, 35.2897, []],
+  ['kiryat-ata', 'קריית אתא', 'Kiryat Ata', 32.8115, 35.1132, ['קרית אתא']],
+  ['kiryat-motzkin', 'קריית מוצקין', 'Kiryat Motzkin', 32.8370, 35.0770, ['קרית מוצקין']],
+  ['kiryat-bialik', 'קריית ביאליק', 'Kiryat Bialik', 32.8275, 35.0860, ['קרית ביאליק']],
+  ['kiryat-yam', 'קריית ים', 'Kiryat Yam', 32.8490, 35.0690, ['קרית ים']],
+  ['kiryat-shmona', 'קריית שמונה', 'Kiryat Shmona', 33.2075, 35.5697, ['קרית שמונה']],
+  ['kiryat-malachi', 'קריית מלאכי', 'Kiryat Malachi', 31.7300, 34.7460, ['קרית מלאכי']],
+  ['kiryat-ono', 'קריית אונו', 'Kiryat Ono', 32.0636, 34.8553, ['קרית אונו']],
+  ['yavne', 'יבנה', 'Yavne', 31.8780, 34.7390, []],
+  ['eilat', 'אילת', 'Eilat', 29.5577, 34.9519, []],
+  ['rosh-haayin', 'ראש העין', 'Rosh HaAyin', 32.0956, 34.9566, []],
+  ['ness-ziona', 'נס ציונה', 'Ness Ziona', 31.9293, 34.7987, []],
+  ['akko', 'עכו', 'Akko', 32.9278, 35.0817, ['acre']],
+  ['elad', 'אלעד', 'Elad', 32.0520, 34.9510, []],
+  ['ramat-hasharon', 'רמת השרון', 'Ramat HaSharon', 32.1461, 34.8394, []],
+  ['karmiel', 'כרמיאל', 'Karmiel', 32.9190, 35.2950, []],
+  ['tiberias', 'טבריה', 'Tiberias', 32.7922, 35.5312, []],
+  ['safed', 'צפת', 'Safed', 32.9646, 35.4960, ['tzfat']],
+  ['umm-al-fahm', 'אום אל-פחם', 'Umm al-Fahm', 32.5194, 35.1536, ['אום אל פחם']],
+  ['dimona', 'דימונה', 'Dimona', 31.0700, 35.0330, []],
+  ['sderot', 'שדרות', 'Sderot', 31.5250, 34.5960, []],
+  ['netivot', 'נתיבות', 'Netivot', 31.4230, 34.5890, []],
+  ['ofakim', 'אופקים', 'Ofakim', 31.3140, 34.6200, []],
+  ['maale-adumim', 'מעלה אדומים', "Ma'ale Adumim", 31.7770, 35.2980, ['maale adumim']],
+  ['or-yehuda', 'אור יהודה', 'Or Yehuda', 32.0290, 34.8560, []],
+  ['yehud', 'יהוד', 'Yehud', 32.0330, 34.8900, ['יהוד מונוסון']],
+  ['gedera', 'גדרה', 'Gedera', 31.8140, 34.7770, []],
+  ['zichron-yaakov', 'זכרון יעקב', 'Zichron Yaakov', 32.5720, 34.9510, []],
+  ['caesarea', 'קיסריה', 'Caesarea', 32.5000, 34.9000, []],
+  ['tirat-carmel', 'טירת כרמל', 'Tirat Carmel', 32.7600, 34.9720, []],
+  ['nesher', 'נשר', 'Nesher', 32.7660, 35.0440, []],
+  ['arad', 'ערד', 'Arad', 31.2590, 35.2130, []],
+  ['migdal-haemek', 'מגדל העמק', 'Migdal HaEmek', 32.6760, 35.2400, []],
+  ['beit-shean', 'בית שאן', "Beit She'an", 32.4970, 35.4970, ['beit shean']],
+  ['emmanuel', 'עמנואל', 'Immanuel', 32.1610, 35.1340, []],
+  ['kochav-yaakov', 'כוכב יעקב', 'Kochav Yaakov', 31.8820, 35.2440, []],
+  ['ben-gurion-airport', 'נתב"ג', 'Ben Gurion Airport', 32.0055, 34.8854, ['נמל התעופה בן גוריון', 'שדה התעופה', 'נתבג', 'tlv airport', 'airport']]
+];
+
+// ===============================================
+// 🏘️ NEIGHBOURHOODS
+// ===============================================
+// [key, city key, hebrew name, english name, lat, lng, extra aliases]
+
+const NEIGHBOURHOODS = [
+  // ירושלים
+  ['ramot', 'jerusalem', 'רמות', 'Ramot', 31.8150, 35.1950, ['רמות אלון']],
+  ['har-nof', 'jerusalem', 'הר נוף', 'Har Nof', 31.7870, 35.1750, []],
+  ['givat-shaul', 'jerusalem', 'גבעת שאול', 'Givat Shaul', 31.7890, 35.1900, []],
+  ['geula', 'jerusalem', 'גאולה', 'Geula', 31.7870, 35.2180, []],
+  ['mea-shearim', 'jerusalem', 'מאה שערים', "Mea She'arim", 31.7880, 35.2220, ['mea shearim']],
+  ['romema', 'jerusalem', 'רוממה', 'Romema', 31.7900, 35.2050, []],
+  ['bayit-vegan', 'jerusalem', 'בית וגן', 'Bayit Vegan', 31.7620, 35.1870, []],
+  ['katamon', 'jerusalem', 'קטמון', 'Katamon', 31.7580, 35.2100, ['גונן']],
+  ['talpiot', 'jerusalem', 'תלפיות', 'Talpiot', 31.7480, 35.2200, []],
+  ['pisgat-zeev', 'jerusalem', 'פסגת זאב', "Pisgat Ze'ev", 31.8270, 35.2400, ['pisgat zeev']],
+  ['gilo', 'jerusalem', 'גילה', 'Gilo', 31.7310, 35.1880, []],
+  ['ramat-shlomo', 'jerusalem', 'רמת שלמה', 'Ramat Shlomo', 31.8080, 35.2130, []],
+  ['kiryat-yovel', 'jerusalem', 'קריית יובל', 'Kiryat Yovel', 31.7650, 35.1700, ['קרית יובל']],
+  ['rehavia', 'jerusalem', 'רחביה', 'Rehavia', 31.7740, 35.2100, []],
+  ['old-city', 'jerusalem', 'העיר העתיקה', 'Old City', 31.7767, 35.2345, ['הכותל', 'western wall']],
+  ['neve-yaakov', 'jerusalem', 'נווה יעקב', 'Neve Yaakov', 31.8430, 35.2420, []],
+  ['sanhedria', 'jerusalem', 'סנהדריה', 'Sanhedria', 31.8000, 35.2200, []],
+  ['ramat-eshkol', 'jerusalem', 'רמת אשכול', 'Ramat Eshkol', 31.8020, 35.2290, []],
+  ['french-hill', 'jerusalem', 'הגבעה הצרפתית', 'French Hill', 31.8040, 35.2410, []],
+  ['malha', 'jerusalem', 'מלחה', 'Malha', 31.7500, 35.1880, []],
+  ['german-colony', 'jerusalem', 'המושבה הגרמנית', 'German Colony', 31.7640, 35.2190, []],
+  ['baka', 'jerusalem', 'בקעה', 'Baka', 31.7560, 35.2230, []],
+  ['armon-hanatziv', 'jerusalem', 'ארמון הנציב', 'Armon HaNatziv', 31.7500, 35.2350, ['תלפיות מזרח']],
+  ['makor-baruch', 'jerusalem', 'מקור ברוך', 'Makor Baruch', 31.7850, 35.2110, []],
+  ['jerusalem-central-station', 'jerusalem', 'התחנה המרכזית ירושלים', 'Jerusalem Central Station', 31.7890, 35.2030, []],
+  // תל אביב
+  ['florentin', 'tel-aviv', 'פלורנטין', 'Florentin', 32.0560, 34.7690, []],
+  ['ramat-aviv', 'tel-aviv', 'רמת אביב', 'Ramat Aviv', 32.1130, 34.8000, []],
+  ['neve-tzedek', 'tel-aviv', 'נווה צדק', 'Neve Tzedek', 32.0610, 34.7650, []],
+  ['jaffa', 'tel-aviv', 'יפו', 'Jaffa', 32.0500, 34.7550, ['yafo']],
+  ['bavli', 'tel-aviv', 'בבלי', 'Bavli', 32.0950, 34.7960, []],
+  ['hatikva', 'tel-aviv', 'שכונת התקווה', 'HaTikva', 32.0540, 34.7990, []],
+  ['old-north', 'tel-aviv', 'הצפון הישן', 'Old North', 32.0900, 34.7770, []],
+  ['sarona', 'tel-aviv', 'שרונה', 'Sarona', 32.0720, 34.7860, []],
+  ['tel-aviv-central-station', 'tel-aviv', 'התחנה המרכזית החדשה', 'Tel Aviv Central Station', 32.0560, 34.7790, []],
+  // חיפה
+  ['hadar', 'haifa', 'הדר', 'Hadar', 32.8110, 34.9980, ['הדר הכרמל']],
+  ['carmel-center', 'haifa', 'מרכז הכרמל', 'Carmel Center', 32.8030, 34.9870, []],
+  ['neve-shaanan', 'haifa', 'נווה שאנן', "Neve Sha'anan", 32.7870, 35.0200, []],
+  ['kiryat-haim', 'haifa', 'קריית חיים', 'Kiryat Haim', 32.8250, 35.0590, ['קרית חיים']],
+  ['bat-galim', 'haifa', 'בת גלים', 'Bat Galim', 32.8330, 34.9810, []],
+  ['ahuza', 'haifa', 'אחוזה', 'Ahuza', 32.7850, 35.0050, []],
+  // בני ברק
+  ['pardes-katz', 'bnei-brak', 'פרדס כץ', 'Pardes Katz', 32.0950, 34.8450, []],
+  ['kiryat-herzog', 'bnei-brak', 'קריית הרצוג', 'Kiryat Herzog', 32.0780, 34.8400, ['קרית הרצוג']],
+  ['ramat-elchanan', 'bnei-brak', 'רמת אלחנן', 'Ramat Elchanan', 32.0870, 34.8400, []],
+  // פתח תקווה
+  ['kfar-ganim', 'petah-tikva', 'כפר גנים', 'Kfar Ganim', 32.0720, 34.9000, []],
+  ['em-hamoshavot', 'petah-tikva', 'אם המושבות', 'Em HaMoshavot', 32.1010, 34.8900, []],
+  // בית שמש
+  ['ramat-beit-shemesh', 'beit-shemesh', 'רמת בית שמש', 'Ramat Beit Shemesh', 31.7170, 34.9900, ['רבש', 'רב"ש']]
+];
+
+// ===============================================
+// 🔧 BUILD INDEX
+// ===============================================
+
+const citiesByKey = new Map();
+
+export const PLACES = [];
+
+for (const [key, nameHe, nameEn, lat, lng, aliases] of CITIES) {
+  const place = {
+    key,
+    type: 'city',
+    city: key,
+    cityName: nameHe,
+    name: nameHe,
+    nameEn,
+    lat,
+    lng,
+    aliases: [nameHe, nameEn, ...aliases]
+  };
+  citiesByKey.set(key, place);
+  PLACES.push(place);
+}
+
+for (const [key, cityKey, nameHe, nameEn, lat, lng, aliases] of NEIGHBOURHOODS) {
+  const city = citiesByKey.get(cityKey);
+  PLACES.push({
+    key,
+    type: 'neighbourhood',
+    city: cityKey,
+    cityName: city?.name || null,
+    name: nameHe,
+    nameEn,
+    lat,
+    lng,
+    aliases: [nameHe, nameEn, ...aliases]
+  });
+}
+
+/**
+ * מצא עיר לפי מפתח
+ * @param {string} key - מפתח העיר (לדוגמה: 'jerusalem')
+ * @returns {Object|null}
+ */
+export function getCity(key) {
+  return citiesByKey.get(key) || null;
+}
+
+export default PLACES;
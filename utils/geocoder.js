@@ -0,0 +1,311 @@
+// ===============================================
+// 📍 GEOCODER - Pluggable Address → Coordinates
+// ===============================================
+// ממיר כתובות טקסט חופשי לקואורדינטות:
+// - gazetteer: מאגר מקומי של ערים ושכונות (עובד offline)
+// - google: Google Geocoding API (דורש GOOGLE_MAPS_API_KEY)
+// אם הספק הפעיל נכשל - נופלים חזרה ל-gazetteer
+
+import axios from 'axios';
+import logger from './logger.js';
+import config from '../config/index.js';
+import PLACES from './gazetteer.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+// ===============================================
+// 🔧 HELPERS
+// ===============================================
+
+/**
+ * נרמול טקסט להשוואה (הסרת ניקוד, גרשיים, סימני פיסוק)
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[֑-ׇ]/g, '')        // ניקוד וטעמים
+    .replace(/[״“”]/g, '"')
+    .replace(/[׳‘’`]/g, "'")
+    .replace(/קרית/g, 'קריית')
+    .replace(/[()[\]{}]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// כל alias מקבל regex שמתיר תחילית עברית אחת (ב/מ/ל/ה/ו/ש/כ) לפני השם
+const PLACE_MATCHERS = PLACES.flatMap(place =>
+  [...new Set(place.aliases.map(normalize))].map(alias => ({
+    place,
+    alias,
+    regex: new RegExp(`(^|[\\s,.\\-/])[ובלמהכש]?${escapeRegex(alias)}(?=$|[\\s,.\\-/])`)
+  }))
+).sort((a, b) => b.alias.length - a.alias.length);
+
+const COORDINATES_REGEX = /(-?\d{1,2}\.\d{2,})\s*,\s*(-?\d{1,3}\.\d{2,})/;
+
+/**
+ * מרחק בין שתי נקודות (Haversine) בק"מ
+ * @param {Object|Array} a - { lat, lng } או [lng, lat] (GeoJSON)
+ * @param {Object|Array} b - { lat, lng } או [lng, lat] (GeoJSON)
+ * @returns {number}
+ */
+export function distanceKm(a, b) {
+  const [lng1, lat1] = Array.isArray(a) ? a : a.coordinates || [a.lng, a.lat];
+  const [lng2, lat2] = Array.isArray(b) ? b : b.coordinates || [b.lng, b.lat];
+  const toRad = deg => (deg * Math.PI) / 180;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * המרת תוצאת geocode לנקודת GeoJSON לשמירה במודל
+ * @param {Object} result - { lat, lng, city, label, source, confidence }
+ * @returns {Object|null}
+ */
+export function toGeoPoint(result) {
+  if (!result || !Number.isFinite(result.lat) || !Number.isFinite(result.lng)) {
+    return null;
+  }
+
+  return {
+    type: 'Point',
+    coordinates: [result.lng, result.lat],
+    city: result.city || null,
+    label: result.label || null,
+    source: result.source || null,
+    confidence: result.confidence ?? null,
+    geocodedAt: new Date()
+  };
+}
+
+// ===============================================
+// 🗺️ PROVIDERS
+// ===============================================
+
+const gazetteerProvider = {
+  name: 'gazetteer',
+
+  async geocode(address) {
+    const text = normalize(address);
+    if (!text) return null;
+
+    // קואורדינטות מפורשות ("31.78, 35.21")
+    const coords = text.match(COORDINATES_REGEX);
+    if (coords) {
+      return {
+        lat: parseFloat(coords[1]),
+        lng: parseFloat(coords[2]),
+        city: null,
+        label: coords[0],
+        source: 'coordinates',
+        confidence: 1
+      };
+    }
+
+    const padded = ` ${text} `;
+    let cityMatch = null;
+    let neighbourhoodMatch = null;
+
+    for (const matcher of PLACE_MATCHERS) {
+      if (!matcher.regex.test(padded)) continue;
+
+      if (matcher.place.type === 'neighbourhood' && !neighbourhoodMatch) {
+        neighbourhoodMatch = matcher.place;
+      } else if (matcher.place.type === 'city' && !cityMatch) {
+        cityMatch = matcher.place;
+      }
+
+      if (cityMatch && neighbourhoodMatch) break;
+    }
+
+    // שכונה מנצחת - אלא אם צוינה עיר אחרת במפורש
+    if (neighbourhoodMatch && (!cityMatch || cityMatch.key === neighbourhoodMatch.city)) {
+      return {
+        lat: neighbourhoodMatch.lat,
+        lng: neighbourhoodMatch.lng,
+        city: neighbourhoodMatch.cityName,
+        label: `${neighbourhoodMatch.name}, ${neighbourhoodMatch.cityName}`,
+        source: 'gazetteer',
+        confidence: cityMatch ? 0.85 : 0.7
+      };
+    }
+
+    if (cityMatch) {
+      return {
+        lat: cityMatch.lat,
+        lng: cityMatch.lng,
+        city: cityMatch.name,
+        label: cityMatch.name,
+        source: 'gazetteer',
+        confidence: 0.5
+      };
+    }
+
+    return null;
+  }
+};
+
+const googleProvider = {
+  name: 'google',
+
+  async geocode(address) {
+    const apiKey = config.maps.googleApiKey;
+    if (!apiKey) {
+      throw new Error('GOOGLE_MAPS_API_KEY not configured');
+    }
+
+    const { data } = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+      params: { address, key: apiKey, region: 'il', language: 'he' },
+      timeout: 5000
+    });
+
+    if (data.status === 'ZERO_RESULTS') {
+      return null;
+    }
+
+    if (data.status !== 'OK') {
+      throw new Error(`Google geocoding failed: ${data.status}`);
+    }
+
+    const [first] = data.results;
+    const cityComponent = first.address_components
+      .find(c => c.types.includes('locality'));
+
+    return {
+      lat: first.geometry.location.lat,
+      lng: first.geometry.location.lng,
+      city: cityComponent?.long_name || null,
+      label: first.formatted_address,
+      source: 'google',
+      confidence: first.geometry.location_type === 'ROOFTOP' ? 1 : 0.8
+    };
+  }
+};
+
+// ===============================================
+// 📍 GEOCODER
+// ===============================================
+
+class Geocoder {
+  constructor() {
+    this.providers = new Map();
+    this.providerName = process.env.GEOCODER_PROVIDER || 'gazetteer';
+    this.cache = new Map();
+    this.maxCacheSize = parseInt(process.env.GEOCODER_CACHE_SIZE || '1000');
+
+    this.registerProvider(gazetteerProvider);
+    this.registerProvider(googleProvider);
+
+    logger.info('📍 Geocoder initialized', { provider: this.providerName });
+  }
+
+  /**
+   * רישום ספק geocoding חדש
+   * @param {Object} provider - { name, geocode(address) => Promise<result|null> }
+   */
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.geocode !== 'function') {
+      throw new Error('Geocoder provider must have a name and a geocode() function');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * החלפת הספק הפעיל
+   * @param {string} name - שם ספק רשום
+   */
+  setProvider(name) {
+    if (!this.providers.has(name)) {
+      throw new Error(`Unknown geocoder provider: ${name}. Available: ${[...this.providers.keys()].join(', ')}`);
+    }
+    this.providerName = name;
+    this.cache.clear();
+    logger.info('📍 Geocoder provider changed', { provider: name });
+  }
+
+  /**
+   * המרת כתובת לקואורדינטות
+   * @param {string} address - כתובת טקסט חופשי
+   * @returns {Promise<Object|null>} - { lat, lng, city, label, source, confidence }
+   */
+  async geocode(address) {
+    const key = normalize(address);
+    if (!key) return null;
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const provider = this.providers.get(this.providerName) || gazetteerProvider;
+    let result = null;
+
+    try {
+      result = await provider.geocode(address);
+    } catch (err) {
+      logger.warn('⚠️ Geocoder provider failed, falling back to gazetteer', {
+        provider: provider.name,
+        error: err.message
+      });
+    }
+
+    if (!result && provider !== gazetteerProvider) {
+      result = await gazetteerProvider.geocode(address);
+    }
+
+    if (this.cache.size >= this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, result);
+
+    return result;
+  }
+
+  /**
+   * geocode לאיסוף וליעד של נסיעה - לעולם לא זורק
+   * @param {string} pickup
+   * @param {string} destination
+   * @returns {Promise<Object>} - { pickupLocation, destinationLocation } (null אם לא נמצא)
+   */
+  async geocodeRide(pickup, destination) {
+    try {
+      const [pickupResult, destinationResult] = await Promise.all([
+        this.geocode(pickup),
+        this.geocode(destination)
+      ]);
+
+      return {
+        pickupLocation: toGeoPoint(pickupResult),
+        destinationLocation: toGeoPoint(destinationResult)
+      };
+    } catch (err) {
+      logger.error('Geocoding ride locations failed', { error: err.message });
+      return { pickupLocation: null, destinationLocation: null };
+    }
+  }
+
+  getStatus() {
+    return {
+      provider: this.providerName,
+      availableProviders: [...this.providers.keys()],
+      cacheSize: this.cache.size,
+      gazetteerPlaces: PLACES.length
+    };
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const geocoder = new Geocoder();
+
+export default geocoder;
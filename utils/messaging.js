@@ -3,7 +3,6 @@
 // Extracted from server.js
 // ===============================================
 
-import twilioAdapter from './twilioAdapter.js';
 import logger from './logger.js';
 import { extractCity } from './rideHelpers.js';
 
@@ -17,6 +16,9 @@ export async function sendBulkMessagesWithRateLimit(phoneNumbers, message, delay
     count: phoneNumbers.length 
   });
   
+  // טעינה דינמית - twilioAdapter עוצר את התהליך אם חסרים credentials
+  const { default: twilioAdapter } = await import('./twilioAdapter.js');
+  
   for (let i = 0; i < phoneNumbers.length; i++) {
     const phone = phoneNumbers[i];
     
@@ -83,3 +85,32 @@ ${ride.notes ? `📝 הערות: ${ride.notes}` : ''}
 להצלחה! 🚗`;
 }
 
+
+
+export function createDriverOfferMessage(ride, driver = {}) {
+  const pickupCity = ride.pickupLocation?.city || extractCity(ride.pickup);
+  const destCity = ride.destinationLocation?.city || extractCity(ride.destination);
+  const distanceText = Number.isFinite(driver.distanceMeters)
+    ? `📏 *מרחק ממך:* ${(driver.distanceMeters / 1000).toFixed(1)} ק"מ\n`
+    : '';
+
+  const linkText = ride.uniqueLink
+    ? `⚠️ *לקבלת הנסיעה - לחץ על הקישור:*\n${ride.uniqueLink}`
+    : `💬 לקבלה - כתבו:\nACCEPT ${ride._id}`;
+
+  // הצעה אישית (waterfall) - שמורה לנהג אחד לזמן מוגבל
+  const footer = driver.offerExpiresInSeconds
+    ? `⏰ ההצעה שמורה לך בלבד ל-${driver.offerExpiresInSeconds} שניות`
+    : '⏰ ההצעה נשלחה לנהגים הקרובים בלבד - ראשון שמגיב מקבל!';
+
+  return `🎯 *נסיעה קרובה אליך!* ${ride.rideNumber}
+
+📍 *מ:* ${pickupCity}
+🎯 *ל:* ${destCity}
+${distanceText}💰 *מחיר:* ₪${ride.price}
+${ride.scheduledTime ? `🕐 *שעה:* ${new Date(ride.scheduledTime).toLocaleString('he-IL')}` : '⚡ *נסיעה מיידית*'}
+
+${linkText}
+
+${footer}`;
+}
@@ -0,0 +1,151 @@
+import { execFile } from 'child_process';
+import fs from 'fs';
+import logger from './logger.js';
+
+// ===============================================
+// 🔍 OCR PROVIDERS
+// ===============================================
+// כל ספק מממש: { name, recognize(image) => { fullText, confidence, detections } }
+// ואופציונלית detectFraud(image)
+// - google: Google Cloud Vision (דורש GOOGLE_CREDENTIALS_JSON)
+// - tesseract: מנוע מקומי, עובד offline (דורש התקנת tesseract + heb)
+// - fixture: קורא טקסט מוכן (קובץ .txt / Buffer) - לסביבות staging ובדיקות
+
+/**
+ * המרת קלט (Buffer / נתיב) ל-Buffer
+ */
+async function toBuffer(image) {
+  if (Buffer.isBuffer(image)) return image;
+  if (typeof image === 'string') return fs.promises.readFile(image);
+  throw new Error('Image must be a Buffer or a file path');
+}
+
+// ===============================================
+// ☁️ GOOGLE CLOUD VISION
+// ===============================================
+
+export const googleVisionProvider = {
+  name: 'google',
+  client: null,
+
+  async getClient() {
+    if (this.client) return this.client;
+
+    if (!process.env.GOOGLE_CREDENTIALS_JSON) {
+      throw new Error('GOOGLE_CREDENTIALS_JSON not configured');
+    }
+
+    // טעינה דינמית - החבילה נדרשת רק כשהספק בשימוש
+    const { default: vision } = await import('@google-cloud/vision');
+    const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
+    this.client = new vision.ImageAnnotatorClient({ credentials });
+    logger.info(`✅ Google Vision client loaded for: ${credentials.client_email}`);
+
+    return this.client;
+  },
+
+  async recognize(image) {
+    const client = await this.getClient();
+    const [result] = await client.textDetection(image);
+    const detections = result.textAnnotations || [];
+
+    if (detections.length === 0) {
+      return { fullText: '', confidence: 0, detections: [] };
+    }
+
+    // רמת ביטחון ממוצעת
+    const avgConfidence = detections
+      .filter(d => d.confidence)
+      .reduce((sum, d, i, arr) => sum + d.confidence / arr.length, 0);
+
+    return {
+      fullText: detections[0].description || '',
+      confidence: avgConfidence,
+      detections: detections.slice(1) // כל הזיהויים מלבד הראשון
+    };
+  },
+
+  async detectFraud(image) {
+    const client = await this.getClient();
+    const [result] = await client.safeSearchDetection(image);
+    const safe = result.safeSearchAnnotation;
+
+    return {
+      isSuspicious:
+        safe.adult === 'VERY_LIKELY' ||
+        safe.violence === 'VERY_LIKELY' ||
+        safe.racy === 'VERY_LIKELY',
+      safeSearch: safe
+    };
+  }
+};
+
+// ===============================================
+// 🖥️ TESSERACT (LOCAL / OFFLINE)
+// ===============================================
+
+export const tesseractProvider = {
+  name: 'tesseract',
+
+  async recognize(image) {
+    const buffer = await toBuffer(image);
+    const binary = process.env.OCR_TESSERACT_PATH || 'tesseract';
+    const langs = process.env.OCR_TESSERACT_LANGS || 'heb+eng';
+
+    // stdin -> stdout, פלט TSV כדי לקבל רמת ביטחון לכל מילה
+    const tsv = await new Promise((resolve, reject) => {
+      const child = execFile(
+        binary,
+        ['stdin', 'stdout', '-l', langs, '--psm', '6', 'tsv'],
+        { maxBuffer: 10 * 1024 * 1024, timeout: 30000 },
+        (error, stdout) => (error ? reject(error) : resolve(stdout))
+      );
+      child.stdin.on('error', () => {}); // נכשל מוקדם - השגיאה תגיע ב-callback
+      child.stdin.end(buffer);
+    });
+
+    const words = tsv
+      .split('\n')
+      .slice(1)
+      .map(line => line.split('\t'))
+      .filter(cols => cols.length >= 12 && cols[11].trim() && Number(cols[10]) >= 0);
+
+    // בניית שורות לפי block/paragraph/line
+    const lines = new Map();
+    for (const cols of words) {
+      const key = `${cols[2]}-${cols[3]}-${cols[4]}`;
+      if (!lines.has(key)) lines.set(key, []);
+      lines.get(key).push(cols[11]);
+    }
+
+    const confidence = words.length > 0
+      ? words.reduce((sum, cols) => sum + Number(cols[10]), 0) / words.length / 100
+      : 0;
+
+    return {
+      fullText: [...lines.values()].map(parts => parts.join(' ')).join('\n'),
+      confidence,
+      detections: words.map(cols => ({ description: cols[11], confidence: Number(cols[10]) / 100 }))
+    };
+  }
+};
+
+// ===============================================
+// 🧪 FIXTURE (TEXT INPUT)
+// ===============================================
+
+export const fixtureProvider = {
+  name: 'fixture',
+
+  async recognize(image) {
+    const buffer = await toBuffer(image);
+
+    return {
+      fullText: buffer.toString('utf8'),
+      confidence: 1,
+      detections: []
+    };
+  }
+};
+
+export default [googleVisionProvider, tesseractProvider, fixtureProvider];
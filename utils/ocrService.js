@@ -1,18 +1,56 @@
-import vision from '@google-cloud/vision';
 import logger from './logger.js';
+import defaultProviders from './ocrProviders.js';
 
 // ===============================================
 // 🔍 OCR SERVICE
 // ===============================================
-// זיהוי טקסט מתמונות עם Google Cloud Vision
+// זיהוי טקסט מתמונות דרך ספק OCR נבחר (OCR_PROVIDER):
+// - google: Google Cloud Vision
+// - tesseract: מנוע מקומי (offline)
+// - fixture: טקסט מוכן (staging / בדיקות)
+// ברירת מחדל: google אם יש GOOGLE_CREDENTIALS_JSON, אחרת tesseract
 
 class OCRService {
   constructor() {
-    // יצירת client
-    // הגדרות נלקחות מ-GOOGLE_APPLICATION_CREDENTIALS בסביבה
-    const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
-    this.client = new vision.ImageAnnotatorClient({ credentials });
-    logger.info(`✅ Google Vision client loaded for: ${credentials.client_email}`);
+    this.providers = new Map();
+    defaultProviders.forEach(provider => this.registerProvider(provider));
+    
+    this.providerName = process.env.OCR_PROVIDER ||
+      (process.env.GOOGLE_CREDENTIALS_JSON ? 'google' : 'tesseract');
+    
+    if (!this.providers.has(this.providerName)) {
+      logger.warn(`⚠️ Unknown OCR_PROVIDER "${this.providerName}", using tesseract`);
+      this.providerName = 'tesseract';
+    }
+    
+    logger.info('🔍 OCR service initialized', { provider: this.providerName });
+  }
+  
+  /**
+   * רישום ספק OCR
+   * @param {Object} provider - { name, recognize(image), detectFraud?(image) }
+   */
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.recognize !== 'function') {
+      throw new Error('OCR provider must have a name and a recognize() function');
+    }
+    this.providers.set(provider.name, provider);
+  }
+  
+  /**
+   * החלפת הספק הפעיל
+   * @param {string} name - שם ספק רשום
+   */
+  setProvider(name) {
+    if (!this.providers.has(name)) {
+      throw new Error(`Unknown OCR provider: ${name}. Available: ${[...this.providers.keys()].join(', ')}`);
+    }
+    this.providerName = name;
+    logger.info('🔍 OCR provider changed', { provider: name });
+  }
+  
+  get provider() {
+    return this.providers.get(this.providerName);
   }
   
   /**
@@ -24,17 +62,14 @@ class OCRService {
     const startTime = Date.now();
     
     try {
-      logger.info('🔍 Starting OCR processing...');
+      logger.info('🔍 Starting OCR processing...', { provider: this.providerName });
       
-      // שליחה ל-Google Vision
-      const [result] = await this.client.textDetection(image);
+      const result = await this.provider.recognize(image);
       
       const processingTime = Date.now() - startTime;
       
       // בדיקה אם נמצא טקסט
-      const detections = result.textAnnotations;
-      
-      if (!detections || detections.length === 0) {
+      if (!result.fullText || !result.fullText.trim()) {
         logger.warn('⚠️ No text detected in image');
         return {
           success: false,
@@ -45,32 +80,27 @@ class OCRService {
         };
       }
       
-      // הטקסט המלא נמצא באלמנט הראשון
-      const fullText = detections[0].description || '';
-      
-      // רמת ביטחון ממוצעת
-      const avgConfidence = detections
-        .filter(d => d.confidence)
-        .reduce((sum, d, i, arr) => sum + d.confidence / arr.length, 0);
-      
       logger.success('✅ OCR completed', {
-        textLength: fullText.length,
-        confidence: avgConfidence.toFixed(2),
+        provider: this.providerName,
+        textLength: result.fullText.length,
+        confidence: result.confidence.toFixed(2),
         processingTime: `${processingTime}ms`
       });
       
       return {
         success: true,
-        fullText,
-        confidence: avgConfidence,
+        fullText: result.fullText,
+        confidence: result.confidence,
         processingTime,
-        detections: detections.slice(1) // כל הזיהויים מלבד הראשון
+        provider: this.providerName,
+        detections: result.detections || []
       };
       
     } catch (error) {
       const processingTime = Date.now() - startTime;
       
       logger.error('❌ OCR processing failed', {
+        provider: this.providerName,
         error: error.message,
         processingTime: `${processingTime}ms`
       });
@@ -102,7 +132,8 @@ class OCRService {
       /תשלום\s*:?\s*(\d{6})/i,
       /קוד\s*:?\s*(\d{6})/i,
       /code\s*:?\s*(\d{6})/i,
-      /payment\s*:?\s*(\d{6})/i
+      /payment\s*:?\s*(\d{6})/i,
+      /(?:הערה|תיאור|סיבה|פרטים)\s*:?[^\d\n]{0,15}(\d{6})\b/  // שדה ההערה ב-Bit / PayBox / העברה בנקאית
     ];
     
     for (const pattern of patterns) {
@@ -133,23 +164,23 @@ class OCRService {
    */
   extractAmount(text) {
     // חיפוש דפוסים שונים:
-    // "100 ₪"
-    // "₪100"
-    // "100.00"
+    // "100 ₪" / "₪100" / "1,250.00 ש"ח"
     // "100 שקלים"
+    // "סכום: 100.00"
     
+    const number = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d{1,5}(?:\\.\\d{1,2})?)';
     const patterns = [
-      /(\d{1,5})(?:\.\d{2})?\s*₪/,
-      /₪\s*(\d{1,5})(?:\.\d{2})?/,
-      /(\d{1,5})(?:\.\d{2})?\s*שקלים/i,
-      /סכום\s*:?\s*(\d{1,5})(?:\.\d{2})?/i,
-      /amount\s*:?\s*(\d{1,5})(?:\.\d{2})?/i
+      new RegExp(`${number}\\s*₪`),
+      new RegExp(`₪\\s*${number}`),
+      new RegExp(`${number}\\s*(?:ש["״']ח|שקלים|NIS|ILS)`, 'i'),
+      new RegExp(`סכום[^\\d\\n]{0,15}${number}`, 'i'),
+      new RegExp(`amount\\s*:?\\s*${number}`, 'i')
     ];
     
     for (const pattern of patterns) {
       const match = text.match(pattern);
       if (match && match[1]) {
-        const amount = parseFloat(match[1]);
+        const amount = parseFloat(match[1].replace(/,/g, ''));
         logger.debug('✅ Amount found', { amount });
         return amount;
       }
@@ -169,6 +200,7 @@ class OCRService {
     const patterns = [
       /05[0-9]-?\d{7}/,           // 050-1234567 או 0501234567
       /05[0-9]\s*-?\s*\d{7}/,     // 050 1234567
+      /05[0-9]-\d{3}-\d{4}/,      // 050-123-4567 (Bit)
       /\+?972-?5[0-9]-?\d{7}/     // +972-50-1234567
     ];
     
@@ -194,9 +226,9 @@ class OCRService {
   extractDate(text) {
     // דפוסים לתאריכים
     const patterns = [
+      /(\d{4}-\d{2}-\d{2})/,                        // 2025-12-06 (לפני הדפוס הקצר - אחרת נחתך ל-25-12-06)
       /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/,  // 06/12/2025 או 06-12-25
-      /(\d{1,2}\s+\w+\s+\d{4})/,                   // 6 December 2025
-      /(\d{4}-\d{2}-\d{2})/                         // 2025-12-06
+      /(\d{1,2}\s+\w+\s+\d{4})/                    // 6 December 2025
     ];
     
     for (const pattern of patterns) {
@@ -285,22 +317,17 @@ class OCRService {
    * @returns {Promise<Object>} תוצאות בדיקה
    */
   async detectFraud(image) {
-    try {
-      // Google Vision יכול לזהות גם Safe Search
-      const [result] = await this.client.safeSearchDetection(image);
-      const safe = result.safeSearchAnnotation;
-      
-      // בדיקה בסיסית
-      const isSuspicious = 
-        safe.adult === 'VERY_LIKELY' ||
-        safe.violence === 'VERY_LIKELY' ||
-        safe.racy === 'VERY_LIKELY';
-      
+    // לא כל ספק תומך בזיהוי זיוף
+    if (typeof this.provider.detectFraud !== 'function') {
       return {
-        isSuspicious,
-        safeSearch: safe
+        isSuspicious: false,
+        skipped: true,
+        provider: this.providerName
       };
-      
+    }
+    
+    try {
+      return await this.provider.detectFraud(image);
     } catch (error) {
       logger.error('❌ Fraud detection failed', { error: error.message });
       return {
@@ -0,0 +1,249 @@
+import { EventEmitter } from 'events';
+import MessageLog from '../models/MessageLog.js';
+import botGateway from './botGateway.js';
+import logger from './logger.js';
+
+// ===============================================
+// 📤 OUTBOUND MESSAGE QUEUE
+// ===============================================
+// תור שליחה להודעות יוצאות (/api/messages/send, /broadcast, קמפיינים):
+// - כל נמען מקבל רשומת MessageLog בסטטוס queued לפני השליחה
+// - שליחה דרך הבוט (botGateway), ואם נכשל / לא מוגדר - Twilio WhatsApp
+// - קצב שליחה מוגבל (השהיה בין הודעות, כמו sendBulkMessagesWithRateLimit)
+// - התוצאה נכתבת לכל רשומה: sent (+ ערוץ ו-messageId) או failed (+ סיבה)
+// - הודעות שנשארו queued (הפעלה מחדש באמצע שליחה) נטענות מחדש ב-recover()
+// - אירועים: 'sent' / 'failed' עם רשומת ה-MessageLog המעודכנת
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function twilioConfigured() {
+  return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_WHATSAPP_FROM);
+}
+
+class OutboundMessageQueue extends EventEmitter {
+  constructor() {
+    super();
+
+    this.queue = [];
+    this.isProcessing = false;
+    this.twilioAdapter = null;
+
+    // השהיה בין הודעות (ms) - מגן מחסימה של WhatsApp / Twilio
+    this.delayMs = parseInt(process.env.OUTBOUND_MESSAGE_DELAY_MS || '500');
+
+    this.stats = {
+      queued: 0,
+      sent: 0,
+      failed: 0,
+      byChannel: { bot: 0, twilio: 0 },
+      lastSent: null,
+      lastFailure: null
+    };
+  }
+
+  /**
+   * הכנסת הודעות לתור
+   * @param {Array<Object>} messages - [{ to, text, metadata }]
+   * @param {Object} options - { sentBy, templateId, templateName, campaignId, metadata }
+   * @returns {Promise<Array>} - רשומות MessageLog שנוצרו (status=queued)
+   */
+  async enqueue(messages, options = {}) {
+    const { sentBy = 'system', templateId, templateName, campaignId, metadata } = options;
+    const now = new Date();
+
+    const logs = await MessageLog.insertMany(messages.map(message => ({
+      to: message.to,
+      text: message.text,
+      templateId,
+      templateName,
+      campaignId: campaignId ? String(campaignId) : undefined,
+      metadata: message.metadata || metadata,
+      status: 'queued',
+      sentBy,
+      queuedAt: now
+    })));
+
+    this.queue.push(...logs.map(log => log._id));
+    this.stats.queued += logs.length;
+
+    logger.info('📤 Messages queued', {
+      count: logs.length,
+      campaignId: campaignId || null,
+      queueLength: this.queue.length
+    });
+
+    this.processQueue();
+
+    return logs;
+  }
+
+  /**
+   * טעינת הודעות שנשארו בתור מהרצה קודמת
+   */
+  async recover() {
+    const pending = await MessageLog.find({ status: 'queued' })
+      .sort({ queuedAt: 1, createdAt: 1 })
+      .select('_id');
+
+    const known = new Set(this.queue.map(String));
+    const ids = pending.map(log => log._id).filter(id => !known.has(String(id)));
+
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    this.queue.push(...ids);
+    logger.info('📤 Recovered queued messages', { count: ids.length });
+
+    this.processQueue();
+    return ids.length;
+  }
+
+  /**
+   * עיבוד התור - ריצה אחת בכל רגע, הודעה אחרי הודעה
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const logId = this.queue.shift();
+
+        try {
+          await this.deliver(logId);
+        } catch (error) {
+          logger.error('❌ Outbound queue error', { logId, error: error.message });
+        }
+
+        if (this.queue.length > 0) {
+          await sleep(this.delayMs);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * שליחת הודעה בודדת ועדכון רשומת ה-MessageLog
+   * @param {string} logId
+   * @returns {Promise<Object|null>} - הרשומה המעודכנת, או null אם כבר טופלה
+   */
+  async deliver(logId) {
+    const log = await MessageLog.findOne({ _id: logId, status: 'queued' });
+    if (!log) {
+      return null;
+    }
+
+    try {
+      const { channel, messageId } = await this.send(log.to, log.text);
+
+      const updated = await MessageLog.findOneAndUpdate(
+        { _id: log._id, status: 'queued' },
+        { $set: { status: 'sent', channel, messageId, sentAt: new Date() } },
+        { new: true }
+      );
+
+      this.stats.sent++;
+      this.stats.byChannel[channel]++;
+      this.stats.lastSent = new Date();
+
+      if (updated) this.emit('sent', updated);
+      return updated;
+    } catch (error) {
+      const updated = await MessageLog.findOneAndUpdate(
+        { _id: log._id, status: 'queued' },
+        {
+          $set: {
+            status: 'failed',
+            failedAt: new Date(),
+            failureReason: error.message,
+            errorCode: error.code ? String(error.code) : null
+          },
+          $inc: { retryCount: 1 }
+        },
+        { new: true }
+      );
+
+      this.stats.failed++;
+      this.stats.lastFailure = new Date();
+
+      logger.warn('⚠️ Outbound message failed', {
+        logId: log._id,
+        to: log.to,
+        error: error.message
+      });
+
+      if (updated) this.emit('failed', updated);
+      return updated;
+    }
+  }
+
+  /**
+   * שליחה בפועל: בוט → Twilio
+   * @returns {Promise<Object>} - { channel, messageId }
+   * @throws {Error} - כששני הערוצים נכשלו / לא מוגדרים
+   */
+  async send(to, text) {
+    const errors = [];
+
+    if (botGateway.isEnabled) {
+      try {
+        const result = await botGateway.sendMessage(to, text);
+        return { channel: 'bot', messageId: result?.messageId || result?.id || null };
+      } catch (error) {
+        errors.push(`bot: ${error.message}`);
+      }
+    }
+
+    if (twilioConfigured()) {
+      try {
+        const twilioAdapter = await this.getTwilioAdapter();
+        const sid = await twilioAdapter.sendWhatsAppMessage(to, text);
+        return { channel: 'twilio', messageId: sid };
+      } catch (error) {
+        const failure = new Error([...errors, `twilio: ${error.message}`].join('; '));
+        failure.code = error.code;
+        throw failure;
+      }
+    }
+
+    throw new Error(errors.length > 0
+      ? errors.join('; ')
+      : 'No outbound channel configured (BOT_URL / TWILIO_*)');
+  }
+
+  async getTwilioAdapter() {
+    if (!this.twilioAdapter) {
+      // טעינה דינמית - twilioAdapter עוצר את התהליך אם חסרים credentials
+      const { default: twilioAdapter } = await import('./twilioAdapter.js');
+      this.twilioAdapter = twilioAdapter;
+    }
+    return this.twilioAdapter;
+  }
+
+  getStatus() {
+    return {
+      queueLength: this.queue.length,
+      isProcessing: this.isProcessing,
+      delayMs: this.delayMs,
+      channels: {
+        bot: botGateway.isEnabled,
+        twilio: twilioConfigured()
+      },
+      stats: this.stats
+    };
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const outboundMessageQueue = new OutboundMessageQueue();
+
+export default outboundMessageQueue;
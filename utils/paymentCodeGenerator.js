@@ -61,9 +61,10 @@ class PaymentCodeGenerator {
    * @param {string} driverId - מזהה נהג
    * @param {number} amount - סכום לתשלום
    * @param {number} expiryMinutes - דקות עד תפוגה (ברירת מחדל 10)
+   * @param {Object} options - { purpose, paymentId } (דמי תחנה)
    * @returns {Promise<Object>} אובייקט תשלום ממתין
    */
-  static async createPendingPayment(driverId, amount, expiryMinutes = 10) {
+  static async createPendingPayment(driverId, amount, expiryMinutes = 10, options = {}) {
     const code = await this.generateUnique();
     const now = new Date();
     const expiresAt = new Date(now.getTime() + expiryMinutes * 60 * 1000);
@@ -74,7 +75,9 @@ class PaymentCodeGenerator {
       paymentCode: code,
       createdAt: now,
       expiresAt,
-      status: 'pending'
+      status: 'pending',
+      purpose: options.purpose || 'commission',
+      paymentId: options.paymentId || null
     });
     
     await pendingPayment.save();
@@ -217,6 +220,50 @@ class PaymentCodeGenerator {
     return messages[reminderNumber] || messages[1];
   }
   
+  /**
+   * חשבונית דמי תחנה חודשיים
+   * @param {Object} invoice - { period, subtotal, taxRate, vatAmount, total, daysBilled, daysInMonth, prorated, dueDate }
+   * @param {string} code - קוד תשלום
+   * @param {string} phone - מספר טלפון ליעד
+   * @returns {string}
+   */
+  static createSubscriptionInvoiceMessage(invoice, code, phone = '050-9630017') {
+    const prorationLine = invoice.prorated
+      ? `📅 *חלקי:* ${invoice.daysBilled} מתוך ${invoice.daysInMonth} ימים\n`
+      : '';
+
+    return `🧾 *חשבונית דמי תחנה - ${invoice.period}*
+
+💰 *דמי תחנה:* ${invoice.subtotal} ₪
+${prorationLine}🧮 *מע"מ (${invoice.taxRate}%):* ${invoice.vatAmount} ₪
+💵 *סה"כ לתשלום:* ${invoice.total} ₪
+
+📱 *מספר להעברה:* ${phone}
+🔑 *קוד תשלום:* ${code}
+⏰ *לתשלום עד:* ${new Date(invoice.dueDate).toLocaleDateString('he-IL')}
+
+*אחרי התשלום:*
+1. צלם מסך של העברת הכסף (כולל הקוד בהערות)
+2. שלח את התמונה לכאן`;
+  }
+  
+  /**
+   * תזכורת לדמי תחנה
+   * @param {string} code - קוד תשלום
+   * @param {number} amount - סכום
+   * @param {Date} dueDate - מועד תשלום
+   * @returns {string}
+   */
+  static createSubscriptionReminderMessage(code, amount, dueDate) {
+    return `⏰ *תזכורת - דמי תחנה*
+
+🔑 קוד תשלום: ${code}
+💰 סכום: ${amount} ₪
+📅 לתשלום עד: ${new Date(dueDate).toLocaleDateString('he-IL')}
+
+*אם לא ישולם עד מועד התשלום, הגישה שלך תיחסם.*`;
+  }
+  
   /**
    * הודעת חסימה
    * @returns {string}
@@ -3,11 +3,13 @@ import PendingPayment from '../models/PendingPayment.js';
 import Driver from '../models/Driver.js';
 import PaymentCodeGenerator from './paymentCodeGenerator.js';
 import logger from './logger.js';
+import settingsStore from './settingsStore.js';
 
 // ===============================================
 // ⏰ PAYMENT REMINDERS CRON JOBS
 // ===============================================
 // תזכורות אוטומטיות לתשלומים ממתינים
+// זמני התזכורות והחסימה נקראים בכל הרצה מ-settingsStore (מקטע reminders)
 
 class PaymentRemindersCron {
   constructor() {
@@ -71,7 +73,11 @@ class PaymentRemindersCron {
     try {
       logger.debug('🔍 Checking for payments needing reminders...');
       
-      const paymentsNeedingReminders = await PendingPayment.findNeedingReminders();
+      const settings = settingsStore.get('reminders');
+      const paymentsNeedingReminders = [
+        ...await PendingPayment.findNeedingReminders(settings.commissionReminderMinutes),
+        ...await PendingPayment.findSubscriptionsNeedingReminders(settings.subscriptionReminderDays)
+      ];
       
       if (paymentsNeedingReminders.length === 0) {
         logger.debug('✅ No payments need reminders');
@@ -114,11 +120,17 @@ class PaymentRemindersCron {
       const reminderType = this.getReminderType(reminderNumber);
       
       // צור הודעת תזכורת
-      const message = PaymentCodeGenerator.createReminderMessage(
-        reminderNumber,
-        payment.paymentCode,
-        payment.amount
-      );
+      const message = payment.purpose === 'subscription'
+        ? PaymentCodeGenerator.createSubscriptionReminderMessage(
+          payment.paymentCode,
+          payment.amount,
+          payment.expiresAt
+        )
+        : PaymentCodeGenerator.createReminderMessage(
+          reminderNumber,
+          payment.paymentCode,
+          payment.amount
+        );
       
       // הוסף תזכורת לרשומה
       payment.addReminder(reminderType, message);
@@ -165,14 +177,19 @@ class PaymentRemindersCron {
       logger.debug('🔍 Checking for drivers to auto-block...');
       
       const now = new Date();
-      const blockThreshold = new Date(now - 48 * 60 * 60 * 1000); // 48 שעות
-      
-      // מצא תשלומים ממתינים ישנים
-      const overduePayments = await PendingPayment.find({
-        status: 'pending',
-        createdAt: { $lt: blockThreshold },
-        blockedAt: null
-      });
+      const { commissionBlockHours } = settingsStore.get('reminders');
+      const blockThreshold = new Date(now - commissionBlockHours * 60 * 60 * 1000);
+      
+      // מצא תשלומים ממתינים ישנים (עמלות - commissionBlockHours, דמי תחנה - אחרי מועד התשלום)
+      const overduePayments = [
+        ...await PendingPayment.find({
+          status: 'pending',
+          purpose: { $ne: 'subscription' },
+          createdAt: { $lt: blockThreshold },
+          blockedAt: null
+        }),
+        ...await PendingPayment.findOverdueSubscriptions()
+      ];
       
       if (overduePayments.length === 0) {
         logger.debug('✅ No drivers need blocking');
@@ -212,13 +229,15 @@ class PaymentRemindersCron {
       
       // חסום את הנהג
       driver.isBlocked = true;
-      driver.blockReason = 'Unpaid commission';
+      driver.blockReason = payment.purpose === 'subscription' ? 'Unpaid station fee' : 'Unpaid commission';
       driver.blockedAt = new Date();
       await driver.save();
       
       // עדכן את התשלום
       payment.blockedAt = new Date();
-      payment.blockReason = 'Auto-blocked after 48 hours';
+      payment.blockReason = payment.purpose === 'subscription'
+        ? 'Auto-blocked after due date'
+        : `Auto-blocked after ${settingsStore.get('reminders').commissionBlockHours} hours`;
       payment.status = 'expired';
       await payment.save();
       
@@ -1,8 +1,10 @@
 import ocrService from './ocrService.js';
 import PendingPayment from '../models/PendingPayment.js';
 import Driver from '../models/Driver.js';
+import Payment from '../models/Payment.js';
 import logger from './logger.js';
 import PaymentCodeGenerator from './paymentCodeGenerator.js';
+import commissionLedger from './commissionLedger.js';
 
 // ===============================================
 // ✅ PAYMENT VERIFICATION SERVICE
@@ -34,7 +36,7 @@ class PaymentVerificationService {
         };
       }
       
-      const pendingPayment = pendingPayments[0];
+      let pendingPayment = pendingPayments[0];
       
       // 2. בדוק אם פג תוקף
       if (pendingPayment.isExpired()) {
@@ -65,6 +67,12 @@ class PaymentVerificationService {
       
       const extracted = ocrResult.extractedData;
       
+      // לנהג יכולים להיות כמה קודים פתוחים (עמלה + דמי תחנה) - העדף את הקוד שזוהה
+      const codeMatch = pendingPayments.find(p => p.paymentCode === extracted.paymentCode);
+      if (codeMatch) {
+        pendingPayment = codeMatch;
+      }
+      
       // 4. אימות נתונים
       const verification = await this.validateExtractedData(
         extracted,
@@ -102,7 +110,6 @@ class PaymentVerificationService {
         const driver = await Driver.findById(driverId);
         if (driver) {
           driver.isBlocked = false;
-          driver.balance = (driver.balance || 0) - pendingPayment.amount;
           await driver.save();
           
           logger.info('✅ Driver unblocked', { driverId });
@@ -110,6 +117,9 @@ class PaymentVerificationService {
         
         await pendingPayment.save();
         
+        // 📒 זיכוי בספר החשבונות
+        await this.recordLedgerCredit(pendingPayment, 'ocr');
+        
         return {
           success: true,
           verified: true,
@@ -310,12 +320,14 @@ class PaymentVerificationService {
       const driver = await Driver.findById(pendingPayment.driverId);
       if (driver) {
         driver.isBlocked = false;
-        driver.balance = (driver.balance || 0) - pendingPayment.amount;
         await driver.save();
       }
       
       await pendingPayment.save();
       
+      // 📒 זיכוי בספר החשבונות
+      await this.recordLedgerCredit(pendingPayment, adminPhone || 'admin');
+      
       logger.info('✅ Payment manually verified', {
         paymentId,
         driverId: pendingPayment.driverId,
@@ -345,6 +357,45 @@ class PaymentVerificationService {
     }
   }
   
+  /**
+   * זיכוי תשלום מאומת בספר החשבונות (וסגירת דמי תחנה) - כשל נרשם בלוג בלבד
+   * @param {Object} pendingPayment - תשלום ממתין מאומת
+   * @param {string} verifiedBy - ocr / טלפון אדמין
+   */
+  async recordLedgerCredit(pendingPayment, verifiedBy) {
+    try {
+      // דמי תחנה - סגירת ה-Payment המקושר
+      if (pendingPayment.paymentId) {
+        await Payment.updateOne(
+          { _id: pendingPayment.paymentId, paymentStatus: { $ne: 'paid' } },
+          {
+            $set: {
+              paymentStatus: 'paid',
+              status: 'paid',
+              paidAt: new Date(),
+              paidBy: verifiedBy,
+              'overdueStatus.isOverdue': false
+            }
+          }
+        );
+      }
+      
+      await commissionLedger.recordPaymentReceived({
+        driverId: pendingPayment.driverId,
+        amount: pendingPayment.amount,
+        referenceKind: 'PendingPayment',
+        referenceId: pendingPayment._id,
+        description: `תשלום עמלה - קוד ${pendingPayment.paymentCode}`,
+        createdBy: verifiedBy
+      });
+    } catch (error) {
+      logger.error('❌ Failed to post payment to ledger', {
+        paymentCode: pendingPayment.paymentCode,
+        error: error.message
+      });
+    }
+  }
+  
   /**
    * ביטול תשלום
    * @param {string} paymentId - מזהה תשלום
@@ -0,0 +1,62 @@
+// ===============================================
+// 💰 PRICING - Metered Fare
+// ===============================================
+// מחיר מונה לפי הגדרות התמחור (settingsStore → pricing, ברירת מחדל BASE_PRICE, PRICE_PER_KM וכו'):
+// מחיר בסיס + מרחק + זמן משוער. אזורים, תוספות זמן, surge וקודי הנחה - ב-utils/fareEngine.js
+// המרחק מחושב בקו אוויר × מקדם כבישים (אין צורך ב-API חיצוני)
+
+import { distanceKm } from './geocoder.js';
+import settingsStore from './settingsStore.js';
+
+// קו אוויר → מרחק כביש משוער
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// מהירות ממוצעת לחישוב זמן נסיעה (קמ"ש)
+const AVERAGE_SPEED_KMH = 40;
+
+/**
+ * הגדרות התמחור הנוכחיות
+ * @returns {Object}
+ */
+export function getPricingSettings() {
+  return settingsStore.get('pricing');
+}
+
+/**
+ * מחיר מונה לנסיעה (לפני תוספות זמן, surge ועיגול - ראו utils/fareEngine.js)
+ * @param {Object} params - { pickupLocation, destinationLocation }
+ * @param {Object} settings - הגדרות התמחור (ברירת מחדל: הנוכחיות)
+ * @returns {Object} - { estimated, distanceKm, durationMinutes, basePrice, distancePrice, timePrice, subtotal }
+ *   estimated=false כשאין קואורדינטות - המחיר הוא מחיר המינימום
+ */
+export function meterFare({ pickupLocation, destinationLocation } = {}, settings = getPricingSettings()) {
+  if (!pickupLocation?.coordinates || !destinationLocation?.coordinates) {
+    return {
+      estimated: false,
+      distanceKm: null,
+      durationMinutes: null,
+      basePrice: settings.minimumRidePrice,
+      distancePrice: 0,
+      timePrice: 0,
+      subtotal: settings.minimumRidePrice
+    };
+  }
+
+  const roadKm = distanceKm(pickupLocation, destinationLocation) * ROAD_DISTANCE_FACTOR;
+  const durationMinutes = Math.ceil((roadKm / AVERAGE_SPEED_KMH) * 60);
+
+  const distancePrice = roadKm * settings.pricePerKm;
+  const timePrice = durationMinutes * settings.pricePerMinute;
+
+  return {
+    estimated: true,
+    distanceKm: Math.round(roadKm * 10) / 10,
+    durationMinutes,
+    basePrice: settings.basePrice,
+    distancePrice,
+    timePrice,
+    subtotal: settings.basePrice + distancePrice + timePrice
+  };
+}
+
+export default { getPricingSettings, meterFare };
@@ -0,0 +1,425 @@
+import { CustomerWallet, PromoCode, Ride, WalletTransaction } from '../models/index.js';
+import { normalizePhone } from '../models/Customer.js';
+import commissionLedger from './commissionLedger.js';
+import logger from './logger.js';
+
+// ===============================================
+// 🎟️ PROMOTION SERVICE
+// ===============================================
+// קודי הנחה וארנק לקוח משולם מראש:
+// - בדיקת קוד (תוקף, מכסה לקוד ולטלפון, אזורים, סוג נסיעה) - לכל הצעת מחיר
+// - מימוש קוד כשהמחיר נשמר לנסיעה → Ride.redemptions, שחרור בביטול הנסיעה
+// - ארנק: טעינה / תיקון ידני, חיוב בסיום נסיעה (פעם אחת) וזיכוי הנהג בספר החשבונות
+
+export const PROMO_ERRORS = {
+  not_found: 'קוד ההנחה לא נמצא',
+  inactive: 'קוד ההנחה אינו פעיל',
+  not_started: 'קוד ההנחה עדיין לא בתוקף',
+  expired: 'תוקף קוד ההנחה פג',
+  exhausted: 'קוד ההנחה נוצל במלואו',
+  below_min_fare: 'מחיר הנסיעה נמוך מהמינימום לקוד ההנחה',
+  zone_not_eligible: 'קוד ההנחה לא חל על האזור הזה',
+  ride_type_not_eligible: 'קוד ההנחה לא חל על סוג הנסיעה הזה',
+  phone_limit: 'קוד ההנחה כבר נוצל מהטלפון הזה'
+};
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * שגיאת ארנק עם קוד HTTP (routes/wallets.js)
+ */
+export class WalletError extends Error {
+  constructor(code, message, httpStatus = 400) {
+    super(message);
+    this.name = 'WalletError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+function activePromoRedemption(ride) {
+  return (ride.redemptions || []).find(entry => entry.kind === 'promo' && !entry.reversedAt) || null;
+}
+
+function withoutPromo(quote, errorCode) {
+  return {
+    ...quote,
+    price: quote.totalBeforeDiscount,
+    discount: 0,
+    promo: null,
+    promoError: { code: errorCode, message: PROMO_ERRORS[errorCode] },
+    components: quote.components.filter(component => component.type !== 'discount'),
+    breakdown: { ...quote.breakdown, discount: 0 }
+  };
+}
+
+class PromotionService {
+
+  // ===============================================
+  // 🎟️ PROMO CODES
+  // ===============================================
+
+  /**
+   * כמה פעמים הטלפון מימש את הקוד (שימושים שלא בוטלו)
+   */
+  async countPhoneUses(code, phone, excludeRideId = null) {
+    const query = {
+      redemptions: {
+        $elemMatch: { kind: 'promo', code: code.toUpperCase(), phone: normalizePhone(phone), reversedAt: null }
+      }
+    };
+    if (excludeRideId) query._id = { $ne: excludeRideId };
+    return Ride.countDocuments(query);
+  }
+
+  async isHeldByRide(code, rideId) {
+    return !!(await Ride.exists({
+      _id: rideId,
+      redemptions: { $elemMatch: { kind: 'promo', code, reversedAt: null } }
+    }));
+  }
+
+  /**
+   * בדיקת קוד הנחה למחיר נתון
+   * @param {string} code
+   * @param {Object} context - { fare, at, customerPhone, zones, rideType, excludeRideId }
+   * @returns {Promise<Object>} - { promo: { code, type, value, discount } } או { error: { code, message } }
+   */
+  async checkPromo(code, { fare, at = new Date(), customerPhone = null, zones = [], rideType = 'regular', excludeRideId = null } = {}) {
+    const promo = await PromoCode.findByCode(code);
+    if (!promo) {
+      return { error: { code: 'not_found', message: PROMO_ERRORS.not_found } };
+    }
+
+    // בלי טלפון (הצעת מחיר באתר) המכסה לטלפון נבדקת רק במימוש
+    const phoneUses = promo.maxUsesPerPhone !== null && customerPhone
+      ? await this.countPhoneUses(promo.code, customerPhone, excludeRideId)
+      : undefined;
+
+    let reason = promo.rejectionReason(fare, at, { zones: zones.filter(Boolean), rideType, phoneUses });
+
+    // תמחור מחדש של נסיעה שכבר מחזיקה את הקוד - השימוש שלה כבר בתוך המכסה
+    if (reason === 'exhausted' && excludeRideId && await this.isHeldByRide(promo.code, excludeRideId)) {
+      reason = promo.rejectionReason(fare, at, { zones: zones.filter(Boolean), rideType, phoneUses, ignoreUsage: true });
+    }
+
+    if (reason) {
+      return { error: { code: reason, message: PROMO_ERRORS[reason] } };
+    }
+
+    return {
+      promo: {
+        code: promo.code,
+        type: promo.type,
+        value: promo.value,
+        discount: promo.discountFor(fare)
+      }
+    };
+  }
+
+  /**
+   * שמירת קוד ההנחה של הצעת המחיר על הנסיעה (לפני ride.save)
+   * - אותו קוד כבר ממומש על הנסיעה → רק עדכון הסכום
+   * - קוד אחר / בלי קוד → השימוש הקודם משוחרר
+   * - מכסה שנגמרה בינתיים → ההנחה יורדת מהמחיר
+   * @returns {Promise<Object>} - הצעת המחיר הסופית (ממנה נקבעים ride.price ו-pricingDetails)
+   */
+  async applyToRide(ride, quote) {
+    const previous = activePromoRedemption(ride);
+    const code = quote.promo?.discount > 0 ? quote.promo.code : null;
+
+    if (previous && previous.code === code) {
+      previous.amount = quote.discount;
+      return quote;
+    }
+
+    if (previous) {
+      previous.reversedAt = new Date();
+      await PromoCode.release(previous.code);
+    }
+
+    if (!code) {
+      return quote;
+    }
+
+    const promo = await PromoCode.findByCode(code);
+    if (promo?.maxUsesPerPhone !== null && promo?.maxUsesPerPhone !== undefined) {
+      const uses = await this.countPhoneUses(code, ride.customerPhone, ride._id);
+      if (uses >= promo.maxUsesPerPhone) {
+        return withoutPromo(quote, 'phone_limit');
+      }
+    }
+
+    const redeemed = await PromoCode.redeem(code);
+    if (!redeemed) {
+      return withoutPromo(quote, 'exhausted');
+    }
+
+    ride.redemptions.push({
+      kind: 'promo',
+      code,
+      amount: quote.discount,
+      phone: normalizePhone(ride.customerPhone),
+      redeemedAt: new Date()
+    });
+
+    logger.info('🎟️ Promo code redeemed', {
+      code,
+      rideNumber: ride.rideNumber,
+      discount: quote.discount
+    });
+
+    return quote;
+  }
+
+  /**
+   * נסיעה בוטלה - שחרור הקוד למכסה (הנסיעה נשארת עם ההיסטוריה)
+   */
+  async releaseRide(ride) {
+    const fresh = await Ride.findById(ride._id).select('redemptions rideNumber');
+    const redemption = fresh && activePromoRedemption(fresh);
+    if (!redemption) return;
+
+    redemption.reversedAt = new Date();
+    await fresh.save();
+    await PromoCode.release(redemption.code);
+
+    logger.info('🎟️ Promo code released (ride cancelled)', {
+      code: redemption.code,
+      rideNumber: fresh.rideNumber
+    });
+  }
+
+  // ===============================================
+  // 👛 WALLET
+  // ===============================================
+
+  async getWallet(phone) {
+    const normalized = normalizePhone(phone);
+    return normalized ? CustomerWallet.findOne({ phone: normalized }) : null;
+  }
+
+  /**
+   * תנועה בארנק - אידמפוטנטית לפי idempotencyKey, חיוב רק עד גובה היתרה
+   * @param {Object} params - { wallet, type, amount, direction, idempotencyKey, description, reference, createdBy }
+   * @returns {Promise<Object>} - { transaction, wallet, duplicate }
+   */
+  async post({ wallet, type, amount, direction, idempotencyKey, description = null, reference = {}, createdBy = 'system' }) {
+    const value = roundMoney(parseFloat(amount));
+    if (!value || value <= 0) {
+      throw new WalletError('INVALID_AMOUNT', 'סכום חייב להיות חיובי');
+    }
+
+    const side = type === 'ride_charge' ? 'debit'
+      : ['topup', 'refund'].includes(type) ? 'credit'
+      : direction;
+
+    if (side !== 'debit' && side !== 'credit') {
+      throw new WalletError('INVALID_DIRECTION', 'תיקון דורש כיוון (debit / credit)');
+    }
+
+    const existing = await WalletTransaction.findOne({ idempotencyKey });
+    if (existing) {
+      return { transaction: existing, wallet, duplicate: true };
+    }
+
+    const balanceDelta = side === 'debit' ? -value : value;
+
+    // חיוב אטומי מול היתרה - שני חיובים במקביל לא יורידו מתחת לאפס
+    const updated = await CustomerWallet.findOneAndUpdate(
+      side === 'debit' ? { _id: wallet._id, balance: { $gte: value } } : { _id: wallet._id },
+      { $inc: { balance: balanceDelta } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new WalletError('INSUFFICIENT_BALANCE', 'אין מספיק יתרה בארנק', 409);
+    }
+
+    try {
+      const transaction = await WalletTransaction.create({
+        walletId: wallet._id,
+        phone: wallet.phone,
+        idempotencyKey,
+        type,
+        amount: value,
+        balanceDelta,
+        balanceAfter: roundMoney(updated.balance),
+        description,
+        reference,
+        createdBy
+      });
+
+      logger.info('👛 Wallet transaction posted', {
+        phone: wallet.phone,
+        type,
+        amount: value,
+        balanceAfter: transaction.balanceAfter
+      });
+
+      return { transaction, wallet: updated, duplicate: false };
+    } catch (error) {
+      // תנועה מקבילה עם אותו מפתח - מחזירים את היתרה
+      await CustomerWallet.updateOne({ _id: wallet._id }, { $inc: { balance: -balanceDelta } });
+      if (error.code === 11000) {
+        const duplicate = await WalletTransaction.findOne({ idempotencyKey });
+        return { transaction: duplicate, wallet, duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * נסיעה חדשה של טלפון עם ארנק פעיל ויתרה → תשלום מהארנק (לפני ride.save)
+   */
+  async attachWallet(ride) {
+    if (ride.paymentMethod && ride.paymentMethod !== 'cash') return false;
+
+    const wallet = await this.getWallet(ride.customerPhone);
+    if (!wallet?.isActive || wallet.balance <= 0) return false;
+
+    ride.paymentMethod = 'wallet';
+    return true;
+  }
+
+  /**
+   * חיוב הארנק בסיום נסיעה ששולמה מהארנק (פעם אחת לנסיעה)
+   * יתרה חלקית - מחויב מה שיש, את השאר הלקוח משלם לנהג
+   * הנהג מזוכה בספר החשבונות על הסכום שהתחנה גבתה
+   */
+  async chargeRide(ride, driverId) {
+    if (ride.paymentMethod !== 'wallet' || !(ride.price > 0)) return null;
+
+    const wallet = await this.getWallet(ride.customerPhone);
+    if (!wallet?.isActive || wallet.balance <= 0) {
+      logger.warn('👛 Wallet ride without balance - customer pays the driver', {
+        rideNumber: ride.rideNumber,
+        customerPhone: ride.customerPhone
+      });
+      return null;
+    }
+
+    const amount = roundMoney(Math.min(wallet.balance, ride.price));
+    const reference = { kind: 'Ride', id: ride._id, number: ride.rideNumber };
+
+    const { transaction, duplicate } = await this.post({
+      wallet,
+      type: 'ride_charge',
+      amount,
+      idempotencyKey: `ride_charge:${ride._id}`,
+      description: `נסיעה ${ride.rideNumber}`,
+      reference
+    });
+
+    if (duplicate) return transaction;
+
+    await Ride.updateOne({ _id: ride._id }, {
+      $push: {
+        redemptions: {
+          kind: 'wallet',
+          amount,
+          phone: wallet.phone,
+          walletTransactionId: transaction._id,
+          redeemedAt: new Date()
+        }
+      }
+    });
+
+    if (driverId) {
+      await commissionLedger.post({
+        driverId,
+        type: 'adjustment',
+        direction: 'credit',
+        amount,
+        idempotencyKey: `wallet_ride:${ride._id}`,
+        description: `נסיעה ${ride.rideNumber} שולמה מארנק לקוח`,
+        reference
+      }).catch(err => {
+        logger.error('❌ Failed to credit driver for wallet ride', {
+          rideNumber: ride.rideNumber,
+          error: err.message
+        });
+      });
+    }
+
+    if (amount < ride.price) {
+      logger.warn('👛 Wallet covered part of the ride', {
+        rideNumber: ride.rideNumber,
+        charged: amount,
+        remaining: roundMoney(ride.price - amount)
+      });
+    }
+
+    return transaction;
+  }
+
+  // ===============================================
+  // 📊 REPORTS
+  // ===============================================
+
+  /**
+   * סיכום מימושים בטווח: הנחות לפי קוד ותשלומים מארנק
+   * @param {Object} rideFilter - הגבלת הנסיעות (scopeFilter של המשתמש)
+   */
+  async getRedemptionSummary(from, to = new Date(), rideFilter = {}) {
+    const rows = await Ride.aggregate([
+      { $match: { ...rideFilter, 'redemptions.redeemedAt': { $gte: from, $lte: to } } },
+      { $unwind: '$redemptions' },
+      {
+        $match: {
+          'redemptions.redeemedAt': { $gte: from, $lte: to },
+          'redemptions.reversedAt': null
+        }
+      },
+      {
+        $group: {
+          _id: { kind: '$redemptions.kind', code: '$redemptions.code' },
+          count: { $sum: 1 },
+          amount: { $sum: '$redemptions.amount' }
+        }
+      },
+      { $sort: { amount: -1 } }
+    ]);
+
+    const promos = rows.filter(row => row._id.kind === 'promo');
+    const wallet = rows.find(row => row._id.kind === 'wallet');
+
+    return {
+      promoRedemptions: promos.reduce((sum, row) => sum + row.count, 0),
+      totalDiscount: roundMoney(promos.reduce((sum, row) => sum + row.amount, 0)),
+      byCode: promos.map(row => ({ code: row._id.code, redemptions: row.count, discount: roundMoney(row.amount) })),
+      walletRides: wallet?.count || 0,
+      walletCharged: roundMoney(wallet?.amount || 0)
+    };
+  }
+
+  /**
+   * מצב הארנקים: יתרה כוללת וטעינות בטווח
+   */
+  async getWalletSummary(from, to = new Date()) {
+    const [balances] = await CustomerWallet.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: null, wallets: { $sum: 1 }, totalBalance: { $sum: '$balance' } } }
+    ]);
+
+    const [topups] = await WalletTransaction.aggregate([
+      { $match: { type: 'topup', createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]);
+
+    return {
+      activeWallets: balances?.wallets || 0,
+      totalBalance: roundMoney(balances?.totalBalance || 0),
+      topups: topups?.count || 0,
+      toppedUp: roundMoney(topups?.amount || 0)
+    };
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const promotionService = new PromotionService();
+
+export default promotionService;
@@ -0,0 +1,393 @@
+import Ride from '../models/Ride.js';
+import corporateBillingService from './corporateBillingService.js';
+import dispatchManager from './dispatchManager.js';
+import rideNumberGenerator from './rideNumberGenerator.js';
+import rideStateMachine from './rideStateMachine.js';
+import logger from './logger.js';
+
+// ===============================================
+// 🔁 RECURRING RIDES SCHEDULER
+// ===============================================
+// יוצר נסיעות בפועל מתבניות חוזרות (recurring.enabled):
+// - נסיעת בת עם מספר נסיעה רגיל, נשלחת לנהגים X דקות לפני האיסוף
+// - תמיכה בימי שבוע, תאריכי דילוג (חגים) והשהיה
+// - קידום nextOccurrence אחרי כל מופע
+// הזמנים מחושבים לפי אזור הזמן של השרת (TZ)
+
+const MAX_LOOKAHEAD_DAYS = 400;
+
+// מופע שזמן האיסוף שלו עבר לפני יותר מזה - לא נוצר (למשל אחרי השבתת שרת)
+const MISSED_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * YYYY-MM-DD לפי זמן מקומי
+ */
+export function toDateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * חישוב המופע הבא אחרי תאריך נתון
+ * @param {Object} recurring - תת-מסמך recurring של הנסיעה
+ * @param {Date} after - המופע חייב להיות אחרי זמן זה
+ * @returns {Date|null} - null אם אין מופעים נוספים (endDate)
+ */
+export function computeNextOccurrence(recurring, after = new Date()) {
+  const [hours, minutes] = String(recurring.time || '08:00').split(':').map(Number);
+  const anchor = new Date(recurring.startDate || after);
+  const skipDates = new Set(recurring.skipDates || []);
+  const endDate = recurring.endDate ? new Date(recurring.endDate) : null;
+
+  // weekly בלי ימים מפורשים = היום בשבוע של תאריך ההתחלה
+  let weekdays = recurring.weekdays || [];
+  if (recurring.frequency === 'weekly' && weekdays.length === 0) {
+    weekdays = [anchor.getDay()];
+  }
+
+  const candidate = new Date(after);
+  candidate.setHours(hours, minutes, 0, 0);
+
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+    if (i > 0) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(hours, minutes, 0, 0);
+    }
+
+    if (candidate <= after) continue;
+    if (endDate && candidate > endDate) return null;
+
+    if (recurring.frequency === 'monthly') {
+      const lastDayOfMonth = new Date(candidate.getFullYear(), candidate.getMonth() + 1, 0).getDate();
+      if (candidate.getDate() !== Math.min(anchor.getDate(), lastDayOfMonth)) continue;
+    } else if (weekdays.length > 0 && !weekdays.includes(candidate.getDay())) {
+      continue;
+    }
+
+    if (skipDates.has(toDateKey(candidate))) continue;
+
+    return new Date(candidate);
+  }
+
+  return null;
+}
+
+class RecurringRidesScheduler {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.jobs = [];
+    this.checkInterval = parseInt(process.env.RECURRING_RIDES_CHECK_INTERVAL || '60000'); // 1m
+    this.defaultLeadMinutes = parseInt(process.env.RECURRING_RIDES_LEAD_MINUTES || '30');
+    // חלון הבדיקה - leadTimeMinutes גדול מזה נחתך אליו
+    this.maxLeadMinutes = parseInt(process.env.RECURRING_RIDES_MAX_LEAD_MINUTES || '1440'); // 24h
+    this.lastRun = null;
+  }
+
+  /**
+   * התחלת הבדיקה המחזורית
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Recurring rides scheduler already running');
+      return;
+    }
+
+    logger.info('🔁 Starting recurring rides scheduler...', {
+      checkInterval: this.checkInterval,
+      defaultLeadMinutes: this.defaultLeadMinutes,
+      maxLeadMinutes: this.maxLeadMinutes
+    });
+
+    const job = setInterval(() => {
+      this.processDueRides();
+    }, this.checkInterval);
+
+    this.jobs = [job];
+    this.isRunning = true;
+
+    logger.success('✅ Recurring rides scheduler started');
+  }
+
+  /**
+   * עצירת הבדיקה המחזורית
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.jobs.forEach(job => clearInterval(job));
+    this.jobs = [];
+    this.isRunning = false;
+
+    logger.success('✅ Recurring rides scheduler stopped');
+  }
+
+  /**
+   * יצירת כל המופעים שהגיע זמן השליחה שלהם
+   */
+  async processDueRides() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const now = new Date();
+      const maxLeadMs = this.maxLeadMinutes * 60 * 1000;
+
+      const templates = await Ride.find({
+        'recurring.enabled': true,
+        'recurring.paused': { $ne: true },
+        'recurring.nextOccurrence': { $ne: null, $lte: new Date(now.getTime() + maxLeadMs) }
+      });
+
+      let created = 0;
+      for (const template of templates) {
+        const leadMinutes = Math.min(template.recurring.leadTimeMinutes ?? this.defaultLeadMinutes, this.maxLeadMinutes);
+        const dispatchAt = template.recurring.nextOccurrence.getTime() - leadMinutes * 60 * 1000;
+
+        if (dispatchAt > now.getTime()) continue;
+
+        if (await this.materializeOccurrence(template)) {
+          created++;
+        }
+      }
+
+      if (created > 0) {
+        logger.success(`✅ Created ${created} recurring ride occurrences`);
+      }
+
+      this.lastRun = now;
+    } catch (error) {
+      logger.error('❌ Error processing recurring rides', {
+        error: error.message
+      });
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * יצירת נסיעת בת למופע הנוכחי וקידום nextOccurrence
+   * @param {Object} template - נסיעת התבנית
+   * @returns {Promise<Object|null>} - נסיעת הבת שנוצרה
+   */
+  async materializeOccurrence(template) {
+    const occurrence = template.recurring.nextOccurrence;
+    const next = computeNextOccurrence(template.recurring, occurrence);
+
+    // תפיסה אטומית של המופע - מונע יצירה כפולה
+    const claimed = await Ride.findOneAndUpdate(
+      { _id: template._id, 'recurring.nextOccurrence': occurrence },
+      {
+        $set: {
+          'recurring.nextOccurrence': next,
+          'recurring.enabled': next !== null,
+          'recurring.lastMaterializedAt': new Date()
+        },
+        $inc: { 'recurring.occurrencesCreated': 1 }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    if (occurrence.getTime() < Date.now() - MISSED_GRACE_MS) {
+      await Ride.updateOne(
+        { _id: template._id },
+        {
+          $push: {
+            timeline: {
+              event: 'recurring_occurrence_missed',
+              timestamp: new Date(),
+              details: { occurrence }
+            }
+          }
+        }
+      );
+
+      logger.warn('⚠️ Recurring occurrence missed', {
+        templateRideNumber: template.rideNumber,
+        occurrence
+      });
+      return null;
+    }
+
+    try {
+      const rideNumber = await rideNumberGenerator.formatRideNumber();
+
+      const child = new Ride({
+        rideNumber,
+        customerName: template.customerName,
+        customerPhone: template.customerPhone,
+        pickup: template.pickup,
+        destination: template.destination,
+        pickupLocation: template.pickupLocation,
+        destinationLocation: template.destinationLocation,
+        scheduledTime: occurrence.toISOString(),
+        notes: template.notes,
+        price: template.price,
+        isExternal: template.isExternal,
+        status: 'created',
+        rideType: 'regular',
+        specialNotes: template.specialNotes,
+        groupChat: template.groupChat,
+        station: template.station,
+        createdBy: 'recurring_scheduler',
+        parentRideId: template._id,
+        occurrenceDate: occurrence,
+        timeline: [{
+          event: 'created',
+          timestamp: new Date(),
+          details: { source: 'recurring', parentRideNumber: template.rideNumber }
+        }]
+      });
+
+      // 🏢 עובד של חשבון חברה → המופע על החשבון (כל מופע נבדק מחדש מול המסגרת וכללי האישור)
+      // התבנית עצמה לא משויכת לחשבון - אחרת הייתה נספרת בהוצאה החודשית
+      await corporateBillingService.attachAccount(child, { costCenter: template.corporate?.costCenter });
+
+      await child.save();
+
+      await Ride.updateOne(
+        { _id: template._id },
+        {
+          $push: {
+            timeline: {
+              event: 'recurring_occurrence_created',
+              timestamp: new Date(),
+              details: { rideId: child._id, rideNumber, occurrence }
+            }
+          }
+        }
+      );
+
+      logger.info('🔁 Recurring occurrence created', {
+        templateRideNumber: template.rideNumber,
+        rideNumber,
+        occurrence,
+        nextOccurrence: next
+      });
+
+      await this.dispatchOccurrence(child);
+
+      return child;
+    } catch (error) {
+      // מופע שכבר נוצר (unique index) - לא שגיאה
+      if (error.code === 11000) {
+        logger.warn('⚠️ Recurring occurrence already exists', {
+          templateRideNumber: template.rideNumber,
+          occurrence
+        });
+        return null;
+      }
+
+      logger.error('❌ Failed to create recurring occurrence', {
+        error: error.message,
+        templateRideNumber: template.rideNumber,
+        occurrence
+      });
+      return null;
+    }
+  }
+
+  /**
+   * שליחת נסיעת הבת לנהגים
+   * @param {Object} ride - נסיעת הבת
+   */
+  async dispatchOccurrence(ride) {
+    try {
+      const result = await dispatchManager.sendRide(ride);
+
+      await rideStateMachine.transition(ride, 'sent', {
+        actor: 'recurring_scheduler',
+        actorRole: 'system',
+        event: 'sent',
+        reason: `Dispatched via ${result.method}`,
+        set: { dispatchMethod: result.method === 'twilio' ? 'twilio' : 'bot' },
+        expectedFrom: ['created']
+      });
+    } catch (error) {
+      logger.error('❌ Failed to dispatch recurring occurrence', {
+        error: error.message,
+        rideNumber: ride.rideNumber
+      });
+    }
+  }
+
+  /**
+   * רשימת המופעים הבאים של תבנית (ללא יצירה)
+   * @param {Object} template - נסיעת התבנית
+   * @param {number} count - מספר מופעים
+   * @returns {Date[]}
+   */
+  getUpcomingOccurrences(template, count = 10) {
+    const occurrences = [];
+    let current = template.recurring.nextOccurrence;
+
+    while (current && occurrences.length < count) {
+      occurrences.push(current);
+      current = computeNextOccurrence(template.recurring, current);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * השהיה / חידוש של תבנית
+   * @param {Object} template - נסיעת התבנית
+   * @param {boolean} paused
+   * @param {string} by - מי ביצע
+   */
+  async setPaused(template, paused, by) {
+    template.recurring.paused = paused;
+    template.recurring.pausedAt = paused ? new Date() : null;
+    template.recurring.pausedBy = paused ? by : null;
+
+    // בחידוש - מדלגים על מופעים שעברו בזמן ההשהיה
+    if (!paused && template.recurring.nextOccurrence && template.recurring.nextOccurrence < new Date()) {
+      template.recurring.nextOccurrence = computeNextOccurrence(template.recurring, new Date());
+    }
+
+    template.timeline.push({
+      event: paused ? 'recurring_paused' : 'recurring_resumed',
+      timestamp: new Date(),
+      details: { by }
+    });
+
+    await template.save();
+    return template;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      checkInterval: this.checkInterval,
+      defaultLeadMinutes: this.defaultLeadMinutes,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * הרצה ידנית
+   */
+  async runManually() {
+    logger.info('▶️ Running recurring rides scheduler manually...');
+
+    await this.processDueRides();
+
+    logger.success('✅ Manual run completed');
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const recurringRidesScheduler = new RecurringRidesScheduler();
+
+export default recurringRidesScheduler;
@@ -0,0 +1,448 @@
+// ===============================================
+// 🚦 RIDE STATE MACHINE
+// ===============================================
+// מקור אמת יחיד למעברי סטטוס של נסיעה - כל הנתיבים, הבוט והמתזמנים עוברים כאן:
+// - טבלת מעברים חוקיים (finished → sent אסור!)
+// - הרשאות לפי תפקיד (admin / manager / bot / driver / customer / system);
+//   משתמש מחובר ממופה לפי ההרשאות של התפקיד שלו (actorRoleFor), כולל תפקידים מותאמים
+// - hooks לפני/אחרי מעבר (before יכול לחסום, after לא משפיע על התוצאה)
+// - עדכון אטומי: המעבר מצליח רק אם הסטטוס לא השתנה בינתיים
+
+import Driver, { DOCUMENT_LABELS } from '../models/Driver.js';
+import Ride from '../models/Ride.js';
+import autoLockAfterRideService from './autoLockAfterRideService.js';
+import corporateBillingService from './corporateBillingService.js';
+import customerService from './customerService.js';
+import dispatchManager from './dispatchManager.js';
+import promotionService from './promotionService.js';
+import roleStore, { ALL_PERMISSIONS } from './roleStore.js';
+import logger from './logger.js';
+
+export const RIDE_STATUSES = [
+  'created',
+  'distributed',      // הופץ לנהגים
+  'sent',             // נשלח בפועל
+  'locked',           // נעול על ידי נהג / מנהל
+  'assigned',         // שובץ לנהג (קישור Twilio)
+  'approved',         // אושר
+  'enroute',          // בדרך
+  'arrived',          // הגיע
+  'finished',         // הסתיים - ממתין לעמלה
+  'commission_paid',  // עמלה שולמה
+  'completed',        // הושלם
+  'cancelled'         // בוטל
+];
+
+// נהג "תפוס" בנסיעה בסטטוסים האלה
+export const ACTIVE_RIDE_STATUSES = ['locked', 'assigned', 'approved', 'enroute', 'arrived'];
+
+export const TERMINAL_STATUSES = ['completed', 'cancelled'];
+
+// מעברים חוקיים: from → [to]
+const TRANSITIONS = {
+  created: ['distributed', 'sent', 'locked', 'assigned', 'approved', 'cancelled'],
+  distributed: ['created', 'sent', 'locked', 'assigned', 'approved', 'cancelled'],
+  sent: ['created', 'distributed', 'sent', 'locked', 'assigned', 'approved', 'cancelled'], // sent → sent = שליחה חוזרת
+  locked: ['created', 'sent', 'assigned', 'approved', 'enroute', 'cancelled'],
+  assigned: ['created', 'sent', 'approved', 'enroute', 'arrived', 'cancelled'],
+  approved: ['created', 'sent', 'enroute', 'arrived', 'cancelled'],
+  enroute: ['arrived', 'finished', 'completed', 'cancelled'],
+  arrived: ['finished', 'completed', 'cancelled'],
+  finished: ['commission_paid', 'completed'],
+  commission_paid: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+const STAFF = ['system', 'admin', 'manager'];
+
+// הרשאות שהופכות משתמש מחובר לצוות (manager) במכונת המצבים
+const RIDE_WRITE_PERMISSIONS = ['rides:create', 'rides:update', 'rides:cancel'];
+
+// מי רשאי להעביר נסיעה לסטטוס (לפי סטטוס היעד)
+const ROLE_RULES = {
+  created: STAFF,                                  // שחרור נעילה / שליחה מחדש
+  distributed: [...STAFF, 'bot'],
+  sent: [...STAFF, 'bot'],
+  locked: [...STAFF, 'bot', 'driver'],
+  assigned: [...STAFF, 'bot', 'driver'],
+  approved: [...STAFF, 'bot'],
+  enroute: [...STAFF, 'driver'],
+  arrived: [...STAFF, 'driver'],
+  finished: [...STAFF, 'driver'],
+  commission_paid: ['system', 'admin'],
+  completed: [...STAFF, 'driver'],
+  cancelled: [...STAFF, 'driver', 'customer']
+};
+
+// חריגים למעבר ספציפי (from:to) - גוברים על ROLE_RULES
+const TRANSITION_ROLE_RULES = {
+  'finished:completed': ['system', 'admin'],
+  'commission_paid:completed': ['system', 'admin']
+};
+
+const ERROR_MESSAGES = {
+  UNKNOWN_STATUS: 'סטטוס לא תקין',
+  RIDE_NOT_FOUND: 'נסיעה לא נמצאה',
+  INVALID_TRANSITION: 'מעבר סטטוס לא חוקי',
+  ROLE_NOT_ALLOWED: 'אין הרשאה למעבר סטטוס זה',
+  STATUS_CHANGED: 'סטטוס הנסיעה השתנה בינתיים - נסה שוב',
+  REJECTED_BY_HOOK: 'המעבר נחסם',
+  DOCUMENTS_EXPIRED: 'פג תוקף מסמכי הנהג'
+};
+
+const HTTP_STATUS = {
+  UNKNOWN_STATUS: 400,
+  RIDE_NOT_FOUND: 404,
+  INVALID_TRANSITION: 409,
+  ROLE_NOT_ALLOWED: 403,
+  STATUS_CHANGED: 409,
+  REJECTED_BY_HOOK: 409,
+  DOCUMENTS_EXPIRED: 400
+};
+
+// ===============================================
+// 🚫 ERROR
+// ===============================================
+
+export class RideTransitionError extends Error {
+  constructor(code, details = {}, message = null) {
+    super(message || ERROR_MESSAGES[code] || ERROR_MESSAGES.INVALID_TRANSITION);
+    this.name = 'RideTransitionError';
+    this.code = code;
+    this.httpStatus = HTTP_STATUS[code] || 409;
+    this.details = details;
+  }
+
+  /**
+   * גוף תשובה אחיד לנתיבים
+   */
+  toResponse() {
+    return {
+      ok: false,
+      error: this.message,
+      code: this.code,
+      details: this.details
+    };
+  }
+}
+
+// ===============================================
+// 🔧 HELPERS
+// ===============================================
+
+/**
+ * תפקיד המבצע לפי ההרשאות של תפקיד המשתמש המחובר (JWT) - לא לפי שם התפקיד,
+ * כך שתפקיד מותאם (roleStore) עם rides:update מקבל את מעברי הצוות
+ * כל ההרשאות → admin, הרשאת כתיבה לנסיעות → manager, אחרת viewer (בלי מעברים)
+ */
+export function actorRoleFor(user) {
+  const role = user?.role;
+  if (!role) return 'viewer';
+
+  if (roleStore.can(role, ALL_PERMISSIONS)) return 'admin';
+  if (RIDE_WRITE_PERMISSIONS.some(permission => roleStore.can(role, permission))) return 'manager';
+  return 'viewer';
+}
+
+export function isRoleAllowed(from, to, actorRole) {
+  const roles = TRANSITION_ROLE_RULES[`${from}:${to}`] || ROLE_RULES[to] || [];
+  return roles.includes(actorRole);
+}
+
+/**
+ * האם המעבר חוקי ומותר לתפקיד
+ */
+export function canTransition(from, to, actorRole = 'system') {
+  return (TRANSITIONS[from] || []).includes(to) && isRoleAllowed(from, to, actorRole);
+}
+
+/**
+ * הסטטוסים שהתפקיד רשאי להעביר אליהם נסיעה מסטטוס נתון
+ */
+export function getAllowedTransitions(from, actorRole = 'system') {
+  return (TRANSITIONS[from] || []).filter(to => isRoleAllowed(from, to, actorRole));
+}
+
+// ===============================================
+// 🚦 STATE MACHINE CLASS
+// ===============================================
+
+class RideStateMachine {
+  constructor() {
+    this.hooks = { before: [], after: [] };
+  }
+
+  /**
+   * hook לפני מעבר - זריקת שגיאה חוסמת את המעבר
+   * @param {string|string[]} statuses - סטטוס יעד, מערך, או '*'
+   * @param {Function} fn - async (context) => {}; אפשר להוסיף שדות ל-context.set
+   */
+  before(statuses, fn) {
+    this.hooks.before.push({ statuses: [].concat(statuses), fn });
+  }
+
+  /**
+   * hook אחרי מעבר מוצלח - שגיאות נרשמות בלוג בלבד
+   */
+  after(statuses, fn) {
+    this.hooks.after.push({ statuses: [].concat(statuses), fn });
+  }
+
+  _hooksFor(phase, status) {
+    return this.hooks[phase]
+      .filter(hook => hook.statuses.includes('*') || hook.statuses.includes(status))
+      .map(hook => hook.fn);
+  }
+
+  /**
+   * בדיקת מעבר - זורק RideTransitionError
+   */
+  assertTransition(from, to, actorRole = 'system') {
+    if (!RIDE_STATUSES.includes(to)) {
+      throw new RideTransitionError('UNKNOWN_STATUS', { requestedStatus: to });
+    }
+
+    const details = {
+      currentStatus: from,
+      requestedStatus: to,
+      actorRole,
+      allowedStatuses: getAllowedTransitions(from, actorRole)
+    };
+
+    if (!(TRANSITIONS[from] || []).includes(to)) {
+      throw new RideTransitionError(
+        'INVALID_TRANSITION',
+        details,
+        `לא ניתן לעבור מסטטוס ${from} ל-${to}`
+      );
+    }
+
+    if (!isRoleAllowed(from, to, actorRole)) {
+      throw new RideTransitionError(
+        'ROLE_NOT_ALLOWED',
+        details,
+        `${actorRole} לא יכול לעבור מסטטוס ${from} ל-${to}`
+      );
+    }
+  }
+
+  /**
+   * ביצוע מעבר סטטוס
+   * @param {Object|string} rideOrId - מסמך נסיעה או מזהה
+   * @param {string} to - סטטוס יעד
+   * @param {Object} options
+   * @param {string} options.actor - מי ביצע (שם משתמש / טלפון / שירות)
+   * @param {string} options.actorRole - system / admin / manager / bot / driver / customer
+   * @param {string} options.reason - תיאור חופשי להיסטוריה
+   * @param {string} options.event - שם אירוע ב-timeline (ברירת מחדל: status_changed)
+   * @param {Object} options.details - פרטים נוספים ל-timeline
+   * @param {Object} options.set - שדות נוספים לעדכון באותה פעולה אטומית
+   * @param {Object} options.inc - שדות להגדלה באותה פעולה
+   * @param {string[]} options.expectedFrom - אם הסטטוס הנוכחי לא ברשימה / השתנה בינתיים
+   *   מחזיר null במקום לזרוק (למשל "הנסיעה כבר נלקחה")
+   * @returns {Promise<Object|null>} - הנסיעה המעודכנת
+   */
+  async transition(rideOrId, to, options = {}) {
+    const {
+      actor = 'system',
+      actorRole = 'system',
+      reason = null,
+      event = 'status_changed',
+      details = {},
+      set = {},
+      inc = null,
+      expectedFrom = null
+    } = options;
+
+    const ride = rideOrId?._id && rideOrId.status
+      ? rideOrId
+      : await Ride.findById(rideOrId);
+
+    if (!ride) {
+      throw new RideTransitionError('RIDE_NOT_FOUND', { rideId: String(rideOrId) });
+    }
+
+    const from = ride.status;
+
+    if (expectedFrom && !expectedFrom.includes(from)) {
+      return null;
+    }
+
+    this.assertTransition(from, to, actorRole);
+
+    const context = { ride, from, to, actor, actorRole, reason, details, set: { ...set } };
+
+    for (const hook of this._hooksFor('before', to)) {
+      try {
+        await hook(context);
+      } catch (error) {
+        if (error instanceof RideTransitionError) throw error;
+        throw new RideTransitionError('REJECTED_BY_HOOK', { currentStatus: from, requestedStatus: to }, error.message);
+      }
+    }
+
+    const now = new Date();
+    const update = {
+      $set: { ...context.set, status: to, updatedAt: now },
+      $push: {
+        history: {
+          status: to,
+          by: actor,
+          timestamp: now,
+          details: reason || `${from} → ${to}`
+        },
+        timeline: {
+          event,
+          timestamp: now,
+          details: { from, to, by: actor, actorRole, ...(reason ? { reason } : {}), ...details }
+        }
+      }
+    };
+
+    if (inc) {
+      update.$inc = inc;
+    }
+
+    // אטומי - רק אם הסטטוס עדיין from
+    const updated = await Ride.findOneAndUpdate({ _id: ride._id, status: from }, update, { new: true });
+
+    if (!updated) {
+      if (expectedFrom) return null;
+      throw new RideTransitionError('STATUS_CHANGED', { expectedStatus: from, requestedStatus: to });
+    }
+
+    logger.info('🚦 Ride status transition', {
+      rideNumber: updated.rideNumber,
+      from,
+      to,
+      actor,
+      actorRole
+    });
+
+    this._runAfterHooks({ ...context, ride: updated });
+
+    return updated;
+  }
+
+  /**
+   * hooks אחרי המעבר רצים ברקע - לא מעכבים את התשובה ולא מפילים אותה
+   */
+  _runAfterHooks(context) {
+    const hooks = this._hooksFor('after', context.to);
+
+    (async () => {
+      for (const hook of hooks) {
+        try {
+          await hook(context);
+        } catch (error) {
+          logger.error('❌ Ride transition hook failed', {
+            rideNumber: context.ride.rideNumber,
+            from: context.from,
+            to: context.to,
+            error: error.message
+          });
+        }
+      }
+    })();
+  }
+}
+
+const rideStateMachine = new RideStateMachine();
+
+// ===============================================
+// 🪝 BUILT-IN HOOKS
+// ===============================================
+
+// 📄 נהג עם מסמך שפג תוקפו לא נועל / לוקח / משובץ לנסיעה - בכל המסלולים
+// (קישור הבוט, POST /api/rides/respond, שיבוץ ידני); נעילה ידנית בלי נהג לא נבדקת
+rideStateMachine.before(['locked', 'assigned', 'approved'], async ({ ride, set }) => {
+  const driverId = set.driverId || ride.driverId;
+  const driverPhone = set.driverPhone || ride.driverPhone;
+  if (!driverId && !driverPhone) return;
+
+  const driver = driverId
+    ? await Driver.findById(driverId)
+    : await Driver.findOne({ phone: driverPhone });
+  if (!driver) return;
+
+  const expiredDocuments = driver.expiredDocuments();
+  if (expiredDocuments.length > 0) {
+    throw new RideTransitionError(
+      'DOCUMENTS_EXPIRED',
+      { driverPhone: driver.phone, expiredDocuments },
+      `פג תוקף: ${expiredDocuments.map(type => DOCUMENT_LABELS[type]).join(', ')}`
+    );
+  }
+});
+
+// 🏁 סיום נסיעה → נעילת הנהג + קוד תשלום עמלה, פעם אחת בלבד לנסיעה
+rideStateMachine.after(['finished', 'completed'], async ({ ride, from }) => {
+  // finished → completed הוא סגירה כספית, לא סיום נסיעה נוסף
+  if (!ACTIVE_RIDE_STATUSES.includes(from)) return;
+
+  const claimed = await Ride.updateOne(
+    { _id: ride._id, completionHandledAt: null },
+    { $set: { completionHandledAt: new Date() } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    logger.warn('⚠️ Ride completion already handled - skipping commission', {
+      rideNumber: ride.rideNumber
+    });
+    return;
+  }
+
+  const driverId = ride.driverId ||
+    (ride.driverPhone ? (await Driver.findOne({ phone: ride.driverPhone }).select('_id'))?._id : null);
+
+  if (!driverId) {
+    logger.warn('⚠️ Finished ride has no driver - commission not created', {
+      rideNumber: ride.rideNumber
+    });
+    return;
+  }
+
+  await autoLockAfterRideService.handleRideCompletion(ride._id, driverId);
+
+  // 👛 נסיעה ששולמה מארנק לקוח - חיוב הארנק וזיכוי הנהג
+  await promotionService.chargeRide(ride, driverId);
+
+  // 🏢 נסיעה על חשבון חברה - זיכוי הנהג (החברה משלמת בחשבונית החודשית)
+  await corporateBillingService.creditDriver(ride, driverId);
+});
+
+// 🚫 ביטול → עצירת הצעות פתוחות, שחרור הנהג וקוד ההנחה
+rideStateMachine.after('cancelled', async ({ ride, from }) => {
+  dispatchManager.cancelWaterfall(ride._id);
+  dispatchManager.cancelGeoDispatch(ride._id);
+
+  await promotionService.releaseRide(ride);
+
+  if (ride.lockedBy || ride.lockedAt) {
+    await Ride.updateOne({ _id: ride._id }, { $set: { lockedBy: null, lockedAt: null } });
+  }
+
+  if (ride.driverPhone && ACTIVE_RIDE_STATUSES.includes(from)) {
+    logger.info('🔓 Driver released from cancelled ride', {
+      rideNumber: ride.rideNumber,
+      driverPhone: ride.driverPhone
+    });
+
+    await autoLockAfterRideService.sendToBot(
+      ride.driverPhone,
+      `🚫 *נסיעה ${ride.rideNumber} בוטלה*\n\n${ride.cancelReason ? `סיבה: ${ride.cancelReason}\n\n` : ''}אתה פנוי לנסיעות חדשות.`
+    );
+  }
+});
+
+// 👤 סיום / ביטול → סטטיסטיקת הלקוח, דרגת VIP ואי-הגעות
+rideStateMachine.after(['finished', 'completed', 'cancelled'], async ({ ride }) => {
+  await customerService.refreshForRide(ride);
+});
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+export default rideStateMachine;
@@ -0,0 +1,268 @@
+import { Role, User } from '../models/index.js';
+import { ROLE_NAME_REGEX } from '../models/Role.js';
+import logger from './logger.js';
+
+// ===============================================
+// 🛡️ ROLE STORE
+// ===============================================
+// תפקידים והרשאות שמורים ב-MongoDB (models/Role.js) עם מטמון בזיכרון:
+// - requirePermission (middlewares/rbac.js) קורא מהמטמון - שינוי תפקיד חל מיד, בלי הפעלה מחדש
+// - תפקידי המערכת נוצרים בטעינה הראשונה מ-SYSTEM_ROLES (עריכות קיימות לא נדרסות)
+// - עד הטעינה (או אם הבסיס לא זמין) - SYSTEM_ROLES משמשים כברירת מחדל
+
+export const ALL_PERMISSIONS = '*';
+
+export const SYSTEM_ROLES = {
+  admin: {
+    displayName: 'מנהל מערכת',
+    description: 'כל ההרשאות',
+    permissions: [ALL_PERMISSIONS]
+  },
+  manager: {
+    displayName: 'מנהל משמרת',
+    description: null,
+    permissions: [
+      'dashboard:read',
+      'drivers:read',
+      'drivers:update',
+      'drivers:block',
+      'rides:create',
+      'rides:read',
+      'rides:update',
+      'rides:cancel',
+      'customers:read',
+      'customers:update',
+      'payments:read',
+      'payments:update',
+      'billing:read',
+      'registrations:read',
+      'registrations:approve',
+      'messages:send',
+      'messages:read',
+      'templates:read',
+      'settings:read',
+      'stations:read'
+    ]
+  },
+  viewer: {
+    displayName: 'צפייה בלבד',
+    description: null,
+    permissions: [
+      'dashboard:read',
+      'drivers:read',
+      'rides:read',
+      'customers:read',
+      'payments:read',
+      'registrations:read',
+      'messages:read'
+    ]
+  }
+};
+
+const PERMISSION_REGEX = /^[a-z_]+:[a-z_]+$/;
+
+/**
+ * שגיאת תפקיד עם קוד HTTP (routes/roles.js)
+ */
+export class RoleError extends Error {
+  constructor(code, message, httpStatus = 400) {
+    super(message);
+    this.name = 'RoleError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+function toEntry(role) {
+  return {
+    name: role.name,
+    displayName: role.displayName,
+    description: role.description || null,
+    permissions: [...new Set(role.permissions || [])].sort(),
+    scopes: { cities: [...(role.scopes?.cities || [])] },
+    isSystem: !!role.isSystem,
+    updatedAt: role.updatedAt || null,
+    updatedBy: role.updatedBy || null
+  };
+}
+
+const DEFAULT_ENTRIES = new Map(
+  Object.entries(SYSTEM_ROLES).map(([name, role]) => [name, toEntry({ name, ...role, isSystem: true })])
+);
+
+class RoleStore {
+  constructor() {
+    // name → { name, displayName, permissions, scopes, isSystem, ... }
+    this.cache = new Map(DEFAULT_ENTRIES);
+    this.loaded = false;
+  }
+
+  /**
+   * טעינה מהבסיס + יצירת תפקידי מערכת חסרים (בהפעלת השרת)
+   */
+  async load() {
+    for (const [name, role] of Object.entries(SYSTEM_ROLES)) {
+      await Role.updateOne(
+        { name },
+        { $setOnInsert: { name, ...role, isSystem: true, createdBy: 'system' } },
+        { upsert: true }
+      );
+    }
+
+    const roles = await Role.find().lean();
+    this.cache = new Map(roles.map(role => [role.name, toEntry(role)]));
+    this.loaded = true;
+
+    logger.info('Roles loaded', { roles: roles.map(role => role.name) });
+    return this.list();
+  }
+
+  get(name) {
+    return this.cache.get(name) || null;
+  }
+
+  has(name) {
+    return this.cache.has(name);
+  }
+
+  names() {
+    return [...this.cache.keys()].sort();
+  }
+
+  list() {
+    return this.names().map(name => this.cache.get(name));
+  }
+
+  /**
+   * ההרשאות של התפקיד - null לתפקיד לא מוכר
+   */
+  permissionsFor(name) {
+    return this.cache.get(name)?.permissions || null;
+  }
+
+  scopesFor(name) {
+    return this.cache.get(name)?.scopes || { cities: [] };
+  }
+
+  can(name, permission) {
+    const permissions = this.permissionsFor(name) || [];
+    return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+  }
+
+  /**
+   * בדיקת רשימת הרשאות - פורמט resource:action, ורק הרשאות מוכרות (knownPermissions)
+   */
+  validatePermissions(permissions, knownPermissions) {
+    if (!Array.isArray(permissions)) {
+      throw new RoleError('INVALID_PERMISSIONS', 'permissions חייב להיות רשימה');
+    }
+
+    const unique = [...new Set(permissions.map(permission => String(permission).trim()))];
+    const invalid = unique.filter(permission =>
+      permission === ALL_PERMISSIONS || !PERMISSION_REGEX.test(permission) || !knownPermissions.has(permission)
+    );
+
+    if (invalid.length > 0) {
+      throw new RoleError('UNKNOWN_PERMISSIONS', `הרשאות לא מוכרות: ${invalid.join(', ')}`);
+    }
+
+    return unique.sort();
+  }
+
+  validateScopes(scopes = {}) {
+    const cities = scopes.cities === undefined ? [] : scopes.cities;
+    if (!Array.isArray(cities) || cities.some(city => typeof city !== 'string' || !city.trim())) {
+      throw new RoleError('INVALID_SCOPES', 'scopes.cities חייב להיות רשימת ערים');
+    }
+    return { cities: [...new Set(cities.map(city => city.trim()))] };
+  }
+
+  /**
+   * @returns {Promise<Object>} - { role, before } (before=null ביצירה)
+   */
+  async create({ name, displayName, description = null, permissions = [], scopes = {} }, { knownPermissions, changedBy }) {
+    const roleName = String(name || '').trim().toLowerCase();
+
+    if (!ROLE_NAME_REGEX.test(roleName)) {
+      throw new RoleError('INVALID_NAME', 'שם תפקיד לא תקין (אותיות באנגלית קטנות, ספרות וקו תחתון)');
+    }
+    if (!displayName || !String(displayName).trim()) {
+      throw new RoleError('MISSING_DISPLAY_NAME', 'חסר שם תצוגה לתפקיד');
+    }
+    if (this.has(roleName) || await Role.exists({ name: roleName })) {
+      throw new RoleError('ALREADY_EXISTS', 'תפקיד בשם הזה כבר קיים', 409);
+    }
+
+    const role = await Role.create({
+      name: roleName,
+      displayName: String(displayName).trim(),
+      description,
+      permissions: this.validatePermissions(permissions, knownPermissions),
+      scopes: this.validateScopes(scopes),
+      isSystem: false,
+      createdBy: changedBy
+    });
+
+    const entry = toEntry(role);
+    this.cache.set(roleName, entry);
+    return { role: entry, before: null };
+  }
+
+  async update(name, patch, { knownPermissions, changedBy }) {
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw new RoleError('NOT_FOUND', 'תפקיד לא נמצא', 404);
+    }
+    if (role.name === 'admin') {
+      throw new RoleError('ADMIN_LOCKED', 'לתפקיד admin יש תמיד את כל ההרשאות ולא ניתן לערוך אותו', 403);
+    }
+
+    const before = toEntry(role);
+
+    if (patch.displayName !== undefined) {
+      if (!String(patch.displayName).trim()) {
+        throw new RoleError('MISSING_DISPLAY_NAME', 'חסר שם תצוגה לתפקיד');
+      }
+      role.displayName = String(patch.displayName).trim();
+    }
+    if (patch.description !== undefined) role.description = patch.description;
+    if (patch.permissions !== undefined) {
+      role.permissions = this.validatePermissions(patch.permissions, knownPermissions);
+    }
+    if (patch.scopes !== undefined) role.scopes = this.validateScopes(patch.scopes);
+    role.updatedBy = changedBy;
+
+    await role.save();
+
+    const entry = toEntry(role);
+    this.cache.set(role.name, entry);
+    return { role: entry, before };
+  }
+
+  async remove(name) {
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw new RoleError('NOT_FOUND', 'תפקיד לא נמצא', 404);
+    }
+    if (role.isSystem) {
+      throw new RoleError('SYSTEM_ROLE', 'לא ניתן למחוק תפקיד מערכת', 403);
+    }
+
+    const users = await User.countDocuments({ role: name });
+    if (users > 0) {
+      throw new RoleError('ROLE_IN_USE', `התפקיד משויך ל-${users} משתמשים - יש להעביר אותם לתפקיד אחר קודם`, 409);
+    }
+
+    await role.deleteOne();
+    this.cache.delete(name);
+    return { role: null, before: toEntry(role) };
+  }
+}
+
+// ===============================================
+// 🚀 EXPORT SINGLETON
+// ===============================================
+
+const roleStore = new RoleStore();
+
+export default roleStore;
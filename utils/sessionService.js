@@ -0,0 +1,305 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { AuditLog, RefreshToken, User } from '../models/index.js';
+import logger from './logger.js';
+
+// ===============================================
+// 🔑 SESSION SERVICE
+// ===============================================
+// טוקן גישה קצר (JWT_EXPIRATION, ברירת מחדל 15m) + refresh token מתחלף (models/RefreshToken.js):
+// - סשן = משפחת refresh tokens (familyId), מזהה הסשן נכנס לטוקן הגישה כ-sid
+// - כל רענון מחליף את ה-refresh token; שימוש חוזר בטוקן שהוחלף מבטל את כל המשפחה
+// - ביטול סשן (התנתקות / סיסמה / השבתת משתמש) נכנס לרשימה בזיכרון עד שטוקני הגישה שלו פגים,
+//   ומפרסם אירוע 'revoked' - utils/websockets.js מנתק את החיבורים של הסשן
+
+const ACCESS_TOKEN_EXPIRATION = process.env.JWT_EXPIRATION || '15m';
+const REFRESH_TOKEN_EXPIRATION = process.env.REFRESH_TOKEN_EXPIRATION || '7d';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * '15m' / '7d' / '3600' (שניות) → מילישניות
+ */
+function durationToMs(value, fallbackMs) {
+  const match = /^(\d+)\s*([smhd])?$/.exec(String(value).trim());
+  if (!match) return fallbackMs;
+  return parseInt(match[1]) * (DURATION_UNITS[match[2] || 's']);
+}
+
+/**
+ * שגיאת סשן עם קוד HTTP (routes/auth.js)
+ */
+export class SessionError extends Error {
+  constructor(code, message, httpStatus = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+class SessionService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.accessTtlMs = durationToMs(ACCESS_TOKEN_EXPIRATION, 15 * 60 * 1000);
+    this.refreshTtlMs = durationToMs(REFRESH_TOKEN_EXPIRATION, 7 * 24 * 60 * 60 * 1000);
+
+    // sid → מתי אפשר לשכוח (טוקן הגישה האחרון של הסשן פג)
+    // בזיכרון התהליך - כמו שאר השירותים, מניח שרת אחד
+    this.revokedSessions = new Map();
+  }
+
+  hashToken(token) {
+    const key = process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', key).update(String(token)).digest('hex');
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user._id.toString(),
+        username: user.username,
+        user: user.username, // for backward compatibility
+        role: user.role,
+        // תחום התחנות (middlewares/rbac.js) - שינוי מבטל את הסשנים
+        stations: user.stations || [],
+        sid: sessionId,
+        loginTime: new Date().toISOString()
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: Math.floor(this.accessTtlMs / 1000) }
+    );
+  }
+
+  /**
+   * refresh token חדש במשפחה + טוקן גישה
+   */
+  async issueTokens(user, { familyId, sessionStartedAt = new Date(), req = null }) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await RefreshToken.create({
+      token: this.hashToken(refreshToken),
+      userId: user._id.toString(),
+      familyId,
+      sessionStartedAt,
+      expiresAt: new Date(Date.now() + this.refreshTtlMs),
+      lastUsedAt: new Date(),
+      userAgent: req?.get?.('user-agent') || null,
+      ip: req?.ip || null
+    });
+
+    return {
+      token: this.signAccessToken(user, familyId),
+      expiresIn: Math.floor(this.accessTtlMs / 1000),
+      refreshToken,
+      refreshExpiresIn: Math.floor(this.refreshTtlMs / 1000),
+      sessionId: familyId
+    };
+  }
+
+  /**
+   * סשן חדש אחרי התחברות מלאה (סיסמה ו-2FA אם פעיל)
+   */
+  async createSession(user, req) {
+    return this.issueTokens(user, { familyId: crypto.randomUUID(), req });
+  }
+
+  /**
+   * החלפת refresh token - הטוקן הישן מבוטל והמשתמש נטען מחדש (תפקיד / השבתה)
+   * @returns {Promise<Object>} - { user, token, expiresIn, refreshToken, refreshExpiresIn, sessionId }
+   */
+  async rotate(refreshToken, req = null) {
+    if (!refreshToken) {
+      throw new SessionError('MISSING_REFRESH_TOKEN', 'חסר refresh token', 400);
+    }
+
+    const stored = await RefreshToken.findOne({ token: this.hashToken(refreshToken) });
+
+    if (!stored) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'טוקן רענון לא תקין או פג תוקף');
+    }
+
+    if (stored.revokedAt) {
+      if (stored.revokedReason === 'rotated') {
+        // טוקן שכבר הוחלף הוצג שוב - מישהו אחר מחזיק עותק. מבטלים את כל הסשן
+        await this.revokeForReuse(stored, req);
+        throw new SessionError('REFRESH_TOKEN_REUSED', 'זוהה שימוש חוזר בטוקן - הסשן בוטל, נא להתחבר מחדש');
+      }
+      throw new SessionError('SESSION_REVOKED', 'הסשן בוטל - נא להתחבר מחדש');
+    }
+
+    if (stored.isExpired()) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'טוקן רענון לא תקין או פג תוקף');
+    }
+
+    const user = await User.findById(stored.userId);
+
+    if (!user || !user.isActive) {
+      await this.revokeSession(stored.userId, stored.familyId, user ? 'user_disabled' : 'user_deleted');
+      throw new SessionError('ACCOUNT_DISABLED', 'חשבון מושבת', 403);
+    }
+
+    // עדכון מותנה - שני רענונים מקבילים עם אותו טוקן: השני נחשב שימוש חוזר
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() } }
+    );
+
+    if (!claimed) {
+      await this.revokeForReuse(stored, req);
+      throw new SessionError('REFRESH_TOKEN_REUSED', 'זוהה שימוש חוזר בטוקן - הסשן בוטל, נא להתחבר מחדש');
+    }
+
+    const tokens = await this.issueTokens(user, {
+      familyId: stored.familyId,
+      sessionStartedAt: stored.sessionStartedAt,
+      req
+    });
+
+    return { user, ...tokens };
+  }
+
+  async revokeForReuse(stored, req) {
+    await this.revokeSession(stored.userId, stored.familyId, 'reuse_detected');
+
+    logger.warn('Refresh token reuse detected - session revoked', {
+      userId: stored.userId,
+      sessionId: stored.familyId,
+      ip: req?.ip
+    });
+
+    const user = await User.findById(stored.userId).select('username').lean().catch(() => null);
+
+    await AuditLog.create({
+      userId: stored.userId,
+      username: user?.username || stored.userId,
+      action: 'refresh_token_reuse',
+      details: { sessionId: stored.familyId },
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.('user-agent') || null
+    }).catch(err => logger.error('AuditLog error:', err));
+  }
+
+  /**
+   * ביטול סשן אחד (כל ה-refresh tokens הפעילים במשפחה)
+   * @returns {Promise<boolean>} - האם היה סשן פעיל
+   */
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    const result = await RefreshToken.updateMany(
+      { userId: String(userId), familyId: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    // גם בלי refresh token פעיל (למשל אחרי שימוש חוזר) - טוקני הגישה של הסשן לא יתקבלו,
+    // בתנאי שהסשן שייך למשתמש
+    const owned = result.modifiedCount > 0 ||
+      await RefreshToken.exists({ userId: String(userId), familyId: sessionId });
+    if (owned) {
+      this.markRevoked(String(userId), [sessionId], reason);
+    }
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * ביטול כל הסשנים של משתמש (שינוי סיסמה / השבתה / "התנתק מכל המכשירים")
+   * @returns {Promise<number>} - מספר הסשנים שבוטלו
+   */
+  async revokeAllForUser(userId, { exceptSessionId = null, reason = 'revoked' } = {}) {
+    const filter = { userId: String(userId), revokedAt: null };
+    if (exceptSessionId) filter.familyId = { $ne: exceptSessionId };
+
+    const sessionIds = await RefreshToken.distinct('familyId', filter);
+    if (sessionIds.length === 0) return 0;
+
+    await RefreshToken.updateMany(
+      { ...filter, familyId: { $in: sessionIds } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    this.markRevoked(String(userId), sessionIds, reason);
+
+    logger.info('User sessions revoked', { userId: String(userId), count: sessionIds.length, reason });
+
+    return sessionIds.length;
+  }
+
+  markRevoked(userId, sessionIds, reason) {
+    const forgetAt = Date.now() + this.accessTtlMs;
+    for (const sessionId of sessionIds) {
+      this.revokedSessions.set(sessionId, forgetAt);
+    }
+
+    this.emit('revoked', { userId, sessionIds, reason });
+  }
+
+  /**
+   * האם טוקן הגישה שייך לסשן שבוטל (authenticateToken / websockets)
+   */
+  isRevoked(sessionId) {
+    if (!sessionId) return false;
+
+    const forgetAt = this.revokedSessions.get(sessionId);
+    if (!forgetAt) return false;
+
+    if (forgetAt < Date.now()) {
+      this.revokedSessions.delete(sessionId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * אחרי הפעלה מחדש - סשנים שבוטלו בחלון של טוקן הגישה (הרשימה בזיכרון אבדה)
+   */
+  async loadRevoked() {
+    const since = new Date(Date.now() - this.accessTtlMs);
+    const revoked = await RefreshToken.find(
+      { revokedAt: { $gte: since }, revokedReason: { $ne: 'rotated' } },
+      { familyId: 1, revokedAt: 1 }
+    ).lean();
+
+    for (const entry of revoked) {
+      const forgetAt = entry.revokedAt.getTime() + this.accessTtlMs;
+      if (forgetAt > (this.revokedSessions.get(entry.familyId) || 0)) {
+        this.revokedSessions.set(entry.familyId, forgetAt);
+      }
+    }
+
+    logger.info('Revoked sessions loaded', { count: this.revokedSessions.size });
+    return this.revokedSessions.size;
+  }
+
+  /**
+   * הסשנים הפעילים של המשתמש - refresh token אחד פעיל לכל סשן
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const tokens = await RefreshToken.find({
+      userId: String(userId),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return tokens.map(token => ({
+      id: token.familyId,
+      current: token.familyId === currentSessionId,
+      userAgent: token.userAgent,
+      ip: token.ip,
+      startedAt: token.sessionStartedAt,
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiresAt
+    }));
+  }
+}
+
+// ===============================================
+// 🚀 EXPORT SINGLETON
+// ===============================================
+
+const sessionService = new SessionService();
+
+export default sessionService;
@@ -0,0 +1,580 @@
+import { EventEmitter } from 'events';
+import SettingsVersion from '../models/SettingsVersion.js';
+import roleStore from './roleStore.js';
+import logger from './logger.js';
+
+// ===============================================
+// ⚙️ SETTINGS STORE
+// ===============================================
+// הגדרות מערכת מוקלדות ושמורות ב-MongoDB עם היסטוריית גרסאות:
+// - כל מקטע (general / pricing / commission / bot / dispatch / reminders / customers / security) מוגדר בסכמה
+// - ברירת המחדל של כל שדה נלקחת ממשתנה הסביבה הקיים (אין שינוי התנהגות בלי שמירה)
+// - שמירה יוצרת גרסה חדשה ומפרסמת אירוע 'change' ו-'change:<section>'
+//   כך ש-DispatchManager / עמלות / תזכורות / תמחור מתעדכנים בלי הפעלה מחדש
+// - שחזור לגרסה קודמת = גרסה חדשה עם הערכים הישנים (ההיסטוריה לא נמחקת)
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const envBoolean = (name, fallback) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name] === 'true';
+};
+
+const envList = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  return process.env[name]
+    .split(',')
+    .map(v => parseFloat(v.trim()))
+    .filter(v => Number.isFinite(v) && v > 0);
+};
+
+// ===============================================
+// 📐 SCHEMAS
+// ===============================================
+// type: number | integer | string | boolean | enum | enumList | numberList | dateList (YYYY-MM-DD) | tierList
+// default: פונקציה - נקראת בכל קריאה כדי לכבד את משתני הסביבה
+
+export const SETTINGS_SCHEMAS = {
+  general: {
+    companyName: { type: 'string', max: 100, default: () => process.env.COMPANY_NAME || 'מערכת ניהול מוניות' },
+    companyPhone: { type: 'string', max: 30, default: () => process.env.COMPANY_PHONE || '03-1234567' },
+    companyEmail: { type: 'string', max: 100, default: () => process.env.COMPANY_EMAIL || 'info@taxi.com' },
+    companyAddress: { type: 'string', max: 200, default: () => process.env.COMPANY_ADDRESS || 'תל אביב, ישראל' },
+    workingHours: { type: 'string', max: 50, default: () => process.env.WORKING_HOURS || '24/7' },
+    supportPhone: { type: 'string', max: 30, default: () => process.env.SUPPORT_PHONE || '03-1234567' },
+    supportEmail: { type: 'string', max: 100, default: () => process.env.SUPPORT_EMAIL || '' },
+    emergencyPhone: { type: 'string', max: 30, default: () => process.env.EMERGENCY_PHONE || '03-1234567' },
+    timezone: { type: 'string', max: 50, default: () => process.env.TZ || 'Asia/Jerusalem' },
+    currency: { type: 'enum', values: ['ILS', 'USD', 'EUR'], default: () => 'ILS' },
+    maintenanceMode: { type: 'boolean', default: () => false }
+  },
+
+  pricing: {
+    basePrice: { type: 'number', min: 0, default: () => envNumber('BASE_PRICE', 15) },
+    pricePerKm: { type: 'number', min: 0, default: () => envNumber('PRICE_PER_KM', 5) },
+    pricePerMinute: { type: 'number', min: 0, default: () => envNumber('PRICE_PER_MINUTE', 1) },
+    nightSurcharge: { type: 'number', min: 0, max: 100, default: () => envNumber('NIGHT_SURCHARGE', 25) },
+    minimumRidePrice: { type: 'number', min: 0, default: () => envNumber('MINIMUM_RIDE_PRICE', 20) },
+    cancellationFee: { type: 'number', min: 0, default: () => envNumber('CANCELLATION_FEE', 0) },
+    // רצועות זמן (שעון השרת) - התוספת הגבוהה מבין לילה / שבת / חג
+    nightStartHour: { type: 'integer', min: 0, max: 23, default: () => 21 },
+    nightEndHour: { type: 'integer', min: 0, max: 23, default: () => 6 },
+    shabbatSurcharge: { type: 'number', min: 0, max: 100, default: () => envNumber('SHABBAT_SURCHARGE', 25) },
+    shabbatStartHour: { type: 'integer', min: 0, max: 23, default: () => 16 },  // יום שישי
+    shabbatEndHour: { type: 'integer', min: 0, max: 23, default: () => 20 },    // מוצאי שבת
+    holidaySurcharge: { type: 'number', min: 0, max: 100, default: () => envNumber('HOLIDAY_SURCHARGE', 25) },
+    holidayDates: { type: 'dateList', default: () => [] },
+    // surge: נסיעות פתוחות ביחס לנהגים זמינים
+    surgeEnabled: { type: 'boolean', default: () => envBoolean('SURGE_ENABLED', false) },
+    surgeThreshold: { type: 'number', min: 0, max: 20, default: () => envNumber('SURGE_THRESHOLD', 1.5) },
+    surgeStep: { type: 'number', min: 0, max: 5, default: () => envNumber('SURGE_STEP', 0.25) },
+    surgeMaxMultiplier: { type: 'number', min: 1, max: 5, default: () => envNumber('SURGE_MAX_MULTIPLIER', 2) },
+    surgeWindowMinutes: { type: 'integer', min: 0, max: 24 * 60, default: () => 60 }
+  },
+
+  // אחוזי העמלה, מינימום ומע"מ - ב-BillingConfig (/api/billing/config)
+  commission: {
+    paymentCodeExpiryMinutes: { type: 'integer', min: 1, max: 7 * 24 * 60, default: () => envNumber('PAYMENT_CODE_EXPIRY_MINUTES', 10) },
+    paymentPhone: { type: 'string', max: 30, default: () => process.env.PAYMENT_PHONE || '050-9630017' }
+  },
+
+  bot: {
+    autoAssign: { type: 'boolean', default: () => envBoolean('BOT_AUTO_ASSIGN', false) },
+    autoReply: { type: 'boolean', default: () => envBoolean('BOT_AUTO_REPLY', false) },
+    responseDelay: { type: 'integer', min: 0, max: 60, default: () => envNumber('BOT_RESPONSE_DELAY', 2) },
+    maxRetries: { type: 'integer', min: 0, max: 10, default: () => envNumber('BOT_MAX_RETRIES', 3) }
+  },
+
+  dispatch: {
+    mode: { type: 'enum', values: ['auto', 'bot-only', 'twilio-only', 'waterfall'], default: () => process.env.DISPATCH_MODE || 'auto' },
+    maxBotFailures: { type: 'integer', min: 1, max: 100, default: () => envNumber('MAX_BOT_FAILURES', 3) },
+    maxTwilioFailures: { type: 'integer', min: 1, max: 100, default: () => envNumber('MAX_TWILIO_FAILURES', 3) },
+    geoDispatchEnabled: { type: 'boolean', default: () => process.env.GEO_DISPATCH_ENABLED !== 'false' },
+    geoMaxDrivers: { type: 'integer', min: 1, max: 100, default: () => envNumber('GEO_DISPATCH_MAX_DRIVERS', 5) },
+    geoRingsKm: { type: 'numberList', min: 0.1, max: 500, default: () => envList('GEO_DISPATCH_RINGS_KM', [3, 8, 15, 30]) },
+    geoRingTimeout: { type: 'integer', min: 1000, max: 10 * 60 * 1000, default: () => envNumber('GEO_DISPATCH_RING_TIMEOUT', 45000) },
+    geoMaxLocationAge: { type: 'integer', min: 1, max: 24 * 60, default: () => envNumber('GEO_DISPATCH_MAX_LOCATION_AGE', 120) },
+    waterfallOfferTimeout: { type: 'integer', min: 5, max: 600, default: () => envNumber('WATERFALL_OFFER_TIMEOUT', 30) },
+    waterfallMaxCandidates: { type: 'integer', min: 1, max: 100, default: () => envNumber('WATERFALL_MAX_CANDIDATES', 10) }
+  },
+
+  reminders: {
+    // דקות מיצירת קוד התשלום לכל תזכורת עמלה (ראשונה, שנייה, שלישית, אחרונה)
+    commissionReminderMinutes: { type: 'numberList', min: 1, max: 30 * 24 * 60, default: () => [10, 60, 12 * 60, 48 * 60] },
+    // שעות עד חסימה אוטומטית על עמלה שלא שולמה
+    commissionBlockHours: { type: 'number', min: 1, max: 30 * 24, default: () => 48 },
+    // ימים לפני מועד התשלום לתזכורות דמי תחנה
+    subscriptionReminderDays: { type: 'numberList', min: 0.5, max: 60, default: () => [3, 1] },
+    // ימים לפני פקיעת רישיון / רישיון רכב / ביטוח לתזכורות לנהג
+    documentExpiryReminderDays: { type: 'numberList', min: 1, max: 90, default: () => [30, 14, 3] }
+  },
+
+  customers: {
+    // דרגות VIP: הלקוח מקבל את הדרגה הגבוהה שעמד בה (נסיעות שהושלמו וגם סכום)
+    vipTiers: {
+      type: 'tierList',
+      default: () => [
+        { code: 'silver', name: 'כסף', minRides: 10, minSpent: 0 },
+        { code: 'gold', name: 'זהב', minRides: 30, minSpent: 3000 }
+      ]
+    },
+    // מכמה אי-הגעות מוצגת אזהרה לסדרן
+    noShowWarningThreshold: { type: 'integer', min: 1, max: 100, default: () => 2 },
+    // חסימה אוטומטית אחרי X אי-הגעות (0 = כבוי)
+    noShowBlacklistThreshold: { type: 'integer', min: 0, max: 100, default: () => 0 },
+    // לקוח חסום לא יכול להזמין באתר / WhatsApp (בממשק הניהול - אזהרה בלבד)
+    blockBlacklistedBookings: { type: 'boolean', default: () => true }
+  },
+
+  security: {
+    // תפקידים שחייבים אימות דו-שלבי - משתמש בלי 2FA יתבקש לרשום מכשיר לפני שיקבל טוקן
+    // ברירת מחדל: admin כש-ENABLE_2FA=true
+    twoFactorRequiredRoles: {
+      type: 'enumList',
+      // התפקידים הקיימים (כולל מותאמים) - utils/roleStore.js
+      values: () => roleStore.names(),
+      default: () => (envBoolean('ENABLE_2FA', false) ? ['admin'] : [])
+    }
+  }
+};
+
+export const SETTINGS_SECTIONS = Object.keys(SETTINGS_SCHEMAS);
+
+// ===============================================
+// 🚫 ERROR
+// ===============================================
+
+const ERROR_MESSAGES = {
+  UNKNOWN_SECTION: 'מקטע הגדרות לא קיים',
+  INVALID_VALUES: 'ערכי הגדרות לא תקינים',
+  VERSION_NOT_FOUND: 'גרסת הגדרות לא נמצאה',
+  VERSION_CONFLICT: 'ההגדרות עודכנו בינתיים - רענן ונסה שוב'
+};
+
+const HTTP_STATUS = {
+  UNKNOWN_SECTION: 404,
+  INVALID_VALUES: 400,
+  VERSION_NOT_FOUND: 404,
+  VERSION_CONFLICT: 409
+};
+
+export class SettingsError extends Error {
+  constructor(code, details = {}, message = null) {
+    super(message || ERROR_MESSAGES[code] || ERROR_MESSAGES.INVALID_VALUES);
+    this.name = 'SettingsError';
+    this.code = code;
+    this.httpStatus = HTTP_STATUS[code] || 400;
+    this.details = details;
+  }
+
+  /**
+   * גוף תשובה אחיד לנתיבים
+   */
+  toResponse() {
+    return {
+      ok: false,
+      error: this.message,
+      code: this.code,
+      details: this.details
+    };
+  }
+}
+
+// ===============================================
+// 🔎 VALIDATION
+// ===============================================
+
+function validateField(key, spec, raw) {
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `${key} must be a number` };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `${key} must be an integer` };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { error: `${key} must be >= ${spec.min}` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { error: `${key} must be <= ${spec.max}` };
+      }
+      return { value };
+    }
+
+    case 'string': {
+      if (typeof raw !== 'string') {
+        return { error: `${key} must be a string` };
+      }
+      const value = raw.trim();
+      if (spec.max !== undefined && value.length > spec.max) {
+        return { error: `${key} is too long (max ${spec.max})` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: `${key} must be true or false` };
+    }
+
+    case 'enum': {
+      if (!spec.values.includes(raw)) {
+        return { error: `${key} must be one of: ${spec.values.join(', ')}` };
+      }
+      return { value: raw };
+    }
+
+    case 'enumList': {
+      const list = typeof raw === 'string' ? raw.split(',').filter(v => v.trim() !== '') : raw;
+      if (!Array.isArray(list)) {
+        return { error: `${key} must be a list` };
+      }
+      const allowed = typeof spec.values === 'function' ? spec.values() : spec.values;
+      const value = [...new Set(list.map(v => String(v).trim()))];
+      if (value.some(v => !allowed.includes(v))) {
+        return { error: `${key} must contain only: ${allowed.join(', ')}` };
+      }
+      return { value };
+    }
+
+    case 'numberList': {
+      const list = typeof raw === 'string' ? raw.split(',') : raw;
+      if (!Array.isArray(list) || list.length === 0) {
+        return { error: `${key} must be a non-empty list of numbers` };
+      }
+      const value = list.map(v => Number(typeof v === 'string' ? v.trim() : v));
+      if (value.some(v => !Number.isFinite(v) || v < (spec.min ?? -Infinity) || v > (spec.max ?? Infinity))) {
+        return { error: `${key} must contain numbers between ${spec.min} and ${spec.max}` };
+      }
+      return { value };
+    }
+
+    case 'dateList': {
+      const list = typeof raw === 'string' ? raw.split(',').filter(v => v.trim() !== '') : raw;
+      if (!Array.isArray(list)) {
+        return { error: `${key} must be a list of dates (YYYY-MM-DD)` };
+      }
+      const value = [...new Set(list.map(v => String(v).trim()))].sort();
+      if (value.some(v => !/^\d{4}-\d{2}-\d{2}$/.test(v) || Number.isNaN(Date.parse(v)))) {
+        return { error: `${key} must contain dates in YYYY-MM-DD format` };
+      }
+      return { value };
+    }
+
+    case 'tierList': {
+      if (!Array.isArray(raw)) {
+        return { error: `${key} must be a list of tiers` };
+      }
+      const value = [];
+      for (const tier of raw) {
+        const code = String(tier?.code || '').trim().toLowerCase();
+        const name = String(tier?.name || '').trim();
+        const minRides = Number(tier?.minRides ?? 0);
+        const minSpent = Number(tier?.minSpent ?? 0);
+        if (!/^[a-z0-9_-]+$/.test(code) || !name) {
+          return { error: `${key}: every tier needs a code (a-z, 0-9) and a name` };
+        }
+        if (!Number.isInteger(minRides) || minRides < 0 || !Number.isFinite(minSpent) || minSpent < 0) {
+          return { error: `${key}: minRides / minSpent must be non-negative numbers` };
+        }
+        value.push({ code, name, minRides, minSpent });
+      }
+      if (new Set(value.map(tier => tier.code)).size !== value.length) {
+        return { error: `${key}: tier codes must be unique` };
+      }
+      // מהנמוכה לגבוהה
+      value.sort((a, b) => a.minRides - b.minRides || a.minSpent - b.minSpent);
+      return { value };
+    }
+
+    default:
+      return { error: `${key} has an unsupported type` };
+  }
+}
+
+// ===============================================
+// 🗄️ STORE
+// ===============================================
+
+class SettingsStore extends EventEmitter {
+  constructor() {
+    super();
+
+    // section → { version, values, updatedAt, updatedBy }
+    this.cache = new Map();
+    this.loaded = false;
+  }
+
+  assertSection(section) {
+    if (!SETTINGS_SCHEMAS[section]) {
+      throw new SettingsError('UNKNOWN_SECTION', { section, sections: SETTINGS_SECTIONS });
+    }
+  }
+
+  /**
+   * ערכי ברירת מחדל של מקטע (ממשתני הסביבה)
+   */
+  getDefaults(section) {
+    this.assertSection(section);
+
+    return Object.fromEntries(
+      Object.entries(SETTINGS_SCHEMAS[section]).map(([key, spec]) => [key, spec.default()])
+    );
+  }
+
+  /**
+   * טעינת הגרסה העדכנית של כל המקטעים מהמסד (בעליית השרת)
+   * מקטע שנטען מפרסם 'change' כדי שהצרכנים יחליפו את ערכי הסביבה
+   */
+  async load() {
+    const latest = await SettingsVersion.aggregate([
+      { $match: { section: { $in: SETTINGS_SECTIONS } } },
+      { $sort: { section: 1, version: -1 } },
+      { $group: { _id: '$section', doc: { $first: '$$ROOT' } } }
+    ]);
+
+    for (const { doc } of latest) {
+      const previous = this.get(doc.section);
+      this.setCache(doc);
+      this.publish(doc.section, previous, doc, 'load');
+    }
+
+    this.loaded = true;
+
+    logger.success('✅ Settings loaded', {
+      stored: latest.map(({ doc }) => `${doc.section}@v${doc.version}`)
+    });
+  }
+
+  setCache(doc) {
+    this.cache.set(doc.section, {
+      version: doc.version,
+      values: doc.values,
+      updatedAt: doc.createdAt,
+      updatedBy: doc.changedBy
+    });
+  }
+
+  /**
+   * הערכים הנוכחיים של מקטע (ברירות מחדל + הערכים השמורים)
+   * @param {string} section
+   * @returns {Object}
+   */
+  get(section) {
+    const defaults = this.getDefaults(section);
+    const stored = this.cache.get(section)?.values || {};
+
+    const values = { ...defaults };
+    for (const key of Object.keys(defaults)) {
+      if (stored[key] !== undefined) values[key] = stored[key];
+    }
+    return values;
+  }
+
+  /**
+   * מקטע + מטא-דאטה של הגרסה (version=0 → ברירות מחדל, לא נשמר מעולם)
+   */
+  describe(section) {
+    const entry = this.cache.get(section);
+
+    return {
+      section,
+      version: entry?.version || 0,
+      updatedAt: entry?.updatedAt || null,
+      updatedBy: entry?.updatedBy || null,
+      values: this.get(section)
+    };
+  }
+
+  getAll() {
+    return SETTINGS_SECTIONS.map(section => this.describe(section));
+  }
+
+  /**
+   * ולידציה של עדכון חלקי
+   * @returns {Object} - { values, ignoredKeys }
+   * @throws {SettingsError} INVALID_VALUES
+   */
+  validate(section, patch) {
+    this.assertSection(section);
+
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      throw new SettingsError('INVALID_VALUES', { errors: ['settings must be an object'] });
+    }
+
+    const schema = SETTINGS_SCHEMAS[section];
+    const values = {};
+    const ignoredKeys = [];
+    const errors = [];
+
+    for (const [key, raw] of Object.entries(patch)) {
+      if (!schema[key]) {
+        ignoredKeys.push(key);
+        continue;
+      }
+      if (raw === undefined) continue;
+
+      const result = validateField(key, schema[key], raw);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        values[key] = result.value;
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new SettingsError('INVALID_VALUES', { section, errors });
+    }
+
+    return { values, ignoredKeys };
+  }
+
+  /**
+   * עדכון מקטע (חלקי) - יוצר גרסה חדשה אם משהו השתנה
+   * @param {string} section
+   * @param {Object} patch
+   * @param {Object} options - { changedBy, reason, expectedVersion }
+   * @returns {Promise<Object>} - { section, version, values, changedKeys, ignoredKeys, changed }
+   */
+  async update(section, patch, { changedBy = 'system', reason = null, expectedVersion } = {}) {
+    const { values, ignoredKeys } = this.validate(section, patch);
+    const result = await this.commit(section, { ...this.get(section), ...values }, {
+      action: 'update',
+      changedBy,
+      reason,
+      expectedVersion
+    });
+
+    return { ...result, ignoredKeys };
+  }
+
+  /**
+   * שחזור מקטע לגרסה קודמת (נשמר כגרסה חדשה)
+   */
+  async rollback(section, version, { changedBy = 'system', reason = null } = {}) {
+    this.assertSection(section);
+
+    const target = await SettingsVersion.findOne({ section, version: parseInt(version) }).lean();
+    if (!target) {
+      throw new SettingsError('VERSION_NOT_FOUND', { section, version });
+    }
+
+    // שדות שהוסרו מהסכמה מאז נזרקים; שדות חדשים מקבלים ברירת מחדל
+    const { values } = this.validate(section, target.values);
+
+    return this.commit(section, { ...this.getDefaults(section), ...values }, {
+      action: 'rollback',
+      rolledBackFrom: target.version,
+      changedBy,
+      reason
+    });
+  }
+
+  async commit(section, values, { action, rolledBackFrom = null, changedBy, reason, expectedVersion }) {
+    const current = this.describe(section);
+
+    if (expectedVersion !== undefined && expectedVersion !== null &&
+        parseInt(expectedVersion) !== current.version) {
+      throw new SettingsError('VERSION_CONFLICT', { section, expectedVersion, currentVersion: current.version });
+    }
+
+    const changedKeys = Object.keys(values)
+      .filter(key => JSON.stringify(values[key]) !== JSON.stringify(current.values[key]));
+
+    if (changedKeys.length === 0) {
+      return { ...current, changedKeys, changed: false };
+    }
+
+    let doc;
+    try {
+      doc = await SettingsVersion.create({
+        section,
+        version: current.version + 1,
+        values,
+        changedKeys,
+        action,
+        rolledBackFrom,
+        reason,
+        changedBy
+      });
+    } catch (error) {
+      // שמירה מקבילה (תהליך אחר) כבר יצרה את הגרסה - טוענים מחדש ומחזירים קונפליקט
+      if (error.code === 11000) {
+        await this.reload(section);
+        throw new SettingsError('VERSION_CONFLICT', { section, currentVersion: this.describe(section).version });
+      }
+      throw error;
+    }
+
+    this.setCache(doc);
+    this.publish(section, current.values, doc, action);
+
+    logger.info('⚙️ Settings updated', {
+      section,
+      version: doc.version,
+      action,
+      changedKeys,
+      changedBy
+    });
+
+    return { ...this.describe(section), changedKeys, changed: true };
+  }
+
+  /**
+   * טעינה מחדש של מקטע בודד מהמסד
+   */
+  async reload(section) {
+    const doc = await SettingsVersion.findOne({ section }).sort({ version: -1 }).lean();
+    if (!doc) return;
+
+    const previous = this.get(section);
+    this.setCache(doc);
+    this.publish(section, previous, doc, 'load');
+  }
+
+  publish(section, previous, doc, action) {
+    const event = {
+      section,
+      version: doc.version,
+      action,
+      values: this.get(section),
+      previous,
+      changedBy: doc.changedBy
+    };
+
+    try {
+      this.emit('change', event);
+      this.emit(`change:${section}`, event);
+    } catch (error) {
+      // מאזין שנכשל לא מבטל את השמירה
+      logger.error('❌ Settings change listener failed', { section, error: error.message });
+    }
+  }
+
+  /**
+   * היסטוריית גרסאות של מקטע (מהחדשה לישנה)
+   */
+  async getHistory(section, { limit = 50 } = {}) {
+    this.assertSection(section);
+
+    return SettingsVersion.find({ section })
+      .sort({ version: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean();
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const settingsStore = new SettingsStore();
+
+export default settingsStore;
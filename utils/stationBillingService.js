@@ -0,0 +1,371 @@
+import cron from 'node-cron';
+import AuditLog from '../models/AuditLog.js';
+import BillingConfig from '../models/BillingConfig.js';
+import Driver from '../models/Driver.js';
+import Payment from '../models/Payment.js';
+import PaymentCodeGenerator from './paymentCodeGenerator.js';
+import autoLockAfterRideService from './autoLockAfterRideService.js';
+import commissionLedger, { ledgerPeriod, ledgerPeriodRange } from './commissionLedger.js';
+import logger from './logger.js';
+import settingsStore from './settingsStore.js';
+
+// ===============================================
+// 🧾 STATION BILLING SERVICE
+// ===============================================
+// חיוב חודשי של דמי תחנה (BillingConfig.stationMonthlyPrice):
+// - Payment מסוג subscription לכל נהג פעיל, יחסי לנהגים שהצטרפו / נחסמו באמצע החודש
+// - מע"מ לפי BillingConfig.taxRate
+// - חשבונית ב-WhatsApp עם קוד תשלום (PendingPayment → תזכורות וחסימה ב-PaymentRemindersCron)
+// - מפתח ייחודי לכל נהג+חודש: הרצה חוזרת לא מחייבת פעמיים
+// - dryRun: מחשב ומחזיר את החיובים בלי ליצור כלום
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class StationBillingService {
+  constructor() {
+    this.isRunning = false;
+    this.jobs = [];
+    this.isBilling = false;
+
+    // 1 לחודש ב-06:00 - חיוב החודש שהסתיים
+    this.schedule = process.env.STATION_BILLING_SCHEDULE || '0 6 1 * *';
+    this.dueDays = parseInt(process.env.STATION_BILLING_DUE_DAYS || '7');
+  }
+
+  /**
+   * הפעלת החיוב האוטומטי (ENABLE_STATION_BILLING=true)
+   */
+  start() {
+    if (process.env.ENABLE_STATION_BILLING !== 'true') {
+      logger.info('🧾 Station billing disabled (ENABLE_STATION_BILLING != true)');
+      return;
+    }
+
+    if (this.isRunning) {
+      logger.warn('⚠️ Station billing cron already running');
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      logger.error('❌ Invalid STATION_BILLING_SCHEDULE, station billing not started', { schedule: this.schedule });
+      return;
+    }
+
+    const billingJob = cron.schedule(this.schedule, async () => {
+      try {
+        const { year, month } = this.previousPeriod();
+        await this.runBilling({ year, month, triggeredBy: 'cron' });
+      } catch (error) {
+        logger.error('❌ Scheduled station billing failed', { error: error.message });
+      }
+    });
+
+    this.jobs = [billingJob];
+    this.isRunning = true;
+
+    logger.success('✅ Station billing cron started', { schedule: this.schedule });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+    this.isRunning = false;
+
+    logger.info('🧾 Station billing cron stopped');
+  }
+
+  /**
+   * החודש הקודם (ברירת המחדל להרצה)
+   */
+  previousPeriod(date = new Date()) {
+    const d = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+    return { year: d.getFullYear(), month: d.getMonth() + 1 };
+  }
+
+  idempotencyKey(period, driverId) {
+    return `subscription:${period}:${driverId}`;
+  }
+
+  /**
+   * כמה ימים בחודש הנהג היה פעיל
+   * @returns {Object|null} - { daysBilled, daysInMonth, prorated } או null אם לא לחייב
+   */
+  calculateProration(driver, startDate, endDate) {
+    const DAY = 24 * 60 * 60 * 1000;
+    const daysInMonth = Math.round((endDate - startDate) / DAY);
+
+    const joinedAt = new Date(driver.joinedAt || driver.createdAt || startDate);
+    const from = joinedAt > startDate ? joinedAt : startDate;
+
+    // נחסם באמצע החודש - מחייבים עד יום החסימה
+    const blockedInMonth = driver.isBlocked && driver.blockedAt &&
+      driver.blockedAt >= startDate && driver.blockedAt < endDate;
+    const to = blockedInMonth ? new Date(driver.blockedAt) : endDate;
+
+    if (to <= from) {
+      return null;
+    }
+
+    const daysBilled = Math.min(daysInMonth, Math.ceil((to - from) / DAY));
+
+    return {
+      daysBilled,
+      daysInMonth,
+      prorated: daysBilled < daysInMonth
+    };
+  }
+
+  /**
+   * חישוב חשבונית לנהג
+   */
+  calculateInvoice(config, proration, period, dueDate) {
+    const monthlyPrice = config.stationMonthlyPrice || 0;
+    const subtotal = roundMoney(monthlyPrice * proration.daysBilled / proration.daysInMonth);
+    const vatAmount = roundMoney(subtotal * (config.taxRate || 0) / 100);
+
+    return {
+      period,
+      monthlyPrice,
+      ...proration,
+      subtotal,
+      taxRate: config.taxRate || 0,
+      vatAmount,
+      total: roundMoney(subtotal + vatAmount),
+      dueDate
+    };
+  }
+
+  /**
+   * הרצת חיוב חודשי
+   * @param {Object} options
+   * @param {number} options.year
+   * @param {number} options.month - 1-12
+   * @param {boolean} options.dryRun - חישוב בלבד
+   * @param {string} options.triggeredBy
+   * @param {string[]} options.stations - רק נהגי התחנות האלה (ריק = כולם)
+   * @returns {Promise<Object>} - סיכום ההרצה
+   */
+  async runBilling({ year, month, dryRun = false, triggeredBy = 'system', stations = [] }) {
+    if (this.isBilling) {
+      throw new Error('Station billing run already in progress');
+    }
+
+    this.isBilling = true;
+
+    try {
+      const { startDate, endDate } = ledgerPeriodRange(year, month);
+      const period = ledgerPeriod(startDate);
+      const dueDate = new Date(Date.now() + this.dueDays * 24 * 60 * 60 * 1000);
+      const config = await BillingConfig.getConfig();
+
+      // דמי התחנה ומע"מ לפי הגדרות התחנה של הנהג (או הכלליות)
+      const stationConfigs = new Map();
+      const configFor = async (station) => {
+        if (!station) return config;
+        if (!stationConfigs.has(station)) {
+          stationConfigs.set(station, await BillingConfig.getConfig(station));
+        }
+        return stationConfigs.get(station);
+      };
+
+      logger.info('🧾 Station billing run started', { period, dryRun, triggeredBy, stations });
+
+      // נהגים פעילים + נהגים שנחסמו במהלך החודש
+      const drivers = await Driver.find({
+        $and: [
+          { $or: [{ joinedAt: { $lt: endDate } }, { joinedAt: null, createdAt: { $lt: endDate } }] },
+          {
+            $or: [
+              { isActive: true, isBlocked: { $ne: true } },
+              { isBlocked: true, blockedAt: { $gte: startDate, $lt: endDate } }
+            ]
+          },
+          ...(stations.length > 0 ? [{ station: { $in: stations } }] : [])
+        ]
+      }).select('name phone driverId station joinedAt createdAt isBlocked blockedAt');
+
+      const alreadyBilled = new Set(
+        (await Payment.find({
+          idempotencyKey: { $in: drivers.map(d => this.idempotencyKey(period, d._id)) }
+        }).select('idempotencyKey')).map(p => p.idempotencyKey)
+      );
+
+      const summary = {
+        period,
+        dryRun,
+        monthlyPrice: config.stationMonthlyPrice,
+        taxRate: config.taxRate,
+        currency: config.currency,
+        billed: [],
+        skipped: [],
+        failed: [],
+        totals: { subtotal: 0, vat: 0, total: 0 }
+      };
+
+      for (const driver of drivers) {
+        const key = this.idempotencyKey(period, driver._id);
+
+        if (alreadyBilled.has(key)) {
+          summary.skipped.push({ driverId: driver._id, name: driver.name, reason: 'already_billed' });
+          continue;
+        }
+
+        const proration = this.calculateProration(driver, startDate, endDate);
+        if (!proration) {
+          summary.skipped.push({ driverId: driver._id, name: driver.name, reason: 'not_active_in_period' });
+          continue;
+        }
+
+        const invoice = this.calculateInvoice(await configFor(driver.station), proration, period, dueDate);
+        if (invoice.total <= 0) {
+          summary.skipped.push({ driverId: driver._id, name: driver.name, reason: 'zero_amount' });
+          continue;
+        }
+
+        if (!dryRun) {
+          try {
+            const payment = await this.billDriver(driver, invoice, key);
+            if (!payment) {
+              summary.skipped.push({ driverId: driver._id, name: driver.name, reason: 'already_billed' });
+              continue;
+            }
+          } catch (error) {
+            logger.error('❌ Failed to bill driver station fee', {
+              driverId: driver._id,
+              period,
+              error: error.message
+            });
+            summary.failed.push({ driverId: driver._id, name: driver.name, error: error.message });
+            continue;
+          }
+        }
+
+        summary.billed.push({
+          driverId: driver._id,
+          name: driver.name,
+          phone: driver.phone,
+          station: driver.station || null,
+          ...invoice
+        });
+        summary.totals.subtotal = roundMoney(summary.totals.subtotal + invoice.subtotal);
+        summary.totals.vat = roundMoney(summary.totals.vat + invoice.vatAmount);
+        summary.totals.total = roundMoney(summary.totals.total + invoice.total);
+      }
+
+      if (!dryRun) {
+        await AuditLog.create({
+          userId: triggeredBy,
+          username: triggeredBy,
+          action: 'station_billing_run',
+          details: {
+            period,
+            stations,
+            billed: summary.billed.length,
+            skipped: summary.skipped.length,
+            failed: summary.failed.length,
+            totals: summary.totals
+          }
+        }).catch(err => logger.error('AuditLog error:', err));
+      }
+
+      logger.success('✅ Station billing run completed', {
+        period,
+        dryRun,
+        billed: summary.billed.length,
+        skipped: summary.skipped.length,
+        failed: summary.failed.length,
+        total: summary.totals.total
+      });
+
+      return summary;
+    } finally {
+      this.isBilling = false;
+    }
+  }
+
+  /**
+   * חיוב נהג בודד: Payment + ספר חשבונות + קוד תשלום + חשבונית ב-WhatsApp
+   * @returns {Promise<Object|null>} - null אם כבר חויב (מפתח ייחודי)
+   */
+  async billDriver(driver, invoice, key) {
+    let payment;
+    try {
+      payment = await Payment.create({
+        type: 'subscription',
+        driver: driver._id,
+        driverPhone: driver.phone,
+        driverName: driver.name,
+        station: driver.station || null,
+        amount: invoice.total,
+        description: `דמי תחנה ${invoice.period}`,
+        idempotencyKey: key,
+        approvalStatus: 'approved',
+        paymentStatus: 'unpaid',
+        dueDate: invoice.dueDate,
+        subscriptionDetails: {
+          period: invoice.period,
+          monthlyPrice: invoice.monthlyPrice,
+          daysBilled: invoice.daysBilled,
+          daysInMonth: invoice.daysInMonth,
+          prorated: invoice.prorated,
+          subtotal: invoice.subtotal,
+          taxRate: invoice.taxRate,
+          vatAmount: invoice.vatAmount
+        }
+      });
+    } catch (error) {
+      // הרצה מקבילה / חוזרת כבר יצרה את החיוב
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    await commissionLedger.post({
+      driverId: driver._id,
+      type: 'subscription',
+      amount: invoice.total,
+      idempotencyKey: key,
+      description: `דמי תחנה ${invoice.period}`,
+      reference: { kind: 'Payment', id: payment._id, number: invoice.period }
+    });
+
+    const expiryMinutes = this.dueDays * 24 * 60;
+    const pending = await PaymentCodeGenerator.createPendingPayment(
+      driver._id,
+      invoice.total,
+      expiryMinutes,
+      { purpose: 'subscription', paymentId: payment._id }
+    );
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { 'subscriptionDetails.paymentCode': pending.code } }
+    );
+
+    const paymentPhone = settingsStore.get('commission').paymentPhone;
+    const message = PaymentCodeGenerator.createSubscriptionInvoiceMessage(invoice, pending.code, paymentPhone);
+    await autoLockAfterRideService.sendToBot(driver.phone, message);
+
+    logger.info('🧾 Station fee billed', {
+      driverId: driver._id,
+      period: invoice.period,
+      total: invoice.total,
+      prorated: invoice.prorated
+    });
+
+    return payment;
+  }
+}
+
+// ===============================================
+// 📤 EXPORT SINGLETON
+// ===============================================
+
+const stationBillingService = new StationBillingService();
+
+export default stationBillingService;
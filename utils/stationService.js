@@ -0,0 +1,230 @@
+import { Driver, Ride, Station, User, WhatsAppGroup } from '../models/index.js';
+import { STATION_CODE_REGEX } from '../models/Station.js';
+
+// ===============================================
+// 🏢 STATION SERVICE
+// ===============================================
+// תחנות (models/Station.js) ושיוך רשומות ומשתמשים אליהן:
+// - נסיעה / נהג / קבוצה חדשים: תחנה מבוקשת (בתחום המשתמש) → לפי עיר → התחנה הראשונה של המשתמש
+// - משתמש עם User.stations רואה רק את התחנות האלה (middlewares/rbac.js scopeFilter / requireScope)
+// - משתמש מוגבל לתחנות לא יכול לשייך (או לתת הרשאה) מחוץ לתחנות שלו
+
+/**
+ * שגיאת תחנה עם קוד HTTP (routes/stations.js ושאר הנתיבים)
+ */
+export class StationError extends Error {
+  constructor(code, message, httpStatus = 400) {
+    super(message);
+    this.name = 'StationError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+function normalizeCities(cities) {
+  if (!Array.isArray(cities) || cities.some(city => typeof city !== 'string' || !city.trim())) {
+    throw new StationError('INVALID_CITIES', 'cities חייב להיות רשימת ערים');
+  }
+  return [...new Set(cities.map(city => city.trim()))];
+}
+
+function toEntry(station) {
+  return {
+    code: station.code,
+    name: station.name,
+    cities: [...(station.cities || [])],
+    phone: station.phone || null,
+    isActive: station.isActive !== false,
+    updatedAt: station.updatedAt || null,
+    updatedBy: station.updatedBy || null
+  };
+}
+
+class StationService {
+  /**
+   * @param {string[]} stations - תחום המשתמש (ריק = הכל)
+   */
+  async list(stations = []) {
+    const filter = stations.length > 0 ? { code: { $in: stations } } : {};
+    const list = await Station.find(filter).sort({ name: 1 }).lean();
+    return list.map(toEntry);
+  }
+
+  async get(code) {
+    const station = await Station.findOne({ code }).lean();
+    return station ? toEntry(station) : null;
+  }
+
+  /**
+   * עיר שייכת לתחנה אחת - אחרת השיוך האוטומטי של נסיעות לא חד-משמעי
+   */
+  async assertCitiesFree(cities, code = null) {
+    if (cities.length === 0) return;
+
+    const taken = await Station.findOne({ cities: { $in: cities }, code: { $ne: code } }).select('code cities').lean();
+    if (taken) {
+      const overlap = taken.cities.filter(city => cities.includes(city));
+      throw new StationError('CITY_TAKEN', `הערים ${overlap.join(', ')} כבר משויכות לתחנה ${taken.code}`, 409);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} - { station, before } (before=null ביצירה)
+   */
+  async create({ code, name, cities = [], phone = null }, changedBy) {
+    const stationCode = String(code || '').trim().toLowerCase();
+
+    if (!STATION_CODE_REGEX.test(stationCode)) {
+      throw new StationError('INVALID_CODE', 'קוד תחנה לא תקין (אותיות באנגלית קטנות, ספרות וקו תחתון)');
+    }
+    if (!name || !String(name).trim()) {
+      throw new StationError('MISSING_NAME', 'חסר שם לתחנה');
+    }
+    if (await Station.exists({ code: stationCode })) {
+      throw new StationError('ALREADY_EXISTS', 'תחנה עם הקוד הזה כבר קיימת', 409);
+    }
+
+    const stationCities = normalizeCities(cities);
+    await this.assertCitiesFree(stationCities);
+
+    const station = await Station.create({
+      code: stationCode,
+      name: String(name).trim(),
+      cities: stationCities,
+      phone,
+      createdBy: changedBy
+    });
+
+    return { station: toEntry(station), before: null };
+  }
+
+  async update(code, patch, changedBy) {
+    const station = await Station.findOne({ code });
+    if (!station) {
+      throw new StationError('NOT_FOUND', 'תחנה לא נמצאה', 404);
+    }
+
+    const before = toEntry(station);
+
+    if (patch.name !== undefined) {
+      if (!String(patch.name).trim()) {
+        throw new StationError('MISSING_NAME', 'חסר שם לתחנה');
+      }
+      station.name = String(patch.name).trim();
+    }
+    if (patch.cities !== undefined) {
+      const cities = normalizeCities(patch.cities);
+      await this.assertCitiesFree(cities, station.code);
+      station.cities = cities;
+    }
+    if (patch.phone !== undefined) station.phone = patch.phone;
+    if (patch.isActive !== undefined) station.isActive = patch.isActive === true || patch.isActive === 'true';
+    station.updatedBy = changedBy;
+
+    await station.save();
+
+    return { station: toEntry(station), before };
+  }
+
+  async usage(code) {
+    const [drivers, rides, groups, users] = await Promise.all([
+      Driver.countDocuments({ station: code }),
+      Ride.countDocuments({ station: code }),
+      WhatsAppGroup.countDocuments({ station: code }),
+      User.countDocuments({ stations: code })
+    ]);
+    return { drivers, rides, groups, users };
+  }
+
+  /**
+   * מחיקה רק לתחנה בלי רשומות - אחרת משביתים (isActive: false)
+   */
+  async remove(code) {
+    const station = await Station.findOne({ code });
+    if (!station) {
+      throw new StationError('NOT_FOUND', 'תחנה לא נמצאה', 404);
+    }
+
+    const usage = await this.usage(code);
+    if (Object.values(usage).some(count => count > 0)) {
+      throw new StationError(
+        'STATION_IN_USE',
+        `לתחנה משויכים ${usage.drivers} נהגים, ${usage.rides} נסיעות, ${usage.groups} קבוצות ו-${usage.users} משתמשים - יש להשבית אותה במקום למחוק`,
+        409
+      );
+    }
+
+    await station.deleteOne();
+    return { station: null, before: toEntry(station) };
+  }
+
+  /**
+   * תחנה שאפשר לשייך אליה רשומה: קיימת, פעילה ובתחום המשתמש
+   * @param {Object} scope - { stations } מ-req.scope
+   */
+  async assertAssignable(code, scope) {
+    if (!code || typeof code !== 'string') {
+      throw new StationError('MISSING_STATION', 'חסרה תחנה');
+    }
+    if (scope.stations.length > 0 && !scope.stations.includes(code)) {
+      throw new StationError('OUT_OF_SCOPE', 'אין לך הרשאה לתחנה זו', 403);
+    }
+    if (!(await Station.exists({ code, isActive: true }))) {
+      throw new StationError('NOT_FOUND', 'תחנה לא נמצאה', 404);
+    }
+    return code;
+  }
+
+  /**
+   * התחנה של רשומה חדשה ממשק הניהול
+   * @returns {Promise<string|null>} - null = בלי תחנה (רק משתמש לא מוגבל)
+   */
+  async stationForNew(scope, { requested = null, city = null } = {}) {
+    if (requested) {
+      return this.assertAssignable(requested, scope);
+    }
+
+    const byCity = await Station.codeForCity(city);
+    if (byCity && (scope.stations.length === 0 || scope.stations.includes(byCity))) {
+      return byCity;
+    }
+
+    // משתמש מוגבל תמיד יוצר רשומה בתחנה שלו - אחרת לא יראה אותה
+    return scope.stations[0] || null;
+  }
+
+  /**
+   * רשימת התחנות של משתמש (PUT /api/stations/users/:userId)
+   * משתמש מוגבל יכול לתת רק תחנות שלו, ולא גישה לכל התחנות (רשימה ריקה)
+   */
+  async validateUserStations(stations, scope) {
+    if (!Array.isArray(stations)) {
+      throw new StationError('INVALID_STATIONS', 'stations חייב להיות רשימה');
+    }
+
+    const codes = [...new Set(stations.map(code => String(code).trim().toLowerCase()))].sort();
+
+    if (scope.stations.length > 0) {
+      const outside = codes.filter(code => !scope.stations.includes(code));
+      if (codes.length === 0 || outside.length > 0) {
+        throw new StationError('OUT_OF_SCOPE', 'אין לך הרשאה לתחנות האלה', 403);
+      }
+    }
+
+    const existing = new Set(await Station.distinct('code', { code: { $in: codes } }));
+    const unknown = codes.filter(code => !existing.has(code));
+    if (unknown.length > 0) {
+      throw new StationError('UNKNOWN_STATIONS', `תחנות לא מוכרות: ${unknown.join(', ')}`);
+    }
+
+    return codes;
+  }
+}
+
+// ===============================================
+// 🚀 EXPORT SINGLETON
+// ===============================================
+
+const stationService = new StationService();
+
+export default stationService;
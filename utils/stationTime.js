@@ -0,0 +1,67 @@
+// ===============================================
+// 🕐 STATION TIME
+// ===============================================
+// השרת יכול לרוץ ב-UTC, אבל "14:30" של לקוח או "חודש מרץ" בדוח
+// הם לפי השעון של התחנה - כאן ממירים בין שעון התחנה לזמן מוחלט (Date)
+
+export const STATION_TIMEZONE = 'Asia/Jerusalem';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * רכיבי התאריך והשעה בשעון התחנה
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} - month 1-12
+ */
+export function stationParts(date = new Date(), timeZone = STATION_TIMEZONE) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// הפרש (ms) בין שעון התחנה ל-UTC ברגע נתון
+function offsetAt(timestamp, timeZone) {
+  const p = stationParts(timestamp, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Date לפי שעה בשעון התחנה (כמו new Date(y, m, d, h, min) אבל לא תלוי ב-TZ של השרת)
+ * ערכים שחורגים מהטווח מתגלגלים כמו ב-Date.UTC (day: 32 → החודש הבא)
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @returns {Date}
+ */
+export function stationDate({ year, month, day = 1, hour = 0, minute = 0 }, timeZone = STATION_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // שני סבבים - ליד מעבר שעון קיץ/חורף ההפרש משתנה
+  let timestamp = wallClock - offsetAt(wallClock, timeZone);
+  timestamp = wallClock - offsetAt(timestamp, timeZone);
+
+  return new Date(timestamp);
+}
@@ -8,6 +8,10 @@ const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM;
 
+// 📬 כתובת לעדכוני מסירה (delivered / read / failed) - routes/bot.js
+const TWILIO_STATUS_CALLBACK_URL = process.env.TWILIO_STATUS_CALLBACK_URL ||
+  (process.env.WEBHOOK_URL ? `${process.env.WEBHOOK_URL.replace(/\/+$/, '')}/api/bot/api/twilio/status` : null);
+
 // ✅ בדיקה בזמן initialization
 if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_WHATSAPP_FROM) {
   console.error('❌ שגיאה: חסרים credentials של Twilio!');
@@ -81,7 +85,8 @@ export default {
           const message = await client.messages.create({
             from: from,
             to: to,
-            body: messageText
+            body: messageText,
+            ...(TWILIO_STATUS_CALLBACK_URL && { statusCallback: TWILIO_STATUS_CALLBACK_URL })
           });
 
           if (!message.sid) {
@@ -5,8 +5,12 @@
 
 import speakeasy from 'speakeasy';
 import QRCode from 'qrcode';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import logger from './logger.js';
 
+const TOTP_STEP_SECONDS = 30;
+
 // ===============================================
 // 🔧 2FA MANAGER
 // ===============================================
@@ -77,12 +81,39 @@ class TwoFactorAuth {
     }
   }
 
+  /**
+   * Verify a TOTP token and return the matched time step (null if invalid)
+   * - מאפשר לדחות שימוש חוזר בקוד שכבר אושר (step <= lastUsedStep)
+   */
+  verifyTokenStep(secret, token, window = 2) {
+    try {
+      const cleanToken = String(token || '').replace(/[\s-]/g, '');
+      if (!/^\d{6}$/.test(cleanToken)) return null;
+
+      const result = speakeasy.totp.verifyDelta({
+        secret: secret,
+        encoding: 'base32',
+        token: cleanToken,
+        window: window
+      });
+
+      if (!result) {
+        logger.warn('2FA token verification failed');
+        return null;
+      }
+
+      return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+    } catch (error) {
+      logger.error('Failed to verify 2FA token', error);
+      return null;
+    }
+  }
+
   /**
    * Generate backup codes for 2FA
    */
   generateBackupCodes(count = 10) {
     const codes = [];
-    const crypto = require('crypto');
 
     for (let i = 0; i < count; i++) {
       // Generate 8-character alphanumeric code
@@ -95,27 +126,35 @@ class TwoFactorAuth {
   }
 
   /**
-   * Verify a backup code
+   * Find the index of a backup code in the stored hashes (-1 if not found)
+   * - הקוד חד-פעמי: הקורא מסיר את ה-hash שנמצא
    */
-  verifyBackupCode(code, hashedCodes) {
-    const bcrypt = require('bcryptjs');
+  async findBackupCode(code, hashedCodes = []) {
+    const cleanCode = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+    if (!cleanCode) return -1;
 
-    for (const hashedCode of hashedCodes) {
-      if (bcrypt.compareSync(code.toUpperCase(), hashedCode)) {
+    for (let i = 0; i < hashedCodes.length; i++) {
+      if (await bcrypt.compare(cleanCode, hashedCodes[i])) {
         logger.info('Backup code verified successfully');
-        return true;
+        return i;
       }
     }
 
     logger.warn('Backup code verification failed');
-    return false;
+    return -1;
+  }
+
+  /**
+   * Verify a backup code
+   */
+  async verifyBackupCode(code, hashedCodes) {
+    return (await this.findBackupCode(code, hashedCodes)) !== -1;
   }
 
   /**
    * Hash backup codes for storage
    */
   async hashBackupCodes(codes) {
-    const bcrypt = require('bcryptjs');
     const hashedCodes = [];
 
     for (const code of codes) {
@@ -145,19 +184,10 @@ class TwoFactorAuth {
 }
 
 // ===============================================
-// 🗄️ 2FA USER MODEL EXTENSION
+// 🗄️ USAGE
 // ===============================================
-
-/**
- * Schema fields to add to User/Admin model:
- * 
- * twoFactor: {
- *   enabled: { type: Boolean, default: false },
- *   secret: { type: String, default: null },
- *   backupCodes: [{ type: String }],
- *   lastVerified: { type: Date, default: null }
- * }
- */
+// השדות נשמרים ב-User.twoFactor (models/User.js), הרישום וההתחברות בשני שלבים ב-routes/auth.js:
+// POST /auth/2fa/setup → /auth/2fa/confirm → POST /auth/login → /auth/login/2fa
 
 // ===============================================
 // 🚀 EXPORT SINGLETON
@@ -168,168 +198,3 @@ const twoFactorAuth = new TwoFactorAuth();
 console.log('✅ Two-Factor Authentication loaded');
 
 export default twoFactorAuth;
-
-// ===============================================
-// 📝 USAGE EXAMPLES
-// ===============================================
-
-/**
- * SETUP 2FA (Admin endpoint):
- * 
- * app.post('/api/admin/2fa/setup', authenticateToken, async (req, res) => {
- *   try {
- *     // Generate secret
- *     const { secret, otpauthUrl } = twoFactorAuth.generateSecret('admin');
- *     
- *     // Generate QR code
- *     const qrCode = await twoFactorAuth.generateQRCode(otpauthUrl);
- *     
- *     // Generate backup codes
- *     const backupCodes = twoFactorAuth.generateBackupCodes();
- *     const hashedBackupCodes = await twoFactorAuth.hashBackupCodes(backupCodes);
- *     
- *     // Save to database (don't enable yet)
- *     await Admin.updateOne(
- *       { username: 'admin' },
- *       {
- *         'twoFactor.secret': secret,
- *         'twoFactor.backupCodes': hashedBackupCodes,
- *         'twoFactor.enabled': false // Will be enabled after verification
- *       }
- *     );
- *     
- *     res.json({
- *       ok: true,
- *       qrCode,
- *       backupCodes, // Show only once!
- *       secret // For manual entry
- *     });
- *   } catch (error) {
- *     res.status(500).json({ ok: false, error: error.message });
- *   }
- * });
- */
-
-/**
- * VERIFY & ENABLE 2FA:
- * 
- * app.post('/api/admin/2fa/verify', authenticateToken, async (req, res) => {
- *   try {
- *     const { token } = req.body;
- *     
- *     const admin = await Admin.findOne({ username: 'admin' });
- *     
- *     if (!admin.twoFactor.secret) {
- *       return res.status(400).json({ ok: false, error: '2FA not set up' });
- *     }
- *     
- *     const verified = twoFactorAuth.verifyToken(admin.twoFactor.secret, token);
- *     
- *     if (verified) {
- *       // Enable 2FA
- *       await Admin.updateOne(
- *         { username: 'admin' },
- *         { 'twoFactor.enabled': true }
- *       );
- *       
- *       res.json({ ok: true, message: '2FA enabled successfully' });
- *     } else {
- *       res.status(400).json({ ok: false, error: 'Invalid token' });
- *     }
- *   } catch (error) {
- *     res.status(500).json({ ok: false, error: error.message });
- *   }
- * });
- */
-
-/**
- * LOGIN WITH 2FA:
- * 
- * app.post('/api/login', async (req, res) => {
- *   try {
- *     const { password, twoFactorToken } = req.body;
- *     
- *     // Verify password first
- *     const isValidPassword = await bcrypt.compare(password, passwordHash);
- *     if (!isValidPassword) {
- *       return res.status(401).json({ ok: false, error: 'Invalid password' });
- *     }
- *     
- *     // Check if 2FA is enabled
- *     const admin = await Admin.findOne({ username: 'admin' });
- *     
- *     if (admin.twoFactor.enabled) {
- *       if (!twoFactorToken) {
- *         // First step: password correct, need 2FA
- *         return res.json({
- *           ok: false,
- *           requiresTwoFactor: true,
- *           message: 'Please enter your 2FA code'
- *         });
- *       }
- *       
- *       // Verify 2FA token
- *       const verified = twoFactorAuth.verifyToken(
- *         admin.twoFactor.secret,
- *         twoFactorToken
- *       );
- *       
- *       if (!verified) {
- *         return res.status(401).json({ ok: false, error: 'Invalid 2FA code' });
- *       }
- *       
- *       // Update last verified
- *       await Admin.updateOne(
- *         { username: 'admin' },
- *         { 'twoFactor.lastVerified': new Date() }
- *       );
- *     }
- *     
- *     // Generate tokens
- *     const accessToken = jwt.sign(...);
- *     const refreshToken = jwt.sign(...);
- *     
- *     res.json({ ok: true, accessToken, refreshToken });
- *   } catch (error) {
- *     res.status(500).json({ ok: false, error: error.message });
- *   }
- * });
- */
-
-/**
- * DISABLE 2FA:
- * 
- * app.post('/api/admin/2fa/disable', authenticateToken, async (req, res) => {
- *   try {
- *     const { password, token } = req.body;
- *     
- *     // Verify password
- *     const isValid = await bcrypt.compare(password, passwordHash);
- *     if (!isValid) {
- *       return res.status(401).json({ ok: false, error: 'Invalid password' });
- *     }
- *     
- *     const admin = await Admin.findOne({ username: 'admin' });
- *     
- *     // Verify 2FA token
- *     const verified = twoFactorAuth.verifyToken(admin.twoFactor.secret, token);
- *     if (!verified) {
- *       return res.status(401).json({ ok: false, error: 'Invalid 2FA code' });
- *     }
- *     
- *     // Disable 2FA
- *     await Admin.updateOne(
- *       { username: 'admin' },
- *       {
- *         'twoFactor.enabled': false,
- *         'twoFactor.secret': null,
- *         'twoFactor.backupCodes': []
- *       }
- *     );
- *     
- *     res.json({ ok: true, message: '2FA disabled successfully' });
- *   } catch (error) {
- *     res.status(500).json({ ok: false, error: error.message });
- *   }
- * });
- */
@@ -6,6 +6,10 @@ import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import logger from './logger.js';
 import config from '../config/index.js';
+import { Driver, Ride } from '../models/index.js';
+import { RIDE_SCOPE, recordInScope, scopeForUser } from '../middlewares/rbac.js';
+import roleStore from './roleStore.js';
+import sessionService from './sessionService.js';
 
 let io = null;
 const connectedClients = new Map();
@@ -30,6 +34,15 @@ function authenticateSocket(socket, next) {
     if (decoded.exp && Date.now() >= decoded.exp * 1000) {
       return next(new Error('Token expired'));
     }
+
+    // טוקן ביניים של אימות דו-שלבי (challenge / setup) אינו טוקן גישה
+    if (decoded.purpose) {
+      return next(new Error('Invalid token'));
+    }
+
+    if (sessionService.isRevoked(decoded.sid)) {
+      return next(new Error('Session revoked'));
+    }
     
     socket.user = decoded;
     
@@ -74,6 +87,9 @@ export function setupWebSockets(httpServer) {
   io.on('connection', (socket) => {
     handleConnection(socket);
   });
+
+  // סשן שבוטל (התנתקות / שינוי סיסמה / השבתת משתמש) - החיבורים שלו מנותקים
+  sessionService.on('revoked', disconnectSessions);
   
   logger.success('✅ WebSocket server initialized');
   
@@ -116,29 +132,36 @@ function handleConnection(socket) {
     timestamp: new Date().toISOString()
   });
   
-  // Subscribe to ride updates
-  socket.on('subscribe:ride', (rideId) => {
+  // Subscribe to ride updates (רק נסיעה בתחום המשתמש)
+  socket.on('subscribe:ride', async (rideId) => {
+    if (!(await canSubscribe(socket, Ride, rideId, RIDE_SCOPE))) {
+      return socket.emit('error', { message: 'Unauthorized' });
+    }
     socket.join(`ride:${rideId}`);
     logger.debug('Client subscribed to ride', { socketId: socket.id, rideId });
     socket.emit('subscribed', { type: 'ride', id: rideId });
   });
   
-  // Subscribe to driver updates
-  socket.on('subscribe:driver', (driverId) => {
+  // Subscribe to driver updates (רק נהג בתחום המשתמש)
+  socket.on('subscribe:driver', async (driverId) => {
+    if (!(await canSubscribe(socket, Driver, driverId))) {
+      return socket.emit('error', { message: 'Unauthorized' });
+    }
     socket.join(`driver:${driverId}`);
     logger.debug('Client subscribed to driver', { socketId: socket.id, driverId });
     socket.emit('subscribed', { type: 'driver', id: driverId });
   });
   
-  // Subscribe to all rides (admin only)
+  // Subscribe to all rides - משתמש מוגבל (ערי התפקיד / תחנות) מקבל רק נסיעות בתחום שלו
   socket.on('subscribe:all_rides', () => {
-    if (role === 'admin') {
-      socket.join('all_rides');
-      logger.debug('Admin subscribed to all rides', { socketId: socket.id });
-      socket.emit('subscribed', { type: 'all_rides' });
-    } else {
-      socket.emit('error', { message: 'Unauthorized' });
+    if (!roleStore.can(role, 'rides:read')) {
+      return socket.emit('error', { message: 'Unauthorized' });
     }
+    
+    const { cities, stations } = scopeForUser(socket.user);
+    socket.join(ALL_RIDES_ROOM);
+    logger.debug('Client subscribed to all rides', { socketId: socket.id, cities, stations });
+    socket.emit('subscribed', { type: 'all_rides', cities, stations });
   });
   
   // Unsubscribe
@@ -174,35 +197,114 @@ function handleConnection(socket) {
   });
 }
 
+// ===============================================
+// 🏢 DATA SCOPE
+// ===============================================
+
+const ALL_RIDES_ROOM = 'all_rides';
+
+function isUnrestricted(scope) {
+  return scope.cities.length === 0 && scope.stations.length === 0;
+}
+
+/**
+ * האם הרשומה בתחום של המשתמש המחובר (ערי התפקיד + תחנות המשתמש)
+ */
+async function canSubscribe(socket, Model, id, { city = 'city', station = 'station' } = {}) {
+  const scope = scopeForUser(socket.user);
+  if (isUnrestricted(scope)) return true;
+  
+  try {
+    const record = await Model.findById(id).select(`${city} ${station}`).lean();
+    return !!record && recordInScope(scope, record, { city, station });
+  } catch {
+    return false;
+  }
+}
+
+function rideSubscribers() {
+  const socketIds = io.sockets.adapter.rooms.get(ALL_RIDES_ROOM) || new Set();
+  return [...socketIds].map(id => io.sockets.sockets.get(id)).filter(Boolean);
+}
+
+/**
+ * שליחה למנויי all_rides - כל מנוי מקבל רק נסיעות בתחום שלו
+ * @param {Array<Object>} records - { station, pickupLocation: { city } }; מספיק שאחת בתחום
+ *   (נסיעה שהועברה: גם מי שרואה את התחנה הקודמת מקבל את העדכון)
+ */
+function emitToRideSubscribers(event, payload, records) {
+  for (const socket of rideSubscribers()) {
+    const scope = scopeForUser(socket.user);
+    if (isUnrestricted(scope) || records.some(record => recordInScope(scope, record, RIDE_SCOPE))) {
+      socket.emit(event, payload);
+    }
+  }
+}
+
+function disconnectSessions({ sessionIds, reason }) {
+  if (!io) return;
+  
+  const revoked = new Set(sessionIds);
+  
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.user?.sid && revoked.has(socket.user.sid)) {
+      socket.emit('session:revoked', { reason });
+      socket.disconnect(true);
+      
+      logger.info('Socket disconnected - session revoked', {
+        socketId: socket.id,
+        user: socket.user.user,
+        reason
+      });
+    }
+  }
+}
+
 // ===============================================
 // 📡 EMIT EVENTS
 // ===============================================
 
+/**
+ * @param {Object} data - data.previousStation: אחרי העברת נסיעה בין תחנות
+ *   התחנה והעיר של הנסיעה נטענות ממנה כשיש מנוי מוגבל ל-all_rides
+ */
 export function emitRideUpdate(rideId, data) {
   if (!io) return;
   
-  io.to(`ride:${rideId}`).emit('ride:updated', {
+  const payload = {
     rideId,
     ...data,
     timestamp: new Date().toISOString()
-  });
+  };
   
-  io.to('all_rides').emit('ride:updated', {
-    rideId,
-    ...data,
-    timestamp: new Date().toISOString()
-  });
+  io.to(`ride:${rideId}`).emit('ride:updated', payload);
   
-  logger.debug('Ride update emitted', { rideId, event: data.event });
+  const subscribers = rideSubscribers();
+  if (subscribers.length === 0) return;
+  
+  if (subscribers.every(socket => isUnrestricted(scopeForUser(socket.user)))) {
+    io.to(ALL_RIDES_ROOM).emit('ride:updated', payload);
+    logger.debug('Ride update emitted', { rideId, event: data.event });
+    return;
+  }
+  
+  Ride.findById(rideId).select(`station ${RIDE_SCOPE.city}`).lean()
+    .then(ride => {
+      // נסיעה שנמחקה - רק מנויים ללא הגבלה
+      const records = !ride ? [] : [ride, ...(data.previousStation ? [{ ...ride, station: data.previousStation }] : [])];
+      emitToRideSubscribers('ride:updated', payload, records);
+      logger.debug('Ride update emitted', { rideId, event: data.event });
+    })
+    .catch(err => logger.error('Ride update emit failed', { rideId, error: err.message }));
 }
 
 export function emitNewRide(ride) {
   if (!io) return;
   
-  io.to('all_rides').emit('ride:new', {
+  emitToRideSubscribers('ride:new', {
     ride,
     timestamp: new Date().toISOString()
-  });
+  }, [ride]);
   
   logger.debug('New ride notification sent', { rideId: ride._id });
 }
@@ -219,6 +321,18 @@ export function emitDriverUpdate(driverId, data) {
   logger.debug('Driver update emitted', { driverId });
 }
 
+export function emitCampaignUpdate(campaignId, data) {
+  if (!io) return;
+  
+  io.to('role:admin').emit('campaign:updated', {
+    campaignId,
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+  
+  logger.debug('Campaign update emitted', { campaignId, status: data.status });
+}
+
 export function emitSystemNotification(message, level = 'info') {
   if (!io) return;
   
@@ -283,6 +397,7 @@ export function getWebSocketStats() {
 
 export function closeWebSockets() {
   if (io) {
+    sessionService.off('revoked', disconnectSessions);
     io.close();
     connectedClients.clear();
     logger.info('WebSocket server closed');
@@ -294,6 +409,7 @@ export default {
   emitRideUpdate,
   emitNewRide,
   emitDriverUpdate,
+  emitCampaignUpdate,
   emitSystemNotification,
   emitUserNotification,
   getWebSocketStats,